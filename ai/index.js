@@ -1,19 +1,29 @@
 // AI-Powered Solar Charging Optimizer
-// Pattern-based learning without weather APIs
+// Pattern-based learning, weather forecasts refine solar and weather patterns when enabled
 
 const SolarPredictor = require('./models/solarPredictor');
 const LoadForecaster = require('./models/loadForecaster');
 const ChargingOptimizer = require('./models/chargingOptimizer');
+const ChargePlanner = require('./models/chargePlanner');
+const LoadScheduler = require('./models/loadScheduler');
 const PatternDetector = require('./models/patternDetector');
 const DataProcessor = require('./utils/dataProcessor');
+const ModelStore = require('./utils/modelStore');
+
+const SNAPSHOT_INTERVAL = 6 * 60 * 60 * 1000; // periodic model snapshot every 6 hours
+const RETRAIN_AFTER_DAYS = 30; // snapshots trained on older history are retrained on startup
 
 class AIChargingSystem {
   constructor() {
     this.solarPredictor = new SolarPredictor();
     this.loadForecaster = new LoadForecaster();
     this.chargingOptimizer = new ChargingOptimizer();
+    this.chargePlanner = new ChargePlanner();
+    this.loadScheduler = new LoadScheduler();
+    this.deferrableLoads = null;
     this.patternDetector = new PatternDetector();
     this.dataProcessor = new DataProcessor();
+    this.modelStore = new ModelStore();
     
     this.initialized = false;
     this.learningMode = true;
@@ -24,30 +34,59 @@ class AIChargingSystem {
       costSavings: 0,
       selfConsumption: 0
     };
+    this.trainingWindow = null;
+    this.snapshot = null; // metadata of the snapshot the models were last saved to or restored from
+    this.snapshotTimer = null;
   }
 
-  async initialize(influxClient, tibberService) {
+  async initialize(influxClient, tibberService, weatherService = null) {
     try {
       console.log('🤖 Initializing AI Charging System...');
       
       this.influx = influxClient;
       this.tibber = tibberService;
+      this.weather = weatherService;
       
-      // Load historical data for training
-      const historicalData = await this.dataProcessor.loadHistoricalData(influxClient, 365);
+      // Continue from the last snapshot instead of retraining on every restart
+      let trained = false;
+      const snapshot = this.modelStore.load();
+      if (snapshot) {
+        this.restoreSnapshot(snapshot);
+        console.log(`✅ Restored AI models from snapshot v${snapshot.metadata.version} (${snapshot.metadata.createdAt})`);
+      }
       
-      if (historicalData.solar.length < 100) {
-        console.log('⚠️  Insufficient historical data - AI will learn as it operates');
-        this.learningMode = true;
-      } else {
-        console.log(`✅ Loaded ${historicalData.solar.length} days of historical data`);
+      if (this.needsTraining()) {
+        // Load historical data for training
+        const historicalData = await this.dataProcessor.loadHistoricalData(influxClient, 365);
         
-        // Train models with historical data
-        await this.trainModels(historicalData);
-        this.learningMode = false;
+        if (historicalData.solar.length < 100) {
+          console.log('⚠️  Insufficient historical data - AI will learn as it operates');
+          // Models restored from an earlier training stay usable
+          this.learningMode = !this.trainingWindow;
+        } else {
+          console.log(`✅ Loaded ${historicalData.solar.length} days of historical data`);
+          
+          // Train models with historical data
+          await this.trainModels(historicalData);
+          this.learningMode = false;
+          this.trainingWindow = {
+            start: historicalData.timeRange.start,
+            end: historicalData.timeRange.end,
+            hours: historicalData.timeRange.hours,
+            solarPoints: historicalData.solar.length,
+            loadPoints: historicalData.load.length,
+            trainedAt: new Date().toISOString()
+          };
+          trained = true;
+        }
       }
       
       this.initialized = true;
+      if (trained) {
+        // The restored snapshot is the state before this training, kept for a rollback
+        this.saveSnapshot('training', this.snapshot ? { previousVersion: this.snapshot.version } : {});
+      }
+      this.startSnapshotTimer();
       console.log('🚀 AI Charging System initialized successfully');
       
       return { success: true, learningMode: this.learningMode };
@@ -77,52 +116,115 @@ class AIChargingSystem {
     console.log('✅ Charging optimizer trained');
   }
 
-  async makePredictions(currentState, batteryCapacity) {
+  // options.now, options.priceForecast and options.weather replay a past moment (backtesting)
+  // without touching the live prediction used for learning
+  async makePredictions(currentState, batteryCapacity, options = {}) {
     if (!this.initialized) {
       throw new Error('AI system not initialized');
     }
 
-    const now = new Date();
+    const now = options.now || new Date();
+    const weather = options.weather || (this.weather ? this.weather.getHourlyForecast() : []);
     
     // Generate solar forecast (next 24-48 hours)
-    const solarForecast = await this.solarPredictor.predict(now, 48);
+    const solarForecast = await this.solarPredictor.predict(now, 48, weather);
     
     // Generate load forecast
-    const loadForecast = await this.loadForecaster.predict(now, 48);
+    const baseLoadForecast = await this.loadForecaster.predict(now, 48);
     
     // Get price forecast from Tibber
-    const priceForecast = this.tibber.cache.forecast || [];
+    const priceForecast = options.priceForecast || this.tibber.cache.forecast || [];
+    const currentPrice = options.currentPrice !== undefined ? options.currentPrice : this.tibber.cache.currentPrice;
+    
+    // Deferrable loads are placed on the same forecasts, the battery is planned with them running.
+    // Backtests replay the past and leave them out
+    let loadSchedule = null;
+    let loadForecast = baseLoadForecast;
+    if (!options.now && this.deferrableLoads) {
+      const requests = this.deferrableLoads.getPendingRuns(now);
+      if (requests.length > 0) {
+        const slots = this.chargePlanner.buildSlots(now, priceForecast, currentPrice, solarForecast, baseLoadForecast);
+        loadSchedule = this.loadScheduler.schedule({ now, requests, slots });
+        loadForecast = this.loadScheduler.addToForecast(baseLoadForecast, loadSchedule);
+      }
+    }
     
     // Optimize charging strategy
     const chargingDecision = await this.chargingOptimizer.optimize({
+      timestamp: now,
+      currentState,
+      batteryCapacity,
+      solarForecast,
+      loadForecast,
+      priceForecast,
+      patterns: this.patternDetector.getRelevantPatterns(now, weather)
+    });
+
+    // Explicit schedule over the whole forecast horizon, re-planned on every call
+    const plan = this.chargePlanner.plan({
+      now,
       currentState,
       batteryCapacity,
       solarForecast,
       loadForecast,
       priceForecast,
-      patterns: this.patternDetector.getRelevantPatterns(now)
+      currentPrice
     });
 
-    this.lastPrediction = {
+    const prediction = {
       timestamp: now,
       solar: solarForecast,
-      load: loadForecast,
+      load: baseLoadForecast,
       charging: chargingDecision,
+      plan,
+      loadSchedule,
       confidence: this.calculateConfidence()
     };
 
-    return this.lastPrediction;
+    if (!options.now) {
+      this.lastPrediction = prediction;
+    }
+
+    return prediction;
+  }
+
+  setBatteryLimits(limits) {
+    this.chargingOptimizer.setBatteryLimits(limits);
+    this.chargePlanner.setBatteryLimits(limits);
+  }
+
+  // Registered deferrable loads, see services/deferrableLoadService
+  setDeferrableLoads(provider) {
+    this.deferrableLoads = provider;
+  }
+
+  setPvArrays(arrays) {
+    this.solarPredictor.setArrays(arrays);
+  }
+
+  // Site location for the sun position, snapshots keep the learned state but not the place
+  setSite(site) {
+    this.solarPredictor.setLocation(site.latitude, site.longitude);
+  }
+
+  // Holidays and absences for the load forecast, see services/calendarService
+  setCalendar(calendar) {
+    this.loadForecaster.setCalendar(calendar);
+  }
+
+  // Accuracy comes from forecasts scored against measured hours, see forecastAccuracyService
+  setForecastAccuracy(accuracy) {
+    if (typeof accuracy.solar === 'number') this.performanceMetrics.solarAccuracy = accuracy.solar;
+    if (typeof accuracy.load === 'number') this.performanceMetrics.loadAccuracy = accuracy.load;
+  }
+
+  // Forecasts are attributed to the training they came from, rollbacks return to an older one
+  getModelVersion() {
+    return this.trainingWindow?.trainedAt ? `trained-${this.trainingWindow.trainedAt}` : 'learning';
   }
 
   async learnFromOutcome(actualSolar, actualLoad, actualCost) {
     if (!this.lastPrediction) return;
-
-    // Update model accuracy
-    const solarError = Math.abs(actualSolar - this.lastPrediction.solar[0].power) / actualSolar;
-    const loadError = Math.abs(actualLoad - this.lastPrediction.load[0].power) / actualLoad;
-    
-    this.performanceMetrics.solarAccuracy = 1 - solarError;
-    this.performanceMetrics.loadAccuracy = 1 - loadError;
     
     // Retrain models with new data if in learning mode
     if (this.learningMode) {
@@ -144,6 +246,106 @@ class AIChargingSystem {
     await this.chargingOptimizer.updateRewards(dataPoint);
   }
 
+  // Retrain when nothing was restored, the snapshot never finished training or its history is old
+  needsTraining() {
+    if (this.learningMode || !this.trainingWindow?.trainedAt) return true;
+    const age = Date.now() - new Date(this.trainingWindow.trainedAt).getTime();
+    return age > RETRAIN_AFTER_DAYS * 24 * 60 * 60 * 1000;
+  }
+
+  getSnapshotState() {
+    return {
+      solar: this.solarPredictor.exportState(),
+      load: this.loadForecaster.exportState(),
+      optimizer: this.chargingOptimizer.exportState(),
+      patterns: this.patternDetector.exportState(),
+      performance: this.performanceMetrics
+    };
+  }
+
+  restoreSnapshot(snapshot) {
+    const { models, metadata } = snapshot;
+    this.solarPredictor.importState(models.solar);
+    this.loadForecaster.importState(models.load);
+    this.chargingOptimizer.importState(models.optimizer);
+    this.patternDetector.importState(models.patterns);
+    this.performanceMetrics = { ...this.performanceMetrics, ...models.performance };
+    this.learningMode = metadata.learningMode;
+    this.trainingWindow = metadata.trainingWindow;
+    this.snapshot = metadata;
+  }
+
+  saveSnapshot(reason = 'manual', extra = {}) {
+    if (!this.initialized) {
+      throw new Error('AI system not initialized');
+    }
+
+    this.snapshot = this.modelStore.save(this.getSnapshotState(), {
+      reason,
+      ...extra,
+      learningMode: this.learningMode,
+      trainingWindow: this.trainingWindow,
+      accuracy: {
+        solar: this.performanceMetrics.solarAccuracy,
+        load: this.performanceMetrics.loadAccuracy
+      },
+      models: {
+        qTableSize: this.chargingOptimizer.qTable.size,
+        rewardHistory: this.chargingOptimizer.rewardHistory.length,
+        solarPatterns: this.solarPredictor.models.patterns.size,
+        dailyPatterns: this.patternDetector.patterns.daily.size
+      }
+    });
+    console.log(`💾 AI model snapshot v${this.snapshot.version} saved (${reason})`);
+    return this.snapshot;
+  }
+
+  listSnapshots() {
+    return this.modelStore.list();
+  }
+
+  // Restores an older snapshot and saves it as the newest version, so it also survives a restart
+  rollbackSnapshot(version) {
+    if (!this.initialized) {
+      throw new Error('AI system not initialized');
+    }
+
+    const snapshot = this.modelStore.load(version);
+    if (!snapshot) {
+      throw new Error(`Model snapshot v${version} not found`);
+    }
+
+    this.restoreSnapshot(snapshot);
+    console.log(`⏪ AI models rolled back to snapshot v${version}`);
+    return this.saveSnapshot('rollback', { restoredFrom: version });
+  }
+
+  startSnapshotTimer() {
+    this.stopSnapshotTimer();
+    this.snapshotTimer = setInterval(() => {
+      try {
+        this.saveSnapshot('periodic');
+      } catch (error) {
+        console.error('❌ Error saving AI model snapshot:', error.message);
+      }
+    }, SNAPSHOT_INTERVAL);
+  }
+
+  stopSnapshotTimer() {
+    if (this.snapshotTimer) {
+      clearInterval(this.snapshotTimer);
+      this.snapshotTimer = null;
+    }
+  }
+
+  // Final snapshot before the add-on stops, keeps what was learned since the last periodic save
+  shutdown() {
+    this.stopSnapshotTimer();
+    if (this.initialized) {
+      this.saveSnapshot('shutdown');
+    }
+  }
+
   calculateConfidence() {
     const baseConfidence = this.learningMode ? 0.3 : 0.8;
     const accuracyBonus = (this.performanceMetrics.solarAccuracy + this.performanceMetrics.loadAccuracy) / 2 * 0.2;
@@ -156,6 +358,13 @@ class AIChargingSystem {
       initialized: this.initialized,
       learningMode: this.learningMode,
       performance: this.performanceMetrics,
+      trainingWindow: this.trainingWindow,
+      modelVersion: this.getModelVersion(),
+      snapshot: this.snapshot ? {
+        version: this.snapshot.version,
+        createdAt: this.snapshot.createdAt,
+        reason: this.snapshot.reason
+      } : null,
       lastPrediction: this.lastPrediction ? {
         timestamp: this.lastPrediction.timestamp,
         confidence: this.lastPrediction.confidence
@@ -164,6 +373,8 @@ class AIChargingSystem {
         solar: this.solarPredictor.getStatus(),
         load: this.loadForecaster.getStatus(),
         optimizer: this.chargingOptimizer.getStatus(),
+        planner: this.chargePlanner.getStatus(),
+        loadScheduler: this.loadScheduler.getStatus(),
         patterns: this.patternDetector.getStatus()
       }
     };
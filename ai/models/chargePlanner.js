@@ -0,0 +1,266 @@
+// Charge Planner - explicit charge schedule over the price forecast horizon
+// Dynamic programming over battery SOC: for every forecast slot and SOC level it finds the
+// cheapest way to reach the end of the horizon, either by grid charging to a target SOC or
+// by plain self-consumption. Walking the policy forward from the current SOC gives the
+// slot-by-slot plan (charge, hold or discharge, target SOC and expected cost).
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class ChargePlanner {
+  constructor() {
+    this.params = {
+      horizonHours: 48,
+      socStep: 1,          // SOC resolution of the DP grid in %
+      feedInTariff: 8,     // ¢/kWh paid for export, same as the engine's study parameter
+      efficiency: 0.95,    // one-way charge/discharge efficiency
+      socMin: 20,
+      socMax: 100,
+      maxChargePower: 5000,
+      maxGridChargePower: 5000,
+      maxDischargePower: 5000,
+      wearCost: 0          // ¢ per kWh into or out of the battery (degradation)
+    };
+  }
+
+  // SOC window (%), efficiency, power limits (W) and wear cost from the active battery profile
+  setBatteryLimits(limits = {}) {
+    ['socMin', 'socMax', 'efficiency', 'maxChargePower', 'maxGridChargePower', 'maxDischargePower', 'wearCost'].forEach(key => {
+      if (limits[key] !== undefined && limits[key] !== null) this.params[key] = limits[key];
+    });
+  }
+
+  // Forecast slots from the price forecast, PV and load taken from the hourly forecasts
+  buildSlots(now, priceForecast, currentPrice, solarForecast, loadForecast) {
+    const prices = (priceForecast || [])
+      .filter(price => price.startsAt && typeof price.total === 'number')
+      .map(price => ({ start: new Date(price.startsAt).getTime(), price: price.total }))
+      .sort((a, b) => a.start - b.start);
+
+    // The live forecast may start with the next hour, the current one comes from the current price
+    if (currentPrice && currentPrice.startsAt && typeof currentPrice.total === 'number') {
+      const start = new Date(currentPrice.startsAt).getTime();
+      if (!prices.some(price => price.start === start)) {
+        prices.unshift({ start, price: currentPrice.total });
+      }
+    }
+
+    const nowMs = now.getTime();
+    const horizonEnd = nowMs + this.params.horizonHours * HOUR_MS;
+    const slots = [];
+
+    prices.forEach((price, index) => {
+      const length = index + 1 < prices.length ? prices[index + 1].start - price.start : HOUR_MS;
+      const end = price.start + Math.min(length, HOUR_MS);
+      if (end <= nowMs || price.start >= horizonEnd) return;
+
+      const start = Math.max(price.start, nowMs);
+      const middle = (start + end) / 2;
+      slots.push({
+        start,
+        end,
+        hours: (end - start) / HOUR_MS,
+        price: price.price,
+        pv: this.forecastAt(solarForecast, middle, nowMs),
+        load: this.forecastAt(loadForecast, middle, nowMs)
+      });
+    });
+
+    return slots;
+  }
+
+  // Forecasts are hourly from now; pick the entry covering the given time
+  forecastAt(forecast, time, nowMs) {
+    if (!forecast || forecast.length === 0) return 0;
+    const index = Math.min(forecast.length - 1, Math.max(0, Math.floor((time - nowMs) / HOUR_MS)));
+    return Math.max(0, forecast[index].power || 0);
+  }
+
+  // Energy flows of one slot. targetSoc null is self-consumption, otherwise grid charging up to it
+  simulateSlot(slot, soc, targetSoc, capacityWh) {
+    const p = this.params;
+    const pvToLoad = Math.min(slot.pv, slot.load);
+    let surplusWh = (slot.pv - pvToLoad) * slot.hours;
+    let deficitWh = (slot.load - pvToLoad) * slot.hours;
+
+    const room = Math.max(0, (p.socMax - soc) / 100 * capacityWh / p.efficiency);
+    const solarIn = Math.min(surplusWh, p.maxChargePower * slot.hours, room);
+    surplusWh -= solarIn;
+    let endSoc = soc + solarIn * p.efficiency / capacityWh * 100;
+
+    let gridIn = 0;
+    let batteryOut = 0;
+    if (targetSoc !== null) {
+      const needed = Math.max(0, (targetSoc - endSoc) / 100 * capacityWh / p.efficiency);
+      gridIn = Math.max(0, Math.min(needed, p.maxGridChargePower * slot.hours, p.maxChargePower * slot.hours - solarIn));
+      endSoc += gridIn * p.efficiency / capacityWh * 100;
+    } else {
+      const available = Math.max(0, (endSoc - p.socMin) / 100 * capacityWh * p.efficiency);
+      batteryOut = Math.min(deficitWh, p.maxDischargePower * slot.hours, available);
+      deficitWh -= batteryOut;
+      endSoc -= batteryOut / p.efficiency / capacityWh * 100;
+    }
+
+    const gridImport = (deficitWh + gridIn) / 1000;
+    const gridExport = surplusWh / 1000;
+    const wear = (solarIn + gridIn + batteryOut) / 1000 * p.wearCost;
+    return {
+      soc: Math.min(p.socMax, Math.max(Math.min(p.socMin, soc), endSoc)),
+      gridImport,
+      gridExport,
+      gridCharge: gridIn / 1000,
+      batteryOut: batteryOut / 1000,
+      wear,
+      cost: gridImport * slot.price - gridExport * p.feedInTariff + wear
+    };
+  }
+
+  // Value at an SOC, interpolated between grid levels so small flows are not rounded away
+  interpolate(values, soc, levels) {
+    const step = this.params.socStep;
+    const position = Math.min(levels.length - 1, Math.max(0, (soc - levels[0]) / step));
+    const lower = Math.floor(position);
+    const upper = Math.min(levels.length - 1, lower + 1);
+    const fraction = position - lower;
+    return values[lower] * (1 - fraction) + values[upper] * fraction;
+  }
+
+  // Energy left at the end of the horizon is worth what it saves later at the average price,
+  // less the wear of discharging it
+  terminalValue(soc, slots, capacityWh) {
+    const p = this.params;
+    const averagePrice = slots.reduce((sum, slot) => sum + slot.price, 0) / slots.length;
+    return -Math.max(0, soc - p.socMin) / 100 * capacityWh / 1000 * p.efficiency * Math.max(0, averagePrice - p.wearCost);
+  }
+
+  optimize(slots, levels, capacityWh) {
+    const p = this.params;
+    let next = levels.map(level => this.terminalValue(level, slots, capacityWh));
+    const policy = new Array(slots.length);
+
+    for (let t = slots.length - 1; t >= 0; t--) {
+      const slot = slots[t];
+      const values = new Array(levels.length);
+      const choices = new Array(levels.length);
+
+      levels.forEach((soc, i) => {
+        const self = this.simulateSlot(slot, soc, null, capacityWh);
+        let best = { target: null, value: self.cost + this.interpolate(next, self.soc, levels) };
+
+        // Grid charging to each reachable level above what solar alone reaches. Holding without
+        // charging is left out, the inverters cannot be told to stop discharging on their own
+        const hold = this.simulateSlot(slot, soc, soc, capacityWh);
+        const solarInWh = (hold.soc - soc) / 100 * capacityWh / p.efficiency;
+        const gridLimitWh = Math.max(0, Math.min(p.maxGridChargePower * slot.hours, p.maxChargePower * slot.hours - solarInWh));
+        const reachable = Math.min(p.socMax, hold.soc + gridLimitWh * p.efficiency / capacityWh * 100);
+        for (let j = i + 1; j < levels.length && levels[j] <= reachable + 1e-9; j++) {
+          if (levels[j] <= hold.soc + 1e-9) continue;
+          // Same flows as holding plus the grid energy (and its wear) to lift the SOC to the level
+          const gridIn = (levels[j] - hold.soc) / 100 * capacityWh / p.efficiency / 1000;
+          const value = hold.cost + gridIn * (slot.price + p.wearCost) + next[j];
+          if (value < best.value - 1e-9) {
+            best = { target: levels[j], value };
+          }
+        }
+
+        values[i] = best.value;
+        choices[i] = best.target;
+      });
+
+      policy[t] = choices;
+      next = values;
+    }
+
+    return policy;
+  }
+
+  plan(input) {
+    const { currentState, batteryCapacity, solarForecast, loadForecast, priceForecast, currentPrice } = input;
+    const now = input.now || new Date();
+    const p = this.params;
+    const capacityWh = (batteryCapacity || 10) * 1000;
+
+    const slots = this.buildSlots(now, priceForecast, currentPrice, solarForecast, loadForecast);
+    if (slots.length === 0) {
+      return null;
+    }
+
+    const levels = [];
+    for (let level = p.socMin; level <= p.socMax + 1e-9; level += p.socStep) {
+      levels.push(Math.round(level * 100) / 100);
+    }
+    const policy = this.optimize(slots, levels, capacityWh);
+
+    // Follow the policy from the actual SOC
+    const startSoc = Math.min(p.socMax, Math.max(0, currentState?.battery_soc ?? p.socMin));
+    let soc = startSoc;
+    let baselineSoc = startSoc;
+    let totalCost = 0;
+    let totalWear = 0;
+    let baselineCost = 0;
+
+    const planSlots = slots.map((slot, t) => {
+      const position = Math.round((Math.min(p.socMax, Math.max(p.socMin, soc)) - p.socMin) / p.socStep);
+      let target = policy[t][position];
+      let flows = this.simulateSlot(slot, soc, target, capacityWh);
+      // Between grid levels the target may already be reached by solar, then it is plain self-consumption
+      if (target !== null && flows.gridCharge === 0) {
+        target = null;
+        flows = this.simulateSlot(slot, soc, null, capacityWh);
+      }
+      const baseline = this.simulateSlot(slot, baselineSoc, null, capacityWh);
+
+      let action = 'hold';
+      if (target !== null) action = 'charge';
+      else if (flows.batteryOut > 0) action = 'discharge';
+
+      const entry = {
+        start: new Date(slot.start).toISOString(),
+        end: new Date(slot.end).toISOString(),
+        action,
+        socStart: Math.round(soc * 10) / 10,
+        targetSoc: Math.round(flows.soc * 10) / 10,
+        price: Math.round(slot.price * 100) / 100,
+        pv: Math.round(slot.pv),
+        load: Math.round(slot.load),
+        gridImportKwh: Math.round(flows.gridImport * 100) / 100,
+        gridExportKwh: Math.round(flows.gridExport * 100) / 100,
+        wear: Math.round(flows.wear * 100) / 100,
+        cost: Math.round(flows.cost * 100) / 100
+      };
+
+      soc = flows.soc;
+      baselineSoc = baseline.soc;
+      totalCost += flows.cost;
+      totalWear += flows.wear;
+      baselineCost += baseline.cost;
+      return entry;
+    });
+
+    // Savings include the value of the energy each way leaves in the battery
+    const expectedValue = totalCost + this.terminalValue(soc, slots, capacityWh);
+    const baselineValue = baselineCost + this.terminalValue(baselineSoc, slots, capacityWh);
+
+    return {
+      createdAt: now.toISOString(),
+      horizonHours: Math.round((slots[slots.length - 1].end - slots[0].start) / HOUR_MS * 10) / 10,
+      startSoc: Math.round(startSoc * 10) / 10,
+      endSoc: Math.round(soc * 10) / 10,
+      // ¢ over the horizon, baseline is self-consumption without grid charging
+      expectedCost: Math.round(totalCost * 100) / 100,
+      baselineCost: Math.round(baselineCost * 100) / 100,
+      expectedWear: Math.round(totalWear * 100) / 100,
+      expectedSavings: Math.round((baselineValue - expectedValue) * 100) / 100,
+      chargeSlots: planSlots.filter(slot => slot.action === 'charge').length,
+      slots: planSlots
+    };
+  }
+
+  getStatus() {
+    return {
+      method: 'dynamic_programming',
+      params: this.params
+    };
+  }
+}
+
+module.exports = ChargePlanner;
@@ -18,7 +18,8 @@ class ChargingOptimizer {
       efficiency: 0.95,   // Round-trip efficiency
       socMin: 20,         // Minimum SOC %
       socMax: 100,        // Maximum SOC %
-      socTarget: 80       // Target SOC %
+      socTarget: 80,      // Target SOC %
+      wearCost: 0         // ¢ per kWh into or out of the battery (degradation)
     };
     
     this.actions = [
@@ -175,6 +176,9 @@ class ChargingOptimizer {
     const stabilityReward = this.calculateStabilityReward(scenario, action);
     reward += stabilityReward * 0.2;
     
+    // 5. Battery wear - cycling costs part of the battery's life
+    reward -= this.calculateWearCost(scenario, action);
+    
     return reward; // Returns cents per hour
   }
 
@@ -217,7 +221,7 @@ class ChargingOptimizer {
         // Savings from avoiding grid purchase during high prices
         if (price >= dischargeThreshold || loadPower > solarPower + 500) {
           const dischargePower = Math.min(3000, loadPower - solarPower);
-          return price * (dischargePower / 1000) * 0.95; // 95% efficiency
+          return price * (dischargePower / 1000) * this.academicParams.efficiency;
         }
         return 0;
         
@@ -236,6 +240,25 @@ class ChargingOptimizer {
     }
   }
 
+  // ¢ of battery wear for the energy moved through the battery in this hour
+  calculateWearCost(scenario, action) {
+    const wearCost = this.academicParams.wearCost || 0;
+    if (wearCost <= 0) return 0;
+
+    const batteryCapacity = scenario.batteryCapacity || 10;
+    const chargePower = Math.min(3000, batteryCapacity * 1000 * 0.5);
+    switch (action) {
+      case 'CHARGE_GRID':
+        return wearCost * chargePower / 1000;
+      case 'CHARGE_SOLAR':
+        return wearCost * Math.min(Math.max(0, scenario.solarPower - scenario.loadPower), chargePower) / 1000;
+      case 'DISCHARGE':
+        return wearCost * Math.min(3000, Math.max(0, scenario.loadPower - scenario.solarPower)) / 1000;
+      default:
+        return 0;
+    }
+  }
+
   calculateBatteryHealthReward(scenario, action) {
     const soc = scenario.currentSOC;
     
@@ -244,7 +267,7 @@ class ChargingOptimizer {
       return action === 'CHARGE_GRID' || action === 'CHARGE_SOLAR' ? 2 : -3;
     }
     
-    if (soc > 95) {
+    if (soc > this.academicParams.socMax - 5) {
       return action === 'STOP_CHARGING' || action === 'HOLD' ? 1 : -2;
     }
     
@@ -306,6 +329,7 @@ class ChargingOptimizer {
 
   async optimize(optimizationInput) {
     const {
+      timestamp,
       currentState,
       batteryCapacity,
       solarForecast,
@@ -316,7 +340,7 @@ class ChargingOptimizer {
 
     // Create current scenario
     const scenario = {
-      timestamp: new Date(),
+      timestamp: timestamp || new Date(),
       currentSOC: currentState.battery_soc || 50,
       solarPower: currentState.pv_power || 0,
       loadPower: currentState.load || 500,
@@ -329,7 +353,7 @@ class ChargingOptimizer {
 
     // Get optimal action
     const state = this.encodeState(scenario);
-    const action = this.selectAction(state, false); // Production mode
+    const action = this.applySocLimits(scenario.currentSOC, this.selectAction(state, false)); // Production mode
     
     // Calculate expected outcomes
     const expectedReward = this.calculateReward(scenario, action);
@@ -349,6 +373,30 @@ class ChargingOptimizer {
     };
   }
 
+  // Battery profile limits win over whatever the Q-table learned
+  applySocLimits(soc, action) {
+    if (soc >= this.academicParams.socMax && (action === 'CHARGE_GRID' || action === 'CHARGE_SOLAR')) {
+      return 'STOP_CHARGING';
+    }
+    if (soc <= this.academicParams.socMin && action === 'DISCHARGE') {
+      return 'HOLD';
+    }
+    return action;
+  }
+
+  // SOC window (%), round-trip efficiency and wear cost from the active battery profile
+  // limits.efficiency is one-way (charge or discharge), the rewards need the full round trip
+  setBatteryLimits(limits = {}) {
+    if (limits.socMin !== undefined) this.academicParams.socMin = limits.socMin;
+    if (limits.socMax !== undefined) this.academicParams.socMax = limits.socMax;
+    if (limits.roundTripEfficiency !== undefined) {
+      this.academicParams.efficiency = limits.roundTripEfficiency;
+    } else if (limits.efficiency !== undefined) {
+      this.academicParams.efficiency = limits.efficiency * limits.efficiency;
+    }
+    if (limits.wearCost !== undefined) this.academicParams.wearCost = limits.wearCost;
+  }
+
   generateDecision(scenario, action, expectedReward, patterns) {
     const soc = scenario.currentSOC;
     const price = scenario.gridPrice;
@@ -550,6 +598,26 @@ class ChargingOptimizer {
     this.learningRate = Math.max(0.01, Math.min(0.3, this.learningRate));
   }
 
+  // Plain JSON form of the learned state for model snapshots. Training scenarios are
+  // left out of the reward history, only the rewards are needed after a restart
+  exportState() {
+    return {
+      qTable: Array.from(this.qTable.entries()).map(([state, actions]) => [state, Array.from(actions.entries())]),
+      rewardHistory: this.rewardHistory.map(({ scenario, ...entry }) => entry),
+      learningRate: this.learningRate,
+      explorationRate: this.explorationRate,
+      trained: this.trained
+    };
+  }
+
+  importState(state) {
+    this.qTable = new Map(state.qTable.map(([key, actions]) => [key, new Map(actions)]));
+    this.rewardHistory = (state.rewardHistory || []).slice(-this.maxRewardHistory);
+    this.learningRate = state.learningRate || this.learningRate;
+    this.explorationRate = state.explorationRate ?? this.explorationRate;
+    this.trained = !!state.trained;
+  }
+
   getStatus() {
     return {
       trained: this.trained,
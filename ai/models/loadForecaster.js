@@ -1,4 +1,8 @@
 // Load Forecasting Model - Pattern-based household consumption prediction
+// Public holidays and absences come from a calendar (see services/calendarService). They are
+// learned as their own day types and kept out of the ordinary weekday/weekend patterns.
+
+const MIN_SPECIAL_DAYS = 2; // learned holiday/absence profiles are used from this many days on
 
 class LoadForecaster {
   constructor() {
@@ -6,13 +10,32 @@ class LoadForecaster {
       hourly: new Map(),     // hour -> {weekday: avg, weekend: avg}
       daily: new Map(),      // day_of_week -> hourly_profile
       seasonal: new Map(),   // month -> adjustment_factor
-      special: new Map()     // special_days -> pattern
+      special: new Map()     // 'holiday' | 'absence' -> {profile, days}
     };
     
     this.trained = false;
     this.accuracy = 0;
     this.recentData = [];
     this.baselineLoad = 500; // Default baseline in watts
+    this.calendar = null;    // { getDayInfo(time) -> {holiday, absent, absence} }
+  }
+
+  setCalendar(calendar) {
+    this.calendar = calendar;
+  }
+
+  // Holiday / absence information of the day a time falls on
+  getDayInfo(date) {
+    const info = this.calendar ? this.calendar.getDayInfo(date) : null;
+    const holiday = info?.holiday || null;
+    const absent = !!info?.absent;
+    const dayOfWeek = date.getDay();
+
+    let dayType = dayOfWeek === 0 || dayOfWeek === 6 ? 'weekend' : 'weekday';
+    if (absent) dayType = 'absence';
+    else if (holiday) dayType = 'holiday';
+
+    return { dayType, holiday, absent, absence: info?.absence || null };
   }
 
   async train(historicalLoadData) {
@@ -39,6 +62,7 @@ class LoadForecaster {
     
     data.forEach(point => {
       const date = new Date(point.timestamp);
+      if (this.classifySpecialDay(date)) return;
       const hour = date.getHours();
       const isWeekend = date.getDay() === 0 || date.getDay() === 6;
       
@@ -76,6 +100,7 @@ class LoadForecaster {
     
     data.forEach(point => {
       const date = new Date(point.timestamp);
+      if (this.classifySpecialDay(date)) return;
       const dayOfWeek = date.getDay();
       const hour = date.getHours();
       
@@ -124,37 +149,31 @@ class LoadForecaster {
   }
 
   detectSpecialPatterns(data) {
-    // Detect holidays, anomalies, and special consumption patterns
+    // Average day profiles of the holidays and absences in the history
     const dailyTotals = this.groupByDays(data);
-    
-    // Find days with unusual consumption (holidays, special events)
-    const avgDailyConsumption = dailyTotals.reduce((sum, day) => sum + day.total, 0) / dailyTotals.length;
-    const threshold = avgDailyConsumption * 0.7; // 30% below average
+    const profiles = new Map();
+    this.models.special = new Map();
     
     dailyTotals.forEach(day => {
-      if (day.total < threshold) {
-        const dayType = this.classifySpecialDay(day.date);
-        if (!this.models.special.has(dayType)) {
-          this.models.special.set(dayType, []);
-        }
-        this.models.special.get(dayType).push(day.profile);
+      // Midday decides the day type, absences may start or end in the middle of a day
+      const noon = new Date(day.date.getFullYear(), day.date.getMonth(), day.date.getDate(), 12);
+      const dayType = this.classifySpecialDay(noon);
+      if (!dayType || day.counts.filter(count => count > 0).length < 20) return;
+      if (!profiles.has(dayType)) {
+        profiles.set(dayType, []);
       }
+      profiles.get(dayType).push(day.profile);
     });
 
-    // Calculate average profiles for special days
-    this.models.special.forEach((profiles, dayType) => {
+    profiles.forEach((dayProfiles, dayType) => {
       const avgProfile = new Array(24).fill(0);
-      profiles.forEach(profile => {
+      dayProfiles.forEach(profile => {
         profile.forEach((value, hour) => {
-          avgProfile[hour] += value;
+          avgProfile[hour] += value / dayProfiles.length;
         });
       });
       
-      avgProfile.forEach((sum, hour) => {
-        avgProfile[hour] = sum / profiles.length;
-      });
-      
-      this.models.special.set(dayType, avgProfile);
+      this.models.special.set(dayType, { profile: avgProfile, days: dayProfiles.length });
     });
   }
 
@@ -190,16 +209,10 @@ class LoadForecaster {
     });
   }
 
+  // 'holiday' or 'absence' from the calendar, null for ordinary days
   classifySpecialDay(date) {
-    const month = date.getMonth();
-    const day = date.getDate();
-    
-    // Common holidays (simplified)
-    if ((month === 11 && day === 25) || (month === 0 && day === 1)) return 'major_holiday';
-    if (month === 11 && day >= 24 && day <= 26) return 'christmas_period';
-    if (month === 0 && day <= 2) return 'new_year_period';
-    
-    return 'low_consumption_day';
+    const dayType = this.getDayInfo(date).dayType;
+    return dayType === 'holiday' || dayType === 'absence' ? dayType : null;
   }
 
   async predict(startTime, hoursAhead = 24) {
@@ -217,7 +230,8 @@ class LoadForecaster {
         timestamp: targetTime,
         power: Math.max(50, prediction.power), // Minimum 50W baseline
         confidence: prediction.confidence,
-        factors: prediction.factors
+        factors: prediction.factors,
+        calendar: prediction.calendar
       });
     }
     
@@ -226,8 +240,10 @@ class LoadForecaster {
 
   predictHour(targetTime) {
     const hour = targetTime.getHours();
-    const dayOfWeek = targetTime.getDay();
     const month = targetTime.getMonth();
+    const day = this.getDayInfo(targetTime);
+    // Holidays follow the Sunday pattern, the special day factor refines it once they are learned
+    const dayOfWeek = day.dayType === 'holiday' ? 0 : targetTime.getDay();
     const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
     
     // Base prediction from hourly model
@@ -254,10 +270,10 @@ class LoadForecaster {
     }
     
     // Special day check
-    const specialDayFactor = this.checkSpecialDay(targetTime);
+    const specialDayFactor = this.checkSpecialDay(targetTime, basePrediction * dailyAdjustment);
     
-    // Recent trend analysis
-    const trendFactor = this.analyzeTrend(targetTime);
+    // Recent trend analysis, an absence profile is already the level nobody home gives
+    const trendFactor = day.dayType === 'absence' ? 1.0 : this.analyzeTrend(targetTime);
     
     // Combine all factors
     const prediction = basePrediction * dailyAdjustment * seasonalFactor * specialDayFactor * trendFactor;
@@ -273,25 +289,47 @@ class LoadForecaster {
         seasonal: seasonalFactor,
         special: specialDayFactor,
         trend: trendFactor
-      }
+      },
+      calendar: { dayType: day.dayType, holiday: day.holiday, absent: day.absent, absence: day.absence }
     };
   }
 
-  checkSpecialDay(date) {
+  // Ratio of the learned holiday/absence load to the ordinary load of that hour
+  checkSpecialDay(date, normalLoad = this.baselineLoad) {
     const dayType = this.classifySpecialDay(date);
+    if (!dayType || normalLoad <= 0) return 1.0; // Normal day
+    
+    const learned = this.models.special.get(dayType);
+    if (learned?.profile && learned.days >= MIN_SPECIAL_DAYS) {
+      return Math.max(0.1, Math.min(3, learned.profile[date.getHours()] / normalLoad));
+    }
     
-    if (this.models.special.has(dayType)) {
-      return 0.7; // Reduced consumption on special days
+    // Never seen an absence: fall back to the standby load of the house
+    if (dayType === 'absence') {
+      return Math.max(0.1, Math.min(1, this.getLowOccupancyLoad() / normalLoad));
     }
     
-    return 1.0; // Normal day
+    return 1.0; // Holiday without history keeps the Sunday pattern
+  }
+
+  // Low-occupancy load: night-time consumption (fridge, standby, heating pumps) all day long
+  getLowOccupancyLoad() {
+    const nightHours = [1, 2, 3, 4].filter(hour => this.models.hourly.has(hour));
+    if (nightHours.length === 0) return this.baselineLoad * 0.5;
+    
+    const night = nightHours.reduce((sum, hour) => {
+      const model = this.models.hourly.get(hour);
+      return sum + (model.weekday + model.weekend) / 2;
+    }, 0) / nightHours.length;
+    return night * 1.1;
   }
 
   analyzeTrend(targetTime) {
-    // Analyze recent consumption trend
-    if (this.recentData.length < 7) return 1.0;
+    // Analyze recent consumption trend, holidays and absences would pull it down
+    const ordinaryData = this.recentData.filter(point => !this.classifySpecialDay(new Date(point.timestamp)));
+    if (ordinaryData.length < 7) return 1.0;
     
-    const recentWeek = this.recentData.slice(-168); // Last 7 days
+    const recentWeek = ordinaryData.slice(-168); // Last 7 days
     const avgRecent = recentWeek.reduce((sum, point) => sum + point.power, 0) / recentWeek.length;
     
     const hour = targetTime.getHours();
@@ -334,7 +372,8 @@ class LoadForecaster {
     for (let h = 0; h < hoursAhead; h++) {
       const targetTime = new Date(startTime.getTime() + h * 60 * 60 * 1000);
       const hour = targetTime.getHours();
-      const isWeekend = targetTime.getDay() === 0 || targetTime.getDay() === 6;
+      const day = this.getDayInfo(targetTime);
+      const isWeekend = day.dayType === 'weekend' || day.dayType === 'holiday';
       
       // Simple consumption pattern
       let power = this.baselineLoad;
@@ -352,11 +391,15 @@ class LoadForecaster {
         if (hour >= 6 && hour <= 8) power *= 0.8;  // Reduced morning peak
       }
       
+      // Nobody home: standby load only
+      if (day.absent) power = this.getLowOccupancyLoad();
+      
       predictions.push({
         timestamp: targetTime,
         power,
         confidence: 0.4, // Low confidence without training
-        factors: { fallback: true }
+        factors: { fallback: true },
+        calendar: { dayType: day.dayType, holiday: day.holiday, absent: day.absent, absence: day.absence }
       });
     }
     
@@ -384,6 +427,35 @@ class LoadForecaster {
     return values.reduce((acc, v) => acc + Math.pow(v - avg, 2), 0) / values.length;
   }
 
+  // Plain JSON form of the learned state for model snapshots
+  exportState() {
+    return {
+      models: {
+        hourly: Array.from(this.models.hourly.entries()),
+        daily: Array.from(this.models.daily.entries()),
+        seasonal: Array.from(this.models.seasonal.entries()),
+        special: Array.from(this.models.special.entries())
+      },
+      trained: this.trained,
+      accuracy: this.accuracy,
+      recentData: this.recentData,
+      baselineLoad: this.baselineLoad
+    };
+  }
+
+  importState(state) {
+    this.models = {
+      hourly: new Map(state.models.hourly),
+      daily: new Map(state.models.daily),
+      seasonal: new Map(state.models.seasonal),
+      special: new Map(state.models.special)
+    };
+    this.trained = !!state.trained;
+    this.accuracy = state.accuracy || 0;
+    this.recentData = state.recentData || [];
+    this.baselineLoad = state.baselineLoad || this.baselineLoad;
+  }
+
   getStatus() {
     return {
       trained: this.trained,
@@ -395,6 +467,11 @@ class LoadForecaster {
         seasonal: this.models.seasonal.size,
         special: this.models.special.size
       },
+      specialDays: {
+        holiday: this.models.special.get('holiday')?.days || 0,
+        absence: this.models.special.get('absence')?.days || 0
+      },
+      calendar: !!this.calendar,
       baselineLoad: this.baselineLoad
     };
   }
@@ -0,0 +1,212 @@
+// Load Scheduler - run windows for deferrable household loads (water heaters, pool pumps, dishwashers)
+// The charge planner's forecast slots are cut into 15 minute steps. Each load is placed where its
+// energy is cheapest: PV surplus counts at the feed-in tariff it would otherwise earn, the rest at
+// the grid price. 'solar' loads minimize grid energy first. Loads are placed by deadline, each one
+// sees the surplus left by the loads before it. The battery is left out here, the charge planner
+// re-plans it on the load forecast with the scheduled runs added.
+
+const STEP_MS = 15 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+class LoadScheduler {
+  constructor() {
+    this.params = {
+      feedInTariff: 8 // ¢/kWh paid for export, same as the charge planner
+    };
+  }
+
+  setParams(params = {}) {
+    Object.keys(this.params).forEach(key => {
+      if (params[key] !== undefined && params[key] !== null) this.params[key] = params[key];
+    });
+  }
+
+  // 15 minute steps on quarter hours, the first one starts now
+  buildSteps(now, slots) {
+    const nowMs = now.getTime();
+    const steps = [];
+
+    slots.forEach(slot => {
+      let start = Math.max(slot.start, nowMs);
+      while (start < slot.end) {
+        const end = Math.min(slot.end, (Math.floor(start / STEP_MS) + 1) * STEP_MS);
+        steps.push({ start, end, hours: (end - start) / HOUR_MS, price: slot.price, pv: slot.pv, load: slot.load, extra: 0 });
+        start = end;
+      }
+    });
+
+    return steps;
+  }
+
+  // Cost (¢) and energy split of running a load for some minutes of a step
+  stepCost(step, power, minutes) {
+    const hours = Math.min(step.hours, minutes / 60);
+    const surplus = Math.max(0, step.pv - step.load - step.extra);
+    const fromPv = Math.min(power, surplus);
+    const fromGrid = power - fromPv;
+    return {
+      pvKwh: fromPv * hours / 1000,
+      gridKwh: fromGrid * hours / 1000,
+      cost: (fromGrid * step.price + fromPv * this.params.feedInTariff) * hours / 1000
+    };
+  }
+
+  // Ranking of a candidate: grid energy dominates for solar loads, cost breaks ties
+  score(totals, mode) {
+    return mode === 'solar' ? totals.gridKwh * 1000 + totals.cost : totals.cost;
+  }
+
+  // Steps used by a run starting at a step index, null when the window ends first
+  contiguousRun(steps, startIndex, minutes, deadline) {
+    const used = [];
+    let remaining = minutes;
+    for (let i = startIndex; i < steps.length && remaining > 0; i++) {
+      const step = steps[i];
+      if (step.start >= deadline) break;
+      if (used.length > 0 && used[used.length - 1].step.end !== step.start) break; // gap in the forecast
+      const stepMinutes = Math.min(remaining, (Math.min(step.end, deadline) - step.start) / 60000);
+      used.push({ step, minutes: stepMinutes });
+      remaining -= stepMinutes;
+    }
+    return remaining > 1e-6 ? null : used;
+  }
+
+  totals(used, power) {
+    return used.reduce((sum, item) => {
+      const flows = this.stepCost(item.step, power, item.minutes);
+      return { cost: sum.cost + flows.cost, pvKwh: sum.pvKwh + flows.pvKwh, gridKwh: sum.gridKwh + flows.gridKwh };
+    }, { cost: 0, pvKwh: 0, gridKwh: 0 });
+  }
+
+  // Picks the steps of one load; a load that no longer fits its window gets every step that is left
+  placeLoad(steps, request) {
+    const startMs = Math.max(request.windowStart, steps.length > 0 ? steps[0].start : 0);
+    const candidates = steps
+      .map((step, index) => ({ step, index }))
+      .filter(item => item.step.start >= startMs && item.step.start < request.deadline);
+    if (candidates.length === 0) return { used: [], status: 'unscheduled' };
+
+    const available = candidates.reduce((sum, item) => sum + (Math.min(item.step.end, request.deadline) - item.step.start) / 60000, 0);
+    if (available <= request.remainingMinutes + 1e-6) {
+      return {
+        used: candidates.map(item => ({ step: item.step, minutes: (Math.min(item.step.end, request.deadline) - item.step.start) / 60000 })),
+        status: available < request.remainingMinutes - 1e-6 ? 'partial' : 'scheduled'
+      };
+    }
+
+    if (request.splittable) {
+      const ranked = candidates
+        .map(item => ({ ...item, value: this.score(this.stepCost(item.step, request.power, 60), request.mode) }))
+        .sort((a, b) => a.value - b.value || a.step.start - b.step.start);
+      const used = [];
+      let remaining = request.remainingMinutes;
+      for (const item of ranked) {
+        if (remaining <= 1e-6) break;
+        const minutes = Math.min(remaining, (Math.min(item.step.end, request.deadline) - item.step.start) / 60000);
+        used.push({ step: item.step, minutes });
+        remaining -= minutes;
+      }
+      return { used: used.sort((a, b) => a.step.start - b.step.start), status: 'scheduled' };
+    }
+
+    // A contiguous load that is already running has to go on from now
+    let best = null;
+    (request.running ? candidates.slice(0, 1) : candidates).forEach(item => {
+      const used = this.contiguousRun(steps, item.index, request.remainingMinutes, request.deadline);
+      if (!used) return;
+      const value = this.score(this.totals(used, request.power), request.mode);
+      if (!best || value < best.value - 1e-9) best = { used, value };
+    });
+    return best ? { used: best.used, status: 'scheduled' } : { used: [], status: 'unscheduled' };
+  }
+
+  // Consecutive steps merged into on/off segments, a partly used step runs from its start
+  toSegments(used) {
+    const segments = [];
+    used.forEach(item => {
+      const end = item.step.start + item.minutes * 60000;
+      const last = segments[segments.length - 1];
+      if (last && last.end === item.step.start) last.end = end;
+      else segments.push({ start: item.step.start, end });
+    });
+    return segments;
+  }
+
+  // requests: [{ loadId, name, power (W), remainingMinutes, windowStart, deadline (ms), mode, splittable, running }]
+  schedule({ now, requests, slots }) {
+    const steps = this.buildSteps(now, slots || []);
+    const round = value => Math.round(value * 100) / 100;
+
+    const runs = [...(requests || [])]
+      .sort((a, b) => a.deadline - b.deadline)
+      .map(request => {
+        // Baseline: switched on as soon as the window opens, what a timer would do
+        const firstIndex = steps.findIndex(step => step.start >= request.windowStart);
+        const baselineRun = firstIndex >= 0 ? this.contiguousRun(steps, firstIndex, request.remainingMinutes, request.deadline) : null;
+        const baseline = baselineRun ? this.totals(baselineRun, request.power) : null;
+
+        const { used, status } = this.placeLoad(steps, request);
+        const totals = this.totals(used, request.power);
+        // Later loads see this one as part of the household load
+        used.forEach(item => {
+          item.step.extra += request.power * Math.min(1, item.minutes / 60 / item.step.hours);
+        });
+
+        return {
+          loadId: request.loadId,
+          name: request.name,
+          mode: request.mode,
+          power: request.power,
+          status,
+          windowStart: new Date(request.windowStart).toISOString(),
+          deadline: new Date(request.deadline).toISOString(),
+          segments: this.toSegments(used).map(segment => ({
+            start: new Date(segment.start).toISOString(),
+            end: new Date(segment.end).toISOString()
+          })),
+          energyKwh: round(used.reduce((sum, item) => sum + item.minutes, 0) / 60 * request.power / 1000),
+          pvKwh: round(totals.pvKwh),
+          gridKwh: round(totals.gridKwh),
+          // ¢, PV energy counted at the feed-in tariff it no longer earns
+          cost: round(totals.cost),
+          baselineCost: baseline ? round(baseline.cost) : null,
+          savings: baseline ? round(baseline.cost - totals.cost) : null
+        };
+      });
+
+    return {
+      createdAt: now.toISOString(),
+      runs,
+      expectedCost: round(runs.reduce((sum, run) => sum + run.cost, 0)),
+      expectedSavings: round(runs.reduce((sum, run) => sum + (run.savings || 0), 0))
+    };
+  }
+
+  // Hourly load forecast with the scheduled runs added by their overlap with each hour
+  addToForecast(loadForecast, loadSchedule) {
+    if (!loadSchedule || loadSchedule.runs.length === 0) return loadForecast;
+
+    return loadForecast.map(entry => {
+      const start = new Date(entry.timestamp).getTime();
+      const end = start + HOUR_MS;
+      let extra = 0;
+      loadSchedule.runs.forEach(run => {
+        run.segments.forEach(segment => {
+          const overlap = Math.min(end, new Date(segment.end).getTime()) - Math.max(start, new Date(segment.start).getTime());
+          if (overlap > 0) extra += run.power * overlap / HOUR_MS;
+        });
+      });
+      return extra > 0 ? { ...entry, power: entry.power + extra, deferrable: Math.round(extra) } : entry;
+    });
+  }
+
+  getStatus() {
+    return {
+      method: 'greedy_by_deadline',
+      stepMinutes: STEP_MS / 60000,
+      params: this.params
+    };
+  }
+}
+
+module.exports = LoadScheduler;
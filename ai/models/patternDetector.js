@@ -426,7 +426,8 @@ class PatternDetector {
     return 'Unusual energy pattern detected';
   }
 
-  getRelevantPatterns(currentTime) {
+  // weather: hourly forecast entries, used for the expected weather instead of history when present
+  getRelevantPatterns(currentTime, weather = []) {
     const hour = currentTime.getHours();
     const dayOfWeek = currentTime.getDay();
     const month = currentTime.getMonth();
@@ -482,12 +483,15 @@ class PatternDetector {
     }
     
     // Predict likely weather pattern
-    relevantPatterns.expectedWeather = this.predictWeatherPattern(currentTime);
+    relevantPatterns.expectedWeather = this.predictWeatherPattern(currentTime, weather);
     
     return relevantPatterns;
   }
 
-  predictWeatherPattern(currentTime) {
+  predictWeatherPattern(currentTime, weather = []) {
+    const forecastMatch = this.classifyWeatherForecast(currentTime, weather);
+    if (forecastMatch) return forecastMatch;
+    
     // Simple weather pattern prediction based on historical probabilities
     const weatherTypes = ['sunny', 'partlyCloudy', 'cloudy', 'overcast'];
     let bestMatch = null;
@@ -502,7 +506,8 @@ class PatternDetector {
             type,
             probability: pattern.probability,
             expectedSolar: pattern.avgSolar,
-            confidence: Math.min(0.7, pattern.count / 50) // Max 70% confidence
+            confidence: Math.min(0.7, pattern.count / 50), // Max 70% confidence
+            source: 'history'
           };
         }
       }
@@ -511,6 +516,35 @@ class PatternDetector {
     return bestMatch;
   }
 
+  // Weather type of the rest of the day from the forecast cloud cover during daylight
+  classifyWeatherForecast(currentTime, weather) {
+    const endOfDay = new Date(currentTime);
+    endOfDay.setHours(24, 0, 0, 0);
+    
+    const daylight = (weather || []).filter(entry => {
+      const time = new Date(entry.timestamp);
+      return time >= new Date(currentTime.getTime() - 60 * 60 * 1000) && time < endOfDay &&
+        typeof entry.cloudCover === 'number' && (typeof entry.ghi !== 'number' || entry.ghi > 0);
+    });
+    if (daylight.length === 0) return null;
+    
+    const cloudCover = daylight.reduce((sum, entry) => sum + entry.cloudCover, 0) / daylight.length;
+    let type = 'overcast';
+    if (cloudCover < 25) type = 'sunny';
+    else if (cloudCover < 60) type = 'partlyCloudy';
+    else if (cloudCover < 85) type = 'cloudy';
+    
+    const learned = this.patterns.weather.get(type);
+    return {
+      type,
+      probability: learned ? learned.probability : null,
+      expectedSolar: learned ? learned.avgSolar : null,
+      confidence: 0.85,
+      source: 'forecast',
+      cloudCover: Math.round(cloudCover)
+    };
+  }
+
   // Helper methods
   calculateHourlyAverage(data) {
     const hourlyTotals = new Array(24).fill(0);
@@ -597,6 +631,33 @@ class PatternDetector {
     return variance / (mean * mean); // Coefficient of variation squared
   }
 
+  // Plain JSON form of the learned state for model snapshots
+  exportState() {
+    return {
+      patterns: {
+        daily: Array.from(this.patterns.daily.entries()),
+        weekly: Array.from(this.patterns.weekly.entries()),
+        seasonal: Array.from(this.patterns.seasonal.entries()),
+        weather: Array.from(this.patterns.weather.entries()),
+        anomalies: this.patterns.anomalies
+      },
+      trained: this.trained,
+      clusterCount: this.clusterCount
+    };
+  }
+
+  importState(state) {
+    this.patterns = {
+      daily: new Map(state.patterns.daily),
+      weekly: new Map(state.patterns.weekly),
+      seasonal: new Map(state.patterns.seasonal),
+      weather: new Map(state.patterns.weather),
+      anomalies: state.patterns.anomalies || []
+    };
+    this.trained = !!state.trained;
+    this.clusterCount = state.clusterCount || this.clusterCount;
+  }
+
   getStatus() {
     return {
       trained: this.trained,
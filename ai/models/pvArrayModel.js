@@ -0,0 +1,89 @@
+// PV Array Model - expected output of the configured arrays from plane-of-array irradiance
+// Beam, sky diffuse (isotropic) and ground reflected irradiance are transposed onto each
+// array's plane. A horizon profile blocks the beam while the sun is behind it.
+
+const RAD = Math.PI / 180;
+
+class PVArrayModel {
+  constructor() {
+    this.arrays = [];
+    this.albedo = 0.2;
+    this.noct = 45; // nominal operating cell temperature in °C
+  }
+
+  // arrays: [{ id, name, kwp, azimuth (180 = south), tilt, losses (%), temperatureCoefficient (%/°C), horizon }]
+  setArrays(arrays = []) {
+    this.arrays = arrays;
+  }
+
+  hasArrays() {
+    return this.arrays.length > 0;
+  }
+
+  getPeakPower() {
+    return this.arrays.reduce((sum, array) => sum + array.kwp * 1000, 0);
+  }
+
+  // Horizon elevation towards an azimuth, the profile is evenly spaced clockwise from north
+  horizonAt(horizon, azimuth) {
+    if (!horizon || horizon.length === 0) return 0;
+    const step = 360 / horizon.length;
+    const position = ((azimuth % 360) + 360) % 360 / step;
+    const lower = Math.floor(position) % horizon.length;
+    const upper = (lower + 1) % horizon.length;
+    const fraction = position - Math.floor(position);
+    return horizon[lower] * (1 - fraction) + horizon[upper] * fraction;
+  }
+
+  planeOfArray(array, sun, irradiance) {
+    const tilt = array.tilt * RAD;
+    const zenith = (90 - sun.elevation) * RAD;
+    const cosIncidence = Math.cos(zenith) * Math.cos(tilt) +
+      Math.sin(zenith) * Math.sin(tilt) * Math.cos((sun.azimuth - array.azimuth) * RAD);
+
+    const shaded = sun.elevation < this.horizonAt(array.horizon, sun.azimuth);
+    const beam = shaded ? 0 : irradiance.dni * Math.max(0, cosIncidence);
+    const diffuse = irradiance.dhi * (1 + Math.cos(tilt)) / 2;
+    const reflected = irradiance.ghi * this.albedo * (1 - Math.cos(tilt)) / 2;
+
+    return { total: beam + diffuse + reflected, beam, diffuse, reflected, shaded };
+  }
+
+  // sun: { elevation, azimuth }, irradiance: { ghi, dni, dhi, temperature } in W/m² and °C
+  expectedPower(sun, irradiance) {
+    const arrays = this.arrays.map(array => {
+      if (sun.elevation <= 0) {
+        return { id: array.id, power: 0, poa: 0, shaded: false };
+      }
+
+      const poa = this.planeOfArray(array, sun, irradiance);
+      let power = array.kwp * poa.total * (1 - (array.losses || 0) / 100);
+
+      if (typeof irradiance.temperature === 'number') {
+        const cellTemperature = irradiance.temperature + (this.noct - 20) / 800 * poa.total;
+        power *= 1 + (array.temperatureCoefficient ?? -0.4) / 100 * (cellTemperature - 25);
+      }
+
+      return {
+        id: array.id,
+        power: Math.max(0, Math.min(power, array.kwp * 1000)),
+        poa: poa.total,
+        shaded: poa.shaded
+      };
+    });
+
+    return {
+      power: arrays.reduce((sum, array) => sum + array.power, 0),
+      arrays
+    };
+  }
+
+  getStatus() {
+    return {
+      arrays: this.arrays.length,
+      peakPower: this.getPeakPower()
+    };
+  }
+}
+
+module.exports = PVArrayModel;
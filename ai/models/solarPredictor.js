@@ -1,5 +1,9 @@
-// Solar Generation Predictor - Pattern-based learning without weather APIs
-// Uses astronomical calculations + historical patterns
+// Solar Generation Predictor - Pattern-based learning, refined by weather forecasts when available
+// Uses astronomical calculations + historical patterns, blended with the physical model of the
+// configured PV arrays
+
+const PVArrayModel = require('./pvArrayModel');
+const { sunPosition, clearSky } = require('../utils/solarGeometry');
 
 class SolarPredictor {
   constructor() {
@@ -14,6 +18,9 @@ class SolarPredictor {
     this.accuracy = 0;
     this.recentData = [];
     this.maxRecentData = 168; // Limit to 7 days (168 hours) to save memory
+    this.typicalClearness = 0.5; // Average clear-sky index behind the learned curves, estimated in train()
+    this.arrayModel = new PVArrayModel();
+    this.arrayWeight = 0.6; // Share of the array model once patterns are learned
   }
 
   async train(historicalSolarData) {
@@ -28,6 +35,7 @@ class SolarPredictor {
     this.buildSeasonalModel(historicalSolarData);
     this.buildHourlyModel(historicalSolarData);
     this.detectDayPatterns(historicalSolarData);
+    this.typicalClearness = this.estimateTypicalClearness(historicalSolarData);
     
     this.trained = true;
     console.log(`✅ Solar predictor trained with ${historicalSolarData.length} data points`);
@@ -68,6 +76,30 @@ class SolarPredictor {
     });
   }
 
+  // Average sky of the history the curves are learned on: PV output relative to the clear-sky
+  // irradiance, scaled so the clearest hours (95th percentile) count as a clear sky
+  estimateTypicalClearness(data) {
+    const samples = [];
+    data.forEach(point => {
+      const time = new Date(point.timestamp);
+      const clearGhi = clearSky(this.calculateSunPosition(time).elevation).ghi;
+      if (clearGhi > 200) {
+        samples.push({ power: Math.max(0, point.power || 0), clearGhi });
+      }
+    });
+    if (samples.length < 50) return this.typicalClearness;
+
+    const ratios = samples.map(sample => sample.power / sample.clearGhi).sort((a, b) => a - b);
+    const clearRatio = ratios[Math.floor(ratios.length * 0.95)];
+    if (!(clearRatio > 0)) return this.typicalClearness;
+
+    const totalPower = samples.reduce((sum, sample) => sum + sample.power, 0);
+    const totalClear = samples.reduce((sum, sample) => sum + sample.clearGhi, 0);
+    const clearness = totalPower / (totalClear * clearRatio);
+    console.log(`🌞 Typical clearness of the training history: ${clearness.toFixed(2)}`);
+    return Math.max(0.2, Math.min(1, clearness));
+  }
+
   buildHourlyModel(data) {
     // Build hour-of-day model across all seasons
     const hourlyData = new Map();
@@ -153,16 +185,17 @@ class SolarPredictor {
     return patterns;
   }
 
-  async predict(startTime, hoursAhead = 24) {
+  // weather: hourly forecast entries from the weather service, hours without one use patterns only
+  async predict(startTime, hoursAhead = 24, weather = []) {
     if (!this.trained) {
-      return this.fallbackPrediction(startTime, hoursAhead);
+      return this.fallbackPrediction(startTime, hoursAhead, weather);
     }
 
     const predictions = [];
     
     for (let h = 0; h < hoursAhead; h++) {
       const targetTime = new Date(startTime.getTime() + h * 60 * 60 * 1000);
-      const prediction = this.predictHour(targetTime);
+      const prediction = this.predictHour(targetTime, this.getWeatherAt(weather, targetTime));
       
       predictions.push({
         timestamp: targetTime,
@@ -175,7 +208,7 @@ class SolarPredictor {
     return predictions;
   }
 
-  predictHour(targetTime) {
+  predictHour(targetTime, weather = null) {
     const hour = targetTime.getHours();
     const month = targetTime.getMonth();
     const dayOfYear = this.getDayOfYear(targetTime);
@@ -196,16 +229,31 @@ class SolarPredictor {
     const sunPosition = this.calculateSunPosition(targetTime);
     const sunFactor = Math.max(0, Math.sin(sunPosition.elevation * Math.PI / 180));
     
+    // A weather forecast replaces the guesses from recent PV output (trend and pattern)
+    const weatherFactor = weather ? this.calculateWeatherFactor(weather, targetTime) : null;
+    
     // Recent trend analysis
-    const trendFactor = this.analyzeTrend(targetTime);
+    const trendFactor = weatherFactor === null ? this.analyzeTrend(targetTime) : 1;
     
     // Pattern matching
-    const patternFactor = this.matchPattern(targetTime);
+    const patternFactor = weatherFactor === null ? this.matchPattern(targetTime) : 1;
     
     // Combine factors
-    const prediction = (basePrediction * 0.4 + hourlyAdjustment * 0.3) * sunFactor * trendFactor * patternFactor;
+    const learned = (basePrediction * 0.4 + hourlyAdjustment * 0.3) * sunFactor * trendFactor * patternFactor * (weatherFactor ?? 1);
+    
+    // Configured arrays know the real geometry, e.g. the morning and evening peaks of east/west roofs
+    let arrays = null;
+    let prediction = learned;
+    if (this.arrayModel.hasArrays()) {
+      arrays = this.predictArrays(targetTime, weather);
+      const physical = arrays.power * trendFactor * patternFactor;
+      prediction = physical * this.arrayWeight + learned * (1 - this.arrayWeight);
+    }
     
-    const confidence = this.calculateConfidence(hour, month, sunPosition);
+    let confidence = this.calculateConfidence(hour, month, sunPosition);
+    if (weatherFactor !== null) {
+      confidence = Math.min(0.95, confidence + 0.1);
+    }
     
     return {
       power: prediction,
@@ -215,29 +263,82 @@ class SolarPredictor {
         hourly: hourlyAdjustment,
         sun: sunFactor,
         trend: trendFactor,
-        pattern: patternFactor
+        pattern: patternFactor,
+        weather: weatherFactor,
+        learned,
+        arrays: arrays ? arrays.arrays.map(array => ({ id: array.id, power: Math.round(array.power) })) : null
       }
     };
   }
 
-  calculateSunPosition(date) {
-    // Simplified sun position calculation
-    const dayOfYear = this.getDayOfYear(date);
-    const hour = date.getHours() + date.getMinutes() / 60;
-    
-    // Solar declination
-    const declination = 23.45 * Math.sin((360 * (284 + dayOfYear) / 365) * Math.PI / 180);
-    
-    // Hour angle
-    const hourAngle = 15 * (hour - 12);
+  // Output of the configured arrays over the hour starting at targetTime
+  predictArrays(targetTime, weather = null) {
+    const middle = new Date(targetTime.getTime() + 30 * 60 * 1000);
+    const sun = this.calculateSunPosition(middle);
+    return this.arrayModel.expectedPower(sun, this.getIrradiance(weather, sun));
+  }
+
+  // Forecast irradiance when it has all components, otherwise the clear sky scaled to the expected clearness
+  getIrradiance(weather, sun) {
+    const temperature = typeof weather?.temperature === 'number' ? weather.temperature : null;
+    if (weather && ['ghi', 'dni', 'dhi'].every(key => typeof weather[key] === 'number')) {
+      return { ghi: weather.ghi, dni: weather.dni, dhi: weather.dhi, temperature };
+    }
     
-    // Solar elevation
-    const elevation = Math.asin(
-      Math.sin(declination * Math.PI / 180) * Math.sin(this.location.lat * Math.PI / 180) +
-      Math.cos(declination * Math.PI / 180) * Math.cos(this.location.lat * Math.PI / 180) * Math.cos(hourAngle * Math.PI / 180)
-    ) * 180 / Math.PI;
+    const clear = clearSky(sun.elevation);
+    const clearness = weather ? this.getClearness(weather) : this.typicalClearness;
+    // Clouds take the beam first, what is left of the global irradiance is diffuse
+    const ghi = clear.ghi * clearness;
+    const dni = clear.dni * clearness * clearness;
+    const dhi = Math.max(0, ghi - dni * Math.sin(sun.elevation * Math.PI / 180));
+    return { ghi, dni, dhi, temperature };
+  }
+
+  getWeatherAt(weather, time) {
+    if (!weather || weather.length === 0) return null;
+    const timeMs = time.getTime();
+    return weather.find(entry => {
+      const start = new Date(entry.timestamp).getTime();
+      return timeMs >= start && timeMs < start + 60 * 60 * 1000;
+    }) || null;
+  }
+
+  // Forecast clearness relative to the average sky of the learned curves,
+  // with the usual crystalline module loss of 0.4%/°C above 25°C cell temperature
+  calculateWeatherFactor(weather, targetTime) {
+    let factor = this.getClearness(weather) / this.typicalClearness;
+    if (typeof weather.temperature === 'number') {
+      const cellTemperature = weather.temperature + 0.03 * (weather.ghi || 0);
+      factor *= 1 - 0.004 * (cellTemperature - 25);
+    }
+    return Math.max(0.05, Math.min(1.8, factor));
+  }
+
+  // Clear-sky index 0-1 of the forecast hour
+  getClearness(weather) {
+    // Irradiance is an hour average, compare it with the clear sky in the middle of the hour
+    const middle = new Date(new Date(weather.timestamp).getTime() + 30 * 60 * 1000);
+    const clearGhi = clearSky(this.calculateSunPosition(middle).elevation).ghi;
+    if (typeof weather.ghi === 'number' && clearGhi > 50) {
+      return Math.min(1.1, weather.ghi / clearGhi);
+    }
+    // Low sun or no irradiance in the forecast: estimate from cloud cover (Kasten & Czeplak)
+    if (typeof weather.cloudCover === 'number') {
+      return 1 - 0.75 * Math.pow(weather.cloudCover / 100, 3.4);
+    }
+    return this.typicalClearness;
+  }
+
+  calculateSunPosition(date) {
+    // NOAA solar position on UTC time, includes the equation of time and the longitude offset
+    const position = sunPosition(date, this.location.lat, this.location.lon);
     
-    return { elevation: Math.max(0, elevation), declination, hourAngle };
+    return {
+      elevation: Math.max(0, position.elevation),
+      azimuth: position.azimuth,
+      declination: position.declination,
+      hourAngle: position.hourAngle
+    };
   }
 
   analyzeTrend(targetTime) {
@@ -304,27 +405,42 @@ class SolarPredictor {
     return Math.min(0.95, confidence);
   }
 
-  fallbackPrediction(startTime, hoursAhead) {
+  fallbackPrediction(startTime, hoursAhead, weather = []) {
     // Simple fallback when no training data available
     const predictions = [];
     
     for (let h = 0; h < hoursAhead; h++) {
       const targetTime = new Date(startTime.getTime() + h * 60 * 60 * 1000);
-      const hour = targetTime.getHours();
       const sunPosition = this.calculateSunPosition(targetTime);
+      const forecast = this.getWeatherAt(weather, targetTime);
+      
+      // Configured arrays give a real estimate before anything is learned
+      if (this.arrayModel.hasArrays()) {
+        const arrays = this.predictArrays(targetTime, forecast);
+        predictions.push({
+          timestamp: targetTime,
+          power: arrays.power,
+          confidence: forecast ? 0.6 : 0.4,
+          factors: { fallback: true, arrays: arrays.arrays.map(array => ({ id: array.id, power: Math.round(array.power) })) }
+        });
+        continue;
+      }
       
       // Simple bell curve for solar production
-      let power = 0;
-      if (hour >= 6 && hour <= 18) {
-        const sunFactor = Math.max(0, Math.sin(sunPosition.elevation * Math.PI / 180));
-        power = 3000 * sunFactor; // Assume 3kW peak system
+      const sunFactor = Math.max(0, Math.sin(sunPosition.elevation * Math.PI / 180));
+      let power = 3000 * sunFactor; // Assume 3kW peak system
+      
+      // The bell curve is a clear day, scale it by the forecast sky
+      const clearness = forecast ? this.getClearness(forecast) : null;
+      if (clearness !== null) {
+        power *= clearness;
       }
       
       predictions.push({
         timestamp: targetTime,
         power,
         confidence: 0.3, // Low confidence without training
-        factors: { fallback: true }
+        factors: { fallback: true, weather: clearness }
       });
     }
     
@@ -356,18 +472,52 @@ class SolarPredictor {
     return values.reduce((acc, v) => acc + Math.pow(v - avg, 2), 0) / values.length;
   }
 
+  setArrays(arrays) {
+    this.arrayModel.setArrays(arrays);
+  }
+
   setLocation(lat, lon) {
     this.location = { lat, lon };
     console.log(`📍 Solar predictor location set to: ${lat}, ${lon}`);
   }
 
+  // Plain JSON form of the learned state for model snapshots
+  exportState() {
+    return {
+      models: {
+        seasonal: Array.from(this.models.seasonal.entries()),
+        hourly: Array.from(this.models.hourly.entries()),
+        patterns: Array.from(this.models.patterns.entries())
+      },
+      location: this.location,
+      trained: this.trained,
+      accuracy: this.accuracy,
+      typicalClearness: this.typicalClearness,
+      recentData: this.recentData
+    };
+  }
+
+  importState(state) {
+    this.models = {
+      seasonal: new Map(state.models.seasonal),
+      hourly: new Map(state.models.hourly),
+      patterns: new Map(state.models.patterns)
+    };
+    this.trained = !!state.trained;
+    this.accuracy = state.accuracy || 0;
+    if (state.typicalClearness) this.typicalClearness = state.typicalClearness;
+    this.recentData = (state.recentData || []).slice(-this.maxRecentData);
+  }
+
   getStatus() {
     return {
       trained: this.trained,
       accuracy: this.accuracy,
       dataPoints: this.recentData.length,
       patterns: this.models.patterns.size,
-      location: this.location
+      typicalClearness: Math.round(this.typicalClearness * 100) / 100,
+      location: this.location,
+      arrays: this.arrayModel.getStatus()
     };
   }
 }
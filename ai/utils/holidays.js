@@ -0,0 +1,314 @@
+// Public holidays - offline rule sets per country (nationwide holidays only)
+// Rules are fixed dates, offsets from Easter (Western or Orthodox) and weekday rules such as
+// "last Monday of May". Dates are calendar days, lookups use the local date of the given time,
+// which follows the site timezone (process.env.TZ).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Western Easter Sunday (anonymous Gregorian algorithm), as a UTC midnight date
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+// Orthodox Easter Sunday (Meeus Julian algorithm, shifted to the Gregorian calendar)
+function orthodoxEasterSunday(year) {
+  const a = year % 4;
+  const b = year % 7;
+  const c = year % 19;
+  const d = (19 * c + 15) % 30;
+  const e = (2 * a + 4 * b - d + 34) % 7;
+  const month = Math.floor((d + e + 114) / 31);
+  const day = ((d + e + 114) % 31) + 1;
+  const julianToGregorian = Math.floor(year / 100) - Math.floor(year / 400) - 2;
+  return new Date(Date.UTC(year, month - 1, day) + julianToGregorian * DAY_MS);
+}
+
+// Rule builders, each returns { name, date(year) -> UTC date or null }
+const fixed = (month, day, name, options = {}) => ({
+  name,
+  ...options,
+  date: year => new Date(Date.UTC(year, month - 1, day))
+});
+
+const easter = (offset, name, options = {}) => ({
+  name,
+  ...options,
+  date: year => new Date(easterSunday(year).getTime() + offset * DAY_MS)
+});
+
+const orthodox = (offset, name, options = {}) => ({
+  name,
+  ...options,
+  date: year => new Date(orthodoxEasterSunday(year).getTime() + offset * DAY_MS)
+});
+
+// nth weekday (0 = Sunday) of a month, nth = -1 is the last one
+const nthWeekday = (month, weekday, nth, name, options = {}) => ({
+  name,
+  ...options,
+  date: year => {
+    if (nth > 0) {
+      const first = new Date(Date.UTC(year, month - 1, 1));
+      const offset = (weekday - first.getUTCDay() + 7) % 7 + (nth - 1) * 7;
+      return new Date(first.getTime() + offset * DAY_MS);
+    }
+    const last = new Date(Date.UTC(year, month, 0));
+    const offset = (last.getUTCDay() - weekday + 7) % 7;
+    return new Date(last.getTime() - offset * DAY_MS);
+  }
+});
+
+// First given weekday on or after a date (midsummer, All Saints' Day in the Nordics)
+const weekdayFrom = (month, day, weekday, name, options = {}) => ({
+  name,
+  ...options,
+  date: year => {
+    const start = new Date(Date.UTC(year, month - 1, day));
+    return new Date(start.getTime() + ((weekday - start.getUTCDay() + 7) % 7) * DAY_MS);
+  }
+});
+
+const custom = (name, date, options = {}) => ({ name, ...options, date });
+
+// substitute: a holiday on a weekend moves the day off to the next free weekday
+const RULES = {
+  DE: [
+    fixed(1, 1, "New Year's Day"), easter(-2, 'Good Friday'), easter(1, 'Easter Monday'),
+    fixed(5, 1, 'Labour Day'), easter(39, 'Ascension Day'), easter(50, 'Whit Monday'),
+    fixed(10, 3, 'German Unity Day'), fixed(12, 25, 'Christmas Day'), fixed(12, 26, 'Boxing Day')
+  ],
+  AT: [
+    fixed(1, 1, "New Year's Day"), fixed(1, 6, 'Epiphany'), easter(1, 'Easter Monday'),
+    fixed(5, 1, 'Labour Day'), easter(39, 'Ascension Day'), easter(50, 'Whit Monday'),
+    easter(60, 'Corpus Christi'), fixed(8, 15, 'Assumption Day'), fixed(10, 26, 'National Day'),
+    fixed(11, 1, "All Saints' Day"), fixed(12, 8, 'Immaculate Conception'),
+    fixed(12, 25, 'Christmas Day'), fixed(12, 26, "St. Stephen's Day")
+  ],
+  CH: [
+    fixed(1, 1, "New Year's Day"), easter(-2, 'Good Friday'), easter(1, 'Easter Monday'),
+    easter(39, 'Ascension Day'), easter(50, 'Whit Monday'), fixed(8, 1, 'Swiss National Day'),
+    fixed(12, 25, 'Christmas Day'), fixed(12, 26, "St. Stephen's Day")
+  ],
+  NL: [
+    fixed(1, 1, "New Year's Day"), easter(1, 'Easter Monday'),
+    // King's Day moves to Saturday when 27 April is a Sunday
+    custom("King's Day", year => {
+      const date = new Date(Date.UTC(year, 3, 27));
+      return date.getUTCDay() === 0 ? new Date(date.getTime() - DAY_MS) : date;
+    }),
+    easter(39, 'Ascension Day'), easter(50, 'Whit Monday'),
+    fixed(12, 25, 'Christmas Day'), fixed(12, 26, 'Second Christmas Day')
+  ],
+  BE: [
+    fixed(1, 1, "New Year's Day"), easter(1, 'Easter Monday'), fixed(5, 1, 'Labour Day'),
+    easter(39, 'Ascension Day'), easter(50, 'Whit Monday'), fixed(7, 21, 'National Day'),
+    fixed(8, 15, 'Assumption Day'), fixed(11, 1, "All Saints' Day"), fixed(11, 11, 'Armistice Day'),
+    fixed(12, 25, 'Christmas Day')
+  ],
+  LU: [
+    fixed(1, 1, "New Year's Day"), easter(1, 'Easter Monday'), fixed(5, 1, 'Labour Day'),
+    fixed(5, 9, 'Europe Day'), easter(39, 'Ascension Day'), easter(50, 'Whit Monday'),
+    fixed(6, 23, 'National Day'), fixed(8, 15, 'Assumption Day'), fixed(11, 1, "All Saints' Day"),
+    fixed(12, 25, 'Christmas Day'), fixed(12, 26, "St. Stephen's Day")
+  ],
+  FR: [
+    fixed(1, 1, "New Year's Day"), easter(1, 'Easter Monday'), fixed(5, 1, 'Labour Day'),
+    fixed(5, 8, 'Victory Day'), easter(39, 'Ascension Day'), easter(50, 'Whit Monday'),
+    fixed(7, 14, 'Bastille Day'), fixed(8, 15, 'Assumption Day'), fixed(11, 1, "All Saints' Day"),
+    fixed(11, 11, 'Armistice Day'), fixed(12, 25, 'Christmas Day')
+  ],
+  GB: [
+    fixed(1, 1, "New Year's Day", { substitute: true }), easter(-2, 'Good Friday'), easter(1, 'Easter Monday'),
+    nthWeekday(5, 1, 1, 'Early May Bank Holiday'), nthWeekday(5, 1, -1, 'Spring Bank Holiday'),
+    nthWeekday(8, 1, -1, 'Summer Bank Holiday'),
+    fixed(12, 25, 'Christmas Day', { substitute: true }), fixed(12, 26, 'Boxing Day', { substitute: true })
+  ],
+  IE: [
+    fixed(1, 1, "New Year's Day", { substitute: true }),
+    // First Monday of February, or 1 February when that is a Friday
+    custom("St. Brigid's Day", year => {
+      const first = new Date(Date.UTC(year, 1, 1));
+      if (first.getUTCDay() === 5) return first;
+      return new Date(first.getTime() + ((1 - first.getUTCDay() + 7) % 7) * DAY_MS);
+    }, { fromYear: 2023 }),
+    fixed(3, 17, "St. Patrick's Day", { substitute: true }), easter(1, 'Easter Monday'),
+    nthWeekday(5, 1, 1, 'May Bank Holiday'), nthWeekday(6, 1, 1, 'June Bank Holiday'),
+    nthWeekday(8, 1, 1, 'August Bank Holiday'), nthWeekday(10, 1, -1, 'October Bank Holiday'),
+    fixed(12, 25, 'Christmas Day', { substitute: true }), fixed(12, 26, "St. Stephen's Day", { substitute: true })
+  ],
+  ES: [
+    fixed(1, 1, "New Year's Day"), fixed(1, 6, 'Epiphany'), easter(-2, 'Good Friday'),
+    fixed(5, 1, 'Labour Day'), fixed(8, 15, 'Assumption Day'), fixed(10, 12, 'National Day'),
+    fixed(11, 1, "All Saints' Day"), fixed(12, 6, 'Constitution Day'),
+    fixed(12, 8, 'Immaculate Conception'), fixed(12, 25, 'Christmas Day')
+  ],
+  IT: [
+    fixed(1, 1, "New Year's Day"), fixed(1, 6, 'Epiphany'), easter(1, 'Easter Monday'),
+    fixed(4, 25, 'Liberation Day'), fixed(5, 1, 'Labour Day'), fixed(6, 2, 'Republic Day'),
+    fixed(8, 15, 'Assumption Day'), fixed(11, 1, "All Saints' Day"),
+    fixed(12, 8, 'Immaculate Conception'), fixed(12, 25, 'Christmas Day'), fixed(12, 26, "St. Stephen's Day")
+  ],
+  PT: [
+    fixed(1, 1, "New Year's Day"), easter(-2, 'Good Friday'), easter(0, 'Easter Sunday'),
+    fixed(4, 25, 'Freedom Day'), fixed(5, 1, 'Labour Day'), easter(60, 'Corpus Christi'),
+    fixed(6, 10, 'Portugal Day'), fixed(8, 15, 'Assumption Day'), fixed(10, 5, 'Republic Day'),
+    fixed(11, 1, "All Saints' Day"), fixed(12, 1, 'Restoration of Independence'),
+    fixed(12, 8, 'Immaculate Conception'), fixed(12, 25, 'Christmas Day')
+  ],
+  GR: [
+    fixed(1, 1, "New Year's Day"), fixed(1, 6, 'Epiphany'), orthodox(-48, 'Clean Monday'),
+    fixed(3, 25, 'Independence Day'), orthodox(-2, 'Good Friday'), orthodox(1, 'Easter Monday'),
+    fixed(5, 1, 'Labour Day'), orthodox(50, 'Whit Monday'), fixed(8, 15, 'Assumption Day'),
+    fixed(10, 28, 'Ochi Day'), fixed(12, 25, 'Christmas Day'), fixed(12, 26, 'Synaxis of the Mother of God')
+  ],
+  PL: [
+    fixed(1, 1, "New Year's Day"), fixed(1, 6, 'Epiphany'), easter(0, 'Easter Sunday'),
+    easter(1, 'Easter Monday'), fixed(5, 1, 'Labour Day'), fixed(5, 3, 'Constitution Day'),
+    easter(49, 'Whit Sunday'), easter(60, 'Corpus Christi'), fixed(8, 15, 'Assumption Day'),
+    fixed(11, 1, "All Saints' Day"), fixed(11, 11, 'Independence Day'),
+    fixed(12, 24, 'Christmas Eve', { fromYear: 2025 }), fixed(12, 25, 'Christmas Day'),
+    fixed(12, 26, 'Second Day of Christmas')
+  ],
+  CZ: [
+    fixed(1, 1, "New Year's Day"), easter(-2, 'Good Friday'), easter(1, 'Easter Monday'),
+    fixed(5, 1, 'Labour Day'), fixed(5, 8, 'Liberation Day'), fixed(7, 5, 'Saints Cyril and Methodius Day'),
+    fixed(7, 6, 'Jan Hus Day'), fixed(9, 28, 'Statehood Day'), fixed(10, 28, 'Independence Day'),
+    fixed(11, 17, 'Freedom and Democracy Day'), fixed(12, 24, 'Christmas Eve'),
+    fixed(12, 25, 'Christmas Day'), fixed(12, 26, "St. Stephen's Day")
+  ],
+  HU: [
+    fixed(1, 1, "New Year's Day"), fixed(3, 15, 'National Day'), easter(-2, 'Good Friday'),
+    easter(1, 'Easter Monday'), fixed(5, 1, 'Labour Day'), easter(50, 'Whit Monday'),
+    fixed(8, 20, "St. Stephen's Day"), fixed(10, 23, 'National Day'), fixed(11, 1, "All Saints' Day"),
+    fixed(12, 25, 'Christmas Day'), fixed(12, 26, 'Second Day of Christmas')
+  ],
+  RO: [
+    fixed(1, 1, "New Year's Day"), fixed(1, 2, 'Day after New Year'), fixed(1, 6, 'Epiphany', { fromYear: 2024 }),
+    fixed(1, 7, 'St. John the Baptist', { fromYear: 2024 }), fixed(1, 24, 'Union Day'),
+    orthodox(-2, 'Good Friday'), orthodox(0, 'Easter Sunday'), orthodox(1, 'Easter Monday'),
+    fixed(5, 1, 'Labour Day'), fixed(6, 1, "Children's Day"), orthodox(49, 'Whit Sunday'),
+    orthodox(50, 'Whit Monday'), fixed(8, 15, 'Assumption Day'), fixed(11, 30, "St. Andrew's Day"),
+    fixed(12, 1, 'National Day'), fixed(12, 25, 'Christmas Day'), fixed(12, 26, 'Second Day of Christmas')
+  ],
+  EE: [
+    fixed(1, 1, "New Year's Day"), fixed(2, 24, 'Independence Day'), easter(-2, 'Good Friday'),
+    easter(0, 'Easter Sunday'), fixed(5, 1, 'Spring Day'), easter(49, 'Whit Sunday'),
+    fixed(6, 23, 'Victory Day'), fixed(6, 24, 'Midsummer Day'), fixed(8, 20, 'Restoration of Independence'),
+    fixed(12, 24, 'Christmas Eve'), fixed(12, 25, 'Christmas Day'), fixed(12, 26, 'Boxing Day')
+  ],
+  LV: [
+    fixed(1, 1, "New Year's Day"), easter(-2, 'Good Friday'), easter(0, 'Easter Sunday'),
+    easter(1, 'Easter Monday'), fixed(5, 1, 'Labour Day'),
+    fixed(5, 4, 'Restoration of Independence', { substitute: true }), easter(49, 'Whit Sunday'),
+    fixed(6, 23, 'Midsummer Eve'), fixed(6, 24, 'Midsummer Day'),
+    fixed(11, 18, 'Proclamation Day', { substitute: true }), fixed(12, 24, 'Christmas Eve'),
+    fixed(12, 25, 'Christmas Day'), fixed(12, 26, 'Second Day of Christmas'), fixed(12, 31, "New Year's Eve")
+  ],
+  LT: [
+    fixed(1, 1, "New Year's Day"), fixed(2, 16, 'Restoration of the State'),
+    fixed(3, 11, 'Restoration of Independence'), easter(0, 'Easter Sunday'), easter(1, 'Easter Monday'),
+    fixed(5, 1, 'Labour Day'), fixed(6, 24, 'Midsummer Day'), fixed(7, 6, 'Statehood Day'),
+    fixed(8, 15, 'Assumption Day'), fixed(11, 1, "All Saints' Day"), fixed(11, 2, "All Souls' Day"),
+    fixed(12, 24, 'Christmas Eve'), fixed(12, 25, 'Christmas Day'), fixed(12, 26, 'Second Day of Christmas')
+  ],
+  NO: [
+    fixed(1, 1, "New Year's Day"), easter(-3, 'Maundy Thursday'), easter(-2, 'Good Friday'),
+    easter(0, 'Easter Sunday'), easter(1, 'Easter Monday'), fixed(5, 1, 'Labour Day'),
+    fixed(5, 17, 'Constitution Day'), easter(39, 'Ascension Day'), easter(49, 'Whit Sunday'),
+    easter(50, 'Whit Monday'), fixed(12, 25, 'Christmas Day'), fixed(12, 26, 'Boxing Day')
+  ],
+  SE: [
+    fixed(1, 1, "New Year's Day"), fixed(1, 6, 'Epiphany'), easter(-2, 'Good Friday'),
+    easter(0, 'Easter Sunday'), easter(1, 'Easter Monday'), fixed(5, 1, 'Labour Day'),
+    easter(39, 'Ascension Day'), easter(49, 'Whit Sunday'), fixed(6, 6, 'National Day'),
+    weekdayFrom(6, 19, 5, 'Midsummer Eve'), weekdayFrom(6, 20, 6, 'Midsummer Day'),
+    weekdayFrom(10, 31, 6, "All Saints' Day"), fixed(12, 24, 'Christmas Eve'),
+    fixed(12, 25, 'Christmas Day'), fixed(12, 26, 'Boxing Day'), fixed(12, 31, "New Year's Eve")
+  ],
+  DK: [
+    fixed(1, 1, "New Year's Day"), easter(-3, 'Maundy Thursday'), easter(-2, 'Good Friday'),
+    easter(0, 'Easter Sunday'), easter(1, 'Easter Monday'), easter(26, 'General Prayer Day', { toYear: 2023 }),
+    easter(39, 'Ascension Day'), easter(49, 'Whit Sunday'), easter(50, 'Whit Monday'),
+    fixed(6, 5, 'Constitution Day'), fixed(12, 24, 'Christmas Eve'),
+    fixed(12, 25, 'Christmas Day'), fixed(12, 26, 'Second Day of Christmas')
+  ],
+  FI: [
+    fixed(1, 1, "New Year's Day"), fixed(1, 6, 'Epiphany'), easter(-2, 'Good Friday'),
+    easter(0, 'Easter Sunday'), easter(1, 'Easter Monday'), fixed(5, 1, 'May Day'),
+    easter(39, 'Ascension Day'), easter(49, 'Whit Sunday'), weekdayFrom(6, 19, 5, 'Midsummer Eve'),
+    weekdayFrom(6, 20, 6, 'Midsummer Day'), weekdayFrom(10, 31, 6, "All Saints' Day"),
+    fixed(12, 6, 'Independence Day'), fixed(12, 24, 'Christmas Eve'),
+    fixed(12, 25, 'Christmas Day'), fixed(12, 26, "St. Stephen's Day")
+  ]
+};
+
+const cache = new Map();
+
+function dateKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function getSupportedCountries() {
+  return Object.keys(RULES);
+}
+
+// Holidays of a year as [{ date: 'YYYY-MM-DD', name }], sorted by date
+function getHolidays(country, year) {
+  const code = (country || '').toUpperCase();
+  const cacheKey = `${code}-${year}`;
+  if (cache.has(cacheKey)) return cache.get(cacheKey);
+
+  const rules = RULES[code] || [];
+  const holidays = new Map();
+  const substitutes = [];
+
+  rules.forEach(rule => {
+    if (rule.fromYear && year < rule.fromYear) return;
+    if (rule.toYear && year > rule.toYear) return;
+    const date = rule.date(year);
+    if (!date) return;
+    holidays.set(dateKey(date), rule.name);
+    const weekday = date.getUTCDay();
+    if (rule.substitute && (weekday === 0 || weekday === 6)) substitutes.push({ date, name: rule.name });
+  });
+
+  // Weekend holidays give the next weekday that is not a holiday itself
+  substitutes.forEach(({ date, name }) => {
+    let day = new Date(date.getTime() + DAY_MS);
+    while (day.getUTCDay() === 0 || day.getUTCDay() === 6 || holidays.has(dateKey(day))) {
+      day = new Date(day.getTime() + DAY_MS);
+    }
+    holidays.set(dateKey(day), `${name} (substitute day)`);
+  });
+
+  const result = Array.from(holidays.entries())
+    .map(([date, name]) => ({ date, name }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  cache.set(cacheKey, result);
+  return result;
+}
+
+// Holiday name for the local calendar day of a time, null on ordinary days
+function getHoliday(country, time) {
+  const date = new Date(time);
+  const year = date.getFullYear();
+  const key = `${year}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  const holiday = getHolidays(country, year).find(item => item.date === key);
+  return holiday ? holiday.name : null;
+}
+
+module.exports = { easterSunday, orthodoxEasterSunday, getHolidays, getHoliday, getSupportedCountries };
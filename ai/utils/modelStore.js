@@ -0,0 +1,149 @@
+// Model Store - versioned snapshots of the learned AI model state
+// Every snapshot is one JSON file in data/ai_models holding the serialized models and
+// metadata (version, training window, accuracy), newest version is loaded on startup.
+// The metadata is also written to a small .meta.json next to it, so listing and pruning
+// do not have to parse every full snapshot.
+// Periodic and shutdown snapshots rotate among themselves, so they cannot push the training,
+// manual and rollback snapshots out - nor the snapshot a training started from, which is the
+// one to go back to when a retrain turns out bad weeks later.
+
+const fs = require('fs');
+const path = require('path');
+
+const FORMAT_VERSION = 1; // bump when the serialized model layout changes
+const SNAPSHOT_FILE = /^snapshot_(\d+)\.json$/;
+const ROUTINE_REASONS = ['periodic', 'shutdown'];
+
+class ModelStore {
+  constructor(directory) {
+    this.directory = directory || path.join(__dirname, '..', '..', 'data', 'ai_models');
+    this.maxRoutineSnapshots = 10; // periodic and shutdown, about 2.5 days at one every 6 hours
+    this.maxKeptSnapshots = 20; // training, manual and rollback
+  }
+
+  getFile(version) {
+    return path.join(this.directory, `snapshot_${String(version).padStart(6, '0')}.json`);
+  }
+
+  getMetaFile(version) {
+    return path.join(this.directory, `snapshot_${String(version).padStart(6, '0')}.meta.json`);
+  }
+
+  writeFile(file, data) {
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(data));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  getVersions() {
+    if (!fs.existsSync(this.directory)) return [];
+    return fs.readdirSync(this.directory)
+      .map(file => file.match(SNAPSHOT_FILE))
+      .filter(Boolean)
+      .map(match => parseInt(match[1]))
+      .sort((a, b) => b - a);
+  }
+
+  read(version) {
+    try {
+      const snapshot = JSON.parse(fs.readFileSync(this.getFile(version), 'utf8'));
+      if (snapshot.metadata?.formatVersion !== FORMAT_VERSION) {
+        console.log(`⚠️  Model snapshot v${version} has an incompatible format, ignoring it`);
+        return null;
+      }
+      return snapshot;
+    } catch (error) {
+      console.error(`Error reading model snapshot v${version}:`, error.message);
+      return null;
+    }
+  }
+
+  // Newest readable snapshot when no version is given
+  load(version) {
+    if (version !== undefined) {
+      return this.getVersions().includes(version) ? this.read(version) : null;
+    }
+    for (const candidate of this.getVersions()) {
+      const snapshot = this.read(candidate);
+      if (snapshot) return snapshot;
+    }
+    return null;
+  }
+
+  // Metadata from the sidecar, snapshots saved before sidecars existed get one on first read
+  readMetadata(version) {
+    try {
+      const metaFile = this.getMetaFile(version);
+      let metadata;
+      if (fs.existsSync(metaFile)) {
+        metadata = JSON.parse(fs.readFileSync(metaFile, 'utf8'));
+      } else {
+        metadata = JSON.parse(fs.readFileSync(this.getFile(version), 'utf8')).metadata || {};
+        this.writeFile(metaFile, metadata);
+      }
+      return metadata.formatVersion === FORMAT_VERSION ? metadata : null;
+    } catch (error) {
+      console.error(`Error reading model snapshot metadata v${version}:`, error.message);
+      return null;
+    }
+  }
+
+  list() {
+    return this.getVersions()
+      .map(version => this.readMetadata(version))
+      .filter(Boolean);
+  }
+
+  // Synchronous so it also works from the shutdown handler
+  save(models, metadata) {
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    const version = (this.getVersions()[0] || 0) + 1;
+    const snapshot = {
+      metadata: {
+        ...metadata,
+        version,
+        formatVersion: FORMAT_VERSION,
+        createdAt: new Date().toISOString()
+      },
+      models
+    };
+
+    // Write to a temporary file first so an interrupted save never leaves a broken snapshot
+    this.writeFile(this.getFile(version), snapshot);
+    this.writeFile(this.getMetaFile(version), snapshot.metadata);
+
+    this.prune();
+    return snapshot.metadata;
+  }
+
+  prune() {
+    const snapshots = this.getVersions().map(version => ({ version, metadata: this.readMetadata(version) || {} }));
+    // Unreadable snapshots have no reason and rotate out with the routine ones
+    const isRoutine = snapshot => !snapshot.metadata.reason || ROUTINE_REASONS.includes(snapshot.metadata.reason);
+    const routine = snapshots.filter(isRoutine);
+    const kept = snapshots.filter(snapshot => !isRoutine(snapshot));
+
+    const keep = new Set([
+      ...routine.slice(0, this.maxRoutineSnapshots),
+      ...kept.slice(0, this.maxKeptSnapshots)
+    ].map(snapshot => snapshot.version));
+    snapshots.forEach(snapshot => {
+      if (keep.has(snapshot.version) && snapshot.metadata.previousVersion) {
+        keep.add(snapshot.metadata.previousVersion);
+      }
+    });
+
+    snapshots.filter(snapshot => !keep.has(snapshot.version)).forEach(({ version }) => {
+      try {
+        fs.unlinkSync(this.getFile(version));
+        fs.rmSync(this.getMetaFile(version), { force: true });
+      } catch (error) {
+        console.error(`Error removing model snapshot v${version}:`, error.message);
+      }
+    });
+  }
+}
+
+module.exports = ModelStore;
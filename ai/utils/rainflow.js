@@ -0,0 +1,69 @@
+// Rainflow cycle counting on a state of charge series
+// Works incrementally: the residual (reversals without a closed cycle yet) is handed back
+// and passed into the next call, so history can be processed hour by hour. Closed cycles
+// come out as full cycles with their depth (SOC range in %) and mean SOC.
+
+// Turning points of the series, changes below the hysteresis are treated as noise
+function reversals(values, hysteresis = 1) {
+  const points = [];
+  let last = null;
+  let direction = 0;
+
+  values.forEach(value => {
+    if (typeof value !== 'number' || isNaN(value)) return;
+    if (last === null) {
+      last = value;
+      points.push(value);
+      return;
+    }
+
+    const change = value - last;
+    if (Math.abs(change) < hysteresis) return;
+
+    const newDirection = Math.sign(change);
+    if (newDirection === direction) {
+      points[points.length - 1] = value; // still going the same way, move the extreme
+    } else {
+      points.push(value);
+      direction = newDirection;
+    }
+    last = value;
+  });
+
+  return points;
+}
+
+// Three-point rainflow: a range is a closed cycle once the following range is at least as large
+function rainflow(points, residual = []) {
+  const stack = [...residual];
+  const cycles = [];
+
+  points.forEach(point => {
+    // A point continuing the direction of the last range replaces its end
+    if (stack.length >= 2) {
+      const last = stack[stack.length - 1];
+      const before = stack[stack.length - 2];
+      if (Math.sign(point - last) === Math.sign(last - before) && point !== last) {
+        stack[stack.length - 1] = point;
+        return;
+      }
+    }
+    if (stack.length > 0 && stack[stack.length - 1] === point) return;
+    stack.push(point);
+
+    while (stack.length >= 3) {
+      const x = Math.abs(stack[stack.length - 1] - stack[stack.length - 2]);
+      const y = Math.abs(stack[stack.length - 2] - stack[stack.length - 3]);
+      if (x < y) break;
+
+      const a = stack[stack.length - 3];
+      const b = stack[stack.length - 2];
+      cycles.push({ depth: y, mean: (a + b) / 2 });
+      stack.splice(stack.length - 3, 2);
+    }
+  });
+
+  return { cycles, residual: stack };
+}
+
+module.exports = { reversals, rainflow };
@@ -0,0 +1,91 @@
+// Solar Geometry - sun position and clear-sky irradiance
+// Sun position follows the NOAA solar calculator (declination and equation of time from the
+// Julian century). It works on UTC, so the host timezone does not shift the sun.
+
+const RAD = Math.PI / 180;
+
+function sunPosition(date, lat, lon) {
+  const julianDay = date.getTime() / 86400000 + 2440587.5;
+  const t = (julianDay - 2451545) / 36525; // Julian century
+
+  const meanLongitude = (280.46646 + t * (36000.76983 + t * 0.0003032)) % 360;
+  const meanAnomaly = 357.52911 + t * (35999.05029 - 0.0001537 * t);
+  const eccentricity = 0.016708634 - t * (0.000042037 + 0.0000001267 * t);
+  const center = Math.sin(meanAnomaly * RAD) * (1.914602 - t * (0.004817 + 0.000014 * t)) +
+    Math.sin(2 * meanAnomaly * RAD) * (0.019993 - 0.000101 * t) +
+    Math.sin(3 * meanAnomaly * RAD) * 0.000289;
+  const apparentLongitude = meanLongitude + center - 0.00569 - 0.00478 * Math.sin((125.04 - 1934.136 * t) * RAD);
+  const obliquity = 23 + (26 + (21.448 - t * (46.815 + t * (0.00059 - t * 0.001813))) / 60) / 60 +
+    0.00256 * Math.cos((125.04 - 1934.136 * t) * RAD);
+
+  const declination = Math.asin(Math.sin(obliquity * RAD) * Math.sin(apparentLongitude * RAD)) / RAD;
+
+  // Equation of time in minutes
+  const y = Math.pow(Math.tan(obliquity / 2 * RAD), 2);
+  const equationOfTime = 4 / RAD * (
+    y * Math.sin(2 * meanLongitude * RAD) -
+    2 * eccentricity * Math.sin(meanAnomaly * RAD) +
+    4 * eccentricity * y * Math.sin(meanAnomaly * RAD) * Math.cos(2 * meanLongitude * RAD) -
+    0.5 * y * y * Math.sin(4 * meanLongitude * RAD) -
+    1.25 * eccentricity * eccentricity * Math.sin(2 * meanAnomaly * RAD)
+  );
+
+  const utcMinutes = date.getUTCHours() * 60 + date.getUTCMinutes() + date.getUTCSeconds() / 60;
+  const solarMinutes = ((utcMinutes + equationOfTime + 4 * lon) % 1440 + 1440) % 1440;
+  const hourAngle = solarMinutes / 4 - 180;
+
+  const cosZenith = Math.sin(lat * RAD) * Math.sin(declination * RAD) +
+    Math.cos(lat * RAD) * Math.cos(declination * RAD) * Math.cos(hourAngle * RAD);
+  const zenith = Math.acos(Math.max(-1, Math.min(1, cosZenith))) / RAD;
+  const elevation = 90 - zenith;
+
+  // Azimuth clockwise from north (90 east, 180 south, 270 west)
+  const sinZenith = Math.sin(zenith * RAD);
+  let azimuth = 180;
+  if (sinZenith > 1e-6) {
+    const cosAzimuth = (Math.sin(lat * RAD) * cosZenith - Math.sin(declination * RAD)) / (Math.cos(lat * RAD) * sinZenith);
+    const angle = Math.acos(Math.max(-1, Math.min(1, cosAzimuth))) / RAD;
+    azimuth = hourAngle > 0 ? (angle + 180) % 360 : (540 - angle) % 360;
+  }
+
+  return { elevation, azimuth, declination, hourAngle, equationOfTime };
+}
+
+// Sunrise, solar noon and sunset around the reference time (use local noon for a calendar day).
+// Higher sites see the sun earlier and longer, the horizon dips with elevation.
+// Sunrise and sunset are null during polar day or night.
+function sunTimes(reference, lat, lon, elevation = 0) {
+  const position = sunPosition(reference, lat, lon);
+  const noon = new Date(reference.getTime() - position.hourAngle * 4 * 60000);
+  const declination = sunPosition(noon, lat, lon).declination;
+
+  const horizon = -0.833 - 2.076 * Math.sqrt(Math.max(0, elevation)) / 60;
+  const cosHourAngle = (Math.sin(horizon * RAD) - Math.sin(lat * RAD) * Math.sin(declination * RAD)) /
+    (Math.cos(lat * RAD) * Math.cos(declination * RAD));
+  if (cosHourAngle > 1 || cosHourAngle < -1) {
+    return { sunrise: null, solarNoon: noon, sunset: null, daylightHours: cosHourAngle < -1 ? 24 : 0 };
+  }
+
+  const hourAngle = Math.acos(cosHourAngle) / RAD;
+  return {
+    sunrise: new Date(noon.getTime() - hourAngle * 4 * 60000),
+    solarNoon: noon,
+    sunset: new Date(noon.getTime() + hourAngle * 4 * 60000),
+    daylightHours: hourAngle * 2 / 15
+  };
+}
+
+// Clear-sky irradiance in W/m²: Haurwitz global, Meinel beam with Kasten-Young air mass
+function clearSky(elevation) {
+  if (elevation <= 0) return { ghi: 0, dni: 0, dhi: 0 };
+
+  const sinElevation = Math.sin(elevation * RAD);
+  const ghi = 1098 * sinElevation * Math.exp(-0.057 / sinElevation);
+  const airMass = 1 / (sinElevation + 0.50572 * Math.pow(elevation + 6.07995, -1.6364));
+  const dni = 1353 * Math.pow(0.7, Math.pow(airMass, 0.678));
+  const dhi = Math.max(0, ghi - dni * sinElevation);
+
+  return { ghi, dni: Math.min(dni, ghi / sinElevation), dhi };
+}
+
+module.exports = { sunPosition, sunTimes, clearSky };
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+// Checks that running a one-off schedule by hand leaves its scheduled run pending.
+// Usage: node scripts/check-schedules.js
+// Works on a temporary copy of the schedule store, data/schedules.json is not touched.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const scheduleService = require('../services/scheduleService');
+
+async function main() {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'schedules-'));
+    scheduleService.configFile = path.join(directory, 'schedules.json');
+    scheduleService.config = { schedules: [], history: [] };
+    scheduleService.allowedSettings = ['grid_charge'];
+    scheduleService.getControlledSettings = () => [];
+
+    const published = [];
+    scheduleService.publishSetting = async (inverterId, setting, value) => {
+        published.push({ inverterId, setting, value });
+        return { success: true, value };
+    };
+
+    try {
+        const schedule = scheduleService.createSchedule({
+            name: 'Charge before the storm',
+            setting: 'grid_charge',
+            value: 'Enabled',
+            type: 'once',
+            runAt: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+        });
+        const stored = () => scheduleService.config.schedules.find(item => item.id === schedule.id);
+
+        await scheduleService.execute(schedule.id, 'manual');
+        assert.strictEqual(published.length, 1, 'manual run publishes');
+        assert.strictEqual(stored().enabled, true, 'manual run keeps the schedule enabled');
+        assert.strictEqual(stored().lastRun, null, 'manual run is not the scheduled run');
+        assert.ok(stored().lastManualRun, 'manual run is recorded');
+
+        // Once its time has come the schedule still runs
+        stored().runAt = new Date(Date.now() - 1000).toISOString();
+        scheduleService.runDueOnceSchedules();
+        await new Promise(resolve => setImmediate(resolve));
+        assert.strictEqual(published.length, 2, 'scheduled run after the manual one');
+        assert.strictEqual(stored().enabled, false, 'one-off schedule is done after its scheduled run');
+        assert.ok(stored().lastRun, 'scheduled run is recorded');
+
+        console.log('✅ Manual runs leave one-off schedules due');
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+main().then(() => process.exit(0)).catch(error => {
+    console.error('❌ Schedule check failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+// Parses the recorded Open-Meteo response in weather/fixtures through the provider, without network access.
+// Usage: node scripts/check-weather-fixture.js
+// Exits with code 1 when the provider no longer turns the response into the common hourly shape.
+
+const assert = require('assert');
+const path = require('path');
+const OpenMeteoProvider = require('../weather/openMeteoProvider');
+
+const fixtureFile = path.join(__dirname, '..', 'weather', 'fixtures', 'open-meteo-forecast.json');
+
+async function main() {
+    const provider = new OpenMeteoProvider({ fixtureFile });
+    const hourly = await provider.getForecast({ lat: 52.52, lon: 13.405 }, 1);
+
+    assert.strictEqual(hourly.length, 24, 'one entry per hour');
+    hourly.forEach(entry => {
+        assert.deepStrictEqual(Object.keys(entry), ['timestamp', 'cloudCover', 'ghi', 'dni', 'dhi', 'temperature']);
+        assert.strictEqual(new Date(entry.timestamp).getUTCMinutes(), 0, 'timestamps on the full hour');
+    });
+
+    // Radiation is the average of the hour before the API timestamp, entries start an hour earlier
+    assert.strictEqual(hourly[0].timestamp, '2025-06-17T23:00:00.000Z');
+    assert.strictEqual(hourly[12].timestamp, '2025-06-18T11:00:00.000Z');
+    assert.deepStrictEqual(hourly[12], {
+        timestamp: '2025-06-18T11:00:00.000Z',
+        cloudCover: 18,
+        ghi: 854,
+        dni: 636,
+        dhi: 220,
+        temperature: 23.8
+    });
+    assert.strictEqual(hourly[0].ghi, 0, 'no irradiance at night');
+
+    assert.throws(() => provider.parse({ error: true, reason: 'Latitude must be in range of -90 to 90°' }), /Open-Meteo: Latitude/);
+    assert.throws(() => provider.parse({}), /no hourly data/);
+
+    console.log(`✅ Open-Meteo fixture parsed: ${hourly.length} hours, peak GHI ${Math.max(...hourly.map(entry => entry.ghi))} W/m²`);
+}
+
+main().catch(error => {
+    console.error('❌ Weather fixture check failed:', error.message);
+    process.exit(1);
+});
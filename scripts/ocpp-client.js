@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+
+// Scripted OCPP 1.6J wallbox for testing the central system without hardware.
+// Usage: node scripts/ocpp-client.js --url ws://localhost:9000/ocpp --id TEST01 --car-max 11000 --duration 600
+// Boots, plugs in a car, starts a transaction and reports meter values. The charging power follows
+// the current limit of the charging profiles it receives; RemoteStart/RemoteStopTransaction work too.
+
+const WebSocket = require('ws');
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const id = args.id || 'TEST01';
+const url = `${(args.url || 'ws://localhost:9000/ocpp').replace(/\/+$/, '')}/${encodeURIComponent(id)}`;
+const carMaxPower = parseFloat(args['car-max']) || 11000; // W the car accepts
+const meterInterval = (parseFloat(args.interval) || 10) * 1000;
+const duration = parseFloat(args.duration) || 0; // s, 0 = until Ctrl+C
+const voltage = 230;
+
+const state = {
+    energyWh: parseFloat(args['meter-start']) || 0,
+    limitA: null, // no profile yet: the car charges at its own maximum
+    phases: 3,
+    transactionId: null,
+    lastMeter: Date.now()
+};
+
+const pending = new Map();
+let counter = 0;
+let meterTimer = null;
+
+const ws = new WebSocket(url, 'ocpp1.6');
+
+function call(action, payload) {
+    return new Promise((resolve, reject) => {
+        const messageId = `${++counter}`;
+        pending.set(messageId, { resolve, reject });
+        ws.send(JSON.stringify([2, messageId, action, payload]));
+    });
+}
+
+function chargingPower() {
+    if (state.transactionId === null) return 0;
+    const limitPower = state.limitA === null ? Infinity : state.limitA * voltage * state.phases;
+    return Math.min(carMaxPower, limitPower);
+}
+
+async function sendMeterValues() {
+    const now = Date.now();
+    const power = chargingPower();
+    state.energyWh += power * (now - state.lastMeter) / 3600000;
+    state.lastMeter = now;
+
+    await call('MeterValues', {
+        connectorId: 1,
+        transactionId: state.transactionId,
+        meterValue: [{
+            timestamp: new Date(now).toISOString(),
+            sampledValue: [
+                { measurand: 'Energy.Active.Import.Register', unit: 'Wh', value: state.energyWh.toFixed(0) },
+                { measurand: 'Power.Active.Import', unit: 'W', value: power.toFixed(0) },
+                ...['L1', 'L2', 'L3'].slice(0, state.phases).map(phase => (
+                    { measurand: 'Current.Import', unit: 'A', phase, value: (power / voltage / state.phases).toFixed(1) }
+                ))
+            ]
+        }]
+    });
+    console.log(`📈 ${power.toFixed(0)} W, ${(state.energyWh / 1000).toFixed(2)} kWh, limit ${state.limitA === null ? 'none' : state.limitA + ' A'}`);
+}
+
+async function startTransaction(idTag = 'TESTCAR') {
+    if (state.transactionId !== null) return false;
+    await call('StatusNotification', { connectorId: 1, errorCode: 'NoError', status: 'Preparing' });
+    const response = await call('StartTransaction', {
+        connectorId: 1,
+        idTag,
+        meterStart: Math.round(state.energyWh),
+        timestamp: new Date().toISOString()
+    });
+    if (response.idTagInfo.status !== 'Accepted') {
+        console.log(`⛔ Tag ${idTag} ${response.idTagInfo.status}`);
+        return false;
+    }
+    state.transactionId = response.transactionId;
+    state.lastMeter = Date.now();
+    await call('StatusNotification', { connectorId: 1, errorCode: 'NoError', status: 'Charging' });
+    console.log(`🚗 Transaction ${state.transactionId} started`);
+    return true;
+}
+
+async function stopTransaction(reason = 'Local') {
+    if (state.transactionId === null) return false;
+    await sendMeterValues();
+    const transactionId = state.transactionId;
+    state.transactionId = null;
+    await call('StopTransaction', {
+        transactionId,
+        meterStop: Math.round(state.energyWh),
+        timestamp: new Date().toISOString(),
+        reason
+    });
+    await call('StatusNotification', { connectorId: 1, errorCode: 'NoError', status: 'Finishing' });
+    console.log(`🏁 Transaction ${transactionId} stopped (${reason})`);
+    return true;
+}
+
+// Requests from the central system
+function handleCall(action, payload) {
+    switch (action) {
+        case 'SetChargingProfile': {
+            const period = payload.csChargingProfiles?.chargingSchedule?.chargingSchedulePeriod?.[0];
+            if (!period || payload.csChargingProfiles.chargingSchedule.chargingRateUnit !== 'A') {
+                return { status: 'Rejected' };
+            }
+            state.limitA = period.limit;
+            if (period.numberPhases) state.phases = period.numberPhases;
+            console.log(`⚙️  Charging profile: ${period.limit} A x ${state.phases}`);
+            return { status: 'Accepted' };
+        }
+        case 'RemoteStartTransaction':
+            setTimeout(() => startTransaction(payload.idTag).catch(console.error), 100);
+            return { status: state.transactionId === null ? 'Accepted' : 'Rejected' };
+        case 'RemoteStopTransaction':
+            if (payload.transactionId !== state.transactionId) return { status: 'Rejected' };
+            setTimeout(() => stopTransaction('Remote').catch(console.error), 100);
+            return { status: 'Accepted' };
+        default:
+            return null;
+    }
+}
+
+ws.on('message', (data) => {
+    const message = JSON.parse(data.toString());
+    const [type, messageId] = message;
+    if (type === 2) {
+        const result = handleCall(message[2], message[3]);
+        ws.send(JSON.stringify(result ?
+            [3, messageId, result] :
+            [4, messageId, 'NotImplemented', `${message[2]} is not supported by the test client`, {}]));
+        return;
+    }
+
+    const request = pending.get(messageId);
+    if (!request) return;
+    pending.delete(messageId);
+    if (type === 3) request.resolve(message[2]);
+    else request.reject(new Error(`${message[2]}: ${message[3]}`));
+});
+
+ws.on('open', async () => {
+    try {
+        console.log(`🔌 Connected to ${url}`);
+        const boot = await call('BootNotification', {
+            chargePointVendor: 'SolarAutopilot',
+            chargePointModel: 'Test client',
+            firmwareVersion: '1.0'
+        });
+        console.log(`✅ Boot ${boot.status}, heartbeat every ${boot.interval}s`);
+        await call('StatusNotification', { connectorId: 1, errorCode: 'NoError', status: 'Available' });
+
+        if (!('no-start' in args)) await startTransaction(args['id-tag']);
+        meterTimer = setInterval(() => sendMeterValues().catch(console.error), meterInterval);
+
+        if (duration > 0) {
+            setTimeout(shutdown, duration * 1000);
+        }
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+});
+
+ws.on('close', (code, reason) => {
+    console.log(`🔌 Connection closed (${code}${reason.length ? ` ${reason}` : ''})`);
+    process.exit(code === 1000 ? 0 : 1);
+});
+
+ws.on('error', (error) => {
+    console.error(`❌ ${error.message}`);
+});
+
+async function shutdown() {
+    clearInterval(meterTimer);
+    try {
+        await stopTransaction();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+    }
+    ws.close(1000);
+}
+
+process.on('SIGINT', shutdown);
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+// Run the virtual inverter simulator against any MQTT broker, without the add-on.
+// Usage: node scripts/simulator.js --host localhost --port 1883 --prefix solar_assistant --inverters 2
+// Home settings (PV, load, battery) are read from data/simulator_config.json.
+
+const simulatorService = require('../services/simulatorService');
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+const overrides = {};
+if (args.interval) overrides.publishInterval = parseFloat(args.interval);
+if (args['time-scale']) overrides.timeScale = parseFloat(args['time-scale']);
+if (args.seed) overrides.seed = parseInt(args.seed);
+if (args.type) overrides.inverterType = args.type;
+
+try {
+    // Command line overrides apply to this run only and are not saved
+    const config = simulatorService.mergeConfig(simulatorService.config, overrides);
+    simulatorService.validateConfig(config);
+    simulatorService.config = config;
+
+    simulatorService.initialize({
+        mqttConfig: {
+            host: args.host || 'localhost',
+            port: parseInt(args.port) || 1883,
+            username: args.username,
+            password: args.password
+        },
+        topicPrefix: args.prefix || 'solar_assistant',
+        inverterNumber: parseInt(args.inverters) || 1,
+        batteryNumber: parseInt(args.batteries) || 1,
+        enabled: true
+    });
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+process.on('SIGINT', () => {
+    // Keep the saved enabled flag so the add-on is not affected by a local run
+    simulatorService.stop(false);
+    process.exit(0);
+});
@@ -30,16 +30,40 @@ const notificationRoutes = require('./routes/notificationRoutes');
 const notificationService = require('./services/notificationService');
 const tibberService = require('./services/tibberService');
 const aiChargingEngine = require('./services/aiChargingEngine');
+const commandTracker = require('./services/commandTracker');
+const commandPolicy = require('./services/commandPolicy');
+const batteryProfileService = require('./services/batteryProfileService');
+const scheduleService = require('./services/scheduleService');
+const simulatorService = require('./services/simulatorService');
+const backtestService = require('./services/backtestService');
+const weatherService = require('./services/weatherService');
+const pvArrayService = require('./services/pvArrayService');
+const siteConfigService = require('./services/siteConfigService');
+const forecastAccuracyService = require('./services/forecastAccuracyService');
+const batteryDegradationService = require('./services/batteryDegradationService');
+const batteryHealthService = require('./services/batteryHealthService');
+const calendarService = require('./services/calendarService');
+const deferrableLoadService = require('./services/deferrableLoadService');
+const ocppService = require('./services/ocppService');
+const peakShavingService = require('./services/peakShavingService');
+const haDiscoveryService = require('./services/haDiscoveryService');
+const inverterDriverRegistry = require('./services/inverterDriverRegistry');
 const { sendAiChargingUpdate } = require('./services/aiChargingIntegration');
 const memoryMonitor = require('./utils/memoryMonitor');
 
 // Start memory monitoring
 memoryMonitor.start();
 
-// Create WebSocket server for frontend connections
-const wss = new WebSocket.Server({ port: socketPort });
+// Create WebSocket server for frontend connections, wallboxes connect on /ocpp/<id> (OCPP 1.6J)
+const wss = new WebSocket.Server({
+  port: socketPort,
+  handleProtocols: (protocols) => ocppService.selectProtocol(protocols)
+});
 
-wss.on('connection', (ws) => {
+wss.on('connection', (ws, req) => {
+  if (ocppService.isOcppRequest(req)) {
+    return ocppService.handleConnection(ws, req);
+  }
   console.log('WebSocket client connected');
   
   ws.on('message', (message) => {
@@ -179,6 +203,9 @@ if (!fs.existsSync(path.join(__dirname, 'data'))) {
 
 // Database removed - AI engine uses InfluxDB only
 
+// Every inverter write is checked against the site limits profile
+commandPolicy.initialize({ topicPrefix: mqttTopicPrefix, inverterNumber: inverterNumber })
+
 if (!fs.existsSync(SETTINGS_FILE)) {
   fs.writeFileSync(SETTINGS_FILE, JSON.stringify({
     apiKey: '',
@@ -311,6 +338,14 @@ const mqttConfig = {
   connectTimeout: 30000
 }
 
+// Home Assistant MQTT discovery (enabled unless turned off in the add-on options)
+const haDiscoveryConfig = {
+  enabled: options.ha_discovery !== false,
+  discoveryPrefix: options.ha_discovery_prefix || 'homeassistant',
+  baseTopic: 'solarautopilot',
+  inverterNumber: inverterNumber
+}
+
 // Connect to MQTT broker
 let mqttClient
 let incomingMessages = []
@@ -421,8 +456,22 @@ const currentSettingsState = {
 // Track previous state of settings to detect changes
 let previousSettings = {}
 
-// Track inverter types for each inverter
-const inverterTypes = {}
+// Per-inverter metrics from the inverter_N/<metric>/state topics, used for per-inverter AI decisions
+const inverterStates = {}
+
+const INVERTER_STATE_METRICS = {
+  pv_power: 'pv_power',
+  load_power: 'load',
+  grid_power: 'grid_power',
+  grid_voltage: 'grid_voltage',
+  battery_power: 'battery_power',
+  battery_voltage: 'battery_voltage',
+  battery_current: 'battery_current',
+  battery_state_of_charge: 'battery_soc'
+}
+
+// Track inverter types for each inverter, detection records are owned by the driver registry
+const inverterTypes = inverterDriverRegistry.getInverterTypes()
 
 // Dynamic pricing instance removed
 
@@ -434,107 +483,85 @@ global.inverterTypes = inverterTypes;
 
 // ================ INVERTER TYPE DETECTION ================
 
-// Function to detect inverter type based on received MQTT messages
+// Detect the inverter family from received MQTT messages using the driver fingerprints
 function detectInverterType(inverterId, specificTopic, messageContent) {
-  // Initialize inverter type if not exists
-  if (!inverterTypes[inverterId]) {
-    inverterTypes[inverterId] = {
-      type: 'unknown',
-      hasLegacySettings: false,
-      hasNewSettings: false,
-      detectionConfidence: 0
-    };
-  }
-  
-  const inverterData = inverterTypes[inverterId];
-  
-  // Check for legacy settings
-  if (specificTopic.includes('/energy_pattern/') || specificTopic.includes('/grid_charge/')) {
-    inverterData.hasLegacySettings = true;
-    inverterData.detectionConfidence += 10;
-  }
-  
-  // Check for new settings
-  if (specificTopic.includes('/charger_source_priority/') || specificTopic.includes('/output_source_priority/')) {
-    inverterData.hasNewSettings = true;
-    inverterData.detectionConfidence += 10;
-  }
-  
-  // Determine type based on detection
-  if (inverterData.hasLegacySettings && !inverterData.hasNewSettings && inverterData.detectionConfidence >= 10) {
-    inverterData.type = 'legacy';
-  } else if (inverterData.hasNewSettings && !inverterData.hasLegacySettings && inverterData.detectionConfidence >= 10) {
-    inverterData.type = 'new';
-  } else if (inverterData.hasLegacySettings && inverterData.hasNewSettings) {
-    inverterData.type = 'hybrid';
-  }
-  
-  return inverterData.type;
+  return inverterDriverRegistry.detect(inverterId, specificTopic);
 }
 
 // Function to get inverter type
 function getInverterType(inverterId) {
-  return inverterTypes[inverterId]?.type || 'unknown';
-}
-
-// ================ SETTING MAPPING FUNCTIONS ================
-
-// Map legacy energy_pattern to new output_source_priority
-function mapEnergyPatternToOutputSourcePriority(energyPattern) {
-  switch (energyPattern) {
-    case 'Battery first':
-      return 'Solar/Battery/Utility';
-    case 'Load first':
-      return 'Solar first';
-    case 'Grid first':
-      return 'Utility first';
-    case 'Solar first':
-      return 'Solar first';
-    default:
-      return 'Solar/Battery/Utility';
-  }
+  return inverterDriverRegistry.getType(inverterId);
 }
 
-// Map new output_source_priority to legacy energy_pattern
-function mapOutputSourcePriorityToEnergyPattern(outputPriority) {
-  switch (outputPriority) {
-    case 'Solar/Battery/Utility':
-      return 'Battery first';
-    case 'Solar first':
-      return 'Solar first';
-    case 'Utility first':
-      return 'Grid first';
-    case 'Solar/Utility/Battery':
-      return 'Load first';
-    default:
-      return 'Battery first';
-  }
-}
+// Manual and scheduled setting changes share one publish path:
+// inverter type mapping, command policy check and MQTT publish
+const WORK_MODE_SETTINGS = [
+  'remote_switch',
+  'generator_charge',
+  'force_generator_on',
+  'output_shutdown_voltage',
+  'stop_battery_discharge_voltage',
+  'start_battery_discharge_voltage',
+  'start_grid_charge_voltage',
+  'work_mode',
+  'solar_export_when_battery_full',
+  'max_sell_power',
+  'max_solar_power',
+  'grid_trickle_feed',
+  // New inverter settings
+  'charger_source_priority',
+  'output_source_priority',
+  // Legacy settings
+  'energy_pattern',
+  'grid_charge'
+];
 
-// Map legacy grid_charge to new charger_source_priority
-function mapGridChargeToChargerSourcePriority(gridCharge) {
-  switch (gridCharge) {
-    case 'Enabled':
-      return 'Solar and utility simultaneously';
-    case 'Disabled':
-      return 'Solar first';
-    default:
-      return 'Solar first';
-  }
-}
+const BATTERY_CHARGING_SETTINGS = [
+  'max_discharge_current',
+  'max_charge_current',
+  'max_grid_charge_current',
+  'max_generator_charge_current',
+  'battery_float_charge_voltage',
+  'battery_absorption_charge_voltage',
+  'battery_equalization_charge_voltage'
+];
 
-// Map new charger_source_priority to legacy grid_charge
-function mapChargerSourcePriorityToGridCharge(chargerPriority) {
-  switch (chargerPriority) {
-    case 'Utility first':
-    case 'Solar and utility simultaneously':
-      return 'Enabled';
-    case 'Solar first':
-    case 'Solar only':
-      return 'Disabled';
-    default:
-      return 'Disabled';
-  }
+function publishInverterSetting(inverter, setting, value, source) {
+  return new Promise(resolve => {
+    if (!mqttClient || !mqttClient.connected) {
+      return resolve({ success: false, status: 503, error: 'MQTT client not connected' });
+    }
+    
+    // Validate the requested value before mapping, mapping falls back to defaults for unknown values
+    const requestedTopic = `${mqttTopicPrefix}/${inverter}/${setting}/set`;
+    const requested = commandPolicy.validate(requestedTopic, value);
+    if (!requested.allowed) {
+      commandPolicy.reject(requestedTopic, value, source, requested);
+      return resolve({ success: false, status: 400, error: requested.reason, rule: requested.rule });
+    }
+    
+    // Translate into the inverter's own setting when its driver maps it
+    const command = inverterDriverRegistry.resolveCommand(inverter, setting, value);
+    const topic = `${mqttTopicPrefix}/${inverter}/${command.setting}/set`;
+    const mqttValue = command.value;
+    if (command.mapped) {
+      console.log(`${source}: Mapping ${setting} "${value}" to ${command.setting} "${mqttValue}" for ${inverter} (driver: ${command.driver})`);
+    }
+    
+    const verdict = commandPolicy.check(topic, mqttValue, source);
+    if (!verdict.allowed) {
+      return resolve({ success: false, status: verdict.rule === 'rate_limit' ? 429 : 400, error: verdict.reason, rule: verdict.rule });
+    }
+    
+    mqttClient.publish(topic, mqttValue.toString(), { qos: 1, retain: false }, (err) => {
+      if (err) {
+        console.error(`Error publishing to ${topic}: ${err.message}`);
+        return resolve({ success: false, status: 500, error: err.message });
+      }
+      
+      resolve({ success: true, topic: topic, value: mqttValue, mapped: command.mapped });
+    });
+  });
 }
 
 // Initialize AI engine after MQTT connection
@@ -561,7 +588,9 @@ function initializeAIEngine() {
     const aiConfig = {
       inverterNumber: inverterNumber,
       mqttTopicPrefix: mqttTopicPrefix,
-      inverterTypes: inverterTypes
+      inverterTypes: inverterTypes,
+      inverterStates: inverterStates,
+      settingsState: currentSettingsState
     };
     
     aiChargingEngine.initialize(mqttClient, currentSystemState, aiConfig);
@@ -570,8 +599,10 @@ function initializeAIEngine() {
     console.log(`   • Inverters: ${inverterNumber}`);
     console.log(`   • MQTT Prefix: ${mqttTopicPrefix}`);
     
-    // Auto-start if Tibber is configured
-    if (tibberService.config.enabled && 
+    // Auto-start if Tibber is configured, unless the user switched the engine off
+    if (aiChargingEngine.engineConfig.enabled === false) {
+      console.log('⏸️  AI Charging Engine was switched off by the user - not auto-starting');
+    } else if (tibberService.config.enabled && 
         tibberService.config.apiKey && 
         tibberService.config.homeId) {
       console.log('🔋 Auto-starting AI Charging Engine...');
@@ -919,13 +950,15 @@ async function handleMqttMessage(topic, message) {
     currentSettingsState.charger_source_priority[inverterId].lastUpdated = new Date();
     
     // Also update equivalent legacy grid_charge value for compatibility
-    const equivalentGridCharge = mapChargerSourcePriorityToGridCharge(messageContent);
-    if (!currentSettingsState.grid_charge[inverterId]) {
-      currentSettingsState.grid_charge[inverterId] = {};
+    const equivalentGridCharge = inverterDriverRegistry.translateValue('charger_source_priority', messageContent);
+    if (equivalentGridCharge) {
+      if (!currentSettingsState.grid_charge[inverterId]) {
+        currentSettingsState.grid_charge[inverterId] = {};
+      }
+      currentSettingsState.grid_charge[inverterId].value = equivalentGridCharge.value;
+      currentSettingsState.grid_charge[inverterId].lastUpdated = new Date();
+      currentSettingsState.grid_charge[inverterId].mappedFrom = 'charger_source_priority';
     }
-    currentSettingsState.grid_charge[inverterId].value = equivalentGridCharge;
-    currentSettingsState.grid_charge[inverterId].lastUpdated = new Date();
-    currentSettingsState.grid_charge[inverterId].mappedFrom = 'charger_source_priority';
   }
   
   // Handle NEW output_source_priority settings
@@ -937,13 +970,15 @@ async function handleMqttMessage(topic, message) {
     currentSettingsState.output_source_priority[inverterId].lastUpdated = new Date();
     
     // Also update equivalent legacy energy_pattern value for compatibility
-    const equivalentEnergyPattern = mapOutputSourcePriorityToEnergyPattern(messageContent);
-    if (!currentSettingsState.energy_pattern[inverterId]) {
-      currentSettingsState.energy_pattern[inverterId] = {};
+    const equivalentEnergyPattern = inverterDriverRegistry.translateValue('output_source_priority', messageContent);
+    if (equivalentEnergyPattern) {
+      if (!currentSettingsState.energy_pattern[inverterId]) {
+        currentSettingsState.energy_pattern[inverterId] = {};
+      }
+      currentSettingsState.energy_pattern[inverterId].value = equivalentEnergyPattern.value;
+      currentSettingsState.energy_pattern[inverterId].lastUpdated = new Date();
+      currentSettingsState.energy_pattern[inverterId].mappedFrom = 'output_source_priority';
     }
-    currentSettingsState.energy_pattern[inverterId].value = equivalentEnergyPattern;
-    currentSettingsState.energy_pattern[inverterId].lastUpdated = new Date();
-    currentSettingsState.energy_pattern[inverterId].mappedFrom = 'output_source_priority';
   }
   
   // Handle voltage point settings
@@ -1117,6 +1152,25 @@ async function handleMqttMessage(topic, message) {
 
   currentSettingsState.lastUpdated = new Date();
 
+  // Confirm pending commands only from state topics, never from our own /set echoes
+  const settingStateMatch = specificTopic.match(/inverter_\d+\/([^/]+)\/state$/);
+  if (settingStateMatch) {
+    commandTracker.handleStateUpdate(inverterId, settingStateMatch[1]);
+  }
+
+  // Track per-inverter metrics for per-inverter AI decisions
+  const inverterMetricMatch = specificTopic.match(/^inverter_\d+\/([^/]+)\/state$/);
+  if (inverterMetricMatch && INVERTER_STATE_METRICS[inverterMetricMatch[1]]) {
+    const metricValue = parseFloat(messageContent);
+    if (!isNaN(metricValue)) {
+      if (!inverterStates[inverterId]) {
+        inverterStates[inverterId] = {};
+      }
+      inverterStates[inverterId][INVERTER_STATE_METRICS[inverterMetricMatch[1]]] = metricValue;
+      inverterStates[inverterId].lastUpdated = new Date();
+    }
+  }
+
   // Update system state for key metrics with enhanced tracking
   if (specificTopic.includes('total/battery_state_of_charge')) {
     currentSystemState.battery_soc = parseFloat(messageContent);
@@ -1153,6 +1207,8 @@ async function handleMqttMessage(topic, message) {
     currentSystemState.grid_voltage = parseFloat(messageContent);
   } else if (specificTopic.includes('total/grid_power')) {
     currentSystemState.grid_power = parseFloat(messageContent);
+    // Peak shaving reacts to each reading, not to the evaluation interval
+    peakShavingService.onGridPower(currentSystemState);
   } else if (specificTopic.includes('total/battery_power')) {
     currentSystemState.battery_power = parseFloat(messageContent);
   } else if (specificTopic.includes('total/bus_voltage')) {
@@ -1503,23 +1559,23 @@ function generateCategoryOptions(inverterNumber, batteryNumber) {
 
 // ================ TIME ZONE ================
 
-const timezonePath = path.join(__dirname, 'timezone.json')
+// The site config owns the timezone (and keeps timezone.json in sync)
+let currentTimezone = siteConfigService.getTimezone()
 
-function getCurrentTimezone() {
+// Push the site location and timezone to everything that depends on them
+function applySiteConfig() {
+  const site = siteConfigService.config
+  currentTimezone = site.timezone
+  scheduleService.setTimezone(site.timezone)
+  aiChargingEngine.applySite()
   try {
-    const data = fs.readFileSync(timezonePath, 'utf8')
-    return JSON.parse(data).timezone
+    weatherService.setLocation(site.latitude, site.longitude)
   } catch (error) {
-    return 'Europe/Berlin'
+    console.error('Error updating weather location:', error.message)
   }
+  return site
 }
 
-function setCurrentTimezone(timezone) {
-  fs.writeFileSync(timezonePath, JSON.stringify({ timezone }))
-}
-
-let currentTimezone = getCurrentTimezone()
-
 function getSelectedZone(req) {
     if (req.query.zone) {
       return req.query.zone;
@@ -2135,8 +2191,8 @@ app.get('/subscription-required', (req, res) => {
       fs.writeFileSync(SETTINGS_FILE, JSON.stringify(settings, null, 2));
   
       if (timezone) {
-        currentTimezone = timezone;
-        setCurrentTimezone(timezone);
+        siteConfigService.update({ timezone });
+        applySiteConfig();
       }
   
       res.json({
@@ -2179,8 +2235,8 @@ app.get('/subscription-required', (req, res) => {
     app.post('/api/timezone', (req, res) => {
       const { timezone } = req.body
       if (moment.tz.zone(timezone)) {
-        currentTimezone = timezone
-        setCurrentTimezone(timezone)
+        siteConfigService.update({ timezone })
+        applySiteConfig()
         res.json({ success: true, timezone: currentTimezone })
       } else {
         res.status(400).json({ error: 'Invalid timezone' })
@@ -2188,6 +2244,24 @@ app.get('/subscription-required', (req, res) => {
     })
     
     
+  app.get('/schedules', (req, res) => {
+    res.render('schedules', {
+      ingress_path: process.env.INGRESS_PATH || '',
+      inverterNumber: inverterNumber,
+      workModeSettings: WORK_MODE_SETTINGS,
+      batteryChargingSettings: BATTERY_CHARGING_SETTINGS,
+      timezone: currentTimezone
+    })
+  })
+
+  app.get('/backtest', (req, res) => {
+    res.render('backtest', {
+      ingress_path: process.env.INGRESS_PATH || '',
+      strategies: backtestService.getStrategies(),
+      timezone: currentTimezone
+    })
+  })
+
   app.get('/messages', (req, res) => {
     res.render('messages', {
       ingress_path: process.env.INGRESS_PATH || '',
@@ -2360,6 +2434,7 @@ app.get('/subscription-required', (req, res) => {
       if (aiDecisions && aiDecisions.length > 0) {
         // We have real AI decisions
         const decisions = aiDecisions.map(decision => ({
+          id: decision.id,
           timestamp: new Date(decision.timestamp),
           action: decision.decision,
           reason: Array.isArray(decision.reasons) ? decision.reasons.join(', ') : decision.reasons,
@@ -2369,7 +2444,9 @@ app.get('/subscription-required', (req, res) => {
           pvPower: decision.systemState?.pv_power,
           gridPower: decision.systemState?.grid_power,
           currentPrice: decision.tibberData?.currentPrice,
-          priceLevel: decision.tibberData?.priceLevel
+          priceLevel: decision.tibberData?.priceLevel,
+          mode: decision.mode,
+          wouldSend: decision.wouldSend
         }));
         
         return res.json({
@@ -2394,6 +2471,44 @@ app.get('/subscription-required', (req, res) => {
     }
   });
 
+  // Decision records between from and to (default: the last 24 hours) for the timeline
+  app.get('/api/ai/decisions/timeline', async (req, res) => {
+    try {
+      const to = req.query.to ? new Date(req.query.to) : new Date();
+      const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+      if (isNaN(from) || isNaN(to) || from >= to) {
+        return res.status(400).json({ success: false, error: 'from and to must be dates with from before to' });
+      }
+      if (to - from > 7 * 24 * 60 * 60 * 1000) {
+        return res.status(400).json({ success: false, error: 'The timeline range is limited to 7 days' });
+      }
+      
+      const decisions = await aiChargingEngine.getDecisionTimeline(from, to);
+      res.json({ success: true, from: from.toISOString(), to: to.toISOString(), decisions });
+    } catch (error) {
+      console.error('Error getting AI decision timeline:', error);
+      res.status(500).json({ success: false, error: 'Failed to get AI decision timeline' });
+    }
+  });
+
+  // Why a decision was made: inputs, scored candidates, chosen action, commands and outcome
+  app.get('/api/ai/decisions/:id', async (req, res) => {
+    try {
+      if (!/^\d+$/.test(req.params.id)) {
+        return res.status(400).json({ success: false, error: 'Invalid decision id' });
+      }
+      
+      const record = await aiChargingEngine.getDecisionRecord(req.params.id);
+      if (!record) {
+        return res.status(404).json({ success: false, error: 'Decision not found' });
+      }
+      res.json({ success: true, decision: record });
+    } catch (error) {
+      console.error('Error getting AI decision record:', error);
+      res.status(500).json({ success: false, error: 'Failed to get AI decision record' });
+    }
+  });
+
   app.get('/api/ai/predictions', (req, res) => {
     try {
       res.json({
@@ -2406,19 +2521,35 @@ app.get('/subscription-required', (req, res) => {
     }
   });
 
-  // Add missing AI performance endpoint
+  // Latest solar and load forecast, load hours carry their holiday/absence features
+  app.get('/api/ai/forecast', (req, res) => {
+    const prediction = aiChargingEngine.aiSystem?.lastPrediction;
+    if (!prediction) {
+      return res.json({ success: true, forecast: null });
+    }
+    res.json({
+      success: true,
+      forecast: {
+        timestamp: prediction.timestamp,
+        confidence: prediction.confidence,
+        modelVersion: aiChargingEngine.aiSystem.getModelVersion(),
+        solar: prediction.solar,
+        load: prediction.load
+      },
+      calendar: {
+        country: calendarService.getCountry(),
+        vacation: calendarService.getVacationStatus()
+      }
+    });
+  });
+
+  // Forecast accuracy (MAE, MAPE, bias) per horizon, month and model version
   app.get('/api/ai/performance', (req, res) => {
     try {
-      const metrics = {
-        costSavings: 0,
-        efficiencyScore: 0,
-        totalDecisions: 0,
-        successRate: 0
-      };
-      
+      const months = parseInt(req.query.months) || 12;
       res.json({
         success: true,
-        metrics: metrics
+        ...forecastAccuracyService.getPerformance(months)
       });
     } catch (error) {
       console.error('Error getting AI performance:', error);
@@ -2426,6 +2557,16 @@ app.get('/subscription-required', (req, res) => {
     }
   });
 
+  // Scores the hours that passed since the last run without waiting for the hourly job
+  app.post('/api/ai/performance/score', async (req, res) => {
+    try {
+      const scored = await forecastAccuracyService.score();
+      res.json({ success: true, scored: scored || 0, ...forecastAccuracyService.getPerformance() });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
   // Get real commands from InfluxDB
   app.get('/api/ai/commands', async (req, res) => {
     try {
@@ -2437,13 +2578,28 @@ app.get('/subscription-required', (req, res) => {
       
       if (aiCommands && aiCommands.length > 0) {
         // We have real AI commands
+        const verificationLabels = {
+          confirmed: 'Confirmed by inverter',
+          retried: 'Confirmed after retry',
+          failed: 'Not applied by inverter',
+          superseded: 'Replaced by newer command',
+          unverified: 'Sent (no state feedback)',
+          rejected: 'Retry rejected by command policy',
+          sent: 'Command sent'
+        };
+        
         const commands = aiCommands.map(command => ({
           timestamp: new Date(command.timestamp),
           type: `AI Command`,
           topic: command.topic,
           value: command.value,
-          status: command.success ? 'success' : 'failed',
-          response: command.success ? 'Command executed successfully' : 'Command failed'
+          verification: command.status,
+          attempts: command.attempts,
+          status: command.status === 'failed' || !command.success ? 'failed' :
+                  (command.status === 'superseded' || command.status === 'unverified') ? 'pending' : 'success',
+          response: command.attempts > 1 ?
+            `${verificationLabels[command.status] || command.status} (${command.attempts} attempts)` :
+            (verificationLabels[command.status] || command.status)
         }));
         
         return res.json({
@@ -2498,6 +2654,138 @@ app.get('/subscription-required', (req, res) => {
     }
   });
 
+  // Shadow-mode decisions compared against the reported inverter state
+  app.get('/api/ai/shadow', async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit) || 50;
+      const influxAIService = require('./services/influxAIService');
+      
+      res.json({
+        success: true,
+        report: aiChargingEngine.getShadowReport(limit),
+        commands: await influxAIService.getShadowCommandHistory(limit)
+      });
+    } catch (error) {
+      console.error('Error getting shadow mode report:', error);
+      res.status(500).json({ success: false, error: 'Failed to get shadow mode report' });
+    }
+  });
+
+  // Charge plan over the forecast horizon, re-planned on every AI evaluation
+  app.get('/api/ai/plan', (req, res) => {
+    res.json({ success: true, ...aiChargingEngine.getPlan() });
+  });
+
+  app.post('/api/ai/plan', (req, res) => {
+    if (typeof req.body?.enabled !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'enabled must be true or false' });
+    }
+    aiChargingEngine.setPlannerEnabled(req.body.enabled);
+    res.json({ success: true, ...aiChargingEngine.getPlan() });
+  });
+
+  // Selling battery energy at price peaks: tariff, reserve SOC, sell power and margin
+  app.get('/api/ai/export', (req, res) => {
+    res.json({ success: true, ...aiChargingEngine.getExportStatus() });
+  });
+
+  app.post('/api/ai/export', (req, res) => {
+    try {
+      aiChargingEngine.setExportSettings(req.body || {});
+      res.json({ success: true, ...aiChargingEngine.getExportStatus() });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Saved AI model snapshots, newest first
+  app.get('/api/ai/models/snapshots', (req, res) => {
+    try {
+      res.json({ success: true, ...aiChargingEngine.getModelSnapshots() });
+    } catch (error) {
+      console.error('Error listing AI model snapshots:', error);
+      res.status(500).json({ success: false, error: 'Failed to list AI model snapshots' });
+    }
+  });
+
+  app.post('/api/ai/models/snapshots', (req, res) => {
+    try {
+      res.json({ success: true, snapshot: aiChargingEngine.saveModelSnapshot() });
+    } catch (error) {
+      console.error('Error saving AI model snapshot:', error);
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/ai/models/snapshots/:version/rollback', (req, res) => {
+    const version = parseInt(req.params.version);
+    if (!(version > 0)) {
+      return res.status(400).json({ success: false, error: 'Invalid snapshot version' });
+    }
+    try {
+      res.json({ success: true, snapshot: aiChargingEngine.rollbackModelSnapshot(version) });
+    } catch (error) {
+      console.error('Error rolling back AI models:', error);
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Per-inverter AI control settings and latest per-inverter decisions
+  app.get('/api/ai/inverters', async (req, res) => {
+    try {
+      const influxAIService = require('./services/influxAIService');
+      const status = aiChargingEngine.getStatus();
+      
+      res.json({
+        success: true,
+        strategies: status.inverterStrategies,
+        inverters: status.inverters,
+        history: await influxAIService.getInverterDecisionHistory(req.query.inverter || null, parseInt(req.query.limit) || 20)
+      });
+    } catch (error) {
+      console.error('Error getting inverter AI settings:', error);
+      res.status(500).json({ success: false, error: 'Failed to get inverter AI settings' });
+    }
+  });
+
+  app.post('/api/ai/inverters/:inverterId', (req, res) => {
+    try {
+      const { inverterId } = req.params;
+      const inverterIndex = parseInt(inverterId.replace('inverter_', ''));
+      
+      if (!/^inverter_\d+$/.test(inverterId) || inverterIndex < 1 || inverterIndex > inverterNumber) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid inverter. Must be inverter_1 to inverter_${inverterNumber}`
+        });
+      }
+      
+      const settings = aiChargingEngine.setInverterSettings(inverterId, {
+        enabled: req.body.enabled,
+        strategy: req.body.strategy,
+        targetSoC: req.body.targetSoC
+      });
+      
+      res.json({
+        success: true,
+        inverterId,
+        settings,
+        message: `AI settings updated for ${inverterId}`
+      });
+    } catch (error) {
+      console.error('Error updating inverter AI settings:', error);
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Optional { shadowMode: true|false } on start/toggle requests
+  function parseShadowModeOption(body) {
+    if (!body) return undefined;
+    const value = body.shadowMode !== undefined ? body.shadowMode : body.shadow;
+    if (value === undefined) return undefined;
+    return value === true || value === 'true';
+  }
+
   // AI Engine Control Endpoints
   app.post('/api/ai/start', async (req, res) => {
     try {
@@ -2505,7 +2793,7 @@ app.get('/subscription-required', (req, res) => {
         return res.status(500).json({ error: 'AI Charging Engine not available' });
       }
       
-      const result = await aiChargingEngine.start();
+      const result = await aiChargingEngine.setEnabled(true, { shadowMode: parseShadowModeOption(req.body) });
       
       res.json({
         success: true,
@@ -2518,13 +2806,13 @@ app.get('/subscription-required', (req, res) => {
     }
   });
 
-  app.post('/api/ai/stop', (req, res) => {
+  app.post('/api/ai/stop', async (req, res) => {
     try {
       if (!aiChargingEngine) {
         return res.status(500).json({ error: 'AI Charging Engine not available' });
       }
       
-      const result = aiChargingEngine.stop();
+      const result = await aiChargingEngine.setEnabled(false);
       
       res.json({
         success: true,
@@ -2550,9 +2838,9 @@ app.get('/subscription-required', (req, res) => {
       let result;
       
       if (currentStatus.enabled) {
-        result = aiChargingEngine.stop();
+        result = await aiChargingEngine.setEnabled(false);
       } else {
-        result = await aiChargingEngine.start();
+        result = await aiChargingEngine.setEnabled(true, { shadowMode: parseShadowModeOption(req.body) });
       }
       
       const newStatus = aiChargingEngine.getStatus();
@@ -2561,7 +2849,8 @@ app.get('/subscription-required', (req, res) => {
         success: true,
         message: result?.message || `AI Charging Engine ${newStatus.enabled ? 'started' : 'stopped'} successfully`,
         status: newStatus,
-        enabled: newStatus.enabled
+        enabled: newStatus.enabled,
+        shadowMode: newStatus.shadowMode
       });
     } catch (error) {
       console.error('Error toggling AI engine:', error);
@@ -3202,18 +3491,8 @@ app.get('/subscription-required', (req, res) => {
         return res.status(503).json({ error: 'MQTT client not connected' });
       }
       
-      const allowedSettings = [
-        'max_discharge_current',
-        'max_charge_current',
-        'max_grid_charge_current',
-        'max_generator_charge_current',
-        'battery_float_charge_voltage',
-        'battery_absorption_charge_voltage',
-        'battery_equalization_charge_voltage'
-      ];
-      
-      if (!allowedSettings.includes(setting)) {
-        return res.status(400).json({ error: `Invalid setting: ${setting}. Allowed settings are: ${allowedSettings.join(', ')}` });
+      if (!BATTERY_CHARGING_SETTINGS.includes(setting)) {
+        return res.status(400).json({ error: `Invalid setting: ${setting}. Allowed settings are: ${BATTERY_CHARGING_SETTINGS.join(', ')}` });
       }
       
       const inverterID = inverter.replace('inverter_', '');
@@ -3221,43 +3500,14 @@ app.get('/subscription-required', (req, res) => {
         return res.status(400).json({ error: `Invalid inverter ID. Valid values: 1-${inverterNumber}` });
       }
       
-      let isValid = true;
-      let validationError = '';
-      
-      switch (setting) {
-        case 'max_discharge_current':
-        case 'max_charge_current':
-        case 'max_grid_charge_current':
-        case 'max_generator_charge_current':
-          if (parseFloat(value) < 0 || parseFloat(value) > 100) {
-            isValid = false;
-            validationError = `${setting} must be between 0 and 100 A`;
-          }
-          break;
-        case 'battery_float_charge_voltage':
-        case 'battery_absorption_charge_voltage':
-        case 'battery_equalization_charge_voltage':
-          if (parseFloat(value) < 40 || parseFloat(value) > 60) {
-            isValid = false;
-            validationError = `${setting} must be between 40 and 60 V`;
-          }
-          break;
-      }
-      
-      if (!isValid) {
-        return res.status(400).json({ error: validationError });
-      }
-      
-      const topic = `${mqttTopicPrefix}/${inverter}/${setting}/set`;
-      
-      mqttClient.publish(topic, value.toString(), { qos: 1, retain: false }, (err) => {
-        if (err) {
-          console.error(`Error publishing to ${topic}: ${err.message}`);
-          return res.status(500).json({ error: err.message });
+      // Limits come from the battery profile via the command policy
+      publishInverterSetting(inverter, setting, value, 'API_BATTERY_CHARGING').then(result => {
+        if (!result.success) {
+          return res.status(result.status).json({ error: result.error, rule: result.rule });
         }
         
-        console.log(`Battery Charging command sent: ${topic} = ${value}`);
-        res.json({ success: true, message: `Command sent: ${topic} = ${value}` });
+        console.log(`Battery Charging command sent: ${result.topic} = ${result.value}`);
+        res.json({ success: true, message: `Command sent: ${result.topic} = ${result.value}` });
       });
     } catch (error) {
       console.error('Error sending battery charging command:', error);
@@ -3281,29 +3531,8 @@ app.get('/subscription-required', (req, res) => {
       }
       
       // Enhanced allowed settings including new inverter types
-      const allowedSettings = [
-        'remote_switch',
-        'generator_charge',
-        'force_generator_on',
-        'output_shutdown_voltage',
-        'stop_battery_discharge_voltage',
-        'start_battery_discharge_voltage',
-        'start_grid_charge_voltage',
-        'work_mode',
-        'solar_export_when_battery_full',
-        'max_sell_power',
-        'max_solar_power',
-        'grid_trickle_feed',
-        // New inverter settings
-        'charger_source_priority',
-        'output_source_priority',
-        // Legacy settings
-        'energy_pattern',
-        'grid_charge'
-      ];
-      
-      if (!allowedSettings.includes(setting)) {
-        return res.status(400).json({ error: `Invalid setting: ${setting}. Allowed settings are: ${allowedSettings.join(', ')}` });
+      if (!WORK_MODE_SETTINGS.includes(setting)) {
+        return res.status(400).json({ error: `Invalid setting: ${setting}. Allowed settings are: ${WORK_MODE_SETTINGS.join(', ')}` });
       }
       
       const inverterID = inverter.replace('inverter_', '');
@@ -3311,136 +3540,13 @@ app.get('/subscription-required', (req, res) => {
         return res.status(400).json({ error: `Invalid inverter ID. Valid values: 1-${inverterNumber}` });
       }
       
-      let isValid = true;
-      let validationError = '';
-      
-      // Enhanced validation for new inverter settings
-      switch (setting) {
-        case 'remote_switch':
-        case 'generator_charge':
-        case 'force_generator_on':
-        case 'solar_export_when_battery_full':
-        case 'grid_charge':
-          if (value !== 'Enabled' && value !== 'Disabled' && value !== 'true' && value !== 'false' && value !== '1' && value !== '0') {
-            isValid = false;
-            validationError = `${setting} must be one of: Enabled, Disabled, true, false, 1, 0`;
-          }
-          break;
-        case 'work_mode':
-          const validWorkModes = ['Battery first', 'Grid first', 'Solar first', 'Solar + Battery', 'Solar + Grid'];
-          if (!validWorkModes.includes(value)) {
-            isValid = false;
-            validationError = `${setting} must be one of: ${validWorkModes.join(', ')}`;
-          }
-          break;
-        case 'energy_pattern':
-          const validEnergyPatterns = ['Battery first', 'Load first', 'Grid first', 'Solar first'];
-          if (!validEnergyPatterns.includes(value)) {
-            isValid = false;
-            validationError = `${setting} must be one of: ${validEnergyPatterns.join(', ')}`;
-          }
-          break;
-        case 'charger_source_priority':
-          const validChargerPriorities = ['Solar first', 'Solar and utility simultaneously', 'Solar only', 'Utility first'];
-          if (!validChargerPriorities.includes(value)) {
-            isValid = false;
-            validationError = `${setting} must be one of: ${validChargerPriorities.join(', ')}`;
-          }
-          break;
-        case 'output_source_priority':
-          const validOutputPriorities = ['Solar/Battery/Utility', 'Solar first', 'Utility first', 'Solar/Utility/Battery'];
-          if (!validOutputPriorities.includes(value)) {
-            isValid = false;
-            validationError = `${setting} must be one of: ${validOutputPriorities.join(', ')}`;
-          }
-          break;
-        case 'output_shutdown_voltage':
-        case 'stop_battery_discharge_voltage':
-        case 'start_battery_discharge_voltage':
-        case 'start_grid_charge_voltage':
-          if (parseFloat(value) < 40 || parseFloat(value) > 60) {
-            isValid = false;
-            validationError = `${setting} must be between 40 and 60 V`;
-          }
-          break;
-        case 'max_sell_power':
-        case 'max_solar_power':
-          if (parseFloat(value) < 0 || parseFloat(value) > 15000) {
-            isValid = false;
-            validationError = `${setting} must be between 0 and 15000 W`;
-          }
-          break;
-        case 'grid_trickle_feed':
-          if (parseFloat(value) < 0 || parseFloat(value) > 100) {
-            isValid = false;
-            validationError = `${setting} must be between 0 and 100`;
-          }
-          break;
-      }
-      
-      if (!isValid) {
-        return res.status(400).json({ error: validationError });
-      }
-      
-      // Get inverter type and apply auto-mapping if needed
-      const inverterType = getInverterType(inverter);
-      let topic, mqttValue;
-      
-      // Apply intelligent mapping based on inverter type
-      if (setting === 'energy_pattern') {
-        if (inverterType === 'new' || inverterType === 'hybrid') {
-          const mappedValue = mapEnergyPatternToOutputSourcePriority(value);
-          topic = `${mqttTopicPrefix}/${inverter}/output_source_priority/set`;
-          mqttValue = mappedValue;
-          console.log(`API: Mapping energy_pattern "${value}" to output_source_priority "${mappedValue}" for ${inverter} (type: ${inverterType})`);
-        } else {
-          topic = `${mqttTopicPrefix}/${inverter}/energy_pattern/set`;
-          mqttValue = value;
-        }
-      } else if (setting === 'grid_charge') {
-        if (inverterType === 'new' || inverterType === 'hybrid') {
-          const mappedValue = mapGridChargeToChargerSourcePriority(value);
-          topic = `${mqttTopicPrefix}/${inverter}/charger_source_priority/set`;
-          mqttValue = mappedValue;
-          console.log(`API: Mapping grid_charge "${value}" to charger_source_priority "${mappedValue}" for ${inverter} (type: ${inverterType})`);
-        } else {
-          topic = `${mqttTopicPrefix}/${inverter}/grid_charge/set`;
-          mqttValue = value;
-        }
-      } else if (setting === 'charger_source_priority') {
-        if (inverterType === 'legacy') {
-          const mappedValue = mapChargerSourcePriorityToGridCharge(value);
-          topic = `${mqttTopicPrefix}/${inverter}/grid_charge/set`;
-          mqttValue = mappedValue;
-          console.log(`API: Mapping charger_source_priority "${value}" to grid_charge "${mappedValue}" for ${inverter} (type: ${inverterType})`);
-        } else {
-          topic = `${mqttTopicPrefix}/${inverter}/charger_source_priority/set`;
-          mqttValue = value;
-        }
-      } else if (setting === 'output_source_priority') {
-        if (inverterType === 'legacy') {
-          const mappedValue = mapOutputSourcePriorityToEnergyPattern(value);
-          topic = `${mqttTopicPrefix}/${inverter}/energy_pattern/set`;
-          mqttValue = mappedValue;
-          console.log(`API: Mapping output_source_priority "${value}" to energy_pattern "${mappedValue}" for ${inverter} (type: ${inverterType})`);
-        } else {
-          topic = `${mqttTopicPrefix}/${inverter}/output_source_priority/set`;
-          mqttValue = value;
-        }
-      } else {
-        // All other settings work the same for both inverter types
-        topic = `${mqttTopicPrefix}/${inverter}/${setting}/set`;
-        mqttValue = value;
-      }
-      
-      mqttClient.publish(topic, mqttValue.toString(), { qos: 1, retain: false }, (err) => {
-        if (err) {
-          console.error(`Error publishing to ${topic}: ${err.message}`);
-          return res.status(500).json({ error: err.message });
+      publishInverterSetting(inverter, setting, value, 'API_WORK_MODE').then(result => {
+        if (!result.success) {
+          return res.status(result.status).json({ error: result.error, rule: result.rule });
         }
         
-        console.log(`Work Mode command sent: ${topic} = ${mqttValue}`);
-        res.json({ success: true, message: `Command sent: ${topic} = ${mqttValue}` });
+        console.log(`Work Mode command sent: ${result.topic} = ${result.value}`);
+        res.json({ success: true, message: `Command sent: ${result.topic} = ${result.value}` });
       });
     } catch (error) {
       console.error('Error sending work mode command:', error);
@@ -3832,44 +3938,38 @@ app.get('/subscription-required', (req, res) => {
         return res.status(503).json({ error: 'MQTT client not connected' });
       }
       
+      // Only inverter settings within the site limits may be written
+      const requested = commandPolicy.validate(topic, value);
+      if (!requested.allowed) {
+        commandPolicy.reject(topic, value, 'API_COMMAND', requested);
+        return res.status(400).json({ error: requested.reason, rule: requested.rule });
+      }
+      
       // Enhanced command processing with auto-mapping logic
       let finalTopic = topic;
       let finalValue = value;
       
-      // Check if this is a legacy command that might need mapping
+      // Translate into the inverter's own setting when its driver maps it
       const topicParts = topic.split('/');
       if (topicParts.length >= 3) {
         const inverterId = topicParts[1]; // e.g., inverter_1
         const setting = topicParts[2]; // e.g., energy_pattern
         
         if (inverterId && setting) {
-          const inverterType = getInverterType(inverterId);
-          
-          // Apply auto-mapping if needed
-          if (setting === 'energy_pattern' && (inverterType === 'new' || inverterType === 'hybrid')) {
-            const mappedValue = mapEnergyPatternToOutputSourcePriority(value);
-            finalTopic = topic.replace('/energy_pattern/', '/output_source_priority/');
-            finalValue = mappedValue;
-            console.log(`API Command: Auto-mapped energy_pattern "${value}" to output_source_priority "${mappedValue}" for ${inverterId} (type: ${inverterType})`);
-          } else if (setting === 'grid_charge' && (inverterType === 'new' || inverterType === 'hybrid')) {
-            const mappedValue = mapGridChargeToChargerSourcePriority(value);
-            finalTopic = topic.replace('/grid_charge/', '/charger_source_priority/');
-            finalValue = mappedValue;
-            console.log(`API Command: Auto-mapped grid_charge "${value}" to charger_source_priority "${mappedValue}" for ${inverterId} (type: ${inverterType})`);
-          } else if (setting === 'charger_source_priority' && inverterType === 'legacy') {
-            const mappedValue = mapChargerSourcePriorityToGridCharge(value);
-            finalTopic = topic.replace('/charger_source_priority/', '/grid_charge/');
-            finalValue = mappedValue;
-            console.log(`API Command: Auto-mapped charger_source_priority "${value}" to grid_charge "${mappedValue}" for ${inverterId} (type: ${inverterType})`);
-          } else if (setting === 'output_source_priority' && inverterType === 'legacy') {
-            const mappedValue = mapOutputSourcePriorityToEnergyPattern(value);
-            finalTopic = topic.replace('/output_source_priority/', '/energy_pattern/');
-            finalValue = mappedValue;
-            console.log(`API Command: Auto-mapped output_source_priority "${value}" to energy_pattern "${mappedValue}" for ${inverterId} (type: ${inverterType})`);
+          const command = inverterDriverRegistry.resolveCommand(inverterId, setting, value);
+          if (command.mapped) {
+            finalTopic = topic.replace(`/${setting}/`, `/${command.setting}/`);
+            finalValue = command.value;
+            console.log(`API Command: Auto-mapped ${setting} "${value}" to ${command.setting} "${command.value}" for ${inverterId} (driver: ${command.driver})`);
           }
         }
       }
       
+      const verdict = commandPolicy.check(finalTopic, finalValue, 'API_COMMAND');
+      if (!verdict.allowed) {
+        return res.status(verdict.rule === 'rate_limit' ? 429 : 400).json({ error: verdict.reason, rule: verdict.rule });
+      }
+      
       mqttClient.publish(finalTopic, finalValue.toString(), { qos: 1, retain: false }, (err) => {
         if (err) {
           console.error(`Error publishing to ${finalTopic}: ${err.message}`);
@@ -3891,24 +3991,528 @@ app.get('/subscription-required', (req, res) => {
     }
   });
   
-  app.get('/api/inverter-info/:inverter', (req, res) => {
+  // Scheduled inverter setting changes
+  app.get('/api/schedules', (req, res) => {
     try {
-      const inverterId = req.params.inverter;
-      
-      const info = {
-        serial_number: currentSettingsState.serial_number?.[inverterId]?.value,
-        power_saving: currentSettingsState.power_saving?.[inverterId]?.value,
-        firmware_version: currentSettingsState.firmware_version?.[inverterId]?.value
-      };
-      
-      const filteredInfo = {};
-      Object.keys(info).forEach(key => {
-        const value = info[key];
-        if (value !== undefined && 
-            value !== null && 
-            value !== 'N/A' && 
-            value !== '' && 
-            value !== 'Unknown' &&
+      res.json({ success: true, schedules: scheduleService.getSchedules(), status: scheduleService.getStatus() });
+    } catch (error) {
+      console.error('Error getting schedules:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  app.get('/api/schedules/history', (req, res) => {
+    try {
+      const history = scheduleService.getHistory({
+        scheduleId: req.query.scheduleId,
+        limit: parseInt(req.query.limit) || 50
+      });
+      res.json({ success: true, history: history, count: history.length });
+    } catch (error) {
+      console.error('Error getting schedule history:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/schedules', (req, res) => {
+    try {
+      const schedule = scheduleService.createSchedule(req.body || {});
+      res.json({ success: true, schedule: schedule });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/schedules/:scheduleId', (req, res) => {
+    try {
+      const schedule = scheduleService.updateSchedule(req.params.scheduleId, req.body || {});
+      res.json({ success: true, schedule: schedule });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.delete('/api/schedules/:scheduleId', (req, res) => {
+    try {
+      scheduleService.deleteSchedule(req.params.scheduleId);
+      res.json({ success: true });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/schedules/:scheduleId/run', async (req, res) => {
+    try {
+      const run = await scheduleService.execute(req.params.scheduleId, 'manual');
+      if (!run) {
+        return res.status(409).json({ success: false, error: 'Schedule is already running' });
+      }
+      res.json({ success: run.status !== 'failed', run: run });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Deferrable loads (water heaters, pool pumps, dishwashers) switched by the load scheduler
+  app.get('/api/deferrable-loads', (req, res) => {
+    try {
+      res.json({
+        success: true,
+        loads: deferrableLoadService.getLoads(),
+        history: deferrableLoadService.getHistory(parseInt(req.query.limit) || 20),
+        status: deferrableLoadService.getStatus()
+      });
+    } catch (error) {
+      console.error('Error getting deferrable loads:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/deferrable-loads', (req, res) => {
+    try {
+      const load = deferrableLoadService.createLoad(req.body || {});
+      res.json({ success: true, load: load });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/deferrable-loads/:loadId', (req, res) => {
+    try {
+      const load = deferrableLoadService.updateLoad(req.params.loadId, req.body || {});
+      res.json({ success: true, load: load });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.delete('/api/deferrable-loads/:loadId', async (req, res) => {
+    try {
+      await deferrableLoadService.deleteLoad(req.params.loadId);
+      res.json({ success: true });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/deferrable-loads/:loadId/test', async (req, res) => {
+    try {
+      const result = await deferrableLoadService.testLoad(req.params.loadId, req.body?.on !== false);
+      res.json({ success: true, ...result });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // OCPP wallboxes
+  app.get('/api/ev', (req, res) => {
+    try {
+      res.json({ success: true, ...ocppService.getStatus() });
+    } catch (error) {
+      console.error('Error getting EV charging status:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/ev/settings', (req, res) => {
+    try {
+      const settings = ocppService.updateSettings(req.body || {});
+      res.json({ success: true, settings: settings });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/ev/chargers/:chargePointId', (req, res) => {
+    if (!ocppService.isKnownChargePoint(req.params.chargePointId)) {
+      return res.status(404).json({ success: false, error: 'Charge point not found' });
+    }
+    try {
+      const settings = ocppService.updateChargePointSettings(req.params.chargePointId, req.body || {});
+      res.json({ success: true, settings: settings });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/ev/chargers/:chargePointId/start', async (req, res) => {
+    try {
+      const result = await ocppService.remoteStart(req.params.chargePointId, parseInt(req.body?.connectorId) || 1);
+      res.json({ success: result.status === 'Accepted', ...result });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/ev/chargers/:chargePointId/stop', async (req, res) => {
+    try {
+      const result = await ocppService.remoteStop(req.params.chargePointId);
+      res.json({ success: result.status === 'Accepted', ...result });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Grid import limit and monthly peaks
+  app.get('/api/peak-shaving', (req, res) => {
+    res.json({ success: true, ...peakShavingService.getStatus() });
+  });
+
+  app.post('/api/peak-shaving', (req, res) => {
+    try {
+      peakShavingService.updateSettings(req.body || {});
+      res.json({ success: true, ...peakShavingService.getStatus() });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Virtual inverter simulator
+  app.get('/api/simulator', (req, res) => {
+    res.json({ success: true, ...simulatorService.getStatus() });
+  });
+
+  app.post('/api/simulator/start', (req, res) => {
+    try {
+      res.json({ success: true, ...simulatorService.start() });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/simulator/stop', (req, res) => {
+    res.json({ success: true, ...simulatorService.stop() });
+  });
+
+  app.post('/api/simulator/config', (req, res) => {
+    try {
+      const config = simulatorService.updateConfig(req.body || {});
+      res.json({ success: true, config: config });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Weather forecasts for the solar predictor
+  app.get('/api/weather', (req, res) => {
+    res.json({ success: true, ...weatherService.getStatus(), hourly: weatherService.getHourlyForecast() });
+  });
+
+  app.post('/api/weather/config', (req, res) => {
+    try {
+      weatherService.updateConfig(req.body || {});
+      res.json({ success: true, ...weatherService.getStatus() });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/weather/refresh', async (req, res) => {
+    try {
+      await weatherService.refresh();
+      res.json({ success: true, ...weatherService.getStatus() });
+    } catch (error) {
+      res.status(502).json({ success: false, error: error.message });
+    }
+  });
+
+  // Historical backtesting of the charging strategies
+  app.get('/api/backtest', (req, res) => {
+    res.json({ success: true, ...backtestService.getStatus(), results: backtestService.getResults() });
+  });
+
+  app.get('/api/backtest/jobs/:jobId', (req, res) => {
+    const job = backtestService.getJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Backtest job not found' });
+    }
+    res.json({ success: true, job: job });
+  });
+
+  app.get('/api/backtest/:resultId', (req, res) => {
+    const result = backtestService.getResult(req.params.resultId);
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Backtest not found' });
+    }
+    res.json({ success: true, result: result });
+  });
+
+  // The replay runs in the background, poll the job for progress and the result id
+  app.post('/api/backtest', (req, res) => {
+    try {
+      const job = backtestService.start(req.body || {});
+      res.status(202).json({ success: true, job: job });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.delete('/api/backtest/:resultId', (req, res) => {
+    try {
+      backtestService.deleteResult(req.params.resultId);
+      res.json({ success: true });
+    } catch (error) {
+      res.status(404).json({ success: false, error: error.message });
+    }
+  });
+
+  // Battery profiles: chemistry specific voltage, current and SOC limits
+  function refreshBatteryProfile() {
+    aiChargingEngine.applyBatteryProfile();
+    aiChargingEngine.detectBatteryCapacity().catch(error => {
+      console.error('Error detecting battery capacity:', error.message);
+    });
+  }
+
+  app.get('/api/battery-profiles', (req, res) => {
+    try {
+      res.json({ success: true, ...batteryProfileService.getStatus() });
+    } catch (error) {
+      console.error('Error getting battery profiles:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/battery-profiles', (req, res) => {
+    try {
+      const profile = batteryProfileService.saveProfile(req.body || {});
+      refreshBatteryProfile();
+      res.json({ success: true, profile: profile });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.delete('/api/battery-profiles/:profileId', (req, res) => {
+    try {
+      batteryProfileService.deleteProfile(req.params.profileId);
+      refreshBatteryProfile();
+      res.json({ success: true, ...batteryProfileService.getStatus() });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/battery-profiles/active', (req, res) => {
+    try {
+      const profile = batteryProfileService.setActiveProfile(req.body?.profileId);
+      refreshBatteryProfile();
+      res.json({ success: true, profile: profile });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/battery-profiles/assign', (req, res) => {
+    try {
+      const { inverterId, profileId } = req.body || {};
+      const profile = batteryProfileService.assignProfile(inverterId, profileId === undefined ? null : profileId);
+      res.json({ success: true, inverterId: inverterId, profile: profile });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Cycle counting and the wear cost charged against charge/discharge decisions
+  app.get('/api/battery/degradation', (req, res) => {
+    try {
+      res.json({ success: true, ...batteryDegradationService.getStatus(aiChargingEngine.config?.batteryCapacity) });
+    } catch (error) {
+      console.error('Error getting battery degradation:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/battery/degradation/update', async (req, res) => {
+    try {
+      const cycles = await batteryDegradationService.update();
+      aiChargingEngine.applyBatteryProfile();
+      res.json({ success: true, counted: cycles || 0, ...batteryDegradationService.getStatus(aiChargingEngine.config?.batteryCapacity) });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // State of health: capacity learned from measured charge/discharge segments against the rated one
+  const getRatedBatteryCapacity = () =>
+    aiChargingEngine.batteryDetection?.ratedCapacity || aiChargingEngine.config?.batteryCapacity || null;
+
+  app.get('/api/battery/health', (req, res) => {
+    try {
+      res.json({ success: true, ...batteryHealthService.getStatus(getRatedBatteryCapacity()) });
+    } catch (error) {
+      console.error('Error getting battery health:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/battery/health/update', async (req, res) => {
+    try {
+      const samples = await batteryHealthService.update();
+      aiChargingEngine.applyLearnedCapacity();
+      res.json({ success: true, added: samples || 0, ...batteryHealthService.getStatus(getRatedBatteryCapacity()) });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Site location, elevation and timezone for solar geometry, forecasts and schedules
+  app.get('/api/site', (req, res) => {
+    res.json({ success: true, site: siteConfigService.getStatus() });
+  });
+
+  app.post('/api/site', (req, res) => {
+    try {
+      siteConfigService.update(req.body || {});
+      applySiteConfig();
+      res.json({ success: true, site: siteConfigService.getStatus() });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/site/import-ha', async (req, res) => {
+    try {
+      await siteConfigService.importFromHomeAssistant();
+      applySiteConfig();
+      res.json({ success: true, site: siteConfigService.getStatus() });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Holidays and absences for the load forecast
+  app.get('/api/calendar', (req, res) => {
+    const days = Math.min(366, Math.max(1, parseInt(req.query.days, 10) || 60));
+    res.json({ success: true, calendar: calendarService.getStatus(days) });
+  });
+
+  app.post('/api/calendar', (req, res) => {
+    try {
+      res.json({ success: true, calendar: calendarService.updateSettings(req.body || {}) });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/calendar/absences', (req, res) => {
+    try {
+      const absence = calendarService.addAbsence(req.body || {});
+      res.json({ success: true, absence, calendar: calendarService.getStatus() });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.delete('/api/calendar/absences/:id', (req, res) => {
+    try {
+      calendarService.deleteAbsence(req.params.id);
+      res.json({ success: true, calendar: calendarService.getStatus() });
+    } catch (error) {
+      res.status(404).json({ success: false, error: error.message });
+    }
+  });
+
+  // iCal upload: the raw file (text/calendar) or JSON { ics }
+  app.post('/api/calendar/ical', bodyParser.text({ type: ['text/calendar', 'text/plain'], limit: '2mb' }), (req, res) => {
+    try {
+      const ics = typeof req.body === 'string' ? req.body : req.body?.ics;
+      const imported = calendarService.importICal(ics);
+      res.json({ success: true, imported, calendar: calendarService.getStatus() });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/calendar/vacation', (req, res) => {
+    try {
+      const { enabled, until } = req.body || {};
+      const vacation = calendarService.setVacationMode(!!enabled, until || null);
+      res.json({ success: true, vacation, calendar: calendarService.getStatus() });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // PV arrays (kWp, orientation, horizon) for the physical solar forecast
+  app.get('/api/pv-arrays', (req, res) => {
+    res.json({ success: true, ...pvArrayService.getStatus() });
+  });
+
+  app.post('/api/pv-arrays', (req, res) => {
+    try {
+      const array = pvArrayService.saveArray(req.body || {});
+      aiChargingEngine.applyPvArrays();
+      res.json({ success: true, array: array });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.delete('/api/pv-arrays/:arrayId', (req, res) => {
+    try {
+      pvArrayService.deleteArray(req.params.arrayId);
+      aiChargingEngine.applyPvArrays();
+      res.json({ success: true, ...pvArrayService.getStatus() });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Command policy: site limits profile, value rules and rejected writes
+  app.get('/api/command-policy', (req, res) => {
+    try {
+      res.json({
+        success: true,
+        policy: commandPolicy.getStatus(),
+        rules: commandPolicy.getRules(req.query.inverter || null),
+        recentRejections: commandPolicy.getRecentRejections(parseInt(req.query.limit) || 20)
+      });
+    } catch (error) {
+      console.error('Error getting command policy:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/command-policy', (req, res) => {
+    try {
+      const policy = commandPolicy.updateConfig(req.body || {});
+      res.json({ success: true, policy: policy, rules: commandPolicy.getRules() });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.get('/api/command-policy/rejections', async (req, res) => {
+    try {
+      const influxAIService = require('./services/influxAIService');
+      const limit = parseInt(req.query.limit) || 50;
+      const rejections = await influxAIService.getCommandRejectionHistory(limit);
+      res.json({ success: true, rejections: rejections, count: rejections.length });
+    } catch (error) {
+      console.error('Error getting command rejections:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  app.get('/api/inverter-info/:inverter', (req, res) => {
+    try {
+      const inverterId = req.params.inverter;
+      
+      const info = {
+        serial_number: currentSettingsState.serial_number?.[inverterId]?.value,
+        power_saving: currentSettingsState.power_saving?.[inverterId]?.value,
+        firmware_version: currentSettingsState.firmware_version?.[inverterId]?.value
+      };
+      
+      const filteredInfo = {};
+      Object.keys(info).forEach(key => {
+        const value = info[key];
+        if (value !== undefined && 
+            value !== null && 
+            value !== 'N/A' && 
+            value !== '' && 
+            value !== 'Unknown' &&
             value !== 'Loading...' &&
             value !== '0' &&
             value !== 0) {
@@ -3973,15 +4577,15 @@ app.get('/subscription-required', (req, res) => {
             detailedTypes[inverterId] = {
                 ...info,
                 // Add capability information
-                capabilities: getInverterCapabilities(info.type),
+                capabilities: inverterDriverRegistry.getCapabilities(info.driver),
                 // Add supported settings
-                supportedSettings: getSupportedSettings(info.type),
+                supportedSettings: inverterDriverRegistry.getSupportedSettings(info.driver),
                 // Add last seen timestamp from current settings
                 lastSeen: getLastSeenTimestamp(inverterId),
                 // Add confidence score
                 confidenceScore: calculateConfidenceScore(info),
                 // Add mapping information
-                mappingInfo: getMappingInfo(info.type)
+                mappingInfo: inverterDriverRegistry.getMappingInfo(info.driver)
             };
         });
         
@@ -4040,6 +4644,38 @@ app.get('/api/settings/available/:inverterId?', async (req, res) => {
     }
 });
 
+// Inverter drivers: declarative family definitions in drivers/ and data/drivers/
+app.get('/api/inverter-drivers', (req, res) => {
+    try {
+        res.json({ success: true, ...inverterDriverRegistry.getStatus() });
+    } catch (error) {
+        console.error('Error getting inverter drivers:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Pin an inverter to a driver, driverId null returns it to auto-detection
+app.post('/api/inverter-drivers/assign', (req, res) => {
+    try {
+        const { inverterId, driverId } = req.body || {};
+        const record = inverterDriverRegistry.assignDriver(inverterId, driverId === undefined ? null : driverId);
+        res.json({ success: true, inverterId: inverterId, inverter: record });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// Pick up new or edited driver files without a restart
+app.post('/api/inverter-drivers/reload', (req, res) => {
+    try {
+        const drivers = inverterDriverRegistry.loadDrivers();
+        res.json({ success: true, drivers: drivers.map(driver => driver.id) });
+    } catch (error) {
+        console.error('Error reloading inverter drivers:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // Rule templates removed - AI engine handles all automation
 
 // Rule validation removed - AI engine handles all automation
@@ -4050,119 +4686,6 @@ app.get('/api/settings/available/:inverterId?', async (req, res) => {
 
 // ================ HELPER FUNCTIONS FOR DYNAMIC WIZARD ================
 
-function getInverterCapabilities(inverterType) {
-  const capabilities = {
-      legacy: {
-          gridCharging: true,
-          energyPattern: true,
-          voltagePoints: true,
-          workMode: true,
-          remoteSwitch: true,
-          batterySettings: true,
-          solarExport: true
-      },
-      new: {
-          chargerSourcePriority: true,
-          outputSourcePriority: true,
-          voltagePoints: true,
-          workMode: true,
-          remoteSwitch: true,
-          batterySettings: true,
-          solarExport: true,
-          advancedControl: true
-      },
-      hybrid: {
-          gridCharging: true,
-          energyPattern: true,
-          chargerSourcePriority: true,
-          outputSourcePriority: true,
-          voltagePoints: true,
-          workMode: true,
-          remoteSwitch: true,
-          batterySettings: true,
-          solarExport: true,
-          advancedControl: true,
-          dualMode: true
-      },
-      unknown: {
-          basicControl: true,
-          batterySettings: true,
-          remoteSwitch: true
-      }
-  };
-  
-  return capabilities[inverterType] || capabilities.unknown;
-}
-
-function getSupportedSettings(inverterType) {
-  const settingsMap = {
-      legacy: [
-          'grid_charge',
-          'energy_pattern',
-          'work_mode',
-          'remote_switch',
-          'generator_charge',
-          'voltage_point_1',
-          'voltage_point_2',
-          'voltage_point_3',
-          'voltage_point_4',
-          'voltage_point_5',
-          'voltage_point_6',
-          'max_discharge_current',
-          'max_charge_current',
-          'max_grid_charge_current',
-          'solar_export_when_battery_full',
-          'max_sell_power'
-      ],
-      new: [
-          'charger_source_priority',
-          'output_source_priority',
-          'work_mode',
-          'remote_switch',
-          'generator_charge',
-          'voltage_point_1',
-          'voltage_point_2',
-          'voltage_point_3',
-          'voltage_point_4',
-          'voltage_point_5',
-          'voltage_point_6',
-          'max_discharge_current',
-          'max_charge_current',
-          'max_grid_charge_current',
-          'solar_export_when_battery_full',
-          'max_sell_power'
-      ],
-      hybrid: [
-          'grid_charge',
-          'energy_pattern',
-          'charger_source_priority',
-          'output_source_priority',
-          'work_mode',
-          'remote_switch',
-          'generator_charge',
-          'voltage_point_1',
-          'voltage_point_2',
-          'voltage_point_3',
-          'voltage_point_4',
-          'voltage_point_5',
-          'voltage_point_6',
-          'max_discharge_current',
-          'max_charge_current',
-          'max_grid_charge_current',
-          'solar_export_when_battery_full',
-          'max_sell_power'
-      ],
-      unknown: [
-          'work_mode',
-          'remote_switch',
-          'max_discharge_current',
-          'max_charge_current'
-      ]
-  };
-  
-  return settingsMap[inverterType] || settingsMap.unknown;
-}
-
 function getLastSeenTimestamp(inverterId) {
   let lastSeen = null;
   
@@ -4198,50 +4721,6 @@ function calculateConfidenceScore(inverterInfo) {
   return Math.min(score, 100);
 }
 
-function getMappingInfo(inverterType) {
-  const mappingInfo = {
-      legacy: {
-          canReceive: ['charger_source_priority', 'output_source_priority'],
-          canSend: ['grid_charge', 'energy_pattern'],
-          autoMapping: true,
-          mappingRules: {
-              'charger_source_priority': 'Maps to grid_charge with intelligent translation',
-              'output_source_priority': 'Maps to energy_pattern with intelligent translation'
-          }
-      },
-      new: {
-          canReceive: ['grid_charge', 'energy_pattern'],
-          canSend: ['charger_source_priority', 'output_source_priority'],
-          autoMapping: true,
-          mappingRules: {
-              'grid_charge': 'Maps to charger_source_priority with intelligent translation',
-              'energy_pattern': 'Maps to output_source_priority with intelligent translation'
-          }
-      },
-      hybrid: {
-          canReceive: ['grid_charge', 'energy_pattern', 'charger_source_priority', 'output_source_priority'],
-          canSend: ['grid_charge', 'energy_pattern', 'charger_source_priority', 'output_source_priority'],
-          autoMapping: true,
-          nativeSupport: true,
-          mappingRules: {
-              'grid_charge': 'Native support with fallback to charger_source_priority',
-              'energy_pattern': 'Native support with fallback to output_source_priority',
-              'charger_source_priority': 'Native support with fallback to grid_charge',
-              'output_source_priority': 'Native support with fallback to energy_pattern'
-          }
-      },
-      unknown: {
-          canReceive: ['work_mode', 'remote_switch'],
-          canSend: ['work_mode', 'remote_switch'],
-          autoMapping: false,
-          limitedSupport: true,
-          mappingRules: {}
-      }
-  };
-  
-  return mappingInfo[inverterType] || mappingInfo.unknown;
-}
-
 function generateInverterRecommendations(detailedTypes) {
   const recommendations = [];
   
@@ -4294,9 +4773,9 @@ function getAvailableSettingsForInverter(inverterId) {
       return getDefaultAvailableSettings();
   }
   
-  const supportedSettings = getSupportedSettings(inverterInfo.type);
-  const capabilities = getInverterCapabilities(inverterInfo.type);
-  const mappingInfo = getMappingInfo(inverterInfo.type);
+  const supportedSettings = inverterDriverRegistry.getSupportedSettings(inverterInfo.driver);
+  const capabilities = inverterDriverRegistry.getCapabilities(inverterInfo.driver);
+  const mappingInfo = inverterDriverRegistry.getMappingInfo(inverterInfo.driver);
   
   return {
       supported: supportedSettings,
@@ -4317,7 +4796,7 @@ function getAllAvailableSettings() {
   
   // Collect all unique settings from all inverters
   Object.entries(inverterTypes).forEach(([inverterId, info]) => {
-      const supported = getSupportedSettings(info.type);
+      const supported = inverterDriverRegistry.getSupportedSettings(info.driver);
       
       supported.forEach(setting => {
           if (info.type === 'legacy' && !allSettings.legacy.includes(setting)) {
@@ -4329,7 +4808,7 @@ function getAllAvailableSettings() {
           // Add to universal if supported by multiple types
           if (!allSettings.universal.includes(setting)) {
               const supportCount = Object.values(inverterTypes)
-                  .filter(inv => getSupportedSettings(inv.type).includes(setting)).length;
+                  .filter(inv => inverterDriverRegistry.getSupportedSettings(inv.driver).includes(setting)).length;
               
               if (supportCount >= Object.keys(inverterTypes).length * 0.5) {
                   allSettings.universal.push(setting);
@@ -4338,7 +4817,7 @@ function getAllAvailableSettings() {
       });
       
       // Add mapping information
-      const mappingInfo = getMappingInfo(info.type);
+      const mappingInfo = inverterDriverRegistry.getMappingInfo(info.driver);
       allSettings.mapping[inverterId] = mappingInfo;
   });
   
@@ -4354,8 +4833,8 @@ function getDefaultAvailableSettings() {
           'max_charge_current',
           'max_grid_charge_current'
       ],
-      capabilities: getInverterCapabilities('unknown'),
-      mapping: getMappingInfo('unknown'),
+      capabilities: inverterDriverRegistry.getCapabilities(null),
+      mapping: inverterDriverRegistry.getMappingInfo(null),
       type: 'unknown',
       confidence: 0
   };
@@ -4443,7 +4922,8 @@ async function connectToMqtt() {
       password: mqttConfig.password,
       clientId: mqttConfig.clientId,
       reconnectPeriod: mqttConfig.reconnectPeriod,
-      connectTimeout: mqttConfig.connectTimeout
+      connectTimeout: mqttConfig.connectTimeout,
+      will: haDiscoveryConfig.enabled ? haDiscoveryService.getWillOptions(haDiscoveryConfig.baseTopic) : undefined
     })
   
 mqttClient.on('connect', async () => {
@@ -4457,6 +4937,9 @@ mqttClient.on('connect', async () => {
         });
         console.log(`📡 Subscribed to ${mqttTopicPrefix}/#`);
         
+        // Publish Home Assistant discovery configs and entity states
+        haDiscoveryService.initialize(mqttClient, haDiscoveryConfig);
+        
         // Initialize AI Charging Engine after MQTT is ready
         console.log('🤖 Scheduling AI Engine initialization...');
         setTimeout(initializeAIEngine, 3000); // Wait 3 seconds for system to stabilize
@@ -4474,6 +4957,11 @@ mqttClient.on('connect', async () => {
         incomingMessages.shift()
       }
       
+      // Home Assistant discovery topics are handled separately from inverter data
+      if (haDiscoveryService.handleMessage(topic, message)) {
+        return;
+      }
+      
       // Call the enhanced MQTT message handler with inverter type detection
       handleMqttMessage(topic, message)
       
@@ -4543,12 +5031,20 @@ function initializeAIEngine() {
   
   try {
     console.log('🤖 Initializing AI Charging Engine...');
-    aiChargingEngine.initialize(mqttClient, currentSystemState);
+    aiChargingEngine.initialize(mqttClient, currentSystemState, {
+      inverterNumber: inverterNumber,
+      mqttTopicPrefix: mqttTopicPrefix,
+      inverterTypes: inverterTypes,
+      inverterStates: inverterStates,
+      settingsState: currentSettingsState
+    });
     aiEngineInitialized = true;
     console.log('✅ AI Charging Engine initialized successfully');
     
-    // Auto-start if Tibber is configured
-    if (tibberService.config.enabled && 
+    // Auto-start if Tibber is configured, unless the user switched the engine off
+    if (aiChargingEngine.engineConfig.enabled === false) {
+      console.log('⏸️  AI Charging Engine was switched off by the user - not auto-starting');
+    } else if (tibberService.config.enabled && 
         tibberService.config.apiKey && 
         tibberService.config.homeId) {
       console.log('🔋 Auto-starting AI Charging Engine...');
@@ -5135,6 +5631,61 @@ cron.schedule('0,30 * * * *', () => {
 });
   
 
+// Scheduled setting changes go through the same publish path as the manual APIs
+scheduleService.initialize({
+  publishSetting: publishInverterSetting,
+  getControlledSettings: (inverterId) => aiChargingEngine.getControlledSettings(inverterId),
+  allowedSettings: [...WORK_MODE_SETTINGS, ...BATTERY_CHARGING_SETTINGS],
+  inverterNumber: inverterNumber,
+  timezone: currentTimezone
+});
+
+// Deferrable loads with an MQTT target are switched through the broker connection
+deferrableLoadService.initialize({
+  reservedTopicPrefix: mqttTopicPrefix,
+  publishMqtt: (topic, payload) => new Promise((resolve, reject) => {
+    if (!mqttClient || !mqttClient.connected) {
+      return reject(new Error('MQTT client not connected'));
+    }
+    mqttClient.publish(topic, payload, { qos: 1, retain: false }, (error) => error ? reject(error) : resolve());
+  })
+});
+
+// Wallbox currents follow the PV surplus, a car starting or stopping re-runs the battery decision
+ocppService.initialize({
+  getSystemState: () => currentSystemState,
+  onChargingChange: () => aiChargingEngine.enabled ? aiChargingEngine.evaluate() : null
+});
+
+// Import above the limit switches the inverters to battery supply right away
+peakShavingService.initialize({
+  onChange: (event) => aiChargingEngine.applyPeakShaving(event)
+});
+
+// Weather forecasts refresh on their own once enabled
+weatherService.initialize();
+
+// Past forecasts are scored against measured PV and load every hour
+forecastAccuracyService.start();
+
+// Battery cycles and capacity samples are taken from the SOC and power history every hour
+batteryDegradationService.start();
+batteryHealthService.start();
+
+// Sites never configured pick up location and timezone from Home Assistant
+siteConfigService.initialize()
+  .then(() => applySiteConfig())
+  .catch(error => console.error('Error initializing site config:', error.message));
+
+// Virtual inverters for demos and testing without hardware, off unless enabled
+simulatorService.initialize({
+  mqttConfig: mqttConfig,
+  topicPrefix: mqttTopicPrefix,
+  inverterNumber: inverterNumber,
+  batteryNumber: batteryNumber,
+  enabled: options.simulator === true
+});
+
 // Initialize enhanced connections when server starts
 initializeConnections();
 
@@ -5238,19 +5789,19 @@ function sendGridChargeCommand(enable) {
         // Track inverter types for summary
         inverterTypesSummary[inverterType] = (inverterTypesSummary[inverterType] || 0) + 1;
         
-        let topic, mqttValue;
-        
-        if (inverterType === 'new' || inverterType === 'hybrid') {
-          // Use new charger_source_priority for new inverters
-          const mappedValue = mapGridChargeToChargerSourcePriority(commandValue);
-          topic = `${mqttTopicPrefix}/${inverterId}/charger_source_priority/set`;
-          mqttValue = mappedValue;
-          console.log(`🔄 Dynamic Pricing: Auto-mapped grid_charge "${commandValue}" to charger_source_priority "${mappedValue}" for ${inverterId} (type: ${inverterType})`);
+        // Drivers without a grid_charge translation (legacy or unknown) get grid_charge as is
+        const command = inverterDriverRegistry.resolveCommand(inverterId, 'grid_charge', commandValue);
+        const topic = `${mqttTopicPrefix}/${inverterId}/${command.setting}/set`;
+        const mqttValue = command.value;
+        if (command.mapped) {
+          console.log(`🔄 Dynamic Pricing: Auto-mapped grid_charge "${commandValue}" to ${command.setting} "${mqttValue}" for ${inverterId} (driver: ${command.driver})`);
         } else {
-          // Use legacy grid_charge for legacy inverters or unknown types (safer fallback)
-          topic = `${mqttTopicPrefix}/${inverterId}/grid_charge/set`;
-          mqttValue = commandValue;
-          console.log(`🔄 Dynamic Pricing: Using legacy grid_charge "${commandValue}" for ${inverterId} (type: ${inverterType})`);
+          console.log(`🔄 Dynamic Pricing: Using grid_charge "${commandValue}" for ${inverterId} (type: ${inverterType})`);
+        }
+        
+        if (!commandPolicy.check(topic, mqttValue, 'DYNAMIC_PRICING').allowed) {
+          totalInverters++;
+          continue;
         }
         
         mqttClient.publish(topic, mqttValue.toString(), { qos: 1, retain: false }, (err) => {
@@ -5890,7 +6441,7 @@ app.get('/api/ai/status', (req, res) => {
 });
 
 // Start/stop AI engine - FIXED: removed homeId requirement
-app.post('/api/ai/toggle', (req, res) => {
+app.post('/api/ai/toggle', async (req, res) => {
   try {
     const { enabled } = req.body;
     
@@ -5906,23 +6457,22 @@ app.post('/api/ai/toggle', (req, res) => {
     
     if (enabled) {
       // Only check for enabled and API key (homeId is optional)
-      if (!tibberService.config.enabled || 
-          !tibberService.config.apiKey ||
-          tibberService.config.apiKey === '***') {
+      if (!tibberService.isConfiguredForAI()) {
         return res.status(400).json({
           success: false,
           error: 'Tibber must be configured with valid API key first'
         });
       }
-      aiChargingEngine.start();
+      await aiChargingEngine.setEnabled(true, { shadowMode: parseShadowModeOption(req.body) });
     } else {
-      aiChargingEngine.stop();
+      await aiChargingEngine.setEnabled(false);
     }
     
     res.json({ 
       success: true, 
       enabled: !!enabled,
-      message: `AI engine ${enabled ? 'started' : 'stopped'}`
+      shadowMode: aiChargingEngine.shadowMode,
+      message: `AI engine ${enabled ? 'started' : 'stopped'}${enabled && aiChargingEngine.shadowMode ? ' in shadow mode' : ''}`
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -6185,6 +6735,11 @@ function GracefulShutdown() {
   // Stop AI Charging Engine first
   if (aiChargingEngine) {
     console.log('🤖 Stopping AI Charging Engine');
+    try {
+      aiChargingEngine.aiSystem.shutdown();
+    } catch (error) {
+      console.error('❌ Error saving AI model snapshot:', error.message);
+    }
     try {
       aiChargingEngine.stop();
       console.log('✅ AI Charging Engine stopped');
@@ -6195,6 +6750,17 @@ function GracefulShutdown() {
   
   // Enhanced cleanup sequence - database removed
   
+  haDiscoveryService.stop();
+  scheduleService.stop();
+  deferrableLoadService.stop();
+  ocppService.stop();
+  peakShavingService.saveConfig();
+  weatherService.stop();
+  forecastAccuracyService.stop();
+  batteryDegradationService.stop();
+  batteryHealthService.stop();
+  simulatorService.stop(false);
+  
   if (mqttClient) {
     console.log('📡 Closing enhanced MQTT connection');
     mqttClient.end(true, () => {
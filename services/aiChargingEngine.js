@@ -2,9 +2,47 @@
 // Based on: "Do dynamic electricity tariffs change the gains of residential PV-battery systems?"
 // Key findings: 12.7% improvement with dynamic tariffs, 8¢/kWh optimal threshold
 
+const fs = require('fs');
+const path = require('path');
 const tibberService = require('./tibberService');
 const influxAIService = require('./influxAIService');
+const commandTracker = require('./commandTracker');
+const batteryProfileService = require('./batteryProfileService');
+const inverterDriverRegistry = require('./inverterDriverRegistry');
+const weatherService = require('./weatherService');
+const pvArrayService = require('./pvArrayService');
+const siteConfigService = require('./siteConfigService');
+const forecastAccuracyService = require('./forecastAccuracyService');
+const batteryDegradationService = require('./batteryDegradationService');
+const batteryHealthService = require('./batteryHealthService');
+const calendarService = require('./calendarService');
+const deferrableLoadService = require('./deferrableLoadService');
+const ocppService = require('./ocppService');
+const peakShavingService = require('./peakShavingService');
 const AIChargingSystem = require('../ai/index');
+
+// Per-inverter strategies:
+//   auto             - follow the site-wide decision
+//   self_consumption - never charge this inverter's battery from the grid
+//   price_only       - charge in the cheapest price window until its own target SOC
+const INVERTER_STRATEGIES = ['auto', 'self_consumption', 'price_only'];
+
+// Site strategy: 'auto' picks by battery size (study thresholds), the others force a strategy
+const SITE_STRATEGIES = ['auto', 'PRICE_SENSITIVE_OPTIMAL', 'HYBRID_STRATEGY', 'SELF_CONSUMPTION_OPTIMAL'];
+
+// Selling battery energy at price peaks. The export price is either a fixed feed-in tariff or
+// follows the spot part of the import price: energy × spotFactor + spotOffset (¢/kWh)
+const EXPORT_TARIFFS = ['fixed', 'dynamic'];
+const EXPORT_DEFAULTS = {
+  enabled: false,
+  tariff: 'fixed',
+  fixedPrice: 8,
+  spotFactor: 1,
+  spotOffset: 0,
+  reserveSoc: 50,     // % kept in the battery for the house
+  maxSellPower: 5000, // W per inverter
+  minMargin: 2        // ¢/kWh above the break-even price
+};
 // Enhanced notification service will be available globally
 
 class AIChargingEngine {
@@ -14,7 +52,17 @@ class AIChargingEngine {
     this.evaluationInterval = null;
     this.mqttClient = null;
     this.currentSystemState = null;
-    this.lastCommand = null;
+    this.inverterStates = {};
+    this.settingsState = null;
+    
+    // Per-inverter de-duplication and decision tracking
+    this.lastCommands = {};
+    this.lastInverterDecisions = {};
+    this.currentInverterDecisions = {};
+    this.lastOptimization = null;
+    this.lastSiteDecision = null;
+    this.lastDecisionRecord = null;
+    this.currentPlan = null;
     
     // AI System Integration
     this.aiSystem = new AIChargingSystem();
@@ -22,6 +70,16 @@ class AIChargingEngine {
     this.aiInitialized = false;
     this.useAI = true; // Enable AI by default
     
+    // Persisted engine settings - shadow mode must survive restarts
+    this.engineConfigFile = path.join(__dirname, '../data/ai_engine_config.json');
+    this.engineConfig = this.loadEngineConfig();
+    
+    // Shadow mode: full decision pipeline, but nothing is published to MQTT
+    this.shadowMode = !!this.engineConfig.shadowMode;
+    this.shadowCommands = [];
+    this.shadowHistory = [];
+    this.shadowExports = new Set(); // inverters exporting in shadow mode, nothing to restore for them
+    
     // Battery size thresholds from study
     this.SMALL_BATTERY_THRESHOLD = 15; // kWh - optimal for price-sensitive operation
     this.MEDIUM_BATTERY_THRESHOLD = 20; // kWh - transition zone
@@ -53,11 +111,304 @@ class AIChargingEngine {
       socTarget: 0.80,
       
       feedInTariff: 8,
+      wearCostPerKwh: 0, // ¢ per kWh in or out of the battery, see batteryDegradationService
       forecastHorizon: 24,
       cRate: 1.0
     };
   }
 
+  loadEngineConfig() {
+    const defaultConfig = {
+      // null = not set by the user, auto-start when pricing is configured
+      enabled: null,
+      strategy: 'auto',
+      shadowMode: false,
+      // Follow the horizon charge plan; false uses the Q-table action of the moment
+      planner: true,
+      // Per-inverter overrides: { inverter_2: { enabled: false, strategy: 'auto', targetSoC: null } }
+      inverters: {},
+      // Battery export settings, see getExportSettings
+      export: {},
+      // Inverter settings replaced by an export, written back when it ends (also after a restart)
+      exportRestore: {}
+    };
+    
+    try {
+      if (fs.existsSync(this.engineConfigFile)) {
+        const parsed = JSON.parse(fs.readFileSync(this.engineConfigFile, 'utf8'));
+        return { ...defaultConfig, ...parsed };
+      }
+    } catch (error) {
+      console.error('Error loading AI engine config:', error.message);
+    }
+    
+    return defaultConfig;
+  }
+
+  saveEngineConfig() {
+    try {
+      const dataDir = path.dirname(this.engineConfigFile);
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+      fs.writeFileSync(this.engineConfigFile, JSON.stringify(this.engineConfig, null, 2));
+      return true;
+    } catch (error) {
+      console.error('Error saving AI engine config:', error.message);
+      return false;
+    }
+  }
+
+  setShadowMode(enabled) {
+    const shadowMode = !!enabled;
+    if (shadowMode === this.shadowMode) return this.shadowMode;
+    
+    this.shadowMode = shadowMode;
+    this.engineConfig.shadowMode = shadowMode;
+    this.saveEngineConfig();
+    
+    // Forget the last commands so the first decision in the new mode is not skipped
+    this.lastCommands = {};
+    this.shadowExports.clear();
+    
+    console.log(shadowMode ? 
+      '👻 Shadow mode enabled - decisions are recorded but not sent to inverters' : 
+      '🔌 Shadow mode disabled - decisions will be sent to inverters');
+    return this.shadowMode;
+  }
+
+  // Start/stop requested by the user (REST or Home Assistant) - remembered across restarts
+  async setEnabled(enabled, options = {}) {
+    const shouldRun = enabled === true || enabled === 'true' || enabled === 'ON';
+    const result = shouldRun ? await this.start(options) : this.stop();
+    
+    this.engineConfig.enabled = shouldRun;
+    this.saveEngineConfig();
+    return result;
+  }
+
+  setStrategy(strategy) {
+    if (!SITE_STRATEGIES.includes(strategy)) {
+      throw new Error(`Invalid strategy: ${strategy}. Allowed: ${SITE_STRATEGIES.join(', ')}`);
+    }
+    
+    this.engineConfig.strategy = strategy;
+    this.saveEngineConfig();
+    
+    const selected = this.selectOptimalStrategy();
+    console.log(`⚙️ AI strategy set to ${strategy}${strategy === 'auto' ? ` (${selected.name})` : ''}`);
+    return selected;
+  }
+
+  getInverterSettings(inverterId) {
+    return {
+      enabled: true,
+      strategy: 'auto',
+      targetSoC: null,
+      ...(this.engineConfig.inverters?.[inverterId] || {})
+    };
+  }
+
+  setInverterSettings(inverterId, settings = {}) {
+    if (!/^inverter_\d+$/.test(inverterId)) {
+      throw new Error(`Invalid inverter id: ${inverterId}`);
+    }
+    
+    const current = this.getInverterSettings(inverterId);
+    const updated = { ...current };
+    
+    if (settings.enabled !== undefined) {
+      updated.enabled = settings.enabled === true || settings.enabled === 'true';
+    }
+    
+    if (settings.strategy !== undefined) {
+      if (!INVERTER_STRATEGIES.includes(settings.strategy)) {
+        throw new Error(`Invalid strategy: ${settings.strategy}. Allowed: ${INVERTER_STRATEGIES.join(', ')}`);
+      }
+      updated.strategy = settings.strategy;
+    }
+    
+    if (settings.targetSoC !== undefined) {
+      if (settings.targetSoC === null || settings.targetSoC === '') {
+        updated.targetSoC = null;
+      } else {
+        const targetSoC = parseFloat(settings.targetSoC);
+        if (isNaN(targetSoC) || targetSoC < 0 || targetSoC > 100) {
+          throw new Error('targetSoC must be between 0 and 100');
+        }
+        updated.targetSoC = targetSoC;
+      }
+    }
+    
+    if (!this.engineConfig.inverters) this.engineConfig.inverters = {};
+    this.engineConfig.inverters[inverterId] = updated;
+    this.saveEngineConfig();
+    
+    // Re-evaluate this inverter from scratch on the next decision
+    delete this.lastCommands[inverterId];
+    
+    console.log(`⚙️ ${inverterId} AI settings: ${updated.enabled ? 'enabled' : 'excluded'}, strategy ${updated.strategy}` +
+      (updated.targetSoC !== null ? `, target SOC ${updated.targetSoC}%` : ''));
+    return updated;
+  }
+
+  // Settings the engine writes on an inverter, used by the scheduler to detect conflicts
+  getControlledSettings(inverterId) {
+    if (!this.enabled || this.shadowMode || !this.getInverterSettings(inverterId).enabled) {
+      return [];
+    }
+    return inverterDriverRegistry.getControlledSettings(inverterId, this.getExportSettings().enabled ? ['export'] : []);
+  }
+
+  getExportSettings() {
+    return { ...EXPORT_DEFAULTS, ...(this.engineConfig.export || {}) };
+  }
+
+  setExportSettings(settings = {}) {
+    const updated = this.getExportSettings();
+    const number = (key, min, max) => {
+      if (settings[key] === undefined) return;
+      const value = parseFloat(settings[key]);
+      if (isNaN(value) || value < min || value > max) {
+        throw new Error(`${key} must be between ${min} and ${max}`);
+      }
+      updated[key] = value;
+    };
+
+    if (settings.enabled !== undefined) {
+      updated.enabled = settings.enabled === true || settings.enabled === 'true';
+    }
+    if (settings.tariff !== undefined) {
+      if (!EXPORT_TARIFFS.includes(settings.tariff)) {
+        throw new Error(`Invalid tariff: ${settings.tariff}. Allowed: ${EXPORT_TARIFFS.join(', ')}`);
+      }
+      updated.tariff = settings.tariff;
+    }
+    number('fixedPrice', -100, 200);
+    number('spotFactor', 0, 2);
+    number('spotOffset', -100, 100);
+    number('reserveSoc', 0, 100);
+    number('maxSellPower', 100, 50000);
+    number('minMargin', 0, 100);
+
+    this.engineConfig.export = updated;
+    this.saveEngineConfig();
+
+    console.log(`💶 Battery export ${updated.enabled ? 'enabled' : 'disabled'}: ${updated.tariff} tariff, ` +
+      `reserve ${updated.reserveSoc}%, up to ${updated.maxSellPower}W per inverter, margin ${updated.minMargin}¢/kWh`);
+    return updated;
+  }
+
+  // ¢/kWh paid for export in a price hour
+  getExportPrice(price) {
+    const settings = this.getExportSettings();
+    if (settings.tariff === 'fixed') return settings.fixedPrice;
+    const spot = price.energy !== undefined ? price.energy : price.total;
+    return spot * settings.spotFactor + settings.spotOffset;
+  }
+
+  // Energy held back for peak shaving is not for sale either
+  getExportReserve() {
+    return Math.max(this.getExportSettings().reserveSoc, this.academicParams.socMin * 100, peakShavingService.getReserveSoc());
+  }
+
+  // Is selling stored energy now worth it? A sold kWh has to be bought back at the cheapest
+  // price ahead, through the battery's round trip, wearing it on the way out and in again.
+  getExportOpportunity(forecast, currentPrice, batterySOC) {
+    const settings = this.getExportSettings();
+    const round = value => Math.round(value * 100) / 100;
+    const reserveSoc = this.getExportReserve();
+    const exportPrice = this.getExportPrice(currentPrice);
+
+    const exportPrices = forecast.map(price => this.getExportPrice(price)).sort((a, b) => a - b);
+    const peakThreshold = exportPrices[Math.floor(exportPrices.length * 0.8)];
+    const currentStart = new Date(currentPrice.startsAt).getTime();
+    const ahead = isNaN(currentStart) ? forecast.slice(1) :
+      forecast.filter(price => new Date(price.startsAt).getTime() > currentStart);
+    const refillPrice = Math.min(...ahead.map(price => price.total));
+    const breakEven = refillPrice / this.academicParams.roundTripEfficiency +
+      2 * (this.academicParams.wearCostPerKwh || 0) + settings.minMargin;
+
+    let reason;
+    if (!settings.enabled) {
+      reason = 'Battery export disabled';
+    } else if (!isFinite(refillPrice)) {
+      reason = 'Battery export: no prices ahead to buy the energy back';
+    } else if (batterySOC <= reserveSoc) {
+      reason = `Battery export: SOC ${batterySOC}% at or below the ${reserveSoc}% reserve`;
+    } else if (exportPrice < peakThreshold) {
+      reason = `Battery export: ${exportPrice.toFixed(2)}¢/kWh outside the top 20% of export prices (from ${peakThreshold.toFixed(2)}¢)`;
+    } else if (exportPrice < breakEven) {
+      reason = `Battery export: ${exportPrice.toFixed(2)}¢/kWh below break-even ${breakEven.toFixed(2)}¢ (refill ${refillPrice.toFixed(2)}¢)`;
+    } else {
+      reason = `Battery export: ${exportPrice.toFixed(2)}¢/kWh ≥ break-even ${breakEven.toFixed(2)}¢ (refill ${refillPrice.toFixed(2)}¢, ` +
+        `${(this.academicParams.roundTripEfficiency * 100).toFixed(0)}% round trip, reserve ${reserveSoc}%)`;
+    }
+
+    return {
+      enabled: settings.enabled,
+      shouldExport: settings.enabled && isFinite(refillPrice) && batterySOC > reserveSoc &&
+        exportPrice >= peakThreshold && exportPrice >= breakEven,
+      exportPrice: round(exportPrice),
+      peakThreshold: round(peakThreshold),
+      refillPrice: isFinite(refillPrice) ? round(refillPrice) : null,
+      breakEven: isFinite(breakEven) ? round(breakEven) : null,
+      reserveSoc,
+      maxSellPower: settings.maxSellPower,
+      reason
+    };
+  }
+
+  // Current values of the settings an export changes that idle does not write back, null while unknown
+  getExportRestoreValues(inverterId) {
+    const idleSettings = inverterDriverRegistry.getControlCommands(inverterId, 'idle').map(command => command.setting);
+    const settings = inverterDriverRegistry.getControlCommands(inverterId, 'export')
+      .map(command => command.setting)
+      .filter(setting => !idleSettings.includes(setting));
+
+    const values = settings.map(setting => ({ setting, value: this.settingsState?.[setting]?.[inverterId]?.value }));
+    return values.some(item => item.value === undefined || item.value === null) ? null : values;
+  }
+
+  getExportRestoreCommands(inverterId) {
+    return (this.engineConfig.exportRestore?.[inverterId] || []).map(item => ({
+      topic: `${this.config.mqttTopicPrefix}/${inverterId}/${item.setting}/set`,
+      setting: item.setting,
+      value: item.value
+    }));
+  }
+
+  setExportRestore(inverterId, values) {
+    if (!this.engineConfig.exportRestore) this.engineConfig.exportRestore = {};
+    if (values) {
+      this.engineConfig.exportRestore[inverterId] = values;
+    } else {
+      delete this.engineConfig.exportRestore[inverterId];
+    }
+    this.saveEngineConfig();
+  }
+
+  getExportStatus() {
+    return {
+      settings: this.getExportSettings(),
+      tariffs: EXPORT_TARIFFS,
+      opportunity: this.lastOptimization?.export || null,
+      exporting: Object.keys(this.engineConfig.exportRestore || {}),
+      inverters: Array.from({ length: this.config.inverterNumber }, (_, index) => {
+        const inverterId = `inverter_${index + 1}`;
+        return { inverterId, supported: inverterDriverRegistry.supportsControl(inverterId, 'export') };
+      })
+    };
+  }
+
+  // Site-wide state overlaid with the metrics reported on this inverter's own topics
+  getInverterState(inverterId) {
+    return {
+      ...(this.currentSystemState || {}),
+      ...(this.inverterStates?.[inverterId] || {})
+    };
+  }
+
   async initialize(mqttClient, currentSystemState, config = {}) {
     this.mqttClient = mqttClient;
     this.currentSystemState = currentSystemState;
@@ -66,6 +417,17 @@ class AIChargingEngine {
     if (config.mqttTopicPrefix) this.config.mqttTopicPrefix = config.mqttTopicPrefix;
     if (config.inverterTypes) this.config.inverterTypes = config.inverterTypes;
     if (config.batteryCapacity) this.config.batteryCapacity = config.batteryCapacity;
+    if (config.inverterStates) this.inverterStates = config.inverterStates;
+    if (config.settingsState) this.settingsState = config.settingsState;
+    
+    // Verify published commands against the reported inverter state
+    commandTracker.initialize(mqttClient, config.settingsState);
+    
+    this.applyBatteryProfile();
+    this.applyPvArrays();
+    this.applySite();
+    this.applyCalendar();
+    this.applyDeferrableLoads();
     
     // Auto-detect battery if not configured
     await this.detectBatteryCapacity();
@@ -73,7 +435,7 @@ class AIChargingEngine {
     // Initialize AI System
     if (this.useAI && global.influx) {
       try {
-        const aiResult = await this.aiSystem.initialize(global.influx, tibberService);
+        const aiResult = await this.aiSystem.initialize(global.influx, tibberService, weatherService);
         if (aiResult.success) {
           this.aiInitialized = true;
           this.aiEnabled = true;
@@ -94,8 +456,12 @@ class AIChargingEngine {
     console.log(`   • Threshold: Bottom ${(this.academicParams.pricePercentileThreshold * 100).toFixed(0)}% (cheapest prices only)`);
     console.log(`   • Battery: ${this.config.batteryCapacity} kWh (${sizeCategory.category} - ${this.batteryDetection.detectionMethod})`);
     console.log(`   • Category: ${sizeCategory.description}`);
+    console.log(`   • Battery Profile: ${this.batteryProfile.name} (${this.batteryProfile.chemistry}, SOC ${this.batteryProfile.socMin}-${this.batteryProfile.socMax}%)`);
     console.log(`   • Efficiency: ${(this.academicParams.roundTripEfficiency * 100).toFixed(1)}% round-trip`);
     console.log(`   • AI Status: ${this.aiEnabled ? 'ACTIVE' : 'DISABLED'}`);
+    if (this.shadowMode) {
+      console.log('   • Mode: SHADOW (no commands are published)');
+    }
   }
 
   updateSystemState(systemState) {
@@ -107,7 +473,8 @@ class AIChargingEngine {
       systemState.battery_capacity_ah = batteryCapacityAh;
       
       // Use actual battery voltage for accurate calculation
-      const voltage = systemState.battery_voltage || systemState.total_battery_voltage || 48;
+      const voltage = systemState.battery_voltage || systemState.total_battery_voltage || 
+        batteryProfileService.getActiveProfile().nominalVoltage;
       const calculatedKwh = Math.round((batteryCapacityAh * voltage) / 1000);
       
       // Only log once when battery is first detected or capacity changes
@@ -135,10 +502,13 @@ class AIChargingEngine {
     if (config.inverterNumber) this.config.inverterNumber = config.inverterNumber;
     if (config.mqttTopicPrefix) this.config.mqttTopicPrefix = config.mqttTopicPrefix;
     if (config.inverterTypes) this.config.inverterTypes = config.inverterTypes;
+    if (config.inverterStates) this.inverterStates = config.inverterStates;
     if (config.batteryCapacity) {
       this.config.batteryCapacity = config.batteryCapacity;
       this.batteryDetection.detectionMethod = 'manual';
       this.batteryDetection.confidence = 1.0;
+      this.batteryDetection.ratedCapacity = config.batteryCapacity;
+      this.applyLearnedCapacity();
     }
   }
 
@@ -147,12 +517,28 @@ class AIChargingEngine {
     if (!this.currentSystemState) return null;
     
     const methods = {
+      // Method 0: Capacity configured in the active battery profile
+      batteryProfile: () => {
+        const profile = batteryProfileService.getActiveProfile();
+        if (profile.capacityAh) {
+          const capacityKwh = Math.round((profile.capacityAh * profile.nominalVoltage) / 1000);
+          return { capacity: capacityKwh, confidence: 1.0, method: 'battery_profile' };
+        }
+        if (profile.usableCapacityKwh) {
+          // Usable capacity excludes the reserve below socMin and above socMax
+          const capacityKwh = Math.round(profile.usableCapacityKwh / ((profile.socMax - profile.socMin) / 100));
+          return { capacity: capacityKwh, confidence: 1.0, method: 'battery_profile' };
+        }
+        return null;
+      },
+      
       // Method 1: From MQTT battery capacity data (most reliable)
       mqttBatteryData: () => {
         const batteryCapacityAh = this.extractBatteryCapacity(this.currentSystemState);
-        // Use actual battery voltage from MQTT, fallback to 48V
+        // Use actual battery voltage from MQTT, fallback to the profile's nominal voltage
         const batteryVoltage = this.currentSystemState.battery_voltage || 
-                              this.currentSystemState.total_battery_voltage || 48;
+                              this.currentSystemState.total_battery_voltage || 
+                              batteryProfileService.getActiveProfile().nominalVoltage;
         
         if (batteryCapacityAh && batteryCapacityAh > 0) {
           // Convert Ah to kWh: Ah × Voltage ÷ 1000
@@ -191,9 +577,11 @@ class AIChargingEngine {
         this.batteryDetection = {
           autoDetected: true,
           detectionMethod: result.method,
-          confidence: result.confidence
+          confidence: result.confidence,
+          ratedCapacity: result.capacity
         };
         console.log(`🔋 Battery capacity detected: ${result.capacity} kWh (${result.method}, ${(result.confidence * 100).toFixed(0)}% confidence)`);
+        this.applyLearnedCapacity();
         return result;
       }
     }
@@ -201,6 +589,84 @@ class AIChargingEngine {
     return null;
   }
 
+  // Aged packs hold less than their nameplate: plan with the measured capacity once it is trusted
+  applyLearnedCapacity() {
+    const rated = this.batteryDetection.ratedCapacity || this.config.batteryCapacity;
+    const estimate = batteryHealthService.getEstimate();
+    const learned = batteryHealthService.getLearnedCapacity();
+    const previous = this.config.batteryCapacity;
+
+    this.config.batteryCapacity = learned ? Math.round(learned * 10) / 10 : rated;
+    this.batteryDetection = {
+      ...this.batteryDetection,
+      ratedCapacity: rated,
+      learnedCapacity: estimate ? Math.round(estimate.capacityKwh * 10) / 10 : null,
+      learnedConfidence: estimate ? estimate.confidence : 0,
+      stateOfHealth: estimate && rated ? Math.round(estimate.capacityKwh / rated * 1000) / 10 : null,
+      capacitySource: learned ? 'learned' : 'rated'
+    };
+    if (this.config.batteryCapacity !== previous && learned) {
+      console.log(`🔋 Planning with learned capacity ${this.config.batteryCapacity} kWh (rated ${rated} kWh, SoH ${this.batteryDetection.stateOfHealth}%)`);
+    }
+    return this.config.batteryCapacity;
+  }
+
+  // SOC window, efficiency and wear cost follow the active battery profile
+  applyBatteryProfile() {
+    const profile = batteryProfileService.getActiveProfile();
+    
+    this.batteryProfile = profile;
+    this.academicParams.chargeEfficiency = profile.efficiency;
+    this.academicParams.dischargeEfficiency = profile.efficiency;
+    this.academicParams.roundTripEfficiency = profile.efficiency * profile.efficiency;
+    this.academicParams.socMin = profile.socMin / 100;
+    this.academicParams.socMax = profile.socMax / 100;
+    this.academicParams.wearCostPerKwh = batteryDegradationService.getWearCostPerKwh(profile, this.config?.batteryCapacity);
+    
+    this.aiSystem.setBatteryLimits({
+      socMin: profile.socMin,
+      socMax: profile.socMax,
+      efficiency: profile.efficiency,
+      roundTripEfficiency: this.academicParams.roundTripEfficiency,
+      wearCost: this.academicParams.wearCostPerKwh,
+      maxChargePower: profile.maxChargeCurrent * profile.nominalVoltage,
+      maxGridChargePower: (profile.maxGridChargeCurrent || profile.maxChargeCurrent) * profile.nominalVoltage,
+      maxDischargePower: profile.maxDischargeCurrent * profile.nominalVoltage
+    });
+    
+    return profile;
+  }
+
+  // Array geometry for the physical part of the solar forecast
+  applyPvArrays() {
+    const arrays = pvArrayService.getArrays();
+    this.aiSystem.setPvArrays(arrays);
+    return arrays;
+  }
+
+  // Site location for the sun position
+  applySite() {
+    const site = siteConfigService.config;
+    this.aiSystem.setSite(site);
+    return site;
+  }
+
+  // Holidays and absences change the load forecast, the calendar is read on every forecast
+  applyCalendar() {
+    this.aiSystem.setCalendar(calendarService);
+    return calendarService.getCountry();
+  }
+
+  // Deferrable loads are scheduled with every forecast, the battery plan includes their runs
+  applyDeferrableLoads() {
+    this.aiSystem.setDeferrableLoads(deferrableLoadService);
+  }
+
+  // Lowest SOC the engine will discharge to, lead-acid banks need a higher floor
+  getDischargeFloor() {
+    return Math.max(30, this.academicParams.socMin * 100);
+  }
+
   // Get battery size category for strategy selection
   getBatterySizeCategory() {
     const capacity = this.config.batteryCapacity;
@@ -239,7 +705,172 @@ class AIChargingEngine {
     return command;
   }
 
-  async logDecision(decision, reasons, academicMetrics = {}) {
+  // Publish through the command tracker so the inverter state gets verified
+  sendCommand(topic, value) {
+    if (this.shadowMode) {
+      return this.recordShadowCommand(topic, value);
+    }
+    
+    return commandTracker.send(topic, value, {
+      source: 'AI_ENGINE',
+      onFailed: (command) => {
+        // Allow the next evaluation to resend instead of skipping it as a duplicate
+        delete this.lastCommands[command.inverterId];
+      },
+      onRejected: (verdict) => {
+        // Throttled writes are retried on the next evaluation, policy violations are not
+        if (verdict.rule === 'rate_limit' && verdict.inverterId) {
+          delete this.lastCommands[verdict.inverterId];
+        }
+      }
+    });
+  }
+
+  // Record what would have been published next to what the inverter currently reports
+  recordShadowCommand(topic, value) {
+    const target = commandTracker.parseTopic(topic);
+    const reported = commandTracker.getReportedState(topic);
+    const actualValue = reported ? reported.value : null;
+    
+    const entry = {
+      timestamp: new Date().toISOString(),
+      topic: topic,
+      inverterId: target?.inverterId || null,
+      setting: target?.setting || null,
+      wouldSend: String(value),
+      actualValue: actualValue,
+      matches: actualValue !== null && 
+        commandTracker.normalizeValue(actualValue) === commandTracker.normalizeValue(value)
+    };
+    
+    this.shadowCommands.push(entry);
+    influxAIService.saveShadowCommand(entry);
+    console.log(`👻 Shadow: would send ${topic} = ${value} (inverter reports: ${actualValue !== null ? actualValue : 'unknown'})`);
+    return entry;
+  }
+
+  getShadowReport(limit = 50) {
+    const commands = this.shadowHistory.flatMap(entry => entry.wouldSend);
+    const matching = commands.filter(command => command.matches).length;
+    
+    return {
+      enabled: this.shadowMode,
+      decisions: this.shadowHistory.length,
+      commands: commands.length,
+      matching: matching,
+      diverging: commands.length - matching,
+      agreementRate: commands.length > 0 ? Math.round((matching / commands.length) * 100) : null,
+      exporting: Array.from(this.shadowExports),
+      history: this.shadowHistory.slice(0, limit)
+    };
+  }
+
+  // Options the AI weighed: the plan's current slot and the Q-values of the encoded state
+  getAICandidates(prediction, exportOpportunity = null, exporting = false) {
+    const candidates = (prediction.charging.alternatives || []).map(alternative => ({
+      action: alternative.action,
+      source: 'q_table',
+      score: parseFloat(alternative.qValue),
+      selected: alternative.action === prediction.charging.action
+    }));
+    
+    const slot = prediction.plan?.slots?.[0];
+    if (slot) {
+      candidates.unshift({
+        action: `PLAN_${slot.action.toUpperCase()}`,
+        source: 'plan',
+        score: Math.round((prediction.plan.expectedSavings || 0) * 10) / 10, // ¢ below self-consumption over the horizon
+        selected: this.engineConfig.planner !== false,
+        targetSoc: slot.targetSoc
+      });
+    }
+    if (exportOpportunity?.enabled) {
+      candidates.push(this.getExportCandidate(exportOpportunity, exporting));
+    }
+    return candidates;
+  }
+
+  // Score: ¢ per exported kWh above the break-even price
+  getExportCandidate(exportOpportunity, selected) {
+    return {
+      action: 'START_EXPORT',
+      source: 'export',
+      score: exportOpportunity.breakEven !== null ?
+        Math.round((exportOpportunity.exportPrice - exportOpportunity.breakEven) * 100) / 100 : null,
+      selected
+    };
+  }
+
+  // Structured record behind a decision: what the engine saw, weighed, picked and sent
+  async buildDecisionRecord(entry, explanation) {
+    const optimization = explanation.optimization !== undefined ?
+      explanation.optimization : await this.academicOptimization();
+    const prediction = explanation.prediction;
+    const hourly = (list, valueKey) => (list || []).slice(0, 6).map(item => ({
+      time: new Date(item.timestamp || item.startsAt).toISOString(),
+      value: Math.round((item[valueKey] || 0) * 100) / 100
+    }));
+    
+    return {
+      timestamp: entry.timestamp,
+      decision: entry.decision,
+      reasons: entry.reasons,
+      mode: entry.mode,
+      strategy: entry.academicMetrics.strategy,
+      inputs: {
+        ...entry.systemState,
+        price: {
+          current: entry.tibberData.currentPrice,
+          level: entry.tibberData.priceLevel,
+          average: entry.tibberData.averagePrice
+        },
+        thresholds: optimization?.thresholds || null,
+        targetSoC: tibberService.config.targetSoC,
+        socWindow: { min: this.academicParams.socMin * 100, max: this.academicParams.socMax * 100 },
+        wearCostPerKwh: this.academicParams.wearCostPerKwh,
+        ev: ocppService.getEvStatus(),
+        peakShaving: peakShavingService.getState(),
+        forecasts: {
+          solar: hourly(prediction?.solar, 'power'),
+          load: hourly(prediction?.load, 'power'),
+          prices: hourly(tibberService.cache.forecast, 'total')
+        },
+        confidence: prediction?.confidence ?? null
+      },
+      candidates: explanation.candidates || [],
+      chosen: explanation.chosen || null,
+      commands: Object.values(this.currentInverterDecisions).map(inverter => ({
+        inverterId: inverter.inverterId,
+        action: inverter.action,
+        outcome: inverter.outcome,
+        commands: inverter.commands.map(command => ({ topic: command.topic, value: command.value }))
+      }))
+    };
+  }
+
+  // What happened since the previous decision, measured when the next one is made
+  async recordDecisionOutcome() {
+    const previous = this.lastDecision;
+    if (!previous?.id || !this.currentSystemState) return;
+    
+    const state = this.currentSystemState;
+    const outcome = {
+      measuredAt: new Date().toISOString(),
+      afterMinutes: Math.round((Date.now() - new Date(previous.timestamp).getTime()) / 60000),
+      battery_soc: state.battery_soc,
+      socChange: state.battery_soc !== undefined && previous.systemState.battery_soc !== undefined ?
+        state.battery_soc - previous.systemState.battery_soc : null,
+      pv_power: state.pv_power,
+      load: state.load,
+      grid_power: state.grid_power,
+      price: tibberService.cache.currentPrice?.total
+    };
+    await influxAIService.saveDecisionOutcome(previous.id, outcome);
+  }
+
+  async logDecision(decision, reasons, academicMetrics = {}, explanation = {}) {
+    await this.recordDecisionOutcome();
+    
     const systemState = {
       battery_soc: this.currentSystemState?.battery_soc,
       pv_power: this.currentSystemState?.pv_power,
@@ -254,8 +885,10 @@ class AIChargingEngine {
       averagePrice: tibberService.calculateAveragePrice()
     };
 
+    const timestamp = new Date();
     const entry = {
-      timestamp: new Date().toISOString(),
+      id: String(timestamp.getTime()),
+      timestamp: timestamp.toISOString(),
       decision: decision,
       reasons: reasons,
       systemState: systemState,
@@ -270,8 +903,35 @@ class AIChargingEngine {
       }
     };
 
+    if (Object.keys(this.currentInverterDecisions).length > 0) {
+      entry.inverters = this.currentInverterDecisions;
+    }
+
+    if (this.shadowMode) {
+      entry.mode = 'shadow';
+      entry.wouldSend = this.shadowCommands;
+      
+      this.shadowHistory.unshift({
+        timestamp: entry.timestamp,
+        decision: decision,
+        wouldSend: this.shadowCommands
+      });
+      if (this.shadowHistory.length > 500) {
+        this.shadowHistory = this.shadowHistory.slice(0, 500);
+      }
+    } else {
+      entry.mode = 'live';
+    }
+
+    const record = await this.buildDecisionRecord(entry, explanation);
     this.lastDecision = entry;
-    await influxAIService.saveDecision(decision, reasons, systemState, tibberData);
+    this.lastDecisionRecord = { ...record, id: entry.id, outcome: null };
+    await influxAIService.saveDecision(decision, reasons, systemState, tibberData, {
+      mode: entry.mode,
+      wouldSend: entry.wouldSend,
+      timestamp: entry.timestamp,
+      record
+    });
 
     // Send to enhanced notification service if available
     if (global.enhancedNotificationService) {
@@ -306,24 +966,39 @@ class AIChargingEngine {
     
     // From study: "for BESS up to 15 kWh, price-sensitive operation is beneficial"
     // "for larger BESS beyond 15 kWh, maximization of self-consumption yields higher net gains"
+    const override = this.engineConfig.strategy && this.engineConfig.strategy !== 'auto' ? 
+      this.engineConfig.strategy : null;
+    let strategyName;
+    
+    if (override) {
+      strategyName = override;
+    } else if (batterySize <= this.SMALL_BATTERY_THRESHOLD) {
+      strategyName = 'PRICE_SENSITIVE_OPTIMAL';
+    } else if (batterySize <= this.MEDIUM_BATTERY_THRESHOLD) {
+      strategyName = 'HYBRID_STRATEGY';
+    } else {
+      strategyName = 'SELF_CONSUMPTION_OPTIMAL';
+    }
     
-    if (batterySize <= this.SMALL_BATTERY_THRESHOLD) {
+    if (strategyName === 'PRICE_SENSITIVE_OPTIMAL') {
       return {
         name: 'PRICE_SENSITIVE_OPTIMAL',
         description: `Price-sensitive operation (${sizeCategory.description})`,
         expectedImprovement: 12.7, // % improvement from study
         usePriceThresholds: true,
         aggressiveCharging: true,
-        batteryCategory: sizeCategory
+        batteryCategory: sizeCategory,
+        manualOverride: !!override
       };
-    } else if (batterySize <= this.MEDIUM_BATTERY_THRESHOLD) {
+    } else if (strategyName === 'HYBRID_STRATEGY') {
       return {
         name: 'HYBRID_STRATEGY',
         description: `Hybrid strategy (${sizeCategory.description})`,
         expectedImprovement: 8.0, // Interpolated
         usePriceThresholds: true,
         aggressiveCharging: false,
-        batteryCategory: sizeCategory
+        batteryCategory: sizeCategory,
+        manualOverride: !!override
       };
     } else {
       return {
@@ -332,7 +1007,8 @@ class AIChargingEngine {
         expectedImprovement: 6.0, // Study shows diminishing returns
         usePriceThresholds: false,
         aggressiveCharging: false,
-        batteryCategory: sizeCategory
+        batteryCategory: sizeCategory,
+        manualOverride: !!override
       };
     }
   }
@@ -342,6 +1018,14 @@ class AIChargingEngine {
       if (!this.enabled) {
         return { decision: 'IDLE', reasons: ['AI charging engine is disabled'] };
       }
+      
+      // Pick up battery profile changes and the latest learned capacity since the last evaluation
+      this.applyLearnedCapacity();
+      this.applyBatteryProfile();
+      
+      // Collect the commands this evaluation would send while in shadow mode
+      this.shadowCommands = [];
+      this.currentInverterDecisions = {};
 
       // Try to refresh pricing data (Tibber or SMARD)
       const pricingAvailable = await tibberService.refreshData();
@@ -365,6 +1049,11 @@ class AIChargingEngine {
         reasons.push(`Using ${tibberService.cache.source.toUpperCase()} pricing data`);
       }
 
+      const ev = ocppService.getEvStatus();
+      if (ev.charging) {
+        reasons.push(`EV charging ${ev.powerW}W on ${ev.chargePoints} wallbox(es): grid before battery, no discharge into the car`);
+      }
+
       // AI-Powered Decision Making
       if (this.aiEnabled && this.aiInitialized) {
         try {
@@ -374,17 +1063,48 @@ class AIChargingEngine {
           );
           
           const aiDecision = aiPrediction.charging;
+          this.currentPlan = aiPrediction.plan;
+          deferrableLoadService.setSchedule(aiPrediction.loadSchedule, 'ai');
+          this.planPeakShaving(aiPrediction);
+          
+          // Keep the forecasts so they can be scored once the hours have passed
+          forecastAccuracyService.recordForecast(aiPrediction, this.aiSystem.getModelVersion()).catch(() => {});
+          this.aiSystem.setForecastAccuracy(forecastAccuracyService.getRecentAccuracy());
           
           // Learn from previous outcomes
           await this.learnFromOutcomes();
           
-          // Apply AI decision
-          if (aiDecision.type === 'CHARGE' || aiDecision.type === 'STOP') {
-            const actionDecision = aiDecision.type === 'STOP' ? 'STOP_CHARGING' : 'START_CHARGING';
-            await this.applyDecision(actionDecision);
+          // Apply AI decision - the charge plan when there is one, otherwise the Q-table action
+          this.lastOptimization = await this.academicOptimization();
+          const exportOpportunity = this.lastOptimization?.export || null;
+          const aiAction = this.getAIAction(aiPrediction, this.currentSystemState, exportOpportunity);
+          if (aiAction.action) {
+            await this.applyDecision(aiAction.action);
           }
           
-          const decision = `AI ${aiDecision.type}: ${aiDecision.reason}`;
+          let decision = `AI ${aiDecision.type}: ${aiDecision.reason}`;
+          if (aiAction.action === 'START_EXPORT') {
+            decision = `AI EXPORT BATTERY: ${exportOpportunity.exportPrice.toFixed(2)}¢/kWh ≥ break-even ${exportOpportunity.breakEven.toFixed(2)}¢, down to ${exportOpportunity.reserveSoc}% reserve`;
+            if (aiAction.slot) {
+              reasons.push(`Charge plan: ${aiAction.slot.action} slot overridden by the export peak`);
+            }
+          } else if (aiAction.slot) {
+            const slot = aiAction.slot;
+            const label = { charge: 'CHARGE GRID', discharge: 'USE BATTERY', hold: 'HOLD' }[slot.action];
+            decision = `AI PLAN ${label}: target ${slot.targetSoc}% at ${slot.price.toFixed(2)}¢/kWh until ${new Date(slot.end).toLocaleTimeString()}`;
+            reasons.push(`Charge plan: ${aiPrediction.plan.chargeSlots} charge slot(s) in ${aiPrediction.plan.horizonHours}h, expected ${aiPrediction.plan.expectedSavings.toFixed(1)}¢ below self-consumption`);
+            reasons.push(`Q-table suggestion: ${aiDecision.type}`);
+          }
+          if (aiPrediction.loadSchedule) {
+            const runs = aiPrediction.loadSchedule.runs.filter(run => run.segments.length > 0);
+            reasons.push(`Deferrable loads: ${runs.length} run(s) planned, expected ${aiPrediction.loadSchedule.expectedSavings.toFixed(1)}¢ below switching on at window start`);
+          }
+          if (exportOpportunity?.enabled) {
+            reasons.push(exportOpportunity.reason);
+          }
+          if (peakShavingService.getReason()) {
+            reasons.push(peakShavingService.getReason());
+          }
           reasons.push(...aiDecision.reasoning);
           reasons.push(`AI Confidence: ${(aiPrediction.confidence * 100).toFixed(0)}%`);
           reasons.push(`Expected Savings: ${aiDecision.expectedSavings || 'Calculating...'}`);
@@ -393,7 +1113,18 @@ class AIChargingEngine {
             strategy: 'AI_PATTERN_LEARNING',
             expectedImprovement: parseFloat(aiDecision.expectedSavings) || 0,
             aiConfidence: aiPrediction.confidence,
-            aiAction: aiDecision.action || aiDecision.type
+            aiAction: aiAction.action === 'START_EXPORT' ? 'EXPORT_BATTERY' :
+              (aiAction.slot ? `PLAN_${aiAction.slot.action.toUpperCase()}` : (aiDecision.action || aiDecision.type))
+          }, {
+            prediction: aiPrediction,
+            candidates: this.getAICandidates(aiPrediction, exportOpportunity, aiAction.action === 'START_EXPORT'),
+            chosen: {
+              action: aiAction.action,
+              source: aiAction.source,
+              label: aiAction.action === 'START_EXPORT' ? 'EXPORT_BATTERY' :
+                (aiAction.slot ? `PLAN_${aiAction.slot.action.toUpperCase()}` : (aiDecision.action || aiDecision.type)),
+              slot: aiAction.slot || null
+            }
           });
           
         } catch (aiError) {
@@ -406,45 +1137,13 @@ class AIChargingEngine {
       const strategy = this.selectOptimalStrategy();
       const netLoad = load - pvPower;
       const optimization = await this.academicOptimization();
+      this.lastOptimization = optimization;
       
-      let shouldCharge = false;
-      let shouldStop = false;
-
-      // Strategy-based decision making
-      if (strategy.usePriceThresholds) {
-        if (optimization) {
-          const thresholds = optimization.thresholds;
-          
-          if (thresholds.isNegative) {
-            shouldCharge = true;
-            reasons.push(`NEGATIVE PRICE: Getting paid ${Math.abs(thresholds.current).toFixed(2)}¢/kWh`);
-          } else if (thresholds.current <= thresholds.dynamicCharge) {
-            shouldCharge = true;
-            reasons.push(`CHEAPEST PRICE: ${thresholds.current.toFixed(2)}¢ ≤ ${thresholds.dynamicCharge.toFixed(2)}¢/kWh (bottom ${(thresholds.percentile * 100).toFixed(0)}%)`);
-            reasons.push(`Charging only at cheapest ${(thresholds.percentile * 100).toFixed(0)}% of prices`);
-          }
-          
-          if (optimization.shouldDischarge && batterySOC > 30) {
-            reasons.push(`PEAK PRICE DISCHARGE: ${thresholds.current.toFixed(2)}¢/kWh (top 20%, volatility: ${(optimization.volatility * 100).toFixed(1)}%)`);
-          }
-        }
-      } else {
-        const pvSurplus = pvPower - load;
-        if (pvSurplus > 100 && batterySOC < 95) {
-          shouldCharge = true;
-          reasons.push(`SELF-CONSUMPTION: Solar surplus ${pvSurplus.toFixed(0)}W (optimal for ${this.config.batteryCapacity}kWh battery)`);
-        }
-      }
-
-      // No fixed price safety overrides - use dynamic thresholds only
-      if (batterySOC >= config.targetSoC) {
-        shouldStop = true;
-        reasons.push(`Target SOC reached: ${batterySOC}%`);
-      }
-
-      if (gridVoltage < 200 || gridVoltage > 250) {
-        shouldStop = true;
-        reasons.push(`Grid voltage constraint: ${gridVoltage}V`);
+      const { shouldCharge, shouldStop } = this.getAcademicSignals(
+        this.currentSystemState, optimization, strategy, config.targetSoC, reasons
+      );
+      if (peakShavingService.getReason()) {
+        reasons.push(peakShavingService.getReason());
       }
 
       let decision = this.makeAcademicDecision(
@@ -453,14 +1152,22 @@ class AIChargingEngine {
         optimization, reasons, strategy
       );
 
-      if (decision.includes('CHARGE') || decision.includes('STOP')) {
-        const actionDecision = decision.includes('STOP') ? 'STOP_CHARGING' : 'START_CHARGING';
+      const actionDecision = this.getDecisionAction(decision);
+      if (actionDecision) {
         await this.applyDecision(actionDecision);
       }
 
       return await this.logDecision(decision, reasons, {
         strategy: strategy.name,
         expectedImprovement: strategy.expectedImprovement
+      }, {
+        optimization,
+        candidates: [
+          { action: 'START_CHARGING', source: 'rules', score: null, selected: actionDecision === 'START_CHARGING' },
+          { action: 'STOP_CHARGING', source: 'rules', score: null, selected: actionDecision === 'STOP_CHARGING' },
+          ...(optimization?.export?.enabled ? [this.getExportCandidate(optimization.export, actionDecision === 'START_EXPORT')] : [])
+        ],
+        chosen: { action: actionDecision, source: 'rules', label: strategy.name, slot: null }
       });
       
     } catch (error) {
@@ -469,14 +1176,142 @@ class AIChargingEngine {
     }
   }
 
+  // Charge/stop signals of the traditional logic, shared with the backtest replay
+  getAcademicSignals(state, optimization, strategy, targetSoC, reasons = []) {
+    const batterySOC = state?.battery_soc || 0;
+    const pvPower = state?.pv_power || 0;
+    const load = state?.load || 0;
+    const gridVoltage = state?.grid_voltage || 0;
+    let shouldCharge = false;
+    let shouldStop = false;
+
+    // Strategy-based decision making
+    if (strategy.usePriceThresholds) {
+      if (optimization) {
+        const thresholds = optimization.thresholds;
+        
+        if (thresholds.isNegative) {
+          shouldCharge = true;
+          reasons.push(`NEGATIVE PRICE: Getting paid ${Math.abs(thresholds.current).toFixed(2)}¢/kWh`);
+        } else if (thresholds.current <= thresholds.dynamicCharge) {
+          // A stored kWh wears the battery going in and coming out again
+          const wearCost = this.academicParams.wearCostPerKwh || 0;
+          const spread = thresholds.dynamicDischarge * this.academicParams.roundTripEfficiency - thresholds.current;
+          if (wearCost > 0 && spread < 2 * wearCost) {
+            reasons.push(`Cheap price ${thresholds.current.toFixed(2)}¢ skipped: spread ${spread.toFixed(2)}¢ below battery wear ${(2 * wearCost).toFixed(2)}¢/kWh`);
+          } else {
+            shouldCharge = true;
+            reasons.push(`CHEAPEST PRICE: ${thresholds.current.toFixed(2)}¢ ≤ ${thresholds.dynamicCharge.toFixed(2)}¢/kWh (bottom ${(thresholds.percentile * 100).toFixed(0)}%)`);
+            reasons.push(`Charging only at cheapest ${(thresholds.percentile * 100).toFixed(0)}% of prices`);
+          }
+        }
+        
+        if (optimization.shouldDischarge && batterySOC > this.getDischargeFloor()) {
+          reasons.push(`PEAK PRICE DISCHARGE: ${thresholds.current.toFixed(2)}¢/kWh (top 20%, volatility: ${(optimization.volatility * 100).toFixed(1)}%)`);
+        }
+        
+        if (optimization.export.enabled) {
+          reasons.push(optimization.export.reason);
+        }
+      }
+    } else {
+      const pvSurplus = pvPower - load;
+      if (pvSurplus > 100 && batterySOC < 95) {
+        shouldCharge = true;
+        reasons.push(`SELF-CONSUMPTION: Solar surplus ${pvSurplus.toFixed(0)}W (optimal for ${this.config.batteryCapacity}kWh battery)`);
+      }
+    }
+
+    // No fixed price safety overrides - use dynamic thresholds only
+    if (batterySOC >= targetSoC) {
+      shouldStop = true;
+      reasons.push(`Target SOC reached: ${batterySOC}%`);
+    }
+
+    if (gridVoltage < 200 || gridVoltage > 250) {
+      shouldStop = true;
+      reasons.push(`Grid voltage constraint: ${gridVoltage}V`);
+    }
+
+    return { shouldCharge, shouldStop };
+  }
+
+  // Follows the current slot of the charge plan; without a plan the Q-table decision is used.
+  // A profitable export peak (see getExportOpportunity) overrides anything but a grid charge.
+  getAIAction(prediction, state, exportOpportunity = null) {
+    const slot = this.engineConfig.planner !== false ? prediction.plan?.slots?.[0] : null;
+    const canExport = exportOpportunity?.shouldExport && (slot ? slot.action !== 'charge' : prediction.charging.type !== 'CHARGE');
+    if (slot) {
+      const charge = slot.action === 'charge' && (state?.battery_soc || 0) < slot.targetSoc;
+      return { action: canExport ? 'START_EXPORT' : (charge ? 'START_CHARGING' : 'STOP_CHARGING'), source: 'plan', slot };
+    }
+    
+    const type = prediction.charging.type;
+    if (canExport) {
+      return { action: 'START_EXPORT', source: 'export' };
+    }
+    return {
+      action: type === 'CHARGE' ? 'START_CHARGING' : (type === 'STOP' ? 'STOP_CHARGING' : null),
+      source: 'q_table'
+    };
+  }
+
+  setPlannerEnabled(enabled) {
+    this.engineConfig.planner = !!enabled;
+    this.saveEngineConfig();
+    console.log(`🗓️ AI charge plan ${this.engineConfig.planner ? 'enabled' : 'disabled - using Q-table decisions'}`);
+    return this.engineConfig.planner;
+  }
+
+  getPlan() {
+    return {
+      enabled: this.engineConfig.planner !== false,
+      plan: this.currentPlan
+    };
+  }
+
+  // Versioned snapshots of the learned AI models in data/ai_models
+  getModelSnapshots() {
+    return {
+      current: this.aiSystem.snapshot,
+      snapshots: this.aiSystem.listSnapshots()
+    };
+  }
+
+  saveModelSnapshot() {
+    if (!this.aiInitialized) {
+      throw new Error('AI system not initialized');
+    }
+    return this.aiSystem.saveSnapshot('manual');
+  }
+
+  rollbackModelSnapshot(version) {
+    if (!this.aiInitialized) {
+      throw new Error('AI system not initialized');
+    }
+    return this.aiSystem.rollbackSnapshot(version);
+  }
+
+  // Inverter action for a decision text, null when the current settings are kept
+  getDecisionAction(decision) {
+    if (decision.startsWith('EXPORT BATTERY')) return 'START_EXPORT';
+    // Peak discharge runs the house from the battery, it must not match CHARGE below
+    if (decision.startsWith('DISCHARGE')) return 'STOP_CHARGING';
+    if (decision.includes('STOP')) return 'STOP_CHARGING';
+    if (decision.includes('CHARGE')) return 'START_CHARGING';
+    return null;
+  }
+
   // Dynamic price optimization with unified pricing
-  async academicOptimization() {
+  // input overrides the live prices and state, e.g. { forecast, currentPrice, state } for a replay
+  async academicOptimization(input = {}) {
     // Use tibberService which now includes SMARD fallback
-    const forecast = tibberService.cache.forecast || [];
-    const currentPrice = tibberService.cache.currentPrice;
-    const batterySOC = this.currentSystemState?.battery_soc || 0;
-    const pvPower = this.currentSystemState?.pv_power || 0;
-    const load = this.currentSystemState?.load || 0;
+    const forecast = input.forecast || tibberService.cache.forecast || [];
+    const currentPrice = input.currentPrice || tibberService.cache.currentPrice;
+    const state = input.state || this.currentSystemState;
+    const batterySOC = state?.battery_soc || 0;
+    const pvPower = state?.pv_power || 0;
+    const load = state?.load || 0;
     
     if (!currentPrice || forecast.length < 12) return null;
     
@@ -509,7 +1344,7 @@ class AIChargingEngine {
     
     return {
       shouldCharge: (isOptimalPrice || currentPrice.total < 0) && batterySOC < 90,
-      shouldDischarge: netLoad > 0 && isHighPriceHour && batterySOC > 30,
+      shouldDischarge: netLoad > 0 && isHighPriceHour && batterySOC > this.getDischargeFloor(),
       priceLevel: isOptimalPrice ? 'OPTIMAL' : (currentPrice.total < avgPrice ? 'BELOW_AVG' : 'HIGH'),
       volatility: volatility,
       efficiency: this.academicParams.roundTripEfficiency,
@@ -523,6 +1358,7 @@ class AIChargingEngine {
         avg24h: avgPrice,
         percentile: this.academicParams.pricePercentileThreshold
       },
+      export: this.getExportOpportunity(forecast.slice(0, 24), currentPrice, batterySOC),
       academicStrategy: this.selectOptimalStrategy().name
     };
   }
@@ -531,13 +1367,20 @@ class AIChargingEngine {
                        config, shouldCharge, shouldStop, optimization, reasons, strategy) {
     const pvSurplus = pvPower - load;
     const priceIsNegative = currentPrice ? currentPrice.total < 0 : false;
+    const gridVoltageOk = gridVoltage >= 200 && gridVoltage <= 250;
+    
+    // EXPORT at a price peak, a full battery is what makes it worth it
+    if (optimization?.export?.shouldExport && gridVoltageOk) {
+      const opportunity = optimization.export;
+      return `EXPORT BATTERY - Peak sell: ${opportunity.exportPrice.toFixed(2)}¢/kWh ≥ break-even ${opportunity.breakEven.toFixed(2)}¢ (down to ${opportunity.reserveSoc}% reserve, SOC: ${batterySOC}%)`;
+    }
     
     // STOP scenarios (safety first)
     if (shouldStop) {
       if (batterySOC >= config.targetSoC) {
         return `STOP CHARGING - Target SOC ${batterySOC}% reached (${strategy.name})`;
       }
-      if (gridVoltage < 200 || gridVoltage > 250) {
+      if (!gridVoltageOk) {
         return `STOP CHARGING - Grid constraint ${gridVoltage}V`;
       }
       return `STOP CHARGING - Price/safety override`;
@@ -555,7 +1398,7 @@ class AIChargingEngine {
     }
     
     // DISCHARGE scenarios (peak arbitrage from study)
-    if (optimization?.shouldDischarge && batterySOC > 30) {
+    if (optimization?.shouldDischarge && batterySOC > this.getDischargeFloor()) {
       const expectedValue = (optimization.thresholds.current - optimization.thresholds.avg24h).toFixed(2);
       return `DISCHARGE - Peak arbitrage: ${optimization.thresholds.current.toFixed(2)}¢/kWh (+${expectedValue}¢ vs avg, ${(optimization.volatility * 100).toFixed(1)}% volatility)`;
     }
@@ -577,56 +1420,146 @@ class AIChargingEngine {
     return `MONITOR - SOC: ${batterySOC}%, PV: ${pvPower.toFixed(0)}W, Load: ${load.toFixed(0)}W (Strategy: ${strategy.name})`;
   }
 
+  // Decide what a single inverter should do based on its own settings and state
+  decideForInverter(inverterId, siteDecision) {
+    const settings = this.getInverterSettings(inverterId);
+    const ownState = this.inverterStates?.[inverterId] || {};
+    const reasons = [];
+    
+    if (!settings.enabled) {
+      return { action: null, strategy: settings.strategy, reasons: ['Excluded from AI control'] };
+    }
+    
+    // Holding the grid import limit comes before any price decision
+    if (peakShavingService.isShaving()) {
+      return { action: 'STOP_CHARGING', strategy: settings.strategy, reasons: [peakShavingService.getReason()] };
+    }
+    
+    let action = siteDecision;
+    
+    if (settings.strategy === 'self_consumption') {
+      action = 'STOP_CHARGING';
+      reasons.push('Self-consumption strategy: no grid charging');
+    } else if (settings.strategy === 'price_only') {
+      const cheapWindow = this.lastOptimization &&
+        (this.lastOptimization.priceLevel === 'OPTIMAL' || this.lastOptimization.thresholds?.isNegative);
+      action = cheapWindow ? 'START_CHARGING' : 'STOP_CHARGING';
+      reasons.push(cheapWindow ? 'Price-only strategy: cheapest price window' : 'Price-only strategy: outside cheapest price window');
+    } else {
+      reasons.push(`Following site decision: ${siteDecision}`);
+    }
+    
+    const soc = ownState.battery_soc !== undefined ? ownState.battery_soc : this.currentSystemState?.battery_soc;
+    if (action !== 'START_CHARGING' && settings.strategy !== 'self_consumption' && peakShavingService.needsPreCharge(soc)) {
+      action = 'START_CHARGING';
+      reasons.push(`Peak shaving pre-charge: ${soc}% < ${peakShavingService.getPreCharge().requiredSoc}% before forecast load peaks`);
+    }
+    
+    // Grid charging only while the load leaves room for it under the import limit
+    const gridChargePower = this.getSiteGridChargePower();
+    if (action === 'START_CHARGING' && !peakShavingService.canGridCharge(gridChargePower)) {
+      action = 'STOP_CHARGING';
+      reasons.push(`Peak shaving: grid charging at ${gridChargePower}W does not fit in the ${peakShavingService.getChargeHeadroomW()}W left under the import limit`);
+    }
+    
+    // Never charge past the SOC ceiling of the battery profile assigned to this inverter
+    const profile = batteryProfileService.getProfileForInverter(inverterId);
+    const ownSoC = ownState.battery_soc;
+    if (action === 'START_CHARGING' && ownSoC !== undefined && ownSoC >= profile.socMax) {
+      action = 'STOP_CHARGING';
+      reasons.push(`Battery profile limit: ${ownSoC}% >= ${profile.socMax}% (${profile.name})`);
+    }
+    
+    // Own target SOC only applies when this inverter reports its own battery SOC
+    const targetSoC = settings.targetSoC !== null ? settings.targetSoC :
+      (settings.strategy === 'price_only' ? tibberService.config.targetSoC : null);
+    if (action === 'START_CHARGING' && targetSoC !== null && 
+        ownState.battery_soc !== undefined && ownState.battery_soc >= targetSoC) {
+      action = 'STOP_CHARGING';
+      reasons.push(`Inverter target SOC reached: ${ownState.battery_soc}% >= ${targetSoC}%`);
+    }
+    
+    if (action === 'START_EXPORT') {
+      const reserveSoc = this.getExportReserve();
+      if (!inverterDriverRegistry.supportsControl(inverterId, 'export')) {
+        action = 'STOP_CHARGING';
+        reasons.push('Export: the inverter driver has no export mode');
+      } else if (ownSoC !== undefined && ownSoC <= reserveSoc) {
+        action = 'STOP_CHARGING';
+        reasons.push(`Export reserve reached: ${ownSoC}% <= ${reserveSoc}%`);
+      } else if (!this.engineConfig.exportRestore?.[inverterId] && !this.getExportRestoreValues(inverterId)) {
+        // Without the current values the settings could not be handed back afterwards
+        action = 'STOP_CHARGING';
+        reasons.push('Export: work mode and sell settings not reported by the inverter yet');
+      } else {
+        reasons.push(`Selling battery energy down to ${reserveSoc}%`);
+      }
+    }
+    
+    return { action, strategy: settings.strategy, reasons };
+  }
+
   async applyDecision(decision) {
+    this.lastSiteDecision = decision;
     try {
-      const enableCharging = decision === 'START_CHARGING';
-      const commandValue = this.getOptimalChargingMode(enableCharging);
-      
-      // Check if this is the same command as last time
-      if (this.lastCommand === commandValue) {
-        console.log(`⏭️ Skipping duplicate command: ${decision} (${commandValue})`);
-        return;
-      }
-      
-      // Send command to all detected inverters
+      // Send a separate command set to each inverter
       let commandsSent = 0;
       for (let i = 1; i <= this.config.inverterNumber; i++) {
         const inverterId = `inverter_${i}`;
-        const inverterType = this.config.inverterTypes[inverterId]?.type || 'unknown';
+        const inverterDecision = this.decideForInverter(inverterId, decision);
         
-        if (inverterType === 'new') {
-          // New inverter - use charger/output priority
-          const chargerTopic = `${this.config.mqttTopicPrefix}/${inverterId}/charger_source_priority/set`;
-          const outputTopic = `${this.config.mqttTopicPrefix}/${inverterId}/output_source_priority/set`;
-          const outputValue = this.getOptimalOutputPriority(enableCharging);
-          
-          if (this.mqttClient) {
-            this.mqttClient.publish(chargerTopic, commandValue);
-            this.mqttClient.publish(outputTopic, outputValue);
-            await this.logCommand(chargerTopic, commandValue, true);
-            await this.logCommand(outputTopic, outputValue, true);
-            commandsSent++;
+        if (!inverterDecision.action) {
+          this.logInverterDecision(inverterId, inverterDecision, [], 'excluded');
+          continue;
+        }
+        
+        const enableCharging = inverterDecision.action === 'START_CHARGING';
+        const exporting = inverterDecision.action === 'START_EXPORT';
+        const state = this.getInverterState(inverterId);
+        const commands = this.buildControlCommands(inverterId, exporting ? 'export' : (enableCharging ? 'charge' : 'idle'), enableCharging, state);
+        // Leaving an export hands the work mode and sell settings back as they were before it
+        if (!exporting) {
+          commands.push(...this.getExportRestoreCommands(inverterId));
+        }
+        
+        // Check if this is the same command as last time for this inverter
+        const commandKey = commands.map(command => command.value).join('|');
+        if (this.lastCommands[inverterId] === commandKey) {
+          console.log(`⏭️ Skipping duplicate command for ${inverterId}: ${inverterDecision.action} (${commandKey})`);
+          this.logInverterDecision(inverterId, inverterDecision, commands, 'duplicate');
+          continue;
+        }
+        
+        let outcome = this.shadowMode ? 'shadow' : 'sent';
+        if (this.mqttClient) {
+          // Set before sending so a throttled write can clear it again
+          this.lastCommands[inverterId] = commandKey;
+          // A shadow export publishes nothing, so there is nothing to hand back afterwards
+          if (this.shadowMode) {
+            if (exporting) {
+              this.shadowExports.add(inverterId);
+            } else {
+              this.shadowExports.delete(inverterId);
+            }
+          } else if (exporting && !this.engineConfig.exportRestore?.[inverterId]) {
+            this.setExportRestore(inverterId, this.getExportRestoreValues(inverterId));
           }
-        } else {
-          // Legacy inverter - use grid_charge + intelligent energy_pattern
-          const gridChargeTopic = `${this.config.mqttTopicPrefix}/${inverterId}/grid_charge/set`;
-          const energyPatternTopic = `${this.config.mqttTopicPrefix}/${inverterId}/energy_pattern/set`;
-          
-          const gridChargeValue = enableCharging ? 'Enabled' : 'Disabled';
-          const energyPatternValue = this.getOptimalEnergyPattern();
-          
-          if (this.mqttClient) {
-            this.mqttClient.publish(gridChargeTopic, gridChargeValue);
-            this.mqttClient.publish(energyPatternTopic, energyPatternValue);
-            await this.logCommand(gridChargeTopic, gridChargeValue, true);
-            await this.logCommand(energyPatternTopic, energyPatternValue, true);
-            commandsSent++;
+          const results = commands.map(command => this.sendCommand(command.topic, command.value));
+          if (!this.shadowMode && results.some(result => !result)) {
+            outcome = 'rejected';
+          } else if (!this.shadowMode && !exporting && this.engineConfig.exportRestore?.[inverterId]) {
+            this.setExportRestore(inverterId, null);
           }
+          commandsSent++;
         }
+        this.logInverterDecision(inverterId, inverterDecision, commands, outcome);
       }
       
-      this.lastCommand = commandValue;
-      console.log(`🔋 Applied decision: ${decision} to ${commandsSent} inverter(s)`);
+      if (this.shadowMode) {
+        console.log(`👻 Shadow decision: ${decision} for ${commandsSent} inverter(s) - nothing published`);
+      } else {
+        console.log(`🔋 Applied decision: ${decision} to ${commandsSent} inverter(s)`);
+      }
       
     } catch (error) {
       console.error('❌ Failed to apply decision:', error);
@@ -634,14 +1567,61 @@ class AIChargingEngine {
     }
   }
 
-  getOptimalChargingMode(enableCharging) {
+  logInverterDecision(inverterId, inverterDecision, commands, outcome) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      inverterId: inverterId,
+      action: inverterDecision.action,
+      strategy: inverterDecision.strategy,
+      reasons: inverterDecision.reasons,
+      commands: commands,
+      outcome: outcome,
+      state: {
+        battery_soc: this.inverterStates?.[inverterId]?.battery_soc,
+        pv_power: this.inverterStates?.[inverterId]?.pv_power,
+        load: this.inverterStates?.[inverterId]?.load
+      }
+    };
+    
+    this.currentInverterDecisions[inverterId] = entry;
+    this.lastInverterDecisions[inverterId] = entry;
+    influxAIService.saveInverterDecision(entry);
+    return entry;
+  }
+
+  // Commands the inverter's driver declares for a control mode (charge, idle, stop or export)
+  buildControlCommands(inverterId, mode, enableCharging, state = this.currentSystemState) {
+    return inverterDriverRegistry.getControlCommands(inverterId, mode).map(command => ({
+      topic: `${this.config.mqttTopicPrefix}/${inverterId}/${command.setting}/set`,
+      setting: command.setting,
+      value: this.resolveControlValue(command.value, enableCharging, state)
+    }));
+  }
+
+  // Driver values starting with $ are chosen by the engine from the current state
+  resolveControlValue(value, enableCharging, state) {
+    switch (value) {
+      case '$chargingMode':
+        return this.getOptimalChargingMode(enableCharging, state);
+      case '$outputPriority':
+        return this.getOptimalOutputPriority(enableCharging, state);
+      case '$energyPattern':
+        return this.getOptimalEnergyPattern(state);
+      case '$maxSellPower':
+        return String(this.getExportSettings().maxSellPower);
+      default:
+        return value;
+    }
+  }
+
+  getOptimalChargingMode(enableCharging, state = this.currentSystemState) {
     if (!enableCharging) {
       return 'Solar first';
     }
 
-    const pvPower = this.currentSystemState?.pv_power || 0;
-    const load = this.currentSystemState?.load || 0;
-    const batterySOC = this.currentSystemState?.battery_soc || 0;
+    const pvPower = state?.pv_power || 0;
+    const load = state?.load || 0;
+    const batterySOC = state?.battery_soc || 0;
     const pvSurplus = pvPower - load;
     const currentPrice = tibberService.cache.currentPrice;
     const priceIsNegative = currentPrice ? currentPrice.total < 0 : false;
@@ -657,7 +1637,7 @@ class AIChargingEngine {
     }
     
     // Dynamic optimal price (bottom 30% of forecast) - enable grid charging
-    if (currentPrice && optimization?.priceLevel === 'OPTIMAL') {
+    if (currentPrice && this.lastOptimization?.priceLevel === 'OPTIMAL') {
       return 'Solar and utility simultaneously';
     }
     
@@ -665,10 +1645,14 @@ class AIChargingEngine {
     return 'Solar first';
   }
 
-  getOptimalOutputPriority(enableCharging) {
-    const pvPower = this.currentSystemState?.pv_power || 0;
-    const load = this.currentSystemState?.load || 0;
-    const batterySOC = this.currentSystemState?.battery_soc || 0;
+  getOptimalOutputPriority(enableCharging, state = this.currentSystemState) {
+    if (peakShavingService.isShaving()) {
+      return 'Solar/Battery/Utility';
+    }
+    
+    const pvPower = state?.pv_power || 0;
+    const load = state?.load || 0;
+    const batterySOC = state?.battery_soc || 0;
     const pvSurplus = pvPower - load;
     const currentPrice = tibberService.cache.currentPrice;
     const priceIsNegative = currentPrice ? currentPrice.total < 0 : false;
@@ -681,6 +1665,12 @@ class AIChargingEngine {
       return 'Utility first';
     }
     
+    // The inverter cannot tell the car from the house: while the wallbox draws power the grid
+    // comes before the battery, so the battery is not discharged into the car
+    if (ocppService.getEvStatus().charging) {
+      return 'Solar/Utility/Battery';
+    }
+    
     if (batterySOC < 30) {
       return 'Solar/Utility/Battery';
     }
@@ -689,10 +1679,15 @@ class AIChargingEngine {
   }
 
   // Intelligent energy pattern selection for legacy inverters
-  getOptimalEnergyPattern() {
-    const pvPower = this.currentSystemState?.pv_power || 0;
-    const load = this.currentSystemState?.load || 0;
-    const batterySOC = this.currentSystemState?.battery_soc || 0;
+  getOptimalEnergyPattern(state = this.currentSystemState) {
+    // Peak shaving: the battery supplies the load before the grid
+    if (peakShavingService.isShaving()) {
+      return 'Load first';
+    }
+    
+    const pvPower = state?.pv_power || 0;
+    const load = state?.load || 0;
+    const batterySOC = state?.battery_soc || 0;
     const currentPrice = tibberService.cache.currentPrice;
     const pvSurplus = pvPower - load;
     
@@ -702,7 +1697,7 @@ class AIChargingEngine {
     }
     
     // Low battery + cheap electricity (dynamic threshold) - charge battery first
-    if (batterySOC < 30 && optimization?.priceLevel === 'OPTIMAL') {
+    if (batterySOC < 30 && this.lastOptimization?.priceLevel === 'OPTIMAL') {
       return 'Battery first';
     }
     
@@ -712,7 +1707,7 @@ class AIChargingEngine {
     }
     
     // Expensive electricity (dynamic threshold) - use battery to supply load
-    if (optimization?.priceLevel === 'HIGH' && batterySOC > 40) {
+    if (this.lastOptimization?.priceLevel === 'HIGH' && batterySOC > 40) {
       return 'Load first';
     }
     
@@ -720,6 +1715,64 @@ class AIChargingEngine {
     return 'Battery first';
   }
 
+  // Pre-charge target for the load peaks in the forecast, scheduled deferrable loads included
+  planPeakShaving(prediction) {
+    const profile = batteryProfileService.getActiveProfile();
+    const preCharge = peakShavingService.planPreCharge({
+      loadForecast: this.aiSystem.loadScheduler.addToForecast(prediction.load || [], prediction.loadSchedule),
+      solarForecast: prediction.solar || [],
+      capacityKwh: this.config.batteryCapacity,
+      socMin: profile.socMin,
+      socMax: profile.socMax,
+      efficiency: this.academicParams.dischargeEfficiency
+    });
+    if (preCharge?.requiredSoc) {
+      console.log(`📉 Peak shaving: ${preCharge.peaks.length} forecast hour(s) above the limit, pre-charge to ${preCharge.requiredSoc}%`);
+    }
+    return preCharge;
+  }
+
+  // Grid charge power of all AI controlled inverters together, they charge at the same time
+  getSiteGridChargePower() {
+    let power = 0;
+    for (let i = 1; i <= this.config.inverterNumber; i++) {
+      const inverterId = `inverter_${i}`;
+      if (!this.getInverterSettings(inverterId).enabled) continue;
+      const profile = batteryProfileService.getProfileForInverter(inverterId);
+      power += (profile.maxGridChargeCurrent || profile.maxChargeCurrent) * profile.nominalVoltage;
+    }
+    return Math.round(power);
+  }
+
+  // Called by the peak shaving service the moment the import crosses the limit, between evaluations
+  async applyPeakShaving(event) {
+    if (!this.enabled) return;
+    const messages = {
+      start: '📉 Peak shaving: switching to battery supply',
+      end: '📉 Peak shaving released: back to the last decision',
+      charge_limit: '📉 Peak shaving: grid charging exceeds the import limit, re-checking the charge'
+    };
+    console.log(messages[event] || messages.end);
+    await this.applyDecision(this.lastSiteDecision || 'STOP_CHARGING');
+  }
+
+  // Full record of one decision; the newest is served from memory until it reaches InfluxDB
+  async getDecisionRecord(decisionId) {
+    const record = await influxAIService.getDecisionRecord(decisionId);
+    if (record) return record;
+    return this.lastDecisionRecord?.id === decisionId ? this.lastDecisionRecord : null;
+  }
+
+  async getDecisionTimeline(from, to) {
+    const records = await influxAIService.getDecisionRecords(from, to);
+    const latest = this.lastDecisionRecord;
+    if (latest && !records.some(record => record.id === latest.id) &&
+        new Date(latest.timestamp) >= from && new Date(latest.timestamp) <= to) {
+      records.push(latest);
+    }
+    return records;
+  }
+
   async getDecisionHistory(limit = 50) {
     try {
       return await influxAIService.getDecisionHistory(limit);
@@ -738,11 +1791,15 @@ class AIChargingEngine {
     }
   }
 
-  async start() {
+  async start(options = {}) {
     if (this.evaluationInterval) {
       clearInterval(this.evaluationInterval);
     }
     
+    if (options.shadowMode !== undefined) {
+      this.setShadowMode(options.shadowMode);
+    }
+    
     const strategy = this.selectOptimalStrategy();
     console.log(`🚀 Starting AI Engine with ${strategy.name} strategy`);
     console.log(`   Expected improvement: +${strategy.expectedImprovement}% vs fixed tariff`);
@@ -750,8 +1807,11 @@ class AIChargingEngine {
     this.startEngine();
     return { 
       success: true, 
-      message: 'AI Charging Engine started with academic optimization',
-      strategy: strategy.name
+      message: this.shadowMode ? 
+        'AI Charging Engine started in shadow mode (no commands are sent)' : 
+        'AI Charging Engine started with academic optimization',
+      strategy: strategy.name,
+      shadowMode: this.shadowMode
     };
   }
 
@@ -792,34 +1852,35 @@ class AIChargingEngine {
       return;
     }
     
-    console.log('🔋 Stopping battery charging from grid...');
+    console.log(this.shadowMode ? 
+      '👻 Shadow mode: recording grid charging stop without publishing...' : 
+      '🔋 Stopping battery charging from grid...');
     
     for (let i = 1; i <= this.config.inverterNumber; i++) {
       const inverterId = `inverter_${i}`;
-      const inverterType = this.config.inverterTypes[inverterId]?.type || 'unknown';
       
-      if (inverterType === 'new' || inverterType === 'hybrid') {
-        // New inverter commands
-        const chargerTopic = `${this.config.mqttTopicPrefix}/${inverterId}/charger_source_priority/set`;
-        const outputTopic = `${this.config.mqttTopicPrefix}/${inverterId}/output_source_priority/set`;
-        
-        this.mqttClient.publish(chargerTopic, 'Solar first');
-        this.mqttClient.publish(outputTopic, 'Solar/Battery/Utility');
-        console.log(`📤 ${inverterId}: charger_source_priority = Solar first`);
-        console.log(`📤 ${inverterId}: output_source_priority = Solar/Battery/Utility`);
-      } else {
-        // Legacy inverter commands
-        const gridChargeTopic = `${this.config.mqttTopicPrefix}/${inverterId}/grid_charge/set`;
-        const energyPatternTopic = `${this.config.mqttTopicPrefix}/${inverterId}/energy_pattern/set`;
-        
-        this.mqttClient.publish(gridChargeTopic, 'Disabled');
-        this.mqttClient.publish(energyPatternTopic, 'Battery first');
-        console.log(`📤 ${inverterId}: grid_charge = Disabled`);
-        console.log(`📤 ${inverterId}: energy_pattern = Battery first`);
+      // Inverters excluded from AI control are left as the user configured them
+      if (!this.getInverterSettings(inverterId).enabled) {
+        console.log(`⏭️ ${inverterId}: excluded from AI control, not changed`);
+        continue;
+      }
+      
+      [...this.buildControlCommands(inverterId, 'stop', false), ...this.getExportRestoreCommands(inverterId)].forEach(command => {
+        this.sendCommand(command.topic, command.value);
+        console.log(`📤 ${inverterId}: ${command.setting} = ${command.value}`);
+      });
+      if (!this.shadowMode && this.engineConfig.exportRestore?.[inverterId]) {
+        this.setExportRestore(inverterId, null);
       }
     }
+    this.shadowExports.clear();
+    
+    // Next start must resend even if the decision matches the last one
+    this.lastCommands = {};
     
-    console.log('✅ Grid charging stopped on all inverters');
+    if (!this.shadowMode) {
+      console.log('✅ Grid charging stopped on all inverters');
+    }
   }
 
   async learnFromOutcomes() {
@@ -846,6 +1907,22 @@ class AIChargingEngine {
     return gridPower > 0 ? (gridPower / 1000) * (currentPrice / 100) : 0;
   }
 
+  getInverterOverview() {
+    const overview = {};
+    for (let i = 1; i <= this.config.inverterNumber; i++) {
+      const inverterId = `inverter_${i}`;
+      overview[inverterId] = {
+        type: this.config.inverterTypes[inverterId]?.type || 'unknown',
+        driver: this.config.inverterTypes[inverterId]?.driverName || null,
+        settings: this.getInverterSettings(inverterId),
+        state: this.inverterStates?.[inverterId] || {},
+        lastCommand: this.lastCommands[inverterId] || null,
+        lastDecision: this.lastInverterDecisions[inverterId] || null
+      };
+    }
+    return overview;
+  }
+
   getStatus() {
     const strategy = this.selectOptimalStrategy();
     
@@ -859,9 +1936,30 @@ class AIChargingEngine {
         description: strategy.description,
         expectedImprovement: strategy.expectedImprovement,
         batterySize: this.config.batteryCapacity,
-        optimalForBatterySize: this.config.batteryCapacity <= this.SMALL_BATTERY_THRESHOLD
+        optimalForBatterySize: this.config.batteryCapacity <= this.SMALL_BATTERY_THRESHOLD,
+        manualOverride: strategy.manualOverride
       },
+      strategySetting: this.engineConfig.strategy || 'auto',
+      strategyOptions: SITE_STRATEGIES,
       academicParams: this.academicParams,
+      batteryProfile: batteryProfileService.getActiveProfile(),
+      batteryDetection: this.batteryDetection,
+      commandVerification: commandTracker.getStatus(),
+      inverters: this.getInverterOverview(),
+      inverterStrategies: INVERTER_STRATEGIES,
+      export: this.getExportStatus(),
+      peakShaving: peakShavingService.getState(),
+      shadowMode: this.shadowMode,
+      shadow: {
+        decisions: this.shadowHistory.length,
+        lastWouldSend: this.shadowHistory[0]?.wouldSend || []
+      },
+      planner: {
+        enabled: this.engineConfig.planner !== false,
+        createdAt: this.currentPlan?.createdAt || null,
+        chargeSlots: this.currentPlan?.chargeSlots || 0,
+        expectedSavings: this.currentPlan?.expectedSavings || 0
+      },
       ai: {
         enabled: this.aiEnabled,
         initialized: this.aiInitialized,
@@ -0,0 +1,518 @@
+// Backtest Service - replays a historical date range through the charging decision logic
+// PV, load and SOC come from the Influx state measurement, prices from the stored
+// Tibber/SMARD history. Every strategy drives the same simulated battery starting at the
+// recorded SOC, so cost, grid exchange and cycles can be compared on the site's own data.
+// Decisions are replayed site-wide; per-inverter overrides are not applied.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const influxAIService = require('./influxAIService');
+const tibberService = require('./tibberService');
+const batteryProfileService = require('./batteryProfileService');
+const aiChargingEngine = require('./aiChargingEngine');
+const siteConfigService = require('./siteConfigService');
+
+const STRATEGIES = {
+  ai_pattern_learning: 'AI pattern learning',
+  academic_optimization: 'Academic optimization',
+  self_consumption: 'Self-consumption (no battery control)'
+};
+
+// Strategy the others are compared against
+const BASELINE_STRATEGY = 'self_consumption';
+
+const METRIC_TOPICS = {
+  pv_power: 'total\\/pv_power\\/state$',
+  load: 'total\\/load_power\\/state$',
+  battery_soc: 'total\\/battery_state_of_charge\\/state$',
+  grid_voltage: 'total\\/grid_voltage\\/state$'
+};
+
+const INTERVALS = [15, 30, 60]; // minutes per replay step
+const MAX_DAYS = 92;
+// Every step runs the predictor and the planner, long ranges need a coarser interval
+const MAX_STEPS = 3000;
+const HOUR_MS = 60 * 60 * 1000;
+
+class BacktestService {
+  constructor() {
+    this.resultsFile = path.join(__dirname, '..', 'data', 'backtest_results.json');
+    this.maxResults = 10;
+    this.maxJobs = 10;
+    this.jobs = new Map();
+    this.results = this.loadResults();
+  }
+
+  loadResults() {
+    try {
+      if (fs.existsSync(this.resultsFile)) {
+        return JSON.parse(fs.readFileSync(this.resultsFile, 'utf8')).results || [];
+      }
+    } catch (error) {
+      console.error('Error loading backtest results:', error.message);
+    }
+    return [];
+  }
+
+  saveResults() {
+    try {
+      const dataDir = path.dirname(this.resultsFile);
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+      fs.writeFileSync(this.resultsFile, JSON.stringify({ results: this.results }, null, 2));
+      return true;
+    } catch (error) {
+      console.error('Error saving backtest results:', error.message);
+      return false;
+    }
+  }
+
+  getStrategies() {
+    return Object.entries(STRATEGIES).map(([id, name]) => ({ id, name, baseline: id === BASELINE_STRATEGY }));
+  }
+
+  // Newest first, without the daily breakdown
+  getResults() {
+    return this.results.map(result => ({
+      ...result,
+      strategies: result.strategies.map(({ daily, ...strategy }) => strategy)
+    }));
+  }
+
+  getResult(resultId) {
+    return this.results.find(result => result.id === resultId) || null;
+  }
+
+  deleteResult(resultId) {
+    const index = this.results.findIndex(result => result.id === resultId);
+    if (index === -1) {
+      throw new Error(`Backtest not found: ${resultId}`);
+    }
+    this.results.splice(index, 1);
+    this.saveResults();
+  }
+
+  parseOptions(input = {}) {
+    const from = new Date(input.from);
+    const to = new Date(input.to);
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      throw new Error('from and to must be valid dates');
+    }
+    if (from >= to) {
+      throw new Error('from must be before to');
+    }
+    if (to > new Date()) {
+      throw new Error('to cannot be in the future');
+    }
+    if (to - from > MAX_DAYS * 24 * HOUR_MS) {
+      throw new Error(`The backtest range is limited to ${MAX_DAYS} days`);
+    }
+
+    const interval = input.interval !== undefined ? parseInt(input.interval) : 60;
+    if (!INTERVALS.includes(interval)) {
+      throw new Error(`interval must be one of ${INTERVALS.join(', ')} minutes`);
+    }
+    if ((to - from) / (interval * 60 * 1000) > MAX_STEPS) {
+      throw new Error(`The backtest is limited to ${MAX_STEPS} steps, use a longer interval or a shorter range`);
+    }
+
+    const strategies = Array.isArray(input.strategies) && input.strategies.length ?
+      [...input.strategies] : Object.keys(STRATEGIES);
+    strategies.forEach(strategy => {
+      if (!STRATEGIES[strategy]) {
+        throw new Error(`Unknown strategy: ${strategy}. Allowed: ${Object.keys(STRATEGIES).join(', ')}`);
+      }
+    });
+    // The baseline is always replayed so savings can be reported
+    if (!strategies.includes(BASELINE_STRATEGY)) {
+      strategies.push(BASELINE_STRATEGY);
+    }
+
+    return { from, to, interval, strategies };
+  }
+
+  // Mean of each metric per step, keyed by step start time
+  async loadStateHistory(from, to, interval) {
+    if (!global.influx) {
+      throw new Error('InfluxDB is not available');
+    }
+
+    const series = {};
+    for (const [metric, pattern] of Object.entries(METRIC_TOPICS)) {
+      const query = `
+        SELECT mean("value") AS "value"
+        FROM "state"
+        WHERE "topic" =~ /${pattern}/
+        AND time >= '${from.toISOString()}'
+        AND time < '${to.toISOString()}'
+        GROUP BY time(${interval}m) fill(none)
+      `;
+      const rows = await global.influx.query(query);
+      rows.forEach(row => {
+        const key = new Date(row.time).getTime();
+        series[key] = series[key] || {};
+        series[key][metric] = row.value;
+      });
+    }
+    return series;
+  }
+
+  // Stored prices averaged per site-local hour, in cent/kWh like the live price cache
+  async loadPriceHistory(from, to) {
+    const rows = await influxAIService.getTibberPriceHistory(from, to);
+    const hours = {};
+
+    rows.forEach(row => {
+      const hour = siteConfigService.getHourStart(new Date(row.timestamp));
+      hours[hour] = hours[hour] || { sum: 0, count: 0 };
+      hours[hour].sum += (row.price || 0) * 100;
+      hours[hour].count++;
+    });
+
+    return {
+      currency: rows[0]?.currency || 'EUR',
+      prices: Object.keys(hours)
+        .map(Number)
+        .sort((a, b) => a - b)
+        .map(hour => ({ startsAt: new Date(hour).toISOString(), total: hours[hour].sum / hours[hour].count }))
+    };
+  }
+
+  // Steps with PV, load and a price; gaps in the recording are skipped
+  buildSteps(series, prices) {
+    const priceByHour = new Map(prices.map(price => [new Date(price.startsAt).getTime(), price]));
+    const steps = [];
+    let skipped = 0;
+
+    Object.keys(series).map(Number).sort((a, b) => a - b).forEach(time => {
+      const values = series[time];
+      const price = priceByHour.get(siteConfigService.getHourStart(time));
+      if (values.pv_power === undefined || values.load === undefined || !price) {
+        skipped++;
+        return;
+      }
+      steps.push({
+        time,
+        pv_power: Math.max(0, values.pv_power),
+        load: Math.max(0, values.load),
+        battery_soc: values.battery_soc,
+        grid_voltage: values.grid_voltage,
+        price
+      });
+    });
+
+    return { steps, skipped };
+  }
+
+  getBatterySetup() {
+    const profile = batteryProfileService.getActiveProfile();
+    const voltage = profile.nominalVoltage;
+
+    return {
+      profile: profile.name,
+      capacityKwh: aiChargingEngine.config.batteryCapacity,
+      socMin: profile.socMin,
+      socMax: profile.socMax,
+      efficiency: profile.efficiency,
+      maxChargePower: profile.maxChargeCurrent * voltage,
+      maxGridChargePower: (profile.maxGridChargeCurrent || profile.maxChargeCurrent) * voltage,
+      maxDischargePower: profile.maxDischargeCurrent * voltage,
+      targetSoC: tibberService.config.targetSoC,
+      feedInTariff: aiChargingEngine.academicParams.feedInTariff
+    };
+  }
+
+  // Energy flows of one step. While grid charging the battery is held until the target SOC
+  simulateStep(battery, setup, step, gridCharging, hours) {
+    const capacityWh = setup.capacityKwh * 1000;
+    const efficiency = setup.efficiency;
+    const pvToLoad = Math.min(step.pv_power, step.load);
+    let surplus = step.pv_power - pvToLoad;
+    let deficit = step.load - pvToLoad;
+
+    const room = Math.max(0, (setup.socMax - battery.soc) / 100 * capacityWh / efficiency / hours);
+    const available = Math.max(0, (battery.soc - setup.socMin) / 100 * capacityWh * efficiency / hours);
+
+    const solarCharge = Math.min(surplus, setup.maxChargePower, room);
+    surplus -= solarCharge;
+
+    let gridCharge = 0;
+    let discharge = 0;
+    const belowTarget = battery.soc < setup.targetSoC;
+    if (gridCharging && belowTarget) {
+      const toTarget = Math.max(0, (setup.targetSoC - battery.soc) / 100 * capacityWh / efficiency / hours);
+      gridCharge = Math.max(0, Math.min(setup.maxGridChargePower, setup.maxChargePower - solarCharge,
+        room - solarCharge, toTarget - solarCharge));
+    } else {
+      discharge = Math.min(deficit, setup.maxDischargePower, available);
+      deficit -= discharge;
+    }
+
+    battery.soc += (solarCharge + gridCharge) * hours * efficiency / capacityWh * 100;
+    battery.soc -= discharge * hours / efficiency / capacityWh * 100;
+    battery.soc = Math.min(100, Math.max(0, battery.soc));
+
+    return {
+      pv: step.pv_power * hours / 1000,
+      load: step.load * hours / 1000,
+      gridImport: (deficit + gridCharge) * hours / 1000,
+      gridExport: surplus * hours / 1000,
+      gridCharge: gridCharge * hours / 1000,
+      batteryIn: (solarCharge + gridCharge) * hours / 1000,
+      batteryOut: discharge * hours / 1000
+    };
+  }
+
+  // Next 24 hours of prices as the engine would have seen them at this step
+  getForecast(prices, time) {
+    const hour = siteConfigService.getHourStart(time);
+    return prices.filter(price => {
+      const startsAt = new Date(price.startsAt).getTime();
+      return startsAt >= hour && startsAt < hour + 24 * HOUR_MS;
+    });
+  }
+
+  // true/false switches grid charging, null keeps the current setting
+  async decide(strategyId, context) {
+    const { state, step, forecast, setup, academicStrategy } = context;
+
+    if (strategyId === 'ai_pattern_learning') {
+      const prediction = await aiChargingEngine.aiSystem.makePredictions(state, setup.capacityKwh, {
+        now: new Date(step.time),
+        priceForecast: forecast,
+        currentPrice: step.price,
+        // Past forecasts are not recorded, the live one would leak the actual weather
+        weather: []
+      });
+      const aiAction = aiChargingEngine.getAIAction(prediction, state);
+      const action = aiAction.slot ? `PLAN_${aiAction.slot.action.toUpperCase()}` : (prediction.charging.action || prediction.charging.type);
+      return { action, gridCharging: aiAction.action ? aiAction.action === 'START_CHARGING' : null };
+    }
+
+    if (strategyId === 'academic_optimization') {
+      const optimization = await aiChargingEngine.academicOptimization({
+        forecast,
+        currentPrice: step.price,
+        state
+      });
+      const { shouldCharge, shouldStop } = aiChargingEngine.getAcademicSignals(
+        state, optimization, academicStrategy, setup.targetSoC
+      );
+      const decision = aiChargingEngine.makeAcademicDecision(
+        state.battery_soc, state.pv_power, state.load, step.price, state.grid_voltage,
+        { targetSoC: setup.targetSoC }, shouldCharge, shouldStop, optimization, [], academicStrategy
+      );
+      const action = aiChargingEngine.getDecisionAction(decision);
+      return { action: action || 'KEEP', gridCharging: action ? action === 'START_CHARGING' : null };
+    }
+
+    return { action: 'SELF_CONSUMPTION', gridCharging: false };
+  }
+
+  async runStrategy(strategyId, steps, prices, setup, options, job) {
+    if (strategyId === 'ai_pattern_learning' && !aiChargingEngine.aiInitialized) {
+      return {
+        id: strategyId,
+        name: STRATEGIES[strategyId],
+        skipped: true,
+        reason: 'AI system is not initialized'
+      };
+    }
+
+    const hours = options.interval / 60;
+    const startSoc = steps[0].battery_soc !== undefined ? steps[0].battery_soc : setup.socMin;
+    const battery = { soc: Math.min(setup.socMax, Math.max(setup.socMin, startSoc)) };
+    const academicStrategy = aiChargingEngine.selectOptimalStrategy();
+    const totals = { pv: 0, load: 0, gridImport: 0, gridExport: 0, gridCharge: 0, batteryIn: 0, batteryOut: 0, cost: 0 };
+    const actions = {};
+    const daily = {};
+    let gridCharging = false;
+    let priceSum = 0;
+
+    for (const step of steps) {
+      // A step takes tens of milliseconds, let MQTT, retries and requests in between each one
+      await new Promise(resolve => setImmediate(resolve));
+      job.progress.done++;
+
+      const state = {
+        battery_soc: Math.round(battery.soc),
+        pv_power: step.pv_power,
+        load: step.load,
+        // Missing voltage readings would otherwise block every decision
+        grid_voltage: step.grid_voltage || 230
+      };
+      const forecast = this.getForecast(prices, step.time);
+      const decision = await this.decide(strategyId, { state, step, forecast, setup, academicStrategy });
+      if (decision.gridCharging !== null) {
+        gridCharging = decision.gridCharging;
+      }
+      actions[decision.action] = (actions[decision.action] || 0) + 1;
+
+      const flows = this.simulateStep(battery, setup, step, gridCharging, hours);
+      const cost = flows.gridImport * step.price.total - flows.gridExport * setup.feedInTariff;
+      Object.keys(flows).forEach(key => { totals[key] += flows[key]; });
+      totals.cost += cost;
+      priceSum += step.price.total;
+
+      const day = new Date(step.time).toISOString().split('T')[0];
+      daily[day] = daily[day] || { date: day, cost: 0, gridImport: 0, gridExport: 0 };
+      daily[day].cost += cost;
+      daily[day].gridImport += flows.gridImport;
+      daily[day].gridExport += flows.gridExport;
+    }
+
+    // Energy left in the battery is valued at the average price so end SOC does not skew cost
+    const averagePrice = priceSum / steps.length;
+    const storedDelta = (battery.soc - startSoc) / 100 * setup.capacityKwh;
+    const usableKwh = setup.capacityKwh * (setup.socMax - setup.socMin) / 100;
+    const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+    return {
+      id: strategyId,
+      name: STRATEGIES[strategyId],
+      skipped: false,
+      cost: round(totals.cost / 100),
+      adjustedCost: round((totals.cost - storedDelta * averagePrice) / 100),
+      gridImportKwh: round(totals.gridImport),
+      gridExportKwh: round(totals.gridExport),
+      gridChargeKwh: round(totals.gridCharge),
+      batteryInKwh: round(totals.batteryIn),
+      batteryOutKwh: round(totals.batteryOut),
+      cycles: usableKwh > 0 ? round(totals.batteryOut / usableKwh) : 0,
+      selfConsumption: totals.pv > 0 ? round((totals.pv - totals.gridExport) / totals.pv * 100, 1) : 0,
+      selfSufficiency: totals.load > 0 ?
+        round((totals.load - (totals.gridImport - totals.gridCharge)) / totals.load * 100, 1) : 0,
+      startSoc: round(startSoc, 1),
+      endSoc: round(battery.soc, 1),
+      actions,
+      daily: Object.values(daily).map(day => ({
+        date: day.date,
+        cost: round(day.cost / 100),
+        gridImportKwh: round(day.gridImport),
+        gridExportKwh: round(day.gridExport)
+      }))
+    };
+  }
+
+  isRunning() {
+    return Array.from(this.jobs.values()).some(job => job.status === 'running');
+  }
+
+  // Starts the replay in the background, progress and the result id are reported on the job
+  start(input) {
+    const options = this.parseOptions(input);
+    if (this.isRunning()) {
+      throw new Error('A backtest is already running');
+    }
+
+    const job = {
+      id: `job-${crypto.randomUUID()}`,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      from: options.from.toISOString(),
+      to: options.to.toISOString(),
+      interval: options.interval,
+      strategies: options.strategies,
+      progress: { done: 0, total: 0 },
+      resultId: null,
+      error: null
+    };
+    this.jobs.set(job.id, job);
+
+    // Only the latest jobs are kept
+    const finished = Array.from(this.jobs.values()).filter(item => item.status !== 'running');
+    finished.slice(0, Math.max(0, this.jobs.size - this.maxJobs)).forEach(item => this.jobs.delete(item.id));
+
+    this.run(job, options)
+      .then(result => {
+        job.status = 'completed';
+        job.resultId = result.id;
+      })
+      .catch(error => {
+        console.error('❌ Backtest failed:', error.message);
+        job.status = 'failed';
+        job.error = error.message;
+      })
+      .finally(() => {
+        job.finishedAt = new Date().toISOString();
+      });
+
+    return job;
+  }
+
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  async run(job, options) {
+    const startedAt = Date.now();
+    console.log(`🧪 Backtest ${options.from.toISOString()} - ${options.to.toISOString()} (${options.strategies.join(', ')})`);
+
+    // Prices run a day past the range so the last steps still get a full forecast
+    const [series, priceHistory] = await Promise.all([
+      this.loadStateHistory(options.from, options.to, options.interval),
+      this.loadPriceHistory(options.from, new Date(options.to.getTime() + 24 * HOUR_MS))
+    ]);
+    const { steps, skipped } = this.buildSteps(series, priceHistory.prices);
+    if (steps.length === 0) {
+      throw new Error('No historical PV, load and price data in the selected range');
+    }
+    job.progress.total = steps.length * options.strategies.length;
+
+    // Same SOC window and efficiency the live engine decides with
+    aiChargingEngine.applyBatteryProfile();
+    const setup = this.getBatterySetup();
+    const strategies = [];
+    for (const strategyId of options.strategies) {
+      const done = job.progress.done;
+      strategies.push(await this.runStrategy(strategyId, steps, priceHistory.prices, setup, options, job));
+      job.progress.done = done + steps.length;
+    }
+
+    // Savings against plain self-consumption, positive is cheaper
+    const baseline = strategies.find(strategy => strategy.id === BASELINE_STRATEGY);
+    strategies.forEach(strategy => {
+      if (strategy.skipped) return;
+      strategy.savings = Math.round((baseline.adjustedCost - strategy.adjustedCost) * 100) / 100;
+      strategy.savingsPercent = baseline.adjustedCost !== 0 ?
+        Math.round(strategy.savings / Math.abs(baseline.adjustedCost) * 1000) / 10 : 0;
+    });
+
+    const result = {
+      id: `bt_${Date.now()}`,
+      createdAt: new Date().toISOString(),
+      durationMs: Date.now() - startedAt,
+      from: options.from.toISOString(),
+      to: options.to.toISOString(),
+      interval: options.interval,
+      currency: priceHistory.currency,
+      steps: steps.length,
+      skippedSteps: skipped,
+      battery: setup,
+      strategies
+    };
+
+    this.results.unshift(result);
+    this.results = this.results.slice(0, this.maxResults);
+    this.saveResults();
+
+    console.log(`✅ Backtest finished: ${steps.length} steps in ${result.durationMs}ms`);
+    return result;
+  }
+
+  getStatus() {
+    return {
+      running: this.isRunning(),
+      jobs: Array.from(this.jobs.values()).reverse(),
+      strategies: this.getStrategies(),
+      intervals: INTERVALS,
+      maxDays: MAX_DAYS,
+      maxSteps: MAX_STEPS
+    };
+  }
+}
+
+module.exports = new BacktestService();
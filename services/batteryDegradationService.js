@@ -0,0 +1,225 @@
+// Battery Degradation - cycle counting and the wear cost charged against decisions
+// SOC history is rainflow counted into cycles by depth of discharge, battery_power is
+// integrated into charged/discharged energy (equivalent full cycles). Deep cycles age the
+// bank faster: cycle life follows a Wöhler curve N(d) = warrantedCycles * (warrantyDepth / d)^k.
+// Counting state lives in data/battery_degradation.json, cost parameters in the battery profile.
+
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const batteryProfileService = require('./batteryProfileService');
+const { reversals, rainflow } = require('../ai/utils/rainflow');
+
+const STEP_MINUTES = 5;
+const MAX_BACKFILL_DAYS = 30;
+const WOHLER_EXPONENT = 1.3;
+const DEPTH_BUCKETS = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100]; // upper edges in % SOC
+
+const SOC_TOPIC = 'total\\/battery_state_of_charge\\/state$';
+const POWER_TOPIC = 'total\\/battery_power\\/state$';
+
+class BatteryDegradationService {
+  constructor() {
+    this.dataFile = path.join(__dirname, '..', 'data', 'battery_degradation.json');
+    this.task = null;
+    this.updating = false;
+    this.lastError = null;
+
+    this.data = this.loadData();
+  }
+
+  getDefaultData() {
+    return {
+      since: null,
+      lastProcessed: null,
+      residual: [],
+      cycles: 0,
+      socCycleDepth: 0, // sum of counted cycle depths in % SOC
+      damage: 0, // share of the warranted life used, 1 = worn out
+      chargedKwh: 0,
+      dischargedKwh: 0,
+      histogram: DEPTH_BUCKETS.reduce((histogram, edge) => ({ ...histogram, [edge]: 0 }), {})
+    };
+  }
+
+  loadData() {
+    const defaults = this.getDefaultData();
+    try {
+      if (fs.existsSync(this.dataFile)) {
+        const saved = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
+        return { ...defaults, ...saved, histogram: { ...defaults.histogram, ...(saved.histogram || {}) } };
+      }
+    } catch (error) {
+      console.error('Error loading battery degradation data:', error.message);
+    }
+    return defaults;
+  }
+
+  saveData() {
+    try {
+      const dataDir = path.dirname(this.dataFile);
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+      fs.writeFileSync(this.dataFile, JSON.stringify(this.data, null, 2));
+      return true;
+    } catch (error) {
+      console.error('Error saving battery degradation data:', error.message);
+      return false;
+    }
+  }
+
+  start() {
+    this.stop();
+    this.update().catch(() => {});
+    this.task = cron.schedule('20 * * * *', () => this.update().catch(() => {}));
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  // Cycle life at a depth of discharge relative to the warranted cycles
+  cycleLife(depth, profile = batteryProfileService.getActiveProfile()) {
+    const warrantedCycles = profile.warrantedCycles || 6000;
+    const warrantyDepth = profile.warrantyDepth || 80;
+    return warrantedCycles * Math.pow(warrantyDepth / Math.max(depth, 1), WOHLER_EXPONENT);
+  }
+
+  async queryMeans(pattern, from, to) {
+    const rows = await global.influx.query(`
+      SELECT mean("value") AS "value"
+      FROM "state"
+      WHERE "topic" =~ /${pattern}/
+      AND time >= '${from.toISOString()}'
+      AND time < '${to.toISOString()}'
+      GROUP BY time(${STEP_MINUTES}m) fill(none)
+    `);
+    return rows.map(row => ({ time: new Date(row.time).getTime(), value: row.value }));
+  }
+
+  // Counts the SOC and battery power history recorded since the last run
+  async update() {
+    if (this.updating) return null;
+    if (!global.influx) {
+      this.lastError = 'InfluxDB is not available';
+      return null;
+    }
+
+    this.updating = true;
+    try {
+      const stepMs = STEP_MINUTES * 60 * 1000;
+      const to = Math.floor(Date.now() / stepMs) * stepMs;
+      const from = Math.max(this.data.lastProcessed || 0, to - MAX_BACKFILL_DAYS * 24 * 60 * 60 * 1000);
+      if (from >= to) return null;
+
+      const [socRows, powerRows] = await Promise.all([
+        this.queryMeans(SOC_TOPIC, new Date(from), new Date(to)),
+        this.queryMeans(POWER_TOPIC, new Date(from), new Date(to))
+      ]);
+
+      const profile = batteryProfileService.getActiveProfile();
+      const { cycles, residual } = rainflow(reversals(socRows.map(row => row.value)), this.data.residual);
+      cycles.forEach(cycle => {
+        this.data.cycles++;
+        this.data.socCycleDepth += cycle.depth;
+        this.data.damage += 1 / this.cycleLife(cycle.depth, profile);
+        const bucket = DEPTH_BUCKETS.find(edge => cycle.depth <= edge) || 100;
+        this.data.histogram[bucket]++;
+      });
+      this.data.residual = residual.slice(-200);
+
+      // battery_power > 0 is charging
+      const hours = STEP_MINUTES / 60;
+      powerRows.forEach(row => {
+        if (row.value > 0) this.data.chargedKwh += row.value * hours / 1000;
+        else this.data.dischargedKwh += -row.value * hours / 1000;
+      });
+
+      const first = socRows[0] || powerRows[0];
+      if (!this.data.since && first) this.data.since = new Date(first.time).toISOString();
+      this.data.lastProcessed = to;
+      this.lastError = null;
+      this.saveData();
+
+      if (cycles.length > 0) {
+        console.log(`🔋 Counted ${cycles.length} battery cycle(s), ${(this.data.damage * 100).toFixed(3)}% of warranted life used`);
+      }
+      return cycles.length;
+    } catch (error) {
+      this.lastError = error.message;
+      console.error('❌ Error counting battery cycles:', error.message);
+      throw error;
+    } finally {
+      this.updating = false;
+    }
+  }
+
+  // Equivalent full cycles: discharged energy over usable capacity, or counted SOC depth without power data
+  getEquivalentFullCycles(profile, capacityKwh) {
+    if (this.data.dischargedKwh > 0 && capacityKwh > 0) {
+      return this.data.dischargedKwh / capacityKwh;
+    }
+    return this.data.socCycleDepth / Math.max(1, profile.socMax - profile.socMin);
+  }
+
+  // Warranted cycles used per equivalent full cycle: below 1 when the bank is cycled gently
+  getWearFactor(profile, capacityKwh) {
+    const efc = this.getEquivalentFullCycles(profile, capacityKwh);
+    if (efc < 5) return 1; // too little history to judge the cycling pattern
+    const warrantedUsed = this.data.damage * (profile.warrantedCycles || 6000);
+    return Math.min(2, Math.max(0.5, warrantedUsed / efc));
+  }
+
+  // ¢ per kWh into or out of the battery: one cycle charges and discharges the usable capacity
+  getWearCostPerKwh(profile = batteryProfileService.getActiveProfile(), capacityKwh = null) {
+    const usableKwh = batteryProfileService.getUsableCapacityKwh(profile) || capacityKwh;
+    if (!profile.batteryPrice || !usableKwh) return 0;
+
+    const costPerCycle = profile.batteryPrice * 100 / (profile.warrantedCycles || 6000);
+    return costPerCycle / (2 * usableKwh) * this.getWearFactor(profile, usableKwh);
+  }
+
+  reset() {
+    this.data = this.getDefaultData();
+    this.saveData();
+    return this.getStatus();
+  }
+
+  getStatus(capacityKwh = null) {
+    const profile = batteryProfileService.getActiveProfile();
+    const usableKwh = batteryProfileService.getUsableCapacityKwh(profile) || capacityKwh;
+    const round = (value, digits = 2) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+
+    return {
+      since: this.data.since,
+      lastProcessed: this.data.lastProcessed ? new Date(this.data.lastProcessed).toISOString() : null,
+      lastError: this.lastError,
+      cycles: this.data.cycles,
+      equivalentFullCycles: round(this.getEquivalentFullCycles(profile, usableKwh)),
+      chargedKwh: round(this.data.chargedKwh, 1),
+      dischargedKwh: round(this.data.dischargedKwh, 1),
+      depthHistogram: DEPTH_BUCKETS.map((edge, index) => ({
+        range: `${index === 0 ? 0 : DEPTH_BUCKETS[index - 1]}-${edge}%`,
+        cycles: this.data.histogram[edge] || 0
+      })),
+      lifeUsedPercent: round(this.data.damage * 100, 3),
+      cost: {
+        profile: profile.id,
+        batteryPrice: profile.batteryPrice,
+        warrantedCycles: profile.warrantedCycles,
+        warrantyDepth: profile.warrantyDepth || 80,
+        usableKwh,
+        costPerCycle: profile.batteryPrice ? round(profile.batteryPrice * 100 / (profile.warrantedCycles || 6000)) : null, // ¢
+        wearFactor: round(this.getWearFactor(profile, usableKwh)),
+        wearCostPerKwh: round(this.getWearCostPerKwh(profile, capacityKwh), 3), // ¢ per kWh in or out
+        wearCostSoFar: profile.batteryPrice ? round(this.data.damage * profile.batteryPrice) : null
+      }
+    };
+  }
+}
+
+module.exports = new BatteryDegradationService();
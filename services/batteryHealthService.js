@@ -0,0 +1,265 @@
+// Battery Health - usable capacity learned from measured charge and discharge segments
+// battery_power is integrated over runs of steady charging or discharging. Energy moved divided
+// by the SOC swing of the run gives one capacity estimate; the median of recent estimates is the
+// learned capacity, its month by month trend against the rated capacity is the state of health.
+// Estimates and the open segment live in data/battery_health.json.
+
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const moment = require('moment-timezone');
+const batteryProfileService = require('./batteryProfileService');
+const siteConfigService = require('./siteConfigService');
+
+const STEP_MINUTES = 5;
+const MAX_BACKFILL_DAYS = 30;
+const MIN_POWER = 100; // W, below this the battery counts as idle
+const MAX_IDLE_STEPS = 6; // short pauses do not end a segment
+const MIN_SOC_SWING = 20; // % SOC, shorter runs are dominated by SOC rounding
+const ESTIMATE_WINDOW_DAYS = 60;
+const ESTIMATE_SAMPLES = 30;
+
+const SOC_TOPIC = 'total\\/battery_state_of_charge\\/state$';
+const POWER_TOPIC = 'total\\/battery_power\\/state$';
+
+class BatteryHealthService {
+  constructor() {
+    this.dataFile = path.join(__dirname, '..', 'data', 'battery_health.json');
+    this.task = null;
+    this.updating = false;
+    this.lastError = null;
+    this.minConfidence = 0.8; // learned capacity replaces the rated one from here on
+    this.maxEstimates = 500;
+
+    this.data = this.loadData();
+  }
+
+  loadData() {
+    const defaults = { lastProcessed: null, segment: null, estimates: [] };
+    try {
+      if (fs.existsSync(this.dataFile)) {
+        return { ...defaults, ...JSON.parse(fs.readFileSync(this.dataFile, 'utf8')) };
+      }
+    } catch (error) {
+      console.error('Error loading battery health data:', error.message);
+    }
+    return defaults;
+  }
+
+  saveData() {
+    try {
+      const dataDir = path.dirname(this.dataFile);
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+      fs.writeFileSync(this.dataFile, JSON.stringify(this.data, null, 2));
+      return true;
+    } catch (error) {
+      console.error('Error saving battery health data:', error.message);
+      return false;
+    }
+  }
+
+  start() {
+    this.stop();
+    this.update().catch(() => {});
+    this.task = cron.schedule('25 * * * *', () => this.update().catch(() => {}));
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  async queryMeans(pattern, from, to) {
+    const rows = await global.influx.query(`
+      SELECT mean("value") AS "value"
+      FROM "state"
+      WHERE "topic" =~ /${pattern}/
+      AND time >= '${from.toISOString()}'
+      AND time < '${to.toISOString()}'
+      GROUP BY time(${STEP_MINUTES}m) fill(none)
+    `);
+    return rows.map(row => ({ time: new Date(row.time).getTime(), value: row.value }));
+  }
+
+  // Walks the history since the last run and closes the segments that ended in it
+  async update() {
+    if (this.updating) return null;
+    if (!global.influx) {
+      this.lastError = 'InfluxDB is not available';
+      return null;
+    }
+
+    this.updating = true;
+    try {
+      const stepMs = STEP_MINUTES * 60 * 1000;
+      const to = Math.floor(Date.now() / stepMs) * stepMs;
+      const from = Math.max(this.data.lastProcessed || 0, to - MAX_BACKFILL_DAYS * 24 * 60 * 60 * 1000);
+      if (from >= to) return null;
+
+      const [socRows, powerRows] = await Promise.all([
+        this.queryMeans(SOC_TOPIC, new Date(from), new Date(to)),
+        this.queryMeans(POWER_TOPIC, new Date(from), new Date(to))
+      ]);
+
+      const power = new Map(powerRows.map(row => [row.time, row.value]));
+      const efficiency = batteryProfileService.getActiveProfile().efficiency || 0.95;
+      const before = this.data.estimates.length;
+
+      socRows.forEach(row => {
+        if (typeof row.value !== 'number' || !power.has(row.time)) return;
+        this.step(row.time, row.value, power.get(row.time), efficiency);
+      });
+
+      this.data.estimates = this.data.estimates.slice(-this.maxEstimates);
+      this.data.lastProcessed = to;
+      this.lastError = null;
+      this.saveData();
+
+      const added = this.data.estimates.length - before;
+      if (added > 0) {
+        const estimate = this.getEstimate();
+        console.log(`🔋 ${added} new battery capacity sample(s), learned capacity ${estimate ? estimate.capacityKwh.toFixed(1) + ' kWh' : 'n/a'}`);
+      }
+      return Math.max(0, added);
+    } catch (error) {
+      this.lastError = error.message;
+      console.error('❌ Error estimating battery capacity:', error.message);
+      throw error;
+    } finally {
+      this.updating = false;
+    }
+  }
+
+  // One 5 minute step: battery_power > 0 is charging
+  step(time, soc, powerW, efficiency) {
+    const stepMs = STEP_MINUTES * 60 * 1000;
+    const direction = powerW > MIN_POWER ? 1 : (powerW < -MIN_POWER ? -1 : 0);
+    let segment = this.data.segment;
+
+    // A gap in the data or a change of direction ends the run
+    if (segment && (time - segment.lastTime > 3 * stepMs ||
+        (direction !== 0 && direction !== segment.direction) ||
+        (direction === 0 && segment.idleSteps >= MAX_IDLE_STEPS))) {
+      this.closeSegment(segment, efficiency);
+      segment = null;
+    }
+
+    if (!segment) {
+      // The SOC of this step already includes its energy, the run starts with the next one
+      this.data.segment = direction !== 0 ?
+        { direction, startTime: time, startSoc: soc, endSoc: soc, energyKwh: 0, lastTime: time, idleSteps: 0 } : null;
+      return;
+    }
+
+    segment.lastTime = time;
+    segment.endSoc = soc;
+    if (direction === 0) {
+      segment.idleSteps++;
+    } else {
+      segment.idleSteps = 0;
+      segment.energyKwh += Math.abs(powerW) * STEP_MINUTES / 60 / 1000;
+    }
+  }
+
+  // Energy into the cells is after charge losses, energy out of them before discharge losses
+  closeSegment(segment, efficiency) {
+    const swing = (segment.endSoc - segment.startSoc) * segment.direction;
+    if (swing < MIN_SOC_SWING || segment.energyKwh <= 0) return null;
+
+    const cellEnergy = segment.direction > 0 ? segment.energyKwh * efficiency : segment.energyKwh / efficiency;
+    const capacityKwh = cellEnergy / swing * 100;
+    if (capacityKwh < 0.5 || capacityKwh > 1000) return null;
+
+    const estimate = {
+      time: segment.lastTime,
+      direction: segment.direction > 0 ? 'charge' : 'discharge',
+      socSwing: Math.round(swing * 10) / 10,
+      energyKwh: Math.round(segment.energyKwh * 100) / 100,
+      capacityKwh: Math.round(capacityKwh * 100) / 100
+    };
+    this.data.estimates.push(estimate);
+    return estimate;
+  }
+
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  // Median of recent samples; confidence grows with their number and falls with their spread
+  getEstimate(now = Date.now()) {
+    const since = now - ESTIMATE_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+    const samples = this.data.estimates.filter(estimate => estimate.time >= since).slice(-ESTIMATE_SAMPLES);
+    if (samples.length === 0) return null;
+
+    const capacities = samples.map(estimate => estimate.capacityKwh);
+    const capacityKwh = this.median(capacities);
+    const spread = this.median(capacities.map(capacity => Math.abs(capacity - capacityKwh))) / capacityKwh;
+    const confidence = Math.min(1, samples.length / 8) * Math.max(0, 1 - spread * 4);
+
+    return {
+      capacityKwh,
+      confidence: Math.round(confidence * 100) / 100,
+      samples: samples.length,
+      spreadPercent: Math.round(spread * 1000) / 10
+    };
+  }
+
+  // Learned capacity once it is trusted, null otherwise
+  getLearnedCapacity() {
+    const estimate = this.getEstimate();
+    return estimate && estimate.confidence >= this.minConfidence ? estimate.capacityKwh : null;
+  }
+
+  // Median capacity per month in the site timezone
+  getTrend(ratedKwh) {
+    const months = {};
+    this.data.estimates.forEach(estimate => {
+      const month = moment.tz(estimate.time, siteConfigService.getTimezone()).format('YYYY-MM');
+      (months[month] = months[month] || []).push(estimate.capacityKwh);
+    });
+
+    return Object.keys(months).sort().map(month => {
+      const capacityKwh = this.median(months[month]);
+      return {
+        month,
+        samples: months[month].length,
+        capacityKwh: Math.round(capacityKwh * 100) / 100,
+        sohPercent: ratedKwh ? Math.round(capacityKwh / ratedKwh * 1000) / 10 : null
+      };
+    });
+  }
+
+  reset() {
+    this.data = { lastProcessed: null, segment: null, estimates: [] };
+    this.saveData();
+  }
+
+  getStatus(ratedKwh = null) {
+    const estimate = this.getEstimate();
+    return {
+      ratedCapacityKwh: ratedKwh,
+      learnedCapacityKwh: estimate ? Math.round(estimate.capacityKwh * 100) / 100 : null,
+      sohPercent: estimate && ratedKwh ? Math.round(estimate.capacityKwh / ratedKwh * 1000) / 10 : null,
+      confidence: estimate ? estimate.confidence : 0,
+      minConfidence: this.minConfidence,
+      usedForOptimization: !!(estimate && estimate.confidence >= this.minConfidence),
+      samples: estimate ? estimate.samples : 0,
+      spreadPercent: estimate ? estimate.spreadPercent : null,
+      lastProcessed: this.data.lastProcessed ? new Date(this.data.lastProcessed).toISOString() : null,
+      lastError: this.lastError,
+      trend: this.getTrend(ratedKwh),
+      recentEstimates: this.data.estimates.slice(-20).reverse().map(estimate => ({
+        ...estimate,
+        time: new Date(estimate.time).toISOString()
+      }))
+    };
+  }
+}
+
+module.exports = new BatteryHealthService();
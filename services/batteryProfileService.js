@@ -0,0 +1,337 @@
+// Battery Profiles - chemistry and voltage specific limits per battery bank
+// Used by the command policy for setpoint validation and by the AI engine for
+// SOC limits, efficiency and capacity. Inverters can be assigned their own profile.
+
+const fs = require('fs');
+const path = require('path');
+
+const CHEMISTRIES = ['LFP', 'NMC', 'LEAD_ACID'];
+
+// Per-cell voltages and defaults used when a profile does not set explicit values.
+// Efficiency is one-way (charge or discharge), round trip is its square.
+const CHEMISTRY_DEFAULTS = {
+  LFP: {
+    cellNominal: 3.2,
+    float: { min: 3.35, max: 3.45 },
+    absorption: { min: 3.45, max: 3.65 },
+    equalization: { min: 3.45, max: 3.65 }, // no real equalization, keep within absorption
+    operating: { min: 2.5, max: 3.65 },
+    socMin: 10,
+    socMax: 100,
+    efficiency: 0.96,
+    warrantedCycles: 6000
+  },
+  NMC: {
+    cellNominal: 3.7,
+    float: { min: 3.9, max: 4.1 },
+    absorption: { min: 4.0, max: 4.2 },
+    equalization: { min: 4.0, max: 4.2 },
+    operating: { min: 3.0, max: 4.2 },
+    socMin: 10,
+    socMax: 95,
+    efficiency: 0.95,
+    warrantedCycles: 3000
+  },
+  LEAD_ACID: {
+    cellNominal: 2.0,
+    float: { min: 2.2, max: 2.3 },
+    absorption: { min: 2.3, max: 2.45 },
+    equalization: { min: 2.45, max: 2.6 },
+    operating: { min: 1.75, max: 2.6 },
+    socMin: 50,
+    socMax: 100,
+    efficiency: 0.9,
+    warrantedCycles: 1200
+  }
+};
+
+const VOLTAGE_RANGES = ['floatVoltage', 'absorptionVoltage', 'equalizationVoltage', 'operatingVoltage'];
+
+class BatteryProfileService {
+  constructor() {
+    this.configFile = path.join(__dirname, '..', 'data', 'battery_profiles.json');
+    this.config = this.loadConfig();
+  }
+
+  getDefaultConfig() {
+    return {
+      activeProfile: 'default',
+      // Inverters with their own bank: { inverter_2: 'lead_24v' }
+      assignments: {},
+      profiles: {
+        // Matches the limits used before profiles existed
+        default: {
+          id: 'default',
+          name: '48 V bank (generic limits)',
+          chemistry: 'LFP',
+          nominalVoltage: 48,
+          cellCount: 16,
+          capacityAh: null,
+          usableCapacityKwh: null,
+          maxChargeCurrent: 100,
+          maxGridChargeCurrent: 100,
+          maxDischargeCurrent: 100,
+          floatVoltage: { min: 40, max: 60 },
+          absorptionVoltage: { min: 40, max: 60 },
+          equalizationVoltage: { min: 40, max: 60 },
+          operatingVoltage: { min: 40, max: 60 },
+          socMin: 20,
+          socMax: 100,
+          efficiency: 0.95,
+          batteryPrice: null,
+          warrantedCycles: 6000,
+          warrantyDepth: 80
+        }
+      }
+    };
+  }
+
+  loadConfig() {
+    const defaults = this.getDefaultConfig();
+    try {
+      if (fs.existsSync(this.configFile)) {
+        const saved = JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
+        const config = {
+          ...defaults,
+          ...saved,
+          assignments: saved.assignments || {},
+          profiles: { ...defaults.profiles, ...(saved.profiles || {}) }
+        };
+        if (!config.profiles[config.activeProfile]) {
+          config.activeProfile = 'default';
+        }
+        return config;
+      }
+    } catch (error) {
+      console.error('Error loading battery profiles:', error.message);
+    }
+    return defaults;
+  }
+
+  saveConfig() {
+    try {
+      const dataDir = path.dirname(this.configFile);
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+      fs.writeFileSync(this.configFile, JSON.stringify(this.config, null, 2));
+      return true;
+    } catch (error) {
+      console.error('Error saving battery profiles:', error.message);
+      return false;
+    }
+  }
+
+  getProfiles() {
+    return Object.values(this.config.profiles);
+  }
+
+  getProfile(profileId) {
+    return this.config.profiles[profileId] || null;
+  }
+
+  getActiveProfile() {
+    return this.config.profiles[this.config.activeProfile] || this.config.profiles.default;
+  }
+
+  getProfileForInverter(inverterId) {
+    const assigned = inverterId ? this.config.assignments[inverterId] : null;
+    return (assigned && this.config.profiles[assigned]) || this.getActiveProfile();
+  }
+
+  // Usable energy between the profile's SOC limits
+  getUsableCapacityKwh(profile = this.getActiveProfile()) {
+    if (profile.usableCapacityKwh) return profile.usableCapacityKwh;
+    if (!profile.capacityAh) return null;
+
+    const grossKwh = (profile.capacityAh * profile.nominalVoltage) / 1000;
+    return Math.round(grossKwh * ((profile.socMax - profile.socMin) / 100) * 10) / 10;
+  }
+
+  parseRange(range, name) {
+    const min = parseFloat(range?.min);
+    const max = parseFloat(range?.max);
+    if (isNaN(min) || isNaN(max) || min <= 0 || min >= max) {
+      throw new Error(`${name} must have a positive min below max`);
+    }
+    return { min, max };
+  }
+
+  parsePositive(value, name, allowNull = false) {
+    if (allowNull && (value === null || value === undefined || value === '')) return null;
+    const number = parseFloat(value);
+    if (isNaN(number) || number <= 0) {
+      throw new Error(`${name} must be a positive number`);
+    }
+    return number;
+  }
+
+  // Fill everything that is not given from the chemistry's per-cell values
+  buildProfile(input, existing = null) {
+    let base = existing || {};
+
+    // A new chemistry or cell layout invalidates the values derived from the old one
+    if (existing && ['chemistry', 'cellCount', 'nominalVoltage'].some(key => input[key] !== undefined && input[key] !== existing[key])) {
+      base = { ...existing };
+      VOLTAGE_RANGES.forEach(key => delete base[key]);
+      const chemistryChanged = input.chemistry !== undefined && String(input.chemistry).toUpperCase() !== existing.chemistry;
+      if ((chemistryChanged || input.nominalVoltage !== undefined) && input.cellCount === undefined) delete base.cellCount;
+      if (chemistryChanged) {
+        delete base.socMin;
+        delete base.socMax;
+        delete base.efficiency;
+        delete base.warrantedCycles;
+      }
+    }
+    const source = { ...base, ...input };
+
+    const id = String(source.id || '').trim();
+    if (!/^[a-z0-9_-]+$/i.test(id)) {
+      throw new Error('Profile id may only contain letters, numbers, - and _');
+    }
+
+    const chemistry = String(source.chemistry || 'LFP').toUpperCase();
+    if (!CHEMISTRIES.includes(chemistry)) {
+      throw new Error(`Invalid chemistry: ${source.chemistry}. Allowed: ${CHEMISTRIES.join(', ')}`);
+    }
+    const defaults = CHEMISTRY_DEFAULTS[chemistry];
+
+    const nominalVoltage = this.parsePositive(source.nominalVoltage, 'nominalVoltage');
+    const cellCount = source.cellCount ?
+      parseInt(source.cellCount) : Math.round(nominalVoltage / defaults.cellNominal);
+    if (isNaN(cellCount) || cellCount < 1) {
+      throw new Error('cellCount must be a positive integer');
+    }
+
+    const profile = {
+      id,
+      name: source.name || id,
+      chemistry,
+      nominalVoltage,
+      cellCount,
+      capacityAh: this.parsePositive(source.capacityAh, 'capacityAh', true),
+      usableCapacityKwh: this.parsePositive(source.usableCapacityKwh, 'usableCapacityKwh', true),
+      maxChargeCurrent: this.parsePositive(source.maxChargeCurrent, 'maxChargeCurrent'),
+      maxDischargeCurrent: this.parsePositive(source.maxDischargeCurrent, 'maxDischargeCurrent')
+    };
+    profile.maxGridChargeCurrent = source.maxGridChargeCurrent !== undefined && source.maxGridChargeCurrent !== null ?
+      this.parsePositive(source.maxGridChargeCurrent, 'maxGridChargeCurrent') : profile.maxChargeCurrent;
+
+    const perCell = {
+      floatVoltage: defaults.float,
+      absorptionVoltage: defaults.absorption,
+      equalizationVoltage: defaults.equalization,
+      operatingVoltage: defaults.operating
+    };
+    VOLTAGE_RANGES.forEach(key => {
+      profile[key] = source[key] ?
+        this.parseRange(source[key], key) :
+        {
+          min: Math.round(perCell[key].min * cellCount * 100) / 100,
+          max: Math.round(perCell[key].max * cellCount * 100) / 100
+        };
+    });
+
+    const socMin = source.socMin !== undefined ? parseFloat(source.socMin) : defaults.socMin;
+    const socMax = source.socMax !== undefined ? parseFloat(source.socMax) : defaults.socMax;
+    if (isNaN(socMin) || isNaN(socMax) || socMin < 0 || socMax > 100 || socMin >= socMax) {
+      throw new Error('socMin and socMax must be within 0-100 with socMin below socMax');
+    }
+    profile.socMin = socMin;
+    profile.socMax = socMax;
+
+    const efficiency = source.efficiency !== undefined ? parseFloat(source.efficiency) : defaults.efficiency;
+    if (isNaN(efficiency) || efficiency <= 0 || efficiency > 1) {
+      throw new Error('efficiency must be between 0 and 1');
+    }
+    profile.efficiency = efficiency;
+
+    // Wear cost: price of the bank (in the price currency) spread over its warranted cycles.
+    // Without a price battery wear is not charged against decisions
+    profile.batteryPrice = source.batteryPrice !== undefined && source.batteryPrice !== null && source.batteryPrice !== '' ?
+      this.parsePositive(source.batteryPrice, 'batteryPrice') : null;
+    profile.warrantedCycles = source.warrantedCycles !== undefined ?
+      this.parsePositive(source.warrantedCycles, 'warrantedCycles') : defaults.warrantedCycles;
+    const warrantyDepth = source.warrantyDepth !== undefined ? parseFloat(source.warrantyDepth) : 80;
+    if (isNaN(warrantyDepth) || warrantyDepth <= 0 || warrantyDepth > 100) {
+      throw new Error('warrantyDepth must be between 0 and 100 (% depth of discharge of the warranted cycles)');
+    }
+    profile.warrantyDepth = warrantyDepth;
+
+    return profile;
+  }
+
+  saveProfile(input) {
+    const existing = input.id ? this.config.profiles[input.id] : null;
+    const profile = this.buildProfile(input, existing);
+
+    this.config.profiles[profile.id] = profile;
+    this.saveConfig();
+
+    console.log(`🔋 Battery profile saved: ${profile.name} (${profile.chemistry}, ${profile.nominalVoltage} V, ${profile.cellCount} cells)`);
+    return profile;
+  }
+
+  deleteProfile(profileId) {
+    if (profileId === 'default') {
+      throw new Error('The default profile cannot be deleted');
+    }
+    if (!this.config.profiles[profileId]) {
+      throw new Error(`Unknown battery profile: ${profileId}`);
+    }
+
+    delete this.config.profiles[profileId];
+    if (this.config.activeProfile === profileId) {
+      this.config.activeProfile = 'default';
+    }
+    Object.keys(this.config.assignments).forEach(inverterId => {
+      if (this.config.assignments[inverterId] === profileId) {
+        delete this.config.assignments[inverterId];
+      }
+    });
+
+    this.saveConfig();
+    return true;
+  }
+
+  setActiveProfile(profileId) {
+    if (!this.config.profiles[profileId]) {
+      throw new Error(`Unknown battery profile: ${profileId}`);
+    }
+    this.config.activeProfile = profileId;
+    this.saveConfig();
+    console.log(`🔋 Active battery profile: ${this.config.profiles[profileId].name}`);
+    return this.getActiveProfile();
+  }
+
+  // null profileId removes the assignment so the inverter follows the active profile
+  assignProfile(inverterId, profileId) {
+    if (!/^inverter_\d+$/.test(inverterId)) {
+      throw new Error(`Invalid inverter id: ${inverterId}`);
+    }
+    if (profileId === null || profileId === '') {
+      delete this.config.assignments[inverterId];
+    } else {
+      if (!this.config.profiles[profileId]) {
+        throw new Error(`Unknown battery profile: ${profileId}`);
+      }
+      this.config.assignments[inverterId] = profileId;
+    }
+    this.saveConfig();
+    return this.getProfileForInverter(inverterId);
+  }
+
+  getStatus() {
+    const active = this.getActiveProfile();
+    return {
+      activeProfile: active.id,
+      active: active,
+      usableCapacityKwh: this.getUsableCapacityKwh(active),
+      assignments: this.config.assignments,
+      profiles: this.getProfiles(),
+      chemistries: CHEMISTRIES
+    };
+  }
+}
+
+module.exports = new BatteryProfileService();
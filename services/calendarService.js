@@ -0,0 +1,323 @@
+// Calendar - public holidays and absences for the load forecast
+// Holidays come from the offline rule sets in ai/utils/holidays, keyed by the Tibber country
+// unless a country is set here. Absences are periods nobody is home: entered through the API,
+// imported from an iCal file, or recorded by vacation mode (an absence without an end until
+// it is switched off). Stored in data/load_calendar.json.
+
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
+const tibberService = require('./tibberService');
+const siteConfigService = require('./siteConfigService');
+const { getHoliday, getHolidays, getSupportedCountries } = require('../ai/utils/holidays');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const KEEP_DAYS = 400; // past absences stay a little longer than the 365 day training window
+const MIN_VACATION_MS = 60 * 60 * 1000;
+
+class CalendarService {
+  constructor() {
+    this.configFile = path.join(__dirname, '..', 'data', 'load_calendar.json');
+    this.warnedCountry = null;
+    this.config = this.loadConfig();
+  }
+
+  getDefaultConfig() {
+    return {
+      country: null, // null = the Tibber country setting
+      holidaysEnabled: true,
+      absences: []
+    };
+  }
+
+  loadConfig() {
+    try {
+      if (fs.existsSync(this.configFile)) {
+        return { ...this.getDefaultConfig(), ...JSON.parse(fs.readFileSync(this.configFile, 'utf8')) };
+      }
+    } catch (error) {
+      console.error('Error loading load calendar:', error.message);
+    }
+    return this.getDefaultConfig();
+  }
+
+  saveConfig() {
+    try {
+      const dataDir = path.dirname(this.configFile);
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+      fs.writeFileSync(this.configFile, JSON.stringify(this.config, null, 2));
+      return true;
+    } catch (error) {
+      console.error('Error saving load calendar:', error.message);
+      return false;
+    }
+  }
+
+  getCountry() {
+    return (this.config.country || tibberService.config?.country || 'DE').toUpperCase();
+  }
+
+  // The Tibber country may be one without holiday rules, say so instead of forecasting without holidays
+  isCountrySupported() {
+    const country = this.getCountry();
+    const supported = getSupportedCountries().includes(country);
+    if (!supported && this.config.holidaysEnabled && this.warnedCountry !== country) {
+      this.warnedCountry = country;
+      console.warn(`⚠️ No holiday rules for country ${country}, the load forecast runs without holidays. Supported: ${getSupportedCountries().join(', ')}`);
+    }
+    return supported;
+  }
+
+  updateSettings(input = {}) {
+    if (input.country !== undefined) {
+      const country = input.country ? String(input.country).toUpperCase() : null;
+      if (country && !getSupportedCountries().includes(country)) {
+        throw new Error(`No holiday rules for country ${country}. Supported: ${getSupportedCountries().join(', ')}`);
+      }
+      this.config.country = country;
+    }
+    if (input.holidaysEnabled !== undefined) {
+      this.config.holidaysEnabled = !!input.holidaysEnabled;
+    }
+    this.saveConfig();
+    return this.getStatus();
+  }
+
+  // What the load forecaster needs to know about the day of a time
+  getDayInfo(time) {
+    const ms = new Date(time).getTime();
+    const absence = this.config.absences.find(item => item.start <= ms && (item.end === null || ms < item.end));
+    return {
+      holiday: this.config.holidaysEnabled && this.isCountrySupported() ? getHoliday(this.getCountry(), ms) : null,
+      absent: !!absence,
+      absence: absence ? absence.summary : null
+    };
+  }
+
+  parseTime(value, name) {
+    const ms = typeof value === 'number' ? value : new Date(value).getTime();
+    if (!value || isNaN(ms)) {
+      throw new Error(`${name} must be a valid date`);
+    }
+    return ms;
+  }
+
+  createId() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  addAbsence(input = {}) {
+    const start = this.parseTime(input.start, 'start');
+    const end = this.parseTime(input.end, 'end');
+    if (end <= start) {
+      throw new Error('end must be after start');
+    }
+
+    const absence = {
+      id: this.createId(),
+      start,
+      end,
+      summary: input.summary ? String(input.summary).slice(0, 100) : 'Absence',
+      source: 'manual'
+    };
+    this.config.absences.push(absence);
+    this.prune();
+    this.saveConfig();
+    console.log(`🏖️ Absence added: ${absence.summary} (${new Date(start).toISOString()} - ${new Date(end).toISOString()})`);
+    return this.formatAbsence(absence);
+  }
+
+  deleteAbsence(id) {
+    const before = this.config.absences.length;
+    this.config.absences = this.config.absences.filter(item => item.id !== id);
+    if (this.config.absences.length === before) {
+      throw new Error(`Absence ${id} not found`);
+    }
+    this.saveConfig();
+  }
+
+  // Vacation mode is an open absence from now on, switching it off closes it
+  setVacationMode(enabled, until = null) {
+    const now = Date.now();
+    const current = this.getActiveVacation(now);
+
+    if (enabled) {
+      const end = until ? this.parseTime(until, 'until') : null;
+      if (end !== null && end <= now) {
+        throw new Error('until must be in the future');
+      }
+      if (current) {
+        current.end = end;
+      } else {
+        this.config.absences.push({ id: this.createId(), start: now, end, summary: 'Vacation mode', source: 'vacation' });
+      }
+      console.log(`🏖️ Vacation mode on${end ? ` until ${new Date(end).toISOString()}` : ''} - forecasting low occupancy load`);
+    } else if (current) {
+      current.end = now;
+      // A quick on/off is not worth learning from
+      if (now - current.start < MIN_VACATION_MS) {
+        this.config.absences = this.config.absences.filter(item => item !== current);
+      }
+      console.log('🏠 Vacation mode off');
+    }
+
+    this.saveConfig();
+    return this.getVacationStatus();
+  }
+
+  getActiveVacation(now = Date.now()) {
+    return this.config.absences.find(item =>
+      item.source === 'vacation' && item.start <= now && (item.end === null || now < item.end)) || null;
+  }
+
+  getVacationStatus() {
+    const vacation = this.getActiveVacation();
+    return {
+      enabled: !!vacation,
+      since: vacation ? new Date(vacation.start).toISOString() : null,
+      until: vacation && vacation.end ? new Date(vacation.end).toISOString() : null
+    };
+  }
+
+  // Minimal iCal reader: VEVENT start, end and summary. Recurrence rules are not expanded
+  parseICal(text) {
+    const lines = String(text || '').replace(/\r\n[ \t]/g, '').replace(/\n[ \t]/g, '').split(/\r?\n/);
+    const events = [];
+    let event = null;
+
+    lines.forEach(line => {
+      if (line === 'BEGIN:VEVENT') {
+        event = {};
+        return;
+      }
+      if (line === 'END:VEVENT') {
+        if (event) events.push(event);
+        event = null;
+        return;
+      }
+      if (!event) return;
+
+      const separator = line.indexOf(':');
+      if (separator < 0) return;
+      const [name, ...params] = line.slice(0, separator).split(';');
+      const value = line.slice(separator + 1);
+      const tzid = params.find(param => param.startsWith('TZID='));
+
+      if (name === 'DTSTART' || name === 'DTEND') {
+        event[name] = this.parseICalTime(value, tzid ? tzid.slice(5) : null);
+      } else if (name === 'SUMMARY') {
+        event.summary = value.replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ');
+      } else if (name === 'UID') {
+        event.uid = value;
+      }
+    });
+
+    return events
+      .filter(item => item.DTSTART)
+      .map(item => {
+        const start = item.DTSTART;
+        // All-day events without an end last one day, the end date of all-day events is exclusive
+        let end = item.DTEND ? item.DTEND.time : null;
+        if (end === null) end = start.allDay ? start.time + DAY_MS : start.time;
+        return { start: start.time, end, summary: item.summary || 'Absence', uid: item.uid || null };
+      })
+      .filter(item => item.end > item.start);
+  }
+
+  parseICalTime(value, tzid) {
+    const timezone = tzid && moment.tz.zone(tzid) ? tzid : siteConfigService.getTimezone();
+    if (/^\d{8}$/.test(value)) {
+      return { time: moment.tz(value, 'YYYYMMDD', timezone).valueOf(), allDay: true };
+    }
+    if (/^\d{8}T\d{6}Z$/.test(value)) {
+      return { time: moment.utc(value, 'YYYYMMDDTHHmmss[Z]').valueOf(), allDay: false };
+    }
+    if (/^\d{8}T\d{6}$/.test(value)) {
+      return { time: moment.tz(value, 'YYYYMMDDTHHmmss', timezone).valueOf(), allDay: false };
+    }
+    return null;
+  }
+
+  // An imported calendar replaces the previous import, manual entries stay
+  importICal(text) {
+    const events = this.parseICal(text);
+    if (events.length === 0) {
+      throw new Error('No events found in the iCal data');
+    }
+
+    this.config.absences = this.config.absences.filter(item => item.source !== 'ical');
+    events.forEach(event => {
+      this.config.absences.push({
+        id: this.createId(),
+        start: event.start,
+        end: event.end,
+        summary: event.summary.slice(0, 100),
+        source: 'ical'
+      });
+    });
+    this.prune();
+    this.saveConfig();
+    console.log(`📅 Imported ${events.length} absences from iCal`);
+    return events.length;
+  }
+
+  prune() {
+    const cutoff = Date.now() - KEEP_DAYS * DAY_MS;
+    this.config.absences = this.config.absences
+      .filter(item => item.end === null || item.end >= cutoff)
+      .sort((a, b) => a.start - b.start);
+  }
+
+  formatAbsence(absence) {
+    return {
+      ...absence,
+      start: new Date(absence.start).toISOString(),
+      end: absence.end !== null ? new Date(absence.end).toISOString() : null
+    };
+  }
+
+  // Holidays from today on and absences that have not ended yet
+  getUpcoming(days = 60) {
+    const timezone = siteConfigService.getTimezone();
+    const today = moment.tz(timezone).format('YYYY-MM-DD');
+    const last = moment.tz(timezone).add(days, 'days').format('YYYY-MM-DD');
+    const startYear = parseInt(today.slice(0, 4), 10);
+    const endYear = parseInt(last.slice(0, 4), 10);
+
+    const holidays = [];
+    if (this.config.holidaysEnabled && this.isCountrySupported()) {
+      for (let year = startYear; year <= endYear; year++) {
+        getHolidays(this.getCountry(), year)
+          .filter(holiday => holiday.date >= today && holiday.date <= last)
+          .forEach(holiday => holidays.push(holiday));
+      }
+    }
+
+    const now = Date.now();
+    return {
+      holidays,
+      absences: this.config.absences
+        .filter(item => item.end === null || item.end > now)
+        .map(item => this.formatAbsence(item))
+    };
+  }
+
+  getStatus(days = 60) {
+    return {
+      country: this.getCountry(),
+      countrySource: this.config.country ? 'manual' : 'tibber',
+      holidaysEnabled: this.config.holidaysEnabled,
+      countrySupported: this.isCountrySupported(),
+      holidayStatus: !this.config.holidaysEnabled ? 'disabled' :
+        (this.isCountrySupported() ? 'active' : `unsupported country ${this.getCountry()}`),
+      supportedCountries: getSupportedCountries(),
+      vacation: this.getVacationStatus(),
+      ...this.getUpcoming(days),
+      pastAbsences: this.config.absences.filter(item => item.end !== null && item.end <= Date.now()).length
+    };
+  }
+}
+
+module.exports = new CalendarService();
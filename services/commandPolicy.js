@@ -0,0 +1,349 @@
+// Command Policy - single gate for every write to the inverters
+// Checks topic patterns, per-setting values against the site's battery/inverter
+// limits profile and a writes-per-minute cap before anything is published.
+
+const fs = require('fs');
+const path = require('path');
+const influxAIService = require('./influxAIService');
+const batteryProfileService = require('./batteryProfileService');
+const inverterDriverRegistry = require('./inverterDriverRegistry');
+const notificationService = require('./notificationService');
+
+const BOOLEAN_VALUES = ['Enabled', 'Disabled', 'true', 'false', '1', '0'];
+
+const ENUM_SETTINGS = {
+  remote_switch: BOOLEAN_VALUES,
+  generator_charge: BOOLEAN_VALUES,
+  force_generator_on: BOOLEAN_VALUES,
+  solar_export_when_battery_full: BOOLEAN_VALUES,
+  grid_charge: BOOLEAN_VALUES,
+  work_mode: ['Battery first', 'Grid first', 'Solar first', 'Solar + Battery', 'Solar + Grid'],
+  energy_pattern: ['Battery first', 'Load first', 'Grid first', 'Solar first'],
+  charger_source_priority: ['Solar first', 'Solar and utility simultaneously', 'Solar only', 'Utility first'],
+  output_source_priority: ['Solar/Battery/Utility', 'Solar first', 'Utility first', 'Solar/Utility/Battery']
+};
+
+// Numeric settings and the limit that bounds them. Battery limits come from the
+// inverter's battery profile, power limits from the policy's inverter profile.
+const RANGE_SETTINGS = {
+  max_charge_current: { battery: 'maxChargeCurrent', unit: 'A' },
+  max_grid_charge_current: { battery: 'maxGridChargeCurrent', unit: 'A' },
+  max_generator_charge_current: { battery: 'maxGridChargeCurrent', unit: 'A' },
+  max_discharge_current: { battery: 'maxDischargeCurrent', unit: 'A' },
+  battery_float_charge_voltage: { battery: 'floatVoltage', unit: 'V' },
+  battery_absorption_charge_voltage: { battery: 'absorptionVoltage', unit: 'V' },
+  battery_equalization_charge_voltage: { battery: 'equalizationVoltage', unit: 'V' },
+  output_shutdown_voltage: { battery: 'operatingVoltage', unit: 'V' },
+  stop_battery_discharge_voltage: { battery: 'operatingVoltage', unit: 'V' },
+  start_battery_discharge_voltage: { battery: 'operatingVoltage', unit: 'V' },
+  start_grid_charge_voltage: { battery: 'operatingVoltage', unit: 'V' },
+  max_sell_power: { inverter: 'maxPower', unit: 'W' },
+  max_solar_power: { inverter: 'maxPower', unit: 'W' },
+  grid_trickle_feed: { inverter: 'percent', unit: '' }
+};
+
+class CommandPolicy {
+  constructor() {
+    this.configFile = path.join(__dirname, '..', 'data', 'command_policy.json');
+    this.topicPrefix = null;
+    this.inverterNumber = null;
+    this.writeTimes = [];
+    this.rejections = [];
+    this.maxRejections = 100;
+    this.stats = { allowed: 0, rejected: 0 };
+
+    this.config = this.loadConfig();
+  }
+
+  getDefaultConfig() {
+    return {
+      maxWritesPerMinute: 30,
+      // Relative to the MQTT topic prefix
+      allowedTopicPatterns: ['^inverter_\\d+/[a-z_]+/set$'],
+      // Inverter limits, battery limits live in the battery profiles
+      profile: {
+        maxPower: 15000
+      }
+    };
+  }
+
+  loadConfig() {
+    const defaults = this.getDefaultConfig();
+    try {
+      if (fs.existsSync(this.configFile)) {
+        const saved = JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
+        return {
+          ...defaults,
+          ...saved,
+          profile: { ...defaults.profile, ...(saved.profile || {}) }
+        };
+      }
+    } catch (error) {
+      console.error('Error loading command policy config:', error.message);
+    }
+    return defaults;
+  }
+
+  saveConfig() {
+    try {
+      const dataDir = path.dirname(this.configFile);
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+      fs.writeFileSync(this.configFile, JSON.stringify(this.config, null, 2));
+      return true;
+    } catch (error) {
+      console.error('Error saving command policy config:', error.message);
+      return false;
+    }
+  }
+
+  initialize(config = {}) {
+    this.topicPrefix = config.topicPrefix || null;
+    this.inverterNumber = config.inverterNumber ? parseInt(config.inverterNumber) : null;
+
+    const battery = batteryProfileService.getActiveProfile();
+    console.log(`✅ Command policy initialized (battery: ${battery.name}, ${this.config.maxWritesPerMinute} writes/min)`);
+  }
+
+  getRange(setting, inverterId = null) {
+    const rule = RANGE_SETTINGS[setting];
+    if (!rule) return null;
+
+    if (rule.battery) {
+      const limit = batteryProfileService.getProfileForInverter(inverterId)[rule.battery];
+      return typeof limit === 'object' ?
+        { min: limit.min, max: limit.max, unit: rule.unit } :
+        { min: 0, max: limit, unit: rule.unit };
+    }
+    if (rule.inverter === 'percent') {
+      return { min: 0, max: 100, unit: rule.unit };
+    }
+    return { min: 0, max: this.config.profile[rule.inverter], unit: rule.unit };
+  }
+
+  // Strip the MQTT prefix so topic patterns stay independent of the broker layout
+  getRelativeTopic(topic) {
+    if (!this.topicPrefix) return topic;
+    const prefix = `${this.topicPrefix}/`;
+    return topic.startsWith(prefix) ? topic.slice(prefix.length) : null;
+  }
+
+  // Validate a single write. Does not count towards the rate limit.
+  validate(topic, value) {
+    if (typeof topic !== 'string' || !topic) {
+      return { allowed: false, rule: 'topic', reason: 'Missing topic' };
+    }
+    if (value === undefined || value === null || String(value).trim() === '') {
+      return { allowed: false, rule: 'value', reason: 'Missing value' };
+    }
+
+    const relativeTopic = this.getRelativeTopic(topic);
+    if (relativeTopic === null) {
+      return { allowed: false, rule: 'topic', reason: `Topic ${topic} is outside the ${this.topicPrefix} prefix` };
+    }
+
+    const patterns = this.config.allowedTopicPatterns || [];
+    const topicAllowed = patterns.some(pattern => {
+      try {
+        return new RegExp(pattern).test(relativeTopic);
+      } catch (error) {
+        return false;
+      }
+    });
+    if (!topicAllowed) {
+      return { allowed: false, rule: 'topic', reason: `Topic ${relativeTopic} does not match any allowed pattern` };
+    }
+
+    const match = relativeTopic.match(/^(inverter_(\d+))\/([^/]+)\/set$/);
+    if (!match) {
+      return { allowed: false, rule: 'topic', reason: `Topic ${relativeTopic} is not an inverter setting` };
+    }
+
+    const inverterId = match[1];
+    const setting = match[3];
+    const inverterIndex = parseInt(match[2]);
+    if (this.inverterNumber && (inverterIndex < 1 || inverterIndex > this.inverterNumber)) {
+      return { allowed: false, rule: 'inverter', inverterId, setting, reason: `${inverterId} is not configured (1-${this.inverterNumber})` };
+    }
+
+    const stringValue = String(value);
+
+    // The inverter's driver may declare its own enumeration for a setting
+    const allowedValues = inverterDriverRegistry.getSettingValues(inverterId, setting) || ENUM_SETTINGS[setting];
+    if (allowedValues) {
+      if (!allowedValues.includes(stringValue)) {
+        return { allowed: false, rule: 'value', inverterId, setting, reason: `${setting} must be one of: ${allowedValues.join(', ')}` };
+      }
+      return { allowed: true, inverterId, setting };
+    }
+
+    const range = this.getRange(setting, inverterId);
+    if (range) {
+      const numeric = Number(stringValue);
+      if (!Number.isFinite(numeric)) {
+        return { allowed: false, rule: 'value', inverterId, setting, reason: `${setting} must be a number` };
+      }
+      if (numeric < range.min || numeric > range.max) {
+        return { allowed: false, rule: 'limit', inverterId, setting, reason: `${setting} must be between ${range.min} and ${range.max} ${range.unit}`.trim() };
+      }
+      return { allowed: true, inverterId, setting };
+    }
+
+    return { allowed: false, rule: 'setting', inverterId, setting, reason: `${setting} is not a writable setting` };
+  }
+
+  // Validate, rate limit and audit a write. Every publish to an inverter goes through here.
+  check(topic, value, source = 'UNKNOWN') {
+    let verdict = this.validate(topic, value);
+
+    if (verdict.allowed) {
+      const now = Date.now();
+      this.writeTimes = this.writeTimes.filter(time => now - time < 60000);
+
+      if (this.writeTimes.length >= this.config.maxWritesPerMinute) {
+        verdict = {
+          ...verdict,
+          allowed: false,
+          rule: 'rate_limit',
+          reason: `Write limit of ${this.config.maxWritesPerMinute} commands per minute reached`
+        };
+      } else {
+        this.writeTimes.push(now);
+      }
+    }
+
+    if (verdict.allowed) {
+      this.stats.allowed++;
+    } else {
+      this.reject(topic, value, source, verdict);
+    }
+
+    return verdict;
+  }
+
+  reject(topic, value, source, verdict) {
+    this.stats.rejected++;
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      topic: String(topic),
+      value: value === undefined || value === null ? '' : String(value),
+      inverterId: verdict.inverterId || null,
+      setting: verdict.setting || null,
+      source: source,
+      rule: verdict.rule,
+      reason: verdict.reason
+    };
+
+    this.rejections.unshift(entry);
+    if (this.rejections.length > this.maxRejections) {
+      this.rejections = this.rejections.slice(0, this.maxRejections);
+    }
+
+    console.warn(`🛡️ Command rejected (${entry.source}): ${entry.topic} = ${entry.value} - ${entry.reason}`);
+
+    influxAIService.saveCommandRejection(entry).catch(error => {
+      console.error('Error saving command rejection:', error.message);
+    });
+
+    this.notifyRejection(entry);
+  }
+
+  async notifyRejection(entry) {
+    // Rate limit hits are expected under bursts, only value/topic violations are alerted
+    if (entry.rule === 'rate_limit') return;
+
+    try {
+      const notification = notificationService.createNotification({
+        type: 'system_alert',
+        severity: 'warning',
+        title: '🛡️ Inverter Command Blocked',
+        message: `Blocked ${entry.topic} = ${entry.value} from ${entry.source}: ${entry.reason}`,
+        source: 'command_policy',
+        inverterId: entry.inverterId,
+        data: entry,
+        channels: ['ui', 'telegram'],
+        priority: 'high',
+        suppressionKey: `command_rejected_${entry.source}_${entry.setting || entry.rule}`
+      });
+
+      await notificationService.processNotification(notification);
+    } catch (error) {
+      console.error('Error sending command rejection notification:', error.message);
+    }
+  }
+
+  updateConfig(updates = {}) {
+    const next = {
+      ...this.config,
+      profile: { ...this.config.profile }
+    };
+
+    if (updates.maxWritesPerMinute !== undefined) {
+      const maxWrites = parseInt(updates.maxWritesPerMinute);
+      if (isNaN(maxWrites) || maxWrites < 1 || maxWrites > 600) {
+        throw new Error('maxWritesPerMinute must be between 1 and 600');
+      }
+      next.maxWritesPerMinute = maxWrites;
+    }
+
+    if (updates.allowedTopicPatterns !== undefined) {
+      if (!Array.isArray(updates.allowedTopicPatterns) || updates.allowedTopicPatterns.length === 0) {
+        throw new Error('allowedTopicPatterns must be a non-empty array');
+      }
+      updates.allowedTopicPatterns.forEach(pattern => {
+        try {
+          new RegExp(pattern);
+        } catch (error) {
+          throw new Error(`Invalid topic pattern: ${pattern}`);
+        }
+      });
+      next.allowedTopicPatterns = updates.allowedTopicPatterns.map(String);
+    }
+
+    const profile = updates.profile || {};
+
+    if (profile.maxPower !== undefined) {
+      const maxPower = parseFloat(profile.maxPower);
+      if (isNaN(maxPower) || maxPower < 0) {
+        throw new Error('maxPower must be a non-negative number');
+      }
+      next.profile.maxPower = maxPower;
+    }
+
+    this.config = next;
+    this.saveConfig();
+    console.log(`🛡️ Command policy updated (max power ${next.profile.maxPower} W, ${next.maxWritesPerMinute} writes/min)`);
+    return this.getStatus();
+  }
+
+  getRules(inverterId = null) {
+    const ranges = {};
+    Object.keys(RANGE_SETTINGS).forEach(setting => {
+      ranges[setting] = this.getRange(setting, inverterId);
+    });
+    const driverValues = inverterDriverRegistry.getDriver(inverterId)?.values || {};
+    return { enums: { ...ENUM_SETTINGS, ...driverValues }, ranges };
+  }
+
+  getRecentRejections(limit = 20) {
+    return this.rejections.slice(0, limit);
+  }
+
+  getStatus() {
+    const now = Date.now();
+    const writesLastMinute = this.writeTimes.filter(time => now - time < 60000).length;
+
+    return {
+      maxWritesPerMinute: this.config.maxWritesPerMinute,
+      writesLastMinute: writesLastMinute,
+      allowedTopicPatterns: this.config.allowedTopicPatterns,
+      profile: this.config.profile,
+      batteryProfile: batteryProfileService.getActiveProfile().id,
+      stats: this.stats
+    };
+  }
+}
+
+module.exports = new CommandPolicy();
@@ -0,0 +1,280 @@
+// Command Tracker - closed-loop verification for inverter commands
+// Watches the state topics parsed into currentSettingsState and confirms that
+// every published /set command was actually applied by the inverter.
+
+const influxAIService = require('./influxAIService');
+const notificationService = require('./notificationService');
+const commandPolicy = require('./commandPolicy');
+
+class CommandTracker {
+  constructor() {
+    this.mqttClient = null;
+    this.settingsState = null;
+    this.pending = new Map(); // topic -> command awaiting confirmation
+    this.recent = [];
+    this.maxRecent = 100;
+
+    this.config = {
+      confirmTimeout: 30000, // first wait, doubled on every retry
+      backoffFactor: 2,
+      maxRetries: 3
+    };
+  }
+
+  initialize(mqttClient, settingsState, config = {}) {
+    this.mqttClient = mqttClient;
+    this.settingsState = settingsState || null;
+
+    if (config.confirmTimeout) this.config.confirmTimeout = config.confirmTimeout;
+    if (config.backoffFactor) this.config.backoffFactor = config.backoffFactor;
+    if (config.maxRetries !== undefined) this.config.maxRetries = config.maxRetries;
+
+    console.log(`✅ Command tracker initialized (timeout: ${this.config.confirmTimeout / 1000}s, retries: ${this.config.maxRetries})`);
+  }
+
+  // Split ".../inverter_1/grid_charge/set" into inverter and setting
+  parseTopic(topic) {
+    const match = topic.match(/(inverter_\d+)\/([^/]+)\/set$/);
+    if (!match) return null;
+    return { inverterId: match[1], setting: match[2] };
+  }
+
+  // Last value reported on the state topic matching a /set topic
+  getReportedState(topic) {
+    const parsed = this.parseTopic(topic);
+    if (!parsed || !this.settingsState) return null;
+    return this.settingsState[parsed.setting]?.[parsed.inverterId] || null;
+  }
+
+  normalizeValue(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') return JSON.stringify(value).toLowerCase();
+    return String(value).trim().toLowerCase();
+  }
+
+  // Publish a command once the policy allows it and start watching for the matching state update
+  send(topic, value, options = {}) {
+    if (!this.mqttClient) {
+      console.log('⚠️ MQTT client not available, cannot send command');
+      return null;
+    }
+
+    const source = options.source || 'AI_ENGINE';
+    const verdict = commandPolicy.check(topic, value, source);
+    if (!verdict.allowed) {
+      this.callRejected(options.onRejected, verdict);
+      return null;
+    }
+
+    const parsed = this.parseTopic(topic);
+    const command = {
+      topic,
+      value: String(value),
+      inverterId: parsed?.inverterId || null,
+      setting: parsed?.setting || null,
+      source: source,
+      status: 'pending',
+      attempts: 1,
+      createdAt: new Date(),
+      lastSentAt: new Date(),
+      timer: null,
+      onFailed: options.onFailed || null,
+      onRejected: options.onRejected || null
+    };
+
+    // A newer command for the same topic replaces the one still in flight
+    const previous = this.pending.get(topic);
+    if (previous) {
+      this.finish(previous, 'superseded');
+    }
+
+    this.mqttClient.publish(topic, command.value);
+
+    // Without a parsed setting state we cannot verify, record as sent
+    if (!command.setting || !this.settingsState || !this.settingsState[command.setting]) {
+      this.finish(command, 'unverified');
+      return command;
+    }
+
+    this.pending.set(topic, command);
+    this.scheduleCheck(command);
+    return command;
+  }
+
+  callRejected(handler, verdict) {
+    if (!handler) return;
+    try {
+      handler(verdict);
+    } catch (error) {
+      console.error('Error in command rejection handler:', error.message);
+    }
+  }
+
+  scheduleCheck(command) {
+    const delay = this.config.confirmTimeout * Math.pow(this.config.backoffFactor, command.attempts - 1);
+    command.timer = setTimeout(() => this.handleTimeout(command), delay);
+  }
+
+  // Called by the MQTT handler after a .../state message updated currentSettingsState
+  handleStateUpdate(inverterId, setting) {
+    if (this.pending.size === 0 || !this.settingsState) return;
+
+    const reported = this.settingsState[setting]?.[inverterId];
+    if (!reported) return;
+
+    for (const command of this.pending.values()) {
+      if (command.inverterId !== inverterId || command.setting !== setting) continue;
+
+      if (this.normalizeValue(reported.value) === this.normalizeValue(command.value)) {
+        this.finish(command, command.attempts > 1 ? 'retried' : 'confirmed');
+      }
+    }
+  }
+
+  handleTimeout(command) {
+    if (this.pending.get(command.topic) !== command) return;
+
+    if (command.attempts > this.config.maxRetries) {
+      this.finish(command, 'failed');
+      return;
+    }
+
+    // Retries are writes like any other: limits may have changed and they count towards the rate limit
+    const verdict = commandPolicy.check(command.topic, command.value, command.source);
+    if (!verdict.allowed) {
+      this.finish(command, 'rejected');
+      this.callRejected(command.onRejected, verdict);
+      return;
+    }
+
+    command.attempts++;
+    command.lastSentAt = new Date();
+    console.log(`🔁 Retrying ${command.topic} = ${command.value} (attempt ${command.attempts}/${this.config.maxRetries + 1})`);
+
+    if (this.mqttClient) {
+      this.mqttClient.publish(command.topic, command.value);
+    }
+    this.scheduleCheck(command);
+  }
+
+  finish(command, status) {
+    if (command.timer) {
+      clearTimeout(command.timer);
+      command.timer = null;
+    }
+    if (this.pending.get(command.topic) === command) {
+      this.pending.delete(command.topic);
+    }
+
+    command.status = status;
+    command.completedAt = new Date();
+    const latencyMs = command.completedAt - command.createdAt;
+    const success = status !== 'failed' && status !== 'rejected';
+
+    this.recent.unshift({
+      topic: command.topic,
+      value: command.value,
+      inverterId: command.inverterId,
+      setting: command.setting,
+      source: command.source,
+      status,
+      attempts: command.attempts,
+      latencyMs,
+      timestamp: command.completedAt.toISOString()
+    });
+    if (this.recent.length > this.maxRecent) {
+      this.recent = this.recent.slice(0, this.maxRecent);
+    }
+
+    influxAIService.saveCommand(command.topic, command.value, success, {
+      status,
+      attempts: command.attempts,
+      latencyMs,
+      source: command.source
+    }).catch(error => {
+      console.error('Error saving command status:', error.message);
+    });
+
+    if (status === 'confirmed' || status === 'retried') {
+      console.log(`✅ Confirmed ${command.topic} = ${command.value} (${status}, ${(latencyMs / 1000).toFixed(1)}s)`);
+    } else if (status === 'rejected') {
+      console.warn(`🛡️ Retry of ${command.topic} = ${command.value} rejected by the command policy`);
+    } else if (status === 'failed') {
+      console.error(`❌ Command not applied: ${command.topic} = ${command.value} after ${command.attempts} attempts`);
+      this.notifyFailure(command);
+      if (command.onFailed) {
+        try {
+          command.onFailed(command);
+        } catch (error) {
+          console.error('Error in command failure handler:', error.message);
+        }
+      }
+    }
+  }
+
+  async notifyFailure(command) {
+    try {
+      const notification = notificationService.createNotification({
+        type: 'system_alert',
+        severity: 'warning',
+        title: '⚠️ Inverter Command Not Applied',
+        message: `${command.inverterId} did not report ${command.setting} = ${command.value} after ${command.attempts} attempts. The inverter may have dropped the write.`,
+        source: 'ai_engine',
+        inverterId: command.inverterId,
+        data: {
+          topic: command.topic,
+          value: command.value,
+          setting: command.setting,
+          attempts: command.attempts,
+          reportedValue: this.settingsState?.[command.setting]?.[command.inverterId]?.value
+        },
+        channels: ['ui', 'telegram'],
+        priority: 'high',
+        suppressionKey: `command_failed_${command.inverterId}_${command.setting}`
+      });
+
+      await notificationService.processNotification(notification);
+    } catch (error) {
+      console.error('Error sending command failure notification:', error.message);
+    }
+  }
+
+  getPendingCommands() {
+    return Array.from(this.pending.values()).map(command => ({
+      topic: command.topic,
+      value: command.value,
+      inverterId: command.inverterId,
+      setting: command.setting,
+      status: command.status,
+      attempts: command.attempts,
+      createdAt: command.createdAt.toISOString(),
+      lastSentAt: command.lastSentAt.toISOString()
+    }));
+  }
+
+  getRecentCommands(limit = 20) {
+    return this.recent.slice(0, limit);
+  }
+
+  getStatus() {
+    const counts = { confirmed: 0, retried: 0, failed: 0, superseded: 0, unverified: 0, rejected: 0 };
+    this.recent.forEach(command => {
+      if (counts[command.status] !== undefined) counts[command.status]++;
+    });
+
+    return {
+      pending: this.pending.size,
+      recent: counts,
+      config: this.config
+    };
+  }
+
+  stop() {
+    for (const command of this.pending.values()) {
+      if (command.timer) clearTimeout(command.timer);
+    }
+    this.pending.clear();
+  }
+}
+
+module.exports = new CommandTracker();
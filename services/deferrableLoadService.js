@@ -0,0 +1,469 @@
+// Deferrable Loads - water heaters, pool pumps, dishwashers switched into cheap or sunny hours
+// Each load has a power, a runtime and a daily window (earliest start, latest finish, site time).
+// The AI system places the runs on its forecasts (ai/models/loadScheduler) and plans the battery
+// with them; without a recent AI schedule the runs are placed on the price forecast alone.
+// A minute tick switches the control target (MQTT topic or Home Assistant switch) by the plan and
+// switches on regardless when the runtime left only just fits before the deadline.
+// Loads, progress and run history are stored in data/deferrable_loads.json.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const cron = require('node-cron');
+const axios = require('axios');
+const moment = require('moment-timezone');
+const tibberService = require('./tibberService');
+const siteConfigService = require('./siteConfigService');
+const notificationService = require('./notificationService');
+const ChargePlanner = require('../ai/models/chargePlanner');
+const LoadScheduler = require('../ai/models/loadScheduler');
+
+const MODES = ['cost', 'solar'];
+const TARGET_TYPES = ['mqtt', 'home_assistant'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const ENTITY_PATTERN = /^[a-z_]+\.[a-z0-9_]+$/;
+const SCHEDULE_MAX_AGE = 30 * 60 * 1000; // older AI schedules are replaced by the price-only one
+const FALLBACK_INTERVAL = 15 * 60 * 1000;
+const RETRY_DELAY = 5 * 60 * 1000;
+
+class DeferrableLoadService {
+  constructor() {
+    this.configFile = path.join(__dirname, '..', 'data', 'deferrable_loads.json');
+    this.publishMqtt = null;
+    this.reservedTopicPrefix = null; // inverter topics, written only through the command policy
+    this.task = null;
+    this.ticking = false;
+    this.maxHistory = 100;
+
+    this.schedule = null; // { loadSchedule, source, updatedAt }
+    this.planner = new ChargePlanner();
+    this.scheduler = new LoadScheduler();
+
+    this.config = this.loadConfig();
+  }
+
+  loadConfig() {
+    const defaults = { loads: [], progress: {}, history: [] };
+    try {
+      if (fs.existsSync(this.configFile)) {
+        return { ...defaults, ...JSON.parse(fs.readFileSync(this.configFile, 'utf8')) };
+      }
+    } catch (error) {
+      console.error('Error loading deferrable loads:', error.message);
+    }
+    return defaults;
+  }
+
+  saveConfig() {
+    try {
+      const dataDir = path.dirname(this.configFile);
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+      fs.writeFileSync(this.configFile, JSON.stringify(this.config, null, 2));
+      return true;
+    } catch (error) {
+      console.error('Error saving deferrable loads:', error.message);
+      return false;
+    }
+  }
+
+  isReservedTopic(topic) {
+    const prefix = this.reservedTopicPrefix;
+    return !!prefix && (topic === prefix || topic.startsWith(`${prefix}/`));
+  }
+
+  initialize(config = {}) {
+    this.publishMqtt = config.publishMqtt || null;
+    this.reservedTopicPrefix = config.reservedTopicPrefix || null;
+
+    this.stop();
+    this.task = cron.schedule('* * * * *', () => {
+      this.tick().catch(error => console.error('❌ Error switching deferrable loads:', error.message));
+    });
+
+    const active = this.config.loads.filter(load => load.enabled).length;
+    console.log(`✅ Deferrable load scheduler initialized (${active}/${this.config.loads.length} loads active)`);
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  // Normalize and validate user input into a stored load
+  buildLoad(input, existing = null) {
+    const source = { ...(existing || {}), ...input };
+
+    const name = String(source.name || '').trim();
+    if (!name) {
+      throw new Error('Load name is required');
+    }
+
+    const power = parseFloat(source.power);
+    if (!(power > 0) || power > 50000) {
+      throw new Error('power must be between 0 and 50000 W');
+    }
+
+    const runtimeMinutes = parseInt(source.runtimeMinutes);
+    if (!(runtimeMinutes >= 5) || runtimeMinutes > 24 * 60) {
+      throw new Error('runtimeMinutes must be between 5 and 1440');
+    }
+
+    ['earliestStart', 'latestFinish'].forEach(key => {
+      if (!TIME_PATTERN.test(String(source[key] || ''))) {
+        throw new Error(`${key} must be a time like 07:30`);
+      }
+    });
+    if (runtimeMinutes > this.windowMinutes(source.earliestStart, source.latestFinish)) {
+      throw new Error('runtimeMinutes does not fit between earliestStart and latestFinish');
+    }
+
+    const mode = source.mode || 'cost';
+    if (!MODES.includes(mode)) {
+      throw new Error(`Invalid mode: ${mode}. Allowed: ${MODES.join(', ')}`);
+    }
+
+    const target = { ...(source.target || {}) };
+    if (!TARGET_TYPES.includes(target.type)) {
+      throw new Error(`Invalid target type: ${target.type}. Allowed: ${TARGET_TYPES.join(', ')}`);
+    }
+    if (target.type === 'mqtt') {
+      const topic = String(target.topic || '').trim();
+      if (!topic || /[#+]/.test(topic)) {
+        throw new Error('An MQTT topic without wildcards is required');
+      }
+      if (this.isReservedTopic(topic)) {
+        throw new Error(`Topics under ${this.reservedTopicPrefix}/ are inverter topics and cannot be used for loads`);
+      }
+      target.topic = topic;
+      target.onPayload = target.onPayload !== undefined && target.onPayload !== '' ? String(target.onPayload) : 'ON';
+      target.offPayload = target.offPayload !== undefined && target.offPayload !== '' ? String(target.offPayload) : 'OFF';
+    } else {
+      const entityId = String(target.entityId || '').trim();
+      if (!ENTITY_PATTERN.test(entityId)) {
+        throw new Error('A Home Assistant entity id like switch.water_heater is required');
+      }
+      target.entityId = entityId;
+    }
+
+    return {
+      id: existing?.id || `load-${crypto.randomUUID()}`,
+      name,
+      power,
+      runtimeMinutes,
+      earliestStart: source.earliestStart,
+      latestFinish: source.latestFinish,
+      mode,
+      splittable: source.splittable === true || source.splittable === 'true',
+      target: target.type === 'mqtt' ?
+        { type: 'mqtt', topic: target.topic, onPayload: target.onPayload, offPayload: target.offPayload } :
+        { type: 'home_assistant', entityId: target.entityId },
+      enabled: source.enabled === undefined ? true : source.enabled === true || source.enabled === 'true',
+      createdAt: existing?.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  // Length of the daily window, a latest finish at or before the earliest start is the next day
+  windowMinutes(earliestStart, latestFinish) {
+    const toMinutes = time => parseInt(time.slice(0, 2)) * 60 + parseInt(time.slice(3, 5));
+    const minutes = toMinutes(latestFinish) - toMinutes(earliestStart);
+    return minutes > 0 ? minutes : minutes + 24 * 60;
+  }
+
+  // Windows in site time that have not ended yet, the current or next one first
+  getWindows(load, now = Date.now(), count = 2) {
+    const timezone = siteConfigService.getTimezone();
+    const [hour, minute] = load.earliestStart.split(':').map(Number);
+    const length = this.windowMinutes(load.earliestStart, load.latestFinish);
+    const windows = [];
+
+    const day = moment.tz(now, timezone).subtract(1, 'day');
+    for (let i = 0; i < 4 && windows.length < count; i++, day.add(1, 'day')) {
+      const start = day.clone().set({ hour, minute, second: 0, millisecond: 0 });
+      const end = start.clone().add(length, 'minutes');
+      if (end.valueOf() > now) windows.push({ start: start.valueOf(), end: end.valueOf() });
+    }
+    return windows;
+  }
+
+  getProgress(load, window) {
+    const progress = this.config.progress[load.id];
+    if (progress && progress.windowStart === window.start) return progress;
+    return { windowStart: window.start, doneMinutes: 0, running: !!progress?.running, since: progress?.since || null };
+  }
+
+  createLoad(input) {
+    const load = this.buildLoad(input);
+    this.config.loads.push(load);
+    this.saveConfig();
+    this.schedule = null;
+    console.log(`🔌 Deferrable load added: ${load.name} (${load.power} W for ${load.runtimeMinutes} min between ${load.earliestStart} and ${load.latestFinish})`);
+    return load;
+  }
+
+  updateLoad(loadId, input) {
+    const index = this.config.loads.findIndex(load => load.id === loadId);
+    if (index === -1) {
+      throw new Error(`Unknown deferrable load: ${loadId}`);
+    }
+    this.config.loads[index] = this.buildLoad(input, this.config.loads[index]);
+    this.saveConfig();
+    this.schedule = null;
+    return this.config.loads[index];
+  }
+
+  async deleteLoad(loadId) {
+    const load = this.config.loads.find(item => item.id === loadId);
+    if (!load) {
+      throw new Error(`Unknown deferrable load: ${loadId}`);
+    }
+    // A running load is switched off before it is forgotten
+    if (this.config.progress[loadId]?.running) {
+      await this.switchTarget(load, false).catch(error => console.error(`Error switching off ${load.name}:`, error.message));
+    }
+    this.config.loads = this.config.loads.filter(item => item.id !== loadId);
+    delete this.config.progress[loadId];
+    this.saveConfig();
+    this.schedule = null;
+    return true;
+  }
+
+  // What the load scheduler still has to place: the runtime left in the coming windows
+  getPendingRuns(now = new Date()) {
+    const nowMs = now.getTime();
+    const requests = [];
+
+    this.config.loads.filter(load => load.enabled).forEach(load => {
+      this.getWindows(load, nowMs).forEach(window => {
+        const progress = this.getProgress(load, window);
+        const remainingMinutes = load.runtimeMinutes - progress.doneMinutes;
+        if (remainingMinutes <= 0) return;
+        requests.push({
+          loadId: load.id,
+          name: load.name,
+          power: load.power,
+          remainingMinutes,
+          windowStart: window.start,
+          deadline: window.end,
+          mode: load.mode,
+          splittable: load.splittable,
+          running: progress.running && window.start <= nowMs
+        });
+      });
+    });
+
+    return requests;
+  }
+
+  // Schedule from AIChargingSystem.makePredictions, null when nothing was pending
+  setSchedule(loadSchedule, source = 'ai') {
+    this.schedule = { loadSchedule, source, updatedAt: Date.now() };
+  }
+
+  // Recent AI schedule, otherwise runs placed on the price forecast without PV or household load
+  getSchedule(now = new Date()) {
+    const age = this.schedule ? now.getTime() - this.schedule.updatedAt : Infinity;
+    if (this.schedule && (this.schedule.source === 'ai' ? age < SCHEDULE_MAX_AGE : age < FALLBACK_INTERVAL)) {
+      return this.schedule;
+    }
+
+    const requests = this.getPendingRuns(now);
+    const slots = this.planner.buildSlots(now, tibberService.cache.forecast || [], tibberService.cache.currentPrice, [], []);
+    const loadSchedule = requests.length > 0 && slots.length > 0 ? this.scheduler.schedule({ now, requests, slots }) : null;
+    this.setSchedule(loadSchedule, 'price');
+    return this.schedule;
+  }
+
+  findRun(load, window, now) {
+    const loadSchedule = this.getSchedule(new Date(now)).loadSchedule;
+    if (!loadSchedule) return null;
+    const windowStart = new Date(window.start).toISOString();
+    return loadSchedule.runs.find(run => run.loadId === load.id && run.windowStart === windowStart) || null;
+  }
+
+  async tick(now = Date.now()) {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      let changed = false;
+      for (const load of this.config.loads) {
+        const progress = this.config.progress[load.id];
+        const window = this.getWindows(load, now, 1)[0];
+        const active = load.enabled && window.start <= now;
+        const current = active ? this.getProgress(load, window) : null;
+
+        // Runtime is counted minute by minute while switched on
+        if (progress?.running && progress.lastTick) {
+          const elapsed = Math.min(5, (now - progress.lastTick) / 60000);
+          if (current && current.windowStart === progress.windowStart) current.doneMinutes += elapsed;
+          progress.lastTick = now;
+          changed = true;
+        }
+
+        let wanted = false;
+        let reason = 'window closed';
+        if (active) {
+          const remaining = load.runtimeMinutes - current.doneMinutes;
+          const run = this.findRun(load, window, now);
+          const planned = run && run.segments.some(segment =>
+            new Date(segment.start).getTime() <= now && now < new Date(segment.end).getTime());
+
+          if (remaining <= 0) {
+            reason = 'runtime reached';
+          } else if (planned) {
+            wanted = true;
+            reason = `planned (${this.schedule.source})`;
+          } else if ((window.end - now) / 60000 <= remaining + 1) {
+            wanted = true;
+            reason = 'deadline';
+          } else if (current.running && !load.splittable) {
+            wanted = true; // a started dishwasher is not interrupted
+            reason = 'running';
+          } else {
+            reason = 'waiting for planned window';
+          }
+        }
+
+        const running = !!progress?.running;
+        if (wanted === running) {
+          if (current && progress?.windowStart !== current.windowStart) {
+            this.config.progress[load.id] = { ...current, running, lastTick: progress?.lastTick || null };
+            changed = true;
+          }
+          continue;
+        }
+        if (progress?.retryAt && now < progress.retryAt) continue;
+
+        const result = await this.switchTarget(load, wanted).then(() => ({ success: true }), error => ({ success: false, error: error.message }));
+        const base = current || progress || { windowStart: window.start, doneMinutes: 0 };
+        if (!result.success) {
+          this.config.progress[load.id] = { ...base, running, lastError: result.error, retryAt: now + RETRY_DELAY };
+          console.error(`❌ Could not switch ${load.name} ${wanted ? 'on' : 'off'}: ${result.error}`);
+          this.notifyProblem(load, wanted, result.error);
+          changed = true;
+          continue;
+        }
+
+        if (wanted) {
+          this.config.progress[load.id] = { ...base, running: true, since: now, lastTick: now, lastError: null, retryAt: null };
+        } else {
+          this.addHistory(load, progress, now, reason);
+          this.config.progress[load.id] = { ...base, running: false, since: null, lastTick: null, lastError: null, retryAt: null };
+        }
+        console.log(`🔌 ${load.name} switched ${wanted ? 'on' : 'off'} (${reason})`);
+        changed = true;
+      }
+
+      if (changed) this.saveConfig();
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  addHistory(load, progress, now, reason) {
+    const minutes = progress?.since ? (now - progress.since) / 60000 : 0;
+    this.config.history.unshift({
+      loadId: load.id,
+      name: load.name,
+      start: progress?.since ? new Date(progress.since).toISOString() : null,
+      end: new Date(now).toISOString(),
+      minutes: Math.round(minutes),
+      energyKwh: Math.round(minutes / 60 * load.power / 10) / 100,
+      reason
+    });
+    if (this.config.history.length > this.maxHistory) {
+      this.config.history = this.config.history.slice(0, this.maxHistory);
+    }
+  }
+
+  async switchTarget(load, on) {
+    const target = load.target;
+    if (target.type === 'mqtt') {
+      if (!this.publishMqtt) {
+        throw new Error('MQTT publishing not initialized');
+      }
+      // Loads saved before the prefix changed must not write inverter settings either
+      if (this.isReservedTopic(target.topic)) {
+        throw new Error(`${target.topic} is an inverter topic, switching refused`);
+      }
+      return this.publishMqtt(target.topic, on ? target.onPayload : target.offPayload);
+    }
+
+    if (!process.env.SUPERVISOR_TOKEN) {
+      throw new Error('Home Assistant control is only available when running as an add-on');
+    }
+    const domain = target.entityId.split('.')[0];
+    await axios.post(`http://supervisor/core/api/services/${domain}/${on ? 'turn_on' : 'turn_off'}`,
+      { entity_id: target.entityId },
+      { headers: { Authorization: `Bearer ${process.env.SUPERVISOR_TOKEN}` }, timeout: 10000 });
+  }
+
+  // Manual switch from the UI to check the control target, the plan takes over on the next change
+  async testLoad(loadId, on) {
+    const load = this.config.loads.find(item => item.id === loadId);
+    if (!load) {
+      throw new Error(`Unknown deferrable load: ${loadId}`);
+    }
+    await this.switchTarget(load, on);
+    return { loadId, on };
+  }
+
+  async notifyProblem(load, on, error) {
+    try {
+      const notification = notificationService.createNotification({
+        type: 'system_alert',
+        severity: 'warning',
+        title: '🔌 Deferrable Load Not Switched',
+        message: `${load.name} could not be switched ${on ? 'on' : 'off'}: ${error}. Retrying in 5 minutes.`,
+        source: 'deferrable_loads',
+        data: { loadId: load.id, target: load.target },
+        channels: ['ui', 'telegram'],
+        priority: 'medium',
+        suppressionKey: `deferrable_load_${load.id}`
+      });
+      await notificationService.processNotification(notification);
+    } catch (notifyError) {
+      console.error('Error sending deferrable load notification:', notifyError.message);
+    }
+  }
+
+  getLoads(now = Date.now()) {
+    return this.config.loads.map(load => {
+      const window = this.getWindows(load, now, 1)[0];
+      const progress = this.getProgress(load, window);
+      return {
+        ...load,
+        window: { start: new Date(window.start).toISOString(), end: new Date(window.end).toISOString() },
+        doneMinutes: Math.round(progress.doneMinutes),
+        running: !!this.config.progress[load.id]?.running,
+        lastError: this.config.progress[load.id]?.lastError || null
+      };
+    });
+  }
+
+  getHistory(limit = 50) {
+    return this.config.history.slice(0, limit);
+  }
+
+  getStatus() {
+    const schedule = this.getSchedule();
+    return {
+      loads: this.config.loads.length,
+      active: this.config.loads.filter(load => load.enabled).length,
+      running: this.config.loads.filter(load => this.config.progress[load.id]?.running).length,
+      timezone: siteConfigService.getTimezone(),
+      modes: MODES,
+      targetTypes: TARGET_TYPES,
+      scheduleSource: schedule.source,
+      scheduleUpdatedAt: new Date(schedule.updatedAt).toISOString(),
+      schedule: schedule.loadSchedule
+    };
+  }
+}
+
+module.exports = new DeferrableLoadService();
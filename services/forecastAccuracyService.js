@@ -0,0 +1,264 @@
+// Forecast Accuracy - how good the solar and load forecasts were, per horizon
+// Every forecast issue is written to Influx (ai_forecasts) with its issue time and horizon.
+// An hourly job joins the hours that have passed with the measured PV and load and adds the
+// errors to monthly and per-model-version totals in data/forecast_accuracy.json.
+
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const moment = require('moment-timezone');
+const influxAIService = require('./influxAIService');
+const siteConfigService = require('./siteConfigService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// A forecast h hours ahead counts towards the first bucket with h <= maxHours
+const HORIZON_BUCKETS = [
+  { id: '1h', maxHours: 1 },
+  { id: '6h', maxHours: 6 },
+  { id: '24h', maxHours: 24 }
+];
+const MAX_HORIZON = 24;
+
+const MODELS = ['solar', 'load'];
+
+const ACTUAL_TOPICS = {
+  solar: 'total\\/pv_power\\/state$',
+  load: 'total\\/load_power\\/state$'
+};
+
+const MIN_ACTUAL_FOR_PERCENT = 50; // W, night-time PV would make MAPE meaningless
+const MAX_CATCH_UP_DAYS = 7;
+
+class ForecastAccuracyService {
+  constructor() {
+    this.dataFile = path.join(__dirname, '..', 'data', 'forecast_accuracy.json');
+    this.task = null;
+    this.scoring = false;
+    this.lastIssuedHour = null;
+    this.lastError = null;
+    this.maxMonths = 24;
+    this.maxVersions = 20;
+
+    this.data = this.loadData();
+  }
+
+  loadData() {
+    const defaults = { lastScoredHour: null, months: {}, versions: {} };
+    try {
+      if (fs.existsSync(this.dataFile)) {
+        return { ...defaults, ...JSON.parse(fs.readFileSync(this.dataFile, 'utf8')) };
+      }
+    } catch (error) {
+      console.error('Error loading forecast accuracy:', error.message);
+    }
+    return defaults;
+  }
+
+  saveData() {
+    try {
+      const dataDir = path.dirname(this.dataFile);
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+      fs.writeFileSync(this.dataFile, JSON.stringify(this.data, null, 2));
+      return true;
+    } catch (error) {
+      console.error('Error saving forecast accuracy:', error.message);
+      return false;
+    }
+  }
+
+  start() {
+    this.stop();
+    // A few minutes past the hour so the last hour's state points have arrived
+    this.task = cron.schedule('10 * * * *', () => this.score().catch(() => {}));
+    console.log('📏 Forecast accuracy scoring scheduled hourly');
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  getBucket(horizon) {
+    const bucket = HORIZON_BUCKETS.find(item => horizon <= item.maxHours);
+    return bucket ? bucket.id : null;
+  }
+
+  // Stores horizons 1-24 h of the first forecast issued in each hour
+  async recordForecast(prediction, modelVersion) {
+    const issuedAt = new Date(prediction.timestamp).getTime();
+    const issueHour = Math.floor(issuedAt / HOUR_MS) * HOUR_MS;
+    if (issueHour === this.lastIssuedHour) return false;
+    this.lastIssuedHour = issueHour;
+
+    const points = [];
+    MODELS.forEach(model => {
+      (prediction[model] || []).forEach(entry => {
+        const targetHour = Math.floor(new Date(entry.timestamp).getTime() / HOUR_MS) * HOUR_MS;
+        const horizon = Math.round((targetHour - issueHour) / HOUR_MS);
+        if (horizon < 1 || horizon > MAX_HORIZON) return;
+        points.push({ model, horizon, modelVersion, predicted: entry.power, issuedAt, targetTime: targetHour });
+      });
+    });
+
+    return influxAIService.saveForecasts(points);
+  }
+
+  // Hourly mean PV and load, keyed by hour start
+  async loadActuals(from, to) {
+    const actuals = { solar: new Map(), load: new Map() };
+    for (const [model, pattern] of Object.entries(ACTUAL_TOPICS)) {
+      const rows = await global.influx.query(`
+        SELECT mean("value") AS "value"
+        FROM "state"
+        WHERE "topic" =~ /${pattern}/
+        AND time >= '${from.toISOString()}'
+        AND time < '${to.toISOString()}'
+        GROUP BY time(1h) fill(none)
+      `);
+      rows.forEach(row => actuals[model].set(new Date(row.time).getTime(), Math.max(0, row.value)));
+    }
+    return actuals;
+  }
+
+  // Joins the forecasts for every hour that ended since the last run with what was measured
+  async score() {
+    if (this.scoring) return null;
+    if (!global.influx) {
+      this.lastError = 'InfluxDB is not available';
+      return null;
+    }
+
+    this.scoring = true;
+    try {
+      const to = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+      const from = Math.max(this.data.lastScoredHour || to - MAX_HORIZON * HOUR_MS, to - MAX_CATCH_UP_DAYS * 24 * HOUR_MS);
+      if (from >= to) return null;
+
+      const [forecasts, actuals] = await Promise.all([
+        influxAIService.getForecasts(new Date(from), new Date(to)),
+        this.loadActuals(new Date(from), new Date(to))
+      ]);
+
+      let scored = 0;
+      forecasts.forEach(forecast => {
+        const actual = actuals[forecast.model]?.get(forecast.targetTime);
+        const bucket = this.getBucket(forecast.horizon);
+        if (actual === undefined || !bucket || typeof forecast.predicted !== 'number') return;
+
+        const month = moment.tz(forecast.targetTime, siteConfigService.getTimezone()).format('YYYY-MM');
+        this.data.months[month] = this.data.months[month] || {};
+        this.addError(this.data.months[month], forecast.model, bucket, forecast.predicted, actual);
+
+        const version = forecast.modelVersion || 'unknown';
+        const versionEntry = this.data.versions[version] || { firstSeen: forecast.targetTime, lastSeen: forecast.targetTime, totals: {} };
+        versionEntry.firstSeen = Math.min(versionEntry.firstSeen, forecast.targetTime);
+        versionEntry.lastSeen = Math.max(versionEntry.lastSeen, forecast.targetTime);
+        this.addError(versionEntry.totals, forecast.model, bucket, forecast.predicted, actual);
+        this.data.versions[version] = versionEntry;
+        scored++;
+      });
+
+      this.data.lastScoredHour = to;
+      this.prune();
+      this.saveData();
+      this.lastError = null;
+
+      if (scored > 0) {
+        console.log(`📏 Scored ${scored} forecast hours against actuals`);
+      }
+      return scored;
+    } catch (error) {
+      this.lastError = error.message;
+      console.error('❌ Error scoring forecasts:', error.message);
+      throw error;
+    } finally {
+      this.scoring = false;
+    }
+  }
+
+  addError(totals, model, bucket, predicted, actual) {
+    totals[model] = totals[model] || {};
+    const entry = totals[model][bucket] || { count: 0, absError: 0, error: 0, percentCount: 0, absPercentError: 0 };
+    const error = predicted - actual;
+
+    entry.count++;
+    entry.absError += Math.abs(error);
+    entry.error += error;
+    if (actual >= MIN_ACTUAL_FOR_PERCENT) {
+      entry.percentCount++;
+      entry.absPercentError += Math.abs(error) / actual * 100;
+    }
+    totals[model][bucket] = entry;
+  }
+
+  prune() {
+    const months = Object.keys(this.data.months).sort();
+    months.slice(0, Math.max(0, months.length - this.maxMonths)).forEach(month => delete this.data.months[month]);
+
+    const versions = Object.keys(this.data.versions).sort((a, b) => this.data.versions[a].lastSeen - this.data.versions[b].lastSeen);
+    versions.slice(0, Math.max(0, versions.length - this.maxVersions)).forEach(version => delete this.data.versions[version]);
+  }
+
+  // MAE and bias in W (bias > 0 means the forecast was too high), MAPE in %
+  summarize(totals = {}) {
+    const result = {};
+    MODELS.forEach(model => {
+      result[model] = {};
+      HORIZON_BUCKETS.forEach(({ id }) => {
+        const entry = totals[model]?.[id];
+        result[model][id] = entry && entry.count > 0 ? {
+          count: entry.count,
+          mae: Math.round(entry.absError / entry.count),
+          mape: entry.percentCount > 0 ? Math.round(entry.absPercentError / entry.percentCount * 10) / 10 : null,
+          bias: Math.round(entry.error / entry.count)
+        } : null;
+      });
+    });
+    return result;
+  }
+
+  // 1 h ahead accuracy (1 - MAPE) over the current and previous month, null without data
+  getRecentAccuracy() {
+    const recent = Object.keys(this.data.months).sort().slice(-2);
+    const accuracy = {};
+    MODELS.forEach(model => {
+      let count = 0;
+      let absPercentError = 0;
+      recent.forEach(month => {
+        const entry = this.data.months[month][model]?.[HORIZON_BUCKETS[0].id];
+        if (entry) {
+          count += entry.percentCount;
+          absPercentError += entry.absPercentError;
+        }
+      });
+      accuracy[model] = count > 0 ? Math.max(0, 1 - absPercentError / count / 100) : null;
+    });
+    return accuracy;
+  }
+
+  getPerformance(monthCount = 12) {
+    const months = Object.keys(this.data.months).sort().slice(-monthCount);
+    return {
+      horizons: HORIZON_BUCKETS.map(bucket => bucket.id),
+      lastScoredAt: this.data.lastScoredHour ? new Date(this.data.lastScoredHour).toISOString() : null,
+      lastError: this.lastError,
+      months: months.map(month => ({ month, ...this.summarize(this.data.months[month]) })),
+      versions: Object.entries(this.data.versions)
+        .sort(([, a], [, b]) => a.firstSeen - b.firstSeen)
+        .map(([version, entry]) => ({
+          version,
+          firstSeen: new Date(entry.firstSeen).toISOString(),
+          lastSeen: new Date(entry.lastSeen).toISOString(),
+          ...this.summarize(entry.totals)
+        })),
+      recentAccuracy: this.getRecentAccuracy()
+    };
+  }
+}
+
+module.exports = new ForecastAccuracyService();
@@ -0,0 +1,481 @@
+// Home Assistant MQTT Discovery for SolarAutopilot
+// Publishes discovery configs under homeassistant/<component>/... and keeps the
+// matching state topics updated so AI decisions can be used in HA automations.
+// Switch/select/number entities are controlled through <baseTopic>/<object_id>/set; a command
+// topic is only announced for entities that define the command handler applying it.
+
+const aiChargingEngine = require('./aiChargingEngine');
+const tibberService = require('./tibberService');
+const warningService = require('./warningService');
+const packageInfo = require('../package.json');
+
+// Payload HA's MQTT integration maps to an unknown state for numeric/timestamp sensors
+const UNKNOWN_STATE = 'None';
+
+class HADiscoveryService {
+  constructor() {
+    this.mqttClient = null;
+    this.enabled = true;
+    this.publishInterval = null;
+    this.lastPublish = null;
+
+    this.config = {
+      discoveryPrefix: 'homeassistant',
+      baseTopic: 'solarautopilot',
+      nodeId: 'carbonoz_solarautopilot',
+      inverterNumber: 1,
+      stateInterval: 30000,
+      warningWindowMinutes: 60
+    };
+  }
+
+  initialize(mqttClient, config = {}) {
+    this.mqttClient = mqttClient;
+
+    if (config.enabled !== undefined) this.enabled = config.enabled !== false;
+    if (config.discoveryPrefix) this.config.discoveryPrefix = config.discoveryPrefix;
+    if (config.baseTopic) this.config.baseTopic = config.baseTopic;
+    if (config.inverterNumber) this.config.inverterNumber = config.inverterNumber;
+
+    if (!this.enabled) {
+      console.log('ℹ️ Home Assistant MQTT discovery disabled');
+      return;
+    }
+
+    // HA announces itself on <prefix>/status after a restart - republish configs then
+    this.mqttClient.subscribe(`${this.config.discoveryPrefix}/status`);
+    this.mqttClient.subscribe(`${this.config.baseTopic}/+/set`);
+
+    this.publishDiscovery();
+    this.publishStates();
+
+    if (this.publishInterval) {
+      clearInterval(this.publishInterval);
+    }
+    this.publishInterval = setInterval(() => this.publishStates(), this.config.stateInterval);
+
+    console.log(`✅ Home Assistant discovery published (${this.config.discoveryPrefix}, state: ${this.config.baseTopic}/...)`);
+  }
+
+  // Last will for the broker connection so HA marks entities unavailable
+  getWillOptions(baseTopic = this.config.baseTopic) {
+    return {
+      topic: `${baseTopic}/status`,
+      payload: 'offline',
+      retain: true,
+      qos: 1
+    };
+  }
+
+  // Returns true when the message belongs to this service
+  handleMessage(topic, message) {
+    if (!this.enabled) return false;
+
+    if (topic === `${this.config.discoveryPrefix}/status`) {
+      if (message.toString() === 'online') {
+        console.log('🏠 Home Assistant came online - republishing discovery');
+        this.publishDiscovery();
+        this.publishStates();
+      }
+      return true;
+    }
+
+    const commandMatch = topic.match(new RegExp(`^${this.config.baseTopic}/([^/]+)/set$`));
+    if (commandMatch) {
+      this.handleCommand(commandMatch[1], message.toString().trim()).catch(error => {
+        console.error(`Error handling HA command for ${commandMatch[1]}:`, error.message);
+      });
+      return true;
+    }
+
+    return false;
+  }
+
+  async handleCommand(objectId, payload) {
+    console.log(`🏠 HA command: ${objectId} = ${payload}`);
+
+    try {
+      const entity = this.getEntities().find(candidate => candidate.objectId === objectId);
+      if (entity?.command) {
+        await entity.command(payload);
+      } else {
+        console.log(`⚠️ Unknown HA command topic: ${objectId}`);
+      }
+    } catch (error) {
+      console.error(`❌ HA command rejected (${objectId}): ${error.message}`);
+    }
+
+    // Always publish the resulting state so HA reverts rejected changes
+    this.publishStates();
+  }
+
+  async setAIEngine(payload) {
+    if (payload !== 'ON' && payload !== 'OFF') {
+      throw new Error(`Invalid payload ${payload}, expected ON or OFF`);
+    }
+    // Same guard as /api/ai/toggle: no engine without price data
+    if (payload === 'ON' && !tibberService.isConfiguredForAI()) {
+      throw new Error('Tibber must be configured with valid API key first');
+    }
+    await aiChargingEngine.setEnabled(payload === 'ON');
+  }
+
+  updateSoCLimit(objectId, payload) {
+    const value = parseFloat(payload);
+    if (isNaN(value) || value < 0 || value > 100) {
+      throw new Error(`SOC must be between 0 and 100, got ${payload}`);
+    }
+
+    if (objectId === 'target_soc') {
+      if (value <= tibberService.config.minimumSoC) {
+        throw new Error(`Target SOC must be above minimum SOC (${tibberService.config.minimumSoC}%)`);
+      }
+      tibberService.config.targetSoC = value;
+    } else {
+      if (value >= tibberService.config.targetSoC) {
+        throw new Error(`Minimum SOC must be below target SOC (${tibberService.config.targetSoC}%)`);
+      }
+      tibberService.config.minimumSoC = value;
+    }
+
+    tibberService.saveConfig();
+    console.log(`⚙️ ${objectId === 'target_soc' ? 'Target' : 'Minimum'} SOC set to ${value}% from Home Assistant`);
+  }
+
+  getDevice() {
+    return {
+      identifiers: [this.config.nodeId],
+      name: 'CARBONOZ SolarAutopilot',
+      manufacturer: 'CARBONOZ',
+      model: 'SolarAutopilot',
+      sw_version: packageInfo.version
+    };
+  }
+
+  stateTopic(objectId) {
+    return `${this.config.baseTopic}/${objectId}/state`;
+  }
+
+  attributesTopic(objectId) {
+    return `${this.config.baseTopic}/${objectId}/attributes`;
+  }
+
+  commandTopic(objectId) {
+    return `${this.config.baseTopic}/${objectId}/set`;
+  }
+
+  // Entity definitions: component, object id, HA config, a state getter and for controls the command handler.
+  // The engine status is built once per publish cycle and handed to the getters that need it
+  getEntities(status = aiChargingEngine.getStatus()) {
+    const entities = [
+      {
+        component: 'sensor',
+        objectId: 'ai_status',
+        name: 'AI Status',
+        icon: 'mdi:robot',
+        attributes: true,
+        state: status => {
+          if (!status.enabled) return 'stopped';
+          return status.shadowMode ? 'shadow' : 'running';
+        },
+        attributesValue: status => ({
+          enabled: status.enabled,
+          shadow_mode: status.shadowMode,
+          strategy: status.academicStrategy?.name,
+          battery_capacity_kwh: status.config?.batteryCapacity,
+          ai_initialized: status.ai?.initialized,
+          ai_learning_mode: status.ai?.status?.learningMode
+        })
+      },
+      {
+        component: 'sensor',
+        objectId: 'last_decision',
+        name: 'Last AI Decision',
+        icon: 'mdi:head-lightbulb',
+        attributes: true,
+        state: () => {
+          const decision = aiChargingEngine.lastDecision?.decision;
+          // HA rejects states longer than 255 characters
+          return decision ? decision.substring(0, 255) : 'none';
+        },
+        attributesValue: () => {
+          const lastDecision = aiChargingEngine.lastDecision;
+          return {
+            timestamp: lastDecision?.timestamp || null,
+            reasons: lastDecision?.reasons || [],
+            strategy: lastDecision?.academicMetrics?.strategy || null,
+            mode: lastDecision?.mode || null
+          };
+        }
+      },
+      {
+        component: 'sensor',
+        objectId: 'current_price',
+        name: 'Current Electricity Price',
+        icon: 'mdi:currency-eur',
+        unit_of_measurement: 'ct/kWh',
+        state_class: 'measurement',
+        attributes: true,
+        state: () => {
+          const price = tibberService.cache.currentPrice?.total;
+          return price !== undefined && price !== null ? Number(price).toFixed(2) : UNKNOWN_STATE;
+        },
+        attributesValue: () => ({
+          level: tibberService.cache.currentPrice?.level || null,
+          currency: tibberService.cache.currentPrice?.currency || null,
+          source: tibberService.cache.source || null,
+          average_price: tibberService.calculateAveragePrice()
+        })
+      },
+      {
+        component: 'sensor',
+        objectId: 'price_level',
+        name: 'Price Level',
+        icon: 'mdi:chart-bell-curve',
+        state: () => tibberService.cache.currentPrice?.level || 'unknown'
+      },
+      {
+        component: 'sensor',
+        objectId: 'next_cheapest_hour',
+        name: 'Next Cheapest Hour',
+        icon: 'mdi:clock-check-outline',
+        device_class: 'timestamp',
+        attributes: true,
+        state: () => {
+          const cheapest = tibberService.getCheapestHours(6, 24);
+          if (cheapest.length === 0) return UNKNOWN_STATE;
+          const next = [...cheapest].sort((a, b) => new Date(a.time) - new Date(b.time))[0];
+          return new Date(next.time).toISOString();
+        },
+        attributesValue: () => ({
+          cheapest_hours: tibberService.getCheapestHours(6, 24)
+        })
+      },
+      {
+        component: 'sensor',
+        objectId: 'predicted_solar',
+        name: 'Predicted Solar Power (Next Hour)',
+        icon: 'mdi:solar-power',
+        unit_of_measurement: 'W',
+        device_class: 'power',
+        state_class: 'measurement',
+        attributes: true,
+        state: () => this.getPredictionValue('solar'),
+        attributesValue: () => this.getPredictionAttributes('solar')
+      },
+      {
+        component: 'sensor',
+        objectId: 'predicted_load',
+        name: 'Predicted Load (Next Hour)',
+        icon: 'mdi:home-lightning-bolt',
+        unit_of_measurement: 'W',
+        device_class: 'power',
+        state_class: 'measurement',
+        attributes: true,
+        state: () => this.getPredictionValue('load'),
+        attributesValue: () => this.getPredictionAttributes('load')
+      },
+      {
+        component: 'sensor',
+        objectId: 'active_warnings',
+        name: 'Active Warnings',
+        icon: 'mdi:alert',
+        state_class: 'measurement',
+        attributes: true,
+        state: () => this.getActiveWarnings().length,
+        attributesValue: () => ({
+          warnings: this.getActiveWarnings().map(warning => ({
+            title: warning.title,
+            priority: warning.priority,
+            timestamp: warning.timestamp
+          }))
+        })
+      },
+      {
+        component: 'binary_sensor',
+        objectId: 'grid_charging',
+        name: 'AI Grid Charging',
+        icon: 'mdi:battery-charging-high',
+        state: () => {
+          const decision = aiChargingEngine.lastDecision?.decision || '';
+          return aiChargingEngine.enabled && decision.includes('CHARGE') && !decision.includes('STOP') ? 'ON' : 'OFF';
+        }
+      },
+      {
+        component: 'binary_sensor',
+        objectId: 'price_good',
+        name: 'Good Price Now',
+        icon: 'mdi:thumb-up',
+        state: () => (tibberService.cache.currentPrice && tibberService.isPriceGood() ? 'ON' : 'OFF')
+      },
+      {
+        component: 'switch',
+        objectId: 'ai_engine',
+        name: 'AI Charging Engine',
+        icon: 'mdi:robot',
+        command: payload => this.setAIEngine(payload),
+        state: () => (aiChargingEngine.enabled ? 'ON' : 'OFF')
+      },
+      {
+        component: 'select',
+        objectId: 'ai_strategy',
+        name: 'AI Strategy',
+        icon: 'mdi:strategy',
+        options: status.strategyOptions,
+        command: payload => aiChargingEngine.setStrategy(payload),
+        state: () => aiChargingEngine.engineConfig.strategy || 'auto'
+      },
+      {
+        component: 'number',
+        objectId: 'target_soc',
+        name: 'Target SOC',
+        icon: 'mdi:battery-arrow-up',
+        unit_of_measurement: '%',
+        min: 0,
+        max: 100,
+        step: 1,
+        mode: 'box',
+        command: payload => this.updateSoCLimit('target_soc', payload),
+        state: () => tibberService.config.targetSoC
+      },
+      {
+        component: 'number',
+        objectId: 'minimum_soc',
+        name: 'Minimum SOC',
+        icon: 'mdi:battery-arrow-down',
+        unit_of_measurement: '%',
+        min: 0,
+        max: 100,
+        step: 1,
+        mode: 'box',
+        command: payload => this.updateSoCLimit('minimum_soc', payload),
+        state: () => tibberService.config.minimumSoC
+      }
+    ];
+
+    // One strategy select per inverter (see per-inverter AI settings)
+    for (let i = 1; i <= this.config.inverterNumber; i++) {
+      const inverterId = `inverter_${i}`;
+      entities.push({
+        component: 'select',
+        objectId: `${inverterId}_strategy`,
+        name: `Inverter ${i} AI Strategy`,
+        icon: 'mdi:strategy',
+        options: status.inverterStrategies,
+        command: payload => aiChargingEngine.setInverterSettings(inverterId, { strategy: payload }),
+        state: () => aiChargingEngine.getInverterSettings(inverterId).strategy
+      });
+    }
+
+    return entities;
+  }
+
+  getPredictionValue(type) {
+    const prediction = aiChargingEngine.aiSystem?.lastPrediction?.[type];
+    if (!prediction || prediction.length === 0) return UNKNOWN_STATE;
+    return Math.round(prediction[0].power || 0);
+  }
+
+  getPredictionAttributes(type) {
+    const lastPrediction = aiChargingEngine.aiSystem?.lastPrediction;
+    const forecast = lastPrediction?.[type] || [];
+    const next24h = forecast.slice(0, 24);
+
+    return {
+      timestamp: lastPrediction?.timestamp || null,
+      confidence: lastPrediction?.confidence || null,
+      next_24h_kwh: Math.round(next24h.reduce((sum, hour) => sum + (hour.power || 0), 0) / 100) / 10,
+      forecast: next24h.map(hour => ({ time: hour.timestamp, power: Math.round(hour.power || 0) }))
+    };
+  }
+
+  getActiveWarnings() {
+    try {
+      const since = new Date(Date.now() - this.config.warningWindowMinutes * 60000);
+      return warningService.getWarningHistory({ startDate: since.toISOString() }).warnings;
+    } catch (error) {
+      return [];
+    }
+  }
+
+  buildDiscoveryConfig(entity) {
+    const uniqueId = `${this.config.nodeId}_${entity.objectId}`;
+    const config = {
+      name: entity.name,
+      unique_id: uniqueId,
+      object_id: uniqueId,
+      state_topic: this.stateTopic(entity.objectId),
+      availability_topic: `${this.config.baseTopic}/status`,
+      device: this.getDevice()
+    };
+
+    ['icon', 'unit_of_measurement', 'device_class', 'state_class', 'min', 'max', 'step', 'mode', 'options']
+      .forEach(key => {
+        if (entity[key] !== undefined) config[key] = entity[key];
+      });
+
+    if (entity.attributes) {
+      config.json_attributes_topic = this.attributesTopic(entity.objectId);
+    }
+
+    if (entity.command) {
+      config.command_topic = this.commandTopic(entity.objectId);
+    }
+
+    return config;
+  }
+
+  publishDiscovery() {
+    if (!this.enabled || !this.mqttClient || !this.mqttClient.connected) return;
+
+    this.getEntities().forEach(entity => {
+      const topic = `${this.config.discoveryPrefix}/${entity.component}/${this.config.nodeId}/${entity.objectId}/config`;
+      this.mqttClient.publish(topic, JSON.stringify(this.buildDiscoveryConfig(entity)), { retain: true });
+    });
+
+    this.mqttClient.publish(`${this.config.baseTopic}/status`, 'online', { retain: true });
+  }
+
+  publishStates() {
+    if (!this.enabled || !this.mqttClient || !this.mqttClient.connected) return;
+
+    const status = aiChargingEngine.getStatus();
+    this.getEntities(status).forEach(entity => {
+      try {
+        const state = entity.state(status);
+        this.mqttClient.publish(this.stateTopic(entity.objectId), String(state), { retain: true });
+
+        if (entity.attributes && entity.attributesValue) {
+          this.mqttClient.publish(this.attributesTopic(entity.objectId), JSON.stringify(entity.attributesValue(status)), { retain: true });
+        }
+      } catch (error) {
+        console.error(`Error publishing HA state for ${entity.objectId}:`, error.message);
+      }
+    });
+
+    this.lastPublish = new Date();
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      discoveryPrefix: this.config.discoveryPrefix,
+      baseTopic: this.config.baseTopic,
+      entities: this.enabled ? this.getEntities().length : 0,
+      lastPublish: this.lastPublish ? this.lastPublish.toISOString() : null
+    };
+  }
+
+  stop() {
+    if (this.publishInterval) {
+      clearInterval(this.publishInterval);
+      this.publishInterval = null;
+    }
+
+    if (this.mqttClient && this.mqttClient.connected) {
+      this.mqttClient.publish(`${this.config.baseTopic}/status`, 'offline', { retain: true });
+    }
+  }
+}
+
+module.exports = new HADiscoveryService();
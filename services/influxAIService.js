@@ -28,7 +28,7 @@ class InfluxAIService {
     }
   }
 
-  async saveDecision(decision, reasons, systemState, tibberData) {
+  async saveDecision(decision, reasons, systemState, tibberData, details = {}) {
     if (!this.initialized) {
       return false;
     }
@@ -37,6 +37,7 @@ class InfluxAIService {
       measurement: 'ai_decisions',
       tags: {
         decision_type: this.extractDecisionType(decision),
+        mode: details.mode || 'live',
         source: 'AI_ENGINE'
       },
       fields: {
@@ -51,14 +52,142 @@ class InfluxAIService {
         price_level: tibberData?.priceLevel || 'UNKNOWN',
         average_price: tibberData?.averagePrice || 0
       },
-      timestamp: new Date()
+      timestamp: details.timestamp ? new Date(details.timestamp) : new Date()
     };
 
+    if (details.wouldSend) {
+      point.fields.would_send = JSON.stringify(details.wouldSend);
+    }
+
+    // Structured record (inputs, candidates, chosen action, commands) for /api/ai/decisions/:id
+    if (details.record) {
+      point.fields.record = JSON.stringify(details.record);
+    }
+
     this.queueWrite(point);
     return true;
   }
 
-  async saveCommand(topic, value, success = true) {
+  async saveInverterDecision(entry) {
+    if (!this.initialized) {
+      return false;
+    }
+
+    const point = {
+      measurement: 'ai_inverter_decisions',
+      tags: {
+        inverter_id: entry.inverterId,
+        action: entry.action || 'NONE',
+        strategy: entry.strategy || 'auto',
+        outcome: entry.outcome,
+        source: 'AI_ENGINE'
+      },
+      fields: {
+        reasons: JSON.stringify(entry.reasons || []),
+        commands: JSON.stringify(entry.commands || []),
+        battery_soc: entry.state?.battery_soc || 0,
+        pv_power: entry.state?.pv_power || 0,
+        load: entry.state?.load || 0
+      },
+      timestamp: new Date(entry.timestamp)
+    };
+
+    this.queueWrite(point);
+    return true;
+  }
+
+  async getInverterDecisionHistory(inverterId = null, limit = 50) {
+    if (!this.initialized) {
+      return [];
+    }
+
+    try {
+      const where = inverterId && /^inverter_\d+$/.test(inverterId) ? `WHERE "inverter_id" = '${inverterId}'` : '';
+      const query = `
+        SELECT * FROM ai_inverter_decisions 
+        ${where}
+        ORDER BY time DESC 
+        LIMIT ${limit}
+      `;
+
+      const result = await this.influx.query(query);
+      
+      return result.map(row => ({
+        timestamp: row.time,
+        inverterId: row.inverter_id,
+        action: row.action === 'NONE' ? null : row.action,
+        strategy: row.strategy,
+        outcome: row.outcome,
+        reasons: this.parseReasons(row.reasons),
+        commands: row.commands ? this.parseReasons(row.commands) : [],
+        state: {
+          battery_soc: row.battery_soc,
+          pv_power: row.pv_power,
+          load: row.load
+        }
+      }));
+    } catch (error) {
+      console.error('Error retrieving inverter decision history from InfluxDB:', error.message);
+      return [];
+    }
+  }
+
+  async saveShadowCommand(entry) {
+    if (!this.initialized) {
+      return false;
+    }
+
+    const point = {
+      measurement: 'ai_shadow_commands',
+      tags: {
+        topic: entry.topic,
+        inverter_id: entry.inverterId || 'unknown',
+        setting: entry.setting || 'unknown',
+        matches: entry.matches.toString(),
+        source: 'AI_ENGINE'
+      },
+      fields: {
+        would_send: entry.wouldSend,
+        actual_value: entry.actualValue !== null && entry.actualValue !== undefined ? String(entry.actualValue) : '',
+        matches_flag: entry.matches ? 1 : 0
+      },
+      timestamp: new Date(entry.timestamp)
+    };
+
+    this.queueWrite(point);
+    return true;
+  }
+
+  async getShadowCommandHistory(limit = 50) {
+    if (!this.initialized) {
+      return [];
+    }
+
+    try {
+      const query = `
+        SELECT * FROM ai_shadow_commands 
+        ORDER BY time DESC 
+        LIMIT ${limit}
+      `;
+
+      const result = await this.influx.query(query);
+      
+      return result.map(row => ({
+        timestamp: row.time,
+        topic: row.topic,
+        inverterId: row.inverter_id,
+        setting: row.setting,
+        wouldSend: row.would_send,
+        actualValue: row.actual_value || null,
+        matches: row.matches === 'true'
+      }));
+    } catch (error) {
+      console.error('Error retrieving shadow command history from InfluxDB:', error.message);
+      return [];
+    }
+  }
+
+  async saveCommand(topic, value, success = true, details = {}) {
     if (!this.initialized) {
       return false;
     }
@@ -68,11 +197,14 @@ class InfluxAIService {
       tags: {
         topic: topic,
         success: success.toString(),
-        source: 'AI_ENGINE'
+        status: details.status || (success ? 'sent' : 'failed'),
+        source: details.source || 'AI_ENGINE'
       },
       fields: {
         value: value.toString(),
-        success_flag: success ? 1 : 0
+        success_flag: success ? 1 : 0,
+        attempts: details.attempts || 1,
+        latency_ms: details.latencyMs || 0
       },
       timestamp: new Date()
     };
@@ -81,6 +213,61 @@ class InfluxAIService {
     return true;
   }
 
+  async saveCommandRejection(entry) {
+    if (!this.initialized) {
+      return false;
+    }
+
+    const point = {
+      measurement: 'command_rejections',
+      tags: {
+        topic: entry.topic,
+        inverter_id: entry.inverterId || 'unknown',
+        setting: entry.setting || 'unknown',
+        rule: entry.rule,
+        source: entry.source
+      },
+      fields: {
+        value: entry.value,
+        reason: entry.reason
+      },
+      timestamp: new Date(entry.timestamp)
+    };
+
+    this.queueWrite(point);
+    return true;
+  }
+
+  async getCommandRejectionHistory(limit = 50) {
+    if (!this.initialized) {
+      return [];
+    }
+
+    try {
+      const query = `
+        SELECT * FROM command_rejections
+        ORDER BY time DESC
+        LIMIT ${limit}
+      `;
+
+      const result = await this.influx.query(query);
+
+      return result.map(row => ({
+        timestamp: row.time,
+        topic: row.topic,
+        value: row.value,
+        inverterId: row.inverter_id === 'unknown' ? null : row.inverter_id,
+        setting: row.setting === 'unknown' ? null : row.setting,
+        rule: row.rule,
+        reason: row.reason,
+        source: row.source
+      }));
+    } catch (error) {
+      console.error('Error retrieving command rejections from InfluxDB:', error.message);
+      return [];
+    }
+  }
+
   async getDecisionHistory(limit = 50) {
     if (!this.initialized) {
       return [];
@@ -96,6 +283,7 @@ class InfluxAIService {
       const result = await this.influx.query(query);
       
       return result.map(row => ({
+        id: String(new Date(row.time).getTime()),
         timestamp: row.time,
         decision: row.decision,
         reasons: this.parseReasons(row.reasons),
@@ -110,7 +298,9 @@ class InfluxAIService {
           currentPrice: row.current_price,
           priceLevel: row.price_level,
           averagePrice: row.average_price
-        }
+        },
+        mode: row.mode || 'live',
+        wouldSend: row.would_send ? this.parseReasons(row.would_send) : []
       }));
     } catch (error) {
       console.error('Error retrieving AI decision history from InfluxDB:', error.message);
@@ -137,6 +327,9 @@ class InfluxAIService {
         topic: row.topic,
         value: row.value,
         success: row.success === 'true',
+        status: row.status || (row.success === 'true' ? 'sent' : 'failed'),
+        attempts: row.attempts || 1,
+        latencyMs: row.latency_ms || 0,
         source: row.source
       }));
     } catch (error) {
@@ -175,7 +368,9 @@ class InfluxAIService {
           currentPrice: row.current_price,
           priceLevel: row.price_level,
           averagePrice: row.average_price
-        }
+        },
+        mode: row.mode || 'live',
+        wouldSend: row.would_send ? this.parseReasons(row.would_send) : []
       }));
     } catch (error) {
       console.error('Error retrieving AI decisions by time range from InfluxDB:', error.message);
@@ -183,6 +378,114 @@ class InfluxAIService {
     }
   }
 
+  // What happened after a decision, stored at the decision's timestamp so both join by id
+  async saveDecisionOutcome(decisionId, outcome) {
+    if (!this.initialized) {
+      return false;
+    }
+
+    this.queueWrite({
+      measurement: 'ai_decision_outcomes',
+      tags: { source: 'AI_ENGINE' },
+      fields: { outcome: JSON.stringify(outcome) },
+      timestamp: new Date(parseInt(decisionId))
+    });
+    return true;
+  }
+
+  parseRecord(row, outcomes = {}) {
+    const id = String(new Date(row.time).getTime());
+    let record = null;
+    try {
+      record = row.record ? JSON.parse(row.record) : null;
+    } catch (error) {
+      record = null;
+    }
+
+    // Decisions logged before structured records existed only have the text and reasons
+    return {
+      ...(record || {
+        timestamp: row.time,
+        decision: row.decision,
+        reasons: this.parseReasons(row.reasons),
+        mode: row.mode || 'live',
+        inputs: {
+          battery_soc: row.battery_soc,
+          pv_power: row.pv_power,
+          load: row.load,
+          grid_power: row.grid_power,
+          price: { current: row.current_price, level: row.price_level, average: row.average_price }
+        },
+        candidates: [],
+        chosen: null,
+        commands: []
+      }),
+      id,
+      outcome: outcomes[id] || null
+    };
+  }
+
+  async getDecisionOutcomes(startTime, endTime) {
+    const result = await this.influx.query(`
+      SELECT * FROM ai_decision_outcomes
+      WHERE time >= '${startTime.toISOString()}'
+      AND time <= '${endTime.toISOString()}'
+    `);
+
+    const outcomes = {};
+    result.forEach(row => {
+      try {
+        outcomes[String(new Date(row.time).getTime())] = JSON.parse(row.outcome);
+      } catch (error) {
+        // skip unreadable outcome
+      }
+    });
+    return outcomes;
+  }
+
+  async getDecisionRecord(decisionId) {
+    if (!this.initialized) {
+      return null;
+    }
+
+    try {
+      const time = new Date(parseInt(decisionId));
+      const result = await this.influx.query(`
+        SELECT * FROM ai_decisions
+        WHERE time = ${time.getTime()}ms
+      `);
+      if (result.length === 0) return null;
+
+      const outcomes = await this.getDecisionOutcomes(time, time);
+      return this.parseRecord(result[0], outcomes);
+    } catch (error) {
+      console.error('Error retrieving AI decision record from InfluxDB:', error.message);
+      return null;
+    }
+  }
+
+  async getDecisionRecords(startTime, endTime, limit = 500) {
+    if (!this.initialized) {
+      return [];
+    }
+
+    try {
+      const result = await this.influx.query(`
+        SELECT * FROM ai_decisions
+        WHERE time >= '${startTime.toISOString()}'
+        AND time <= '${endTime.toISOString()}'
+        ORDER BY time ASC
+        LIMIT ${limit}
+      `);
+
+      const outcomes = await this.getDecisionOutcomes(startTime, endTime);
+      return result.map(row => this.parseRecord(row, outcomes));
+    } catch (error) {
+      console.error('Error retrieving AI decision records from InfluxDB:', error.message);
+      return [];
+    }
+  }
+
   extractDecisionType(decision) {
     if (decision.includes('CHARGE')) return 'CHARGE';
     if (decision.includes('STOP')) return 'STOP';
@@ -243,6 +546,61 @@ class InfluxAIService {
     }
   }
 
+  // One forecast issue is a few dozen points, written as one batch instead of through the queue
+  async saveForecasts(points) {
+    if (!this.initialized || points.length === 0) {
+      return false;
+    }
+
+    try {
+      await this.influx.writePoints(points.map(point => ({
+        measurement: 'ai_forecasts',
+        tags: {
+          model: point.model,
+          horizon: String(point.horizon),
+          model_version: point.modelVersion
+        },
+        fields: {
+          predicted: point.predicted,
+          issued_at: point.issuedAt
+        },
+        timestamp: new Date(point.targetTime)
+      })));
+      return true;
+    } catch (error) {
+      console.error('Error saving forecasts to InfluxDB:', error.message);
+      return false;
+    }
+  }
+
+  async getForecasts(fromDate, toDate) {
+    if (!this.initialized) {
+      return [];
+    }
+
+    try {
+      const query = `
+        SELECT * FROM ai_forecasts
+        WHERE time >= '${fromDate.toISOString()}'
+        AND time < '${toDate.toISOString()}'
+      `;
+
+      const result = await this.influx.query(query);
+
+      return result.map(row => ({
+        targetTime: new Date(row.time).getTime(),
+        model: row.model,
+        horizon: parseInt(row.horizon),
+        modelVersion: row.model_version,
+        predicted: row.predicted,
+        issuedAt: row.issued_at
+      }));
+    } catch (error) {
+      console.error('Error getting forecasts from InfluxDB:', error.message);
+      return [];
+    }
+  }
+
   async getTibberPriceDataCount(fromDate) {
     if (!this.initialized) {
       return 0;
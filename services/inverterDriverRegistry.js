@@ -0,0 +1,372 @@
+// Inverter Driver Registry - declarative inverter family definitions
+// Each driver file in drivers/ (or data/drivers/ for local additions) describes the
+// settings, value enumerations, translations, AI control commands, capabilities and
+// detection fingerprint of one inverter family. Detection, command mapping and the
+// AI engine's writes are all resolved here.
+
+const fs = require('fs');
+const path = require('path');
+
+const CONTROL_MODES = ['charge', 'idle', 'stop'];
+// Only declared by drivers whose inverters can sell battery energy to the grid
+const OPTIONAL_CONTROL_MODES = ['export'];
+
+// Used until an inverter has been detected or assigned
+const UNKNOWN_DRIVER = {
+  id: null,
+  name: 'Unknown',
+  type: 'unknown',
+  settings: ['work_mode', 'remote_switch', 'max_discharge_current', 'max_charge_current'],
+  values: {},
+  translations: {},
+  capabilities: {
+    basicControl: true,
+    batterySettings: true,
+    remoteSwitch: true
+  }
+};
+
+class InverterDriverRegistry {
+  constructor() {
+    this.driverDirs = [
+      path.join(__dirname, '..', 'drivers'),
+      path.join(__dirname, '..', 'data', 'drivers')
+    ];
+    this.configFile = path.join(__dirname, '..', 'data', 'inverter_drivers.json');
+    this.drivers = {};
+    this.inverters = {}; // inverter id -> detection record, shared as inverterTypes
+
+    this.config = this.loadConfig();
+    this.loadDrivers();
+  }
+
+  getDefaultConfig() {
+    return {
+      // Driver used for AI control while an inverter is still unknown
+      fallbackDriver: 'deye_sunsynk',
+      // Manual driver per inverter, overrides detection: { inverter_1: 'growatt_spf' }
+      assignments: {}
+    };
+  }
+
+  loadConfig() {
+    const defaults = this.getDefaultConfig();
+    try {
+      if (fs.existsSync(this.configFile)) {
+        const saved = JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
+        return { ...defaults, ...saved, assignments: saved.assignments || {} };
+      }
+    } catch (error) {
+      console.error('Error loading inverter driver config:', error.message);
+    }
+    return defaults;
+  }
+
+  saveConfig() {
+    try {
+      const dataDir = path.dirname(this.configFile);
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+      fs.writeFileSync(this.configFile, JSON.stringify(this.config, null, 2));
+      return true;
+    } catch (error) {
+      console.error('Error saving inverter driver config:', error.message);
+      return false;
+    }
+  }
+
+  // Later directories override drivers with the same id
+  loadDrivers() {
+    const drivers = {};
+
+    this.driverDirs.forEach(dir => {
+      if (!fs.existsSync(dir)) return;
+
+      fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .forEach(file => {
+          try {
+            const driver = this.validateDriver(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+            drivers[driver.id] = driver;
+          } catch (error) {
+            console.error(`❌ Invalid inverter driver ${file}: ${error.message}`);
+          }
+        });
+    });
+
+    this.drivers = drivers;
+
+    // Re-resolve known inverters against the new definitions
+    Object.keys(this.inverters).forEach(inverterId => this.resolve(inverterId));
+
+    console.log(`🔌 Inverter drivers loaded: ${Object.keys(drivers).join(', ') || 'none'}`);
+    return this.getDrivers();
+  }
+
+  validateDriver(driver) {
+    if (!driver.id || !/^[a-z0-9_-]+$/i.test(driver.id)) {
+      throw new Error('id is required and may only contain letters, numbers, - and _');
+    }
+    if (!driver.name) {
+      throw new Error('name is required');
+    }
+    if (!Array.isArray(driver.settings)) {
+      throw new Error('settings must be a list of setting names');
+    }
+
+    Object.entries(driver.translations || {}).forEach(([from, translation]) => {
+      if (!translation.setting || typeof translation.values !== 'object') {
+        throw new Error(`translation for ${from} needs a target setting and a values map`);
+      }
+    });
+
+    CONTROL_MODES.forEach(mode => {
+      if (!driver.control || typeof driver.control[mode] !== 'object') {
+        throw new Error(`control.${mode} is required`);
+      }
+    });
+    OPTIONAL_CONTROL_MODES.forEach(mode => {
+      if (driver.control[mode] !== undefined && typeof driver.control[mode] !== 'object') {
+        throw new Error(`control.${mode} must be a map of settings`);
+      }
+    });
+
+    return {
+      type: driver.id,
+      description: '',
+      detection: {},
+      values: {},
+      translations: {},
+      capabilities: {},
+      ...driver
+    };
+  }
+
+  getDrivers() {
+    return Object.values(this.drivers);
+  }
+
+  getInverterTypes() {
+    return this.inverters;
+  }
+
+  getRecord(inverterId) {
+    if (!this.inverters[inverterId]) {
+      this.inverters[inverterId] = {
+        type: 'unknown',
+        driver: null,
+        driverName: null,
+        assigned: false,
+        seenSettings: [],
+        detectionConfidence: 0
+      };
+    }
+    return this.inverters[inverterId];
+  }
+
+  // Feed every MQTT message of an inverter into detection
+  detect(inverterId, specificTopic) {
+    const record = this.getRecord(inverterId);
+    const match = specificTopic.match(/inverter_\d+\/([^/]+)\//);
+
+    if (match && this.isFingerprintSetting(match[1])) {
+      if (!record.seenSettings.includes(match[1])) {
+        record.seenSettings.push(match[1]);
+      }
+      record.detectionConfidence += 10;
+    }
+
+    this.resolve(inverterId);
+    return record.type;
+  }
+
+  isFingerprintSetting(setting) {
+    return this.getDrivers().some(driver => {
+      const detection = driver.detection || {};
+      return (detection.settings || []).some(group => group.includes(setting)) ||
+        (detection.excludeSettings || []).includes(setting);
+    });
+  }
+
+  // Assigned driver first, otherwise the best matching fingerprint
+  resolve(inverterId) {
+    const record = this.getRecord(inverterId);
+    const assigned = this.drivers[this.config.assignments[inverterId]];
+    const driver = assigned || this.matchDriver(record.seenSettings);
+
+    record.driver = driver ? driver.id : null;
+    record.driverName = driver ? driver.name : null;
+    record.type = driver ? driver.type : 'unknown';
+    record.assigned = !!assigned;
+    return record;
+  }
+
+  // A driver matches when every settings group was seen and none of the excluded settings
+  matchDriver(seenSettings) {
+    let best = null;
+    let bestScore = 0;
+
+    this.getDrivers().forEach(driver => {
+      const detection = driver.detection || {};
+      const groups = detection.settings || [];
+      if (detection.manual || groups.length === 0) return;
+
+      const matches = groups.every(group => group.some(setting => seenSettings.includes(setting))) &&
+        !(detection.excludeSettings || []).some(setting => seenSettings.includes(setting));
+      if (!matches) return;
+
+      const score = groups.flat().filter(setting => seenSettings.includes(setting)).length;
+      if (score > bestScore) {
+        best = driver;
+        bestScore = score;
+      }
+    });
+
+    return best;
+  }
+
+  getDriver(inverterId) {
+    const record = this.inverters[inverterId];
+    return (record && this.drivers[record.driver]) || this.drivers[this.config.assignments[inverterId]] || null;
+  }
+
+  // Unknown inverters are controlled through the fallback driver, without translations
+  getControlDriver(inverterId) {
+    return this.getDriver(inverterId) || this.drivers[this.config.fallbackDriver] || this.getDrivers()[0] || null;
+  }
+
+  getType(inverterId) {
+    return this.inverters[inverterId]?.type || 'unknown';
+  }
+
+  // Translate a setting/value pair into the inverter's own setting, if its driver maps it
+  resolveCommand(inverterId, setting, value) {
+    const driver = this.getDriver(inverterId);
+    const translation = driver?.translations?.[setting];
+
+    if (!translation) {
+      return { setting, value, mapped: false, driver: driver?.id || null };
+    }
+
+    const mappedValue = translation.values[value] !== undefined ? translation.values[value] : translation.default;
+    return { setting: translation.setting, value: mappedValue, mapped: true, driver: driver.id };
+  }
+
+  // Equivalent value of a setting in the other family, used to keep both in the settings state
+  translateValue(fromSetting, value, driverId = null) {
+    const driver = (driverId && this.drivers[driverId]?.translations?.[fromSetting]) ?
+      this.drivers[driverId] :
+      this.getDrivers().find(item => item.translations?.[fromSetting]);
+    if (!driver) return null;
+
+    const translation = driver.translations[fromSetting];
+    return {
+      setting: translation.setting,
+      value: translation.values[value] !== undefined ? translation.values[value] : translation.default
+    };
+  }
+
+  // Settings and values the AI engine writes for a decision mode; $values are chosen by the engine
+  getControlCommands(inverterId, mode) {
+    const driver = this.getControlDriver(inverterId);
+    if (!driver) return [];
+    return Object.entries(driver.control[mode] || {}).map(([setting, value]) => ({ setting, value }));
+  }
+
+  supportsControl(inverterId, mode) {
+    const driver = this.getControlDriver(inverterId);
+    return !!driver && typeof driver.control[mode] === 'object';
+  }
+
+  // Settings written by the AI engine, including those that translate into them
+  getControlledSettings(inverterId, optionalModes = []) {
+    const driver = this.getControlDriver(inverterId);
+    if (!driver) return [];
+
+    const controlled = new Set();
+    [...CONTROL_MODES, ...optionalModes].forEach(mode => Object.keys(driver.control[mode] || {}).forEach(setting => controlled.add(setting)));
+    Object.entries(driver.translations || {}).forEach(([from, translation]) => {
+      if (controlled.has(translation.setting)) controlled.add(from);
+    });
+    return Array.from(controlled);
+  }
+
+  // Allowed values of an enumerated setting on this inverter, null if the driver does not define them
+  getSettingValues(inverterId, setting) {
+    return this.getDriver(inverterId)?.values?.[setting] || null;
+  }
+
+  getCapabilities(driverId) {
+    return (this.drivers[driverId] || UNKNOWN_DRIVER).capabilities;
+  }
+
+  getSupportedSettings(driverId) {
+    return (this.drivers[driverId] || UNKNOWN_DRIVER).settings;
+  }
+
+  getMappingInfo(driverId) {
+    const driver = this.drivers[driverId];
+    if (!driver) {
+      return {
+        canReceive: ['work_mode', 'remote_switch'],
+        canSend: ['work_mode', 'remote_switch'],
+        autoMapping: false,
+        limitedSupport: true,
+        mappingRules: {}
+      };
+    }
+
+    const translations = Object.entries(driver.translations || {});
+    const mappingRules = {};
+    translations.forEach(([from, translation]) => {
+      mappingRules[from] = `Maps to ${translation.setting} with intelligent translation`;
+    });
+
+    return {
+      canReceive: translations.map(([from]) => from),
+      canSend: Array.from(new Set(translations.map(([, translation]) => translation.setting))),
+      autoMapping: translations.length > 0,
+      mappingRules
+    };
+  }
+
+  assignDriver(inverterId, driverId) {
+    if (!/^inverter_\d+$/.test(inverterId)) {
+      throw new Error(`Invalid inverter id: ${inverterId}`);
+    }
+    if (driverId === null || driverId === '') {
+      delete this.config.assignments[inverterId];
+    } else {
+      if (!this.drivers[driverId]) {
+        throw new Error(`Unknown inverter driver: ${driverId}`);
+      }
+      this.config.assignments[inverterId] = driverId;
+    }
+    this.saveConfig();
+
+    const record = this.resolve(inverterId);
+    console.log(`🔌 ${inverterId} driver: ${record.driverName || 'auto-detect'}${record.assigned ? ' (assigned)' : ''}`);
+    return record;
+  }
+
+  getStatus() {
+    return {
+      drivers: this.getDrivers().map(driver => ({
+        id: driver.id,
+        name: driver.name,
+        type: driver.type,
+        description: driver.description,
+        manualOnly: !!driver.detection?.manual,
+        settings: driver.settings,
+        capabilities: driver.capabilities
+      })),
+      fallbackDriver: this.config.fallbackDriver,
+      assignments: this.config.assignments,
+      inverters: this.inverters
+    };
+  }
+}
+
+module.exports = new InverterDriverRegistry();
@@ -0,0 +1,744 @@
+// OCPP 1.6J central system - wallboxes connect to ws://<host>:9000/ocpp/<chargePointId>
+// Handles boot, heartbeat, status, authorization, transactions and meter values, and sets the
+// charging current with a TxDefaultProfile every control cycle:
+//   fast  - maximum current
+//   solar - PV surplus only (pv_power - house load), paused after a few minutes below minimum
+//   smart - solar, plus maximum current in the cheapest price windows
+//   off   - 0 A
+// The engine reads getEvStatus() so the battery is not discharged into the car.
+// Settings and finished transactions are stored in data/ocpp_config.json.
+
+const fs = require('fs');
+const path = require('path');
+const tibberService = require('./tibberService');
+
+const PROTOCOL = 'ocpp1.6';
+const PATH_PREFIX = '/ocpp/';
+const HEARTBEAT_INTERVAL = 300; // s, sent to the charge point in the BootNotification response
+const CONTROL_INTERVAL = 30 * 1000;
+const CALL_TIMEOUT = 30 * 1000;
+const PROFILE_REFRESH = 15 * 60 * 1000; // a lost profile is re-sent even when the limit did not change
+const EV_MIN_POWER = 500; // W, below this the car counts as not charging
+const PROFILE_ID = 1;
+const CHARGE_POINT_ID = /^[\w.:-]{1,64}$/;
+
+const MODES = ['fast', 'solar', 'smart', 'off'];
+const CHARGE_POINT_SETTINGS = ['mode', 'minCurrent', 'maxCurrent', 'phases'];
+const SETTING_RANGES = { minCurrent: [6, 32], maxCurrent: [6, 80], phases: [1, 3] };
+
+// OCPP-J CALLERROR with one of the error codes of the spec
+function callError(code, description) {
+  const error = new Error(description);
+  error.ocppCode = code;
+  return error;
+}
+
+class OcppService {
+  constructor() {
+    this.configFile = path.join(__dirname, '..', 'data', 'ocpp_config.json');
+    this.chargePoints = new Map(); // charge point id -> connection state
+    this.pending = new Map(); // message id -> { resolve, reject, timer }
+    this.getSystemState = () => ({});
+    this.onChargingChange = null;
+    this.controlTimer = null;
+    this.messageCounter = 0;
+    this.maxTransactions = 200;
+
+    this.handlers = {
+      BootNotification: (cp, payload) => this.handleBootNotification(cp, payload),
+      Heartbeat: () => ({ currentTime: new Date().toISOString() }),
+      StatusNotification: (cp, payload) => this.handleStatusNotification(cp, payload),
+      Authorize: (cp, payload) => ({ idTagInfo: this.authorize(payload.idTag) }),
+      StartTransaction: (cp, payload) => this.handleStartTransaction(cp, payload),
+      StopTransaction: (cp, payload) => this.handleStopTransaction(cp, payload),
+      MeterValues: (cp, payload) => this.handleMeterValues(cp, payload),
+      DataTransfer: () => ({ status: 'UnknownVendorId' }),
+      DiagnosticsStatusNotification: () => ({}),
+      FirmwareStatusNotification: () => ({})
+    };
+
+    this.config = this.loadConfig();
+  }
+
+  getDefaultConfig() {
+    return {
+      enabled: false, // port 9000 is reachable from the whole LAN, wallboxes have to be allowed first
+      allowedChargePoints: [], // only these charge point ids may connect
+      allowedIdTags: [], // empty = every RFID tag is accepted
+      mode: 'smart',
+      minCurrent: 6, // A, IEC 61851 minimum
+      maxCurrent: 16,
+      phases: 3,
+      voltage: 230,
+      loadIncludesEv: true, // the measured house load contains the wallbox
+      batteryPrioritySoc: 40, // below this SOC the PV surplus goes to the battery first
+      cheapPrice: null, // ¢/kWh, null = bottom 30% of the next 24h
+      pauseDelayMinutes: 5,
+      chargePoints: Object.create(null), // per charge point overrides of mode, minCurrent, maxCurrent, phases
+      nextTransactionId: 1,
+      transactions: []
+    };
+  }
+
+  loadConfig() {
+    try {
+      if (fs.existsSync(this.configFile)) {
+        const config = { ...this.getDefaultConfig(), ...JSON.parse(fs.readFileSync(this.configFile, 'utf8')) };
+        // Keyed by charge point id, ids like __proto__ must stay plain keys
+        config.chargePoints = Object.assign(Object.create(null), config.chargePoints);
+        return config;
+      }
+    } catch (error) {
+      console.error('Error loading OCPP config:', error.message);
+    }
+    return this.getDefaultConfig();
+  }
+
+  saveConfig() {
+    try {
+      const dataDir = path.dirname(this.configFile);
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+      fs.writeFileSync(this.configFile, JSON.stringify(this.config, null, 2));
+      return true;
+    } catch (error) {
+      console.error('Error saving OCPP config:', error.message);
+      return false;
+    }
+  }
+
+  initialize(options = {}) {
+    if (options.getSystemState) this.getSystemState = options.getSystemState;
+    if (options.onChargingChange) this.onChargingChange = options.onChargingChange;
+
+    this.stop();
+    this.controlTimer = setInterval(() => {
+      this.controlAll().catch(error => console.error('❌ Error controlling wallboxes:', error.message));
+    }, CONTROL_INTERVAL);
+    console.log(`✅ OCPP central system ready (${this.config.enabled ? `mode ${this.config.mode}` : 'disabled'})`);
+  }
+
+  stop() {
+    if (this.controlTimer) {
+      clearInterval(this.controlTimer);
+      this.controlTimer = null;
+    }
+  }
+
+  // Handshakes for the shared ws server: wallboxes ask for the ocpp1.6 subprotocol
+  selectProtocol(protocols) {
+    return protocols.has(PROTOCOL) ? PROTOCOL : false;
+  }
+
+  isOcppRequest(req) {
+    return !!req.url && req.url.startsWith(PATH_PREFIX);
+  }
+
+  handleConnection(ws, req) {
+    let id;
+    try {
+      id = decodeURIComponent(req.url.slice(PATH_PREFIX.length).split('?')[0]).replace(/\/+$/, '');
+    } catch (error) {
+      return ws.close(1008, 'Invalid charge point id');
+    }
+
+    if (!this.config.enabled) {
+      return ws.close(1008, 'OCPP is disabled');
+    }
+    if (ws.protocol !== PROTOCOL) {
+      return ws.close(1002, `Subprotocol ${PROTOCOL} required`);
+    }
+    if (!CHARGE_POINT_ID.test(id)) {
+      return ws.close(1008, 'Invalid charge point id');
+    }
+    if (!this.config.allowedChargePoints.includes(id)) {
+      console.warn(`⚠️ OCPP connection from unknown charge point ${id} refused`);
+      return ws.close(1008, 'Unknown charge point');
+    }
+
+    // A reconnecting wallbox replaces its old connection, the transaction carries over
+    const previous = this.chargePoints.get(id);
+    if (previous?.ws && previous.ws !== ws) {
+      previous.ws.terminate();
+    }
+
+    const cp = {
+      id,
+      ws,
+      connectedAt: new Date().toISOString(),
+      lastSeen: Date.now(),
+      boot: previous?.boot || null,
+      connectors: previous?.connectors || {},
+      meter: previous?.meter || {},
+      transaction: previous?.transaction || null,
+      limit: null,
+      limitReason: null,
+      profileStatus: null,
+      profileSentAt: 0,
+      belowMinimumSince: null
+    };
+    this.chargePoints.set(id, cp);
+    console.log(`🔌 OCPP charge point ${id} connected from ${req.socket?.remoteAddress || 'unknown'}`);
+
+    ws.on('message', data => this.handleMessage(cp, data));
+    ws.on('close', () => {
+      if (cp.ws === ws) cp.ws = null;
+      this.rejectPending(cp.id, 'Connection closed');
+      console.log(`🔌 OCPP charge point ${id} disconnected`);
+    });
+    ws.on('error', error => console.error(`OCPP ${id} error:`, error.message));
+  }
+
+  send(cp, message) {
+    if (!cp.ws || cp.ws.readyState !== 1) {
+      throw new Error(`Charge point ${cp.id} is not connected`);
+    }
+    cp.ws.send(JSON.stringify(message));
+  }
+
+  async handleMessage(cp, data) {
+    cp.lastSeen = Date.now();
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      console.warn(`⚠️ OCPP ${cp.id}: invalid JSON ignored`);
+      return;
+    }
+    if (!Array.isArray(message)) return;
+
+    const [type, messageId] = message;
+    if (type === 2) {
+      const [, , action, payload] = message;
+      try {
+        const handler = this.handlers[action];
+        if (!handler) {
+          throw callError('NotImplemented', `Action ${action} is not supported`);
+        }
+        if (!payload || typeof payload !== 'object') {
+          throw callError('FormationViolation', 'Payload must be an object');
+        }
+        const result = await handler(cp, payload);
+        this.send(cp, [3, messageId, result]);
+      } catch (error) {
+        if (!error.ocppCode) console.error(`❌ OCPP ${cp.id} ${action}:`, error.message);
+        try {
+          this.send(cp, [4, messageId, error.ocppCode || 'InternalError', error.message, {}]);
+        } catch (sendError) {
+          // connection already gone
+        }
+      }
+    } else if (type === 3 || type === 4) {
+      const pending = this.pending.get(messageId);
+      if (!pending) return;
+      clearTimeout(pending.timer);
+      this.pending.delete(messageId);
+      if (type === 3) pending.resolve(message[2] || {});
+      else pending.reject(new Error(`${message[2]}: ${message[3] || 'no description'}`));
+    }
+  }
+
+  // Central system initiated request, resolves with the charge point's response payload
+  call(cp, action, payload) {
+    return new Promise((resolve, reject) => {
+      const messageId = `${Date.now().toString(36)}-${++this.messageCounter}`;
+      const timer = setTimeout(() => {
+        this.pending.delete(messageId);
+        reject(new Error(`${action} to ${cp.id} timed out`));
+      }, CALL_TIMEOUT);
+      this.pending.set(messageId, { chargePointId: cp.id, resolve, reject, timer });
+      try {
+        this.send(cp, [2, messageId, action, payload]);
+      } catch (error) {
+        clearTimeout(timer);
+        this.pending.delete(messageId);
+        reject(error);
+      }
+    });
+  }
+
+  rejectPending(chargePointId, reason) {
+    this.pending.forEach((pending, messageId) => {
+      if (pending.chargePointId !== chargePointId) return;
+      clearTimeout(pending.timer);
+      this.pending.delete(messageId);
+      pending.reject(new Error(reason));
+    });
+  }
+
+  handleBootNotification(cp, payload) {
+    if (!payload.chargePointVendor || !payload.chargePointModel) {
+      throw callError('FormationViolation', 'chargePointVendor and chargePointModel are required');
+    }
+    cp.boot = {
+      vendor: payload.chargePointVendor,
+      model: payload.chargePointModel,
+      serialNumber: payload.chargePointSerialNumber || null,
+      firmwareVersion: payload.firmwareVersion || null,
+      bootedAt: new Date().toISOString()
+    };
+    console.log(`🔌 OCPP ${cp.id}: ${cp.boot.vendor} ${cp.boot.model} booted (firmware ${cp.boot.firmwareVersion || 'unknown'})`);
+
+    // The first limit follows right after the response
+    cp.profileSentAt = 0;
+    setTimeout(() => this.control(cp).catch(error => console.error(`❌ OCPP ${cp.id}:`, error.message)), 1000);
+
+    return { status: 'Accepted', currentTime: new Date().toISOString(), interval: HEARTBEAT_INTERVAL };
+  }
+
+  handleStatusNotification(cp, payload) {
+    cp.connectors[payload.connectorId] = {
+      status: payload.status,
+      errorCode: payload.errorCode,
+      info: payload.info || null,
+      timestamp: payload.timestamp || new Date().toISOString()
+    };
+    if (payload.errorCode && payload.errorCode !== 'NoError') {
+      console.warn(`⚠️ OCPP ${cp.id} connector ${payload.connectorId}: ${payload.status} (${payload.errorCode})`);
+    }
+    return {};
+  }
+
+  authorize(idTag) {
+    const allowed = this.config.allowedIdTags;
+    return { status: allowed.length === 0 || allowed.includes(idTag) ? 'Accepted' : 'Invalid' };
+  }
+
+  handleStartTransaction(cp, payload) {
+    if (payload.connectorId === undefined || !payload.idTag || typeof payload.meterStart !== 'number') {
+      throw callError('FormationViolation', 'connectorId, idTag and meterStart are required');
+    }
+
+    const idTagInfo = this.authorize(payload.idTag);
+    const transactionId = this.config.nextTransactionId++;
+    this.saveConfig();
+
+    // Rejected tags still get an id, the charge point ends the transaction itself
+    if (idTagInfo.status === 'Accepted') {
+      cp.transaction = {
+        id: transactionId,
+        connectorId: payload.connectorId,
+        idTag: payload.idTag,
+        meterStart: payload.meterStart,
+        meterNow: payload.meterStart,
+        startedAt: payload.timestamp || new Date().toISOString(),
+        solarWh: 0,
+        gridWh: 0
+      };
+      console.log(`🚗 OCPP ${cp.id}: transaction ${transactionId} started on connector ${payload.connectorId} (${payload.idTag})`);
+      setTimeout(() => this.control(cp).catch(error => console.error(`❌ OCPP ${cp.id}:`, error.message)), 0);
+    }
+
+    return { transactionId, idTagInfo };
+  }
+
+  handleStopTransaction(cp, payload) {
+    if (payload.transactionId === undefined || typeof payload.meterStop !== 'number') {
+      throw callError('FormationViolation', 'transactionId and meterStop are required');
+    }
+
+    if (Array.isArray(payload.transactionData)) {
+      this.readMeterValues(cp, payload.transactionData);
+    }
+
+    const transaction = cp.transaction && cp.transaction.id === payload.transactionId ? cp.transaction : null;
+    const meterStart = transaction ? transaction.meterStart : payload.meterStop;
+    const entry = {
+      chargePointId: cp.id,
+      transactionId: payload.transactionId,
+      connectorId: transaction?.connectorId ?? null,
+      idTag: transaction?.idTag || payload.idTag || null,
+      start: transaction?.startedAt || null,
+      end: payload.timestamp || new Date().toISOString(),
+      energyKwh: Math.round(Math.max(0, payload.meterStop - meterStart) / 10) / 100,
+      solarKwh: transaction ? Math.round(transaction.solarWh / 10) / 100 : null,
+      reason: payload.reason || 'Local'
+    };
+
+    this.config.transactions.unshift(entry);
+    this.config.transactions = this.config.transactions.slice(0, this.maxTransactions);
+    this.saveConfig();
+
+    this.updateMeter(cp, { powerW: 0 });
+    if (transaction) cp.transaction = null;
+    console.log(`🚗 OCPP ${cp.id}: transaction ${payload.transactionId} stopped, ${entry.energyKwh} kWh (${entry.reason})`);
+    return { idTagInfo: { status: 'Accepted' } };
+  }
+
+  handleMeterValues(cp, payload) {
+    if (!Array.isArray(payload.meterValue)) {
+      throw callError('FormationViolation', 'meterValue is required');
+    }
+    this.readMeterValues(cp, payload.meterValue);
+    return {};
+  }
+
+  // Power, energy register, current, voltage and SOC from sampled values (unit scaled, phases summed)
+  readMeterValues(cp, meterValues) {
+    meterValues.forEach(meterValue => {
+      const reading = {};
+      const phaseCurrents = [];
+      let phasePower = 0;
+      let hasPhasePower = false;
+
+      (meterValue.sampledValue || []).forEach(sample => {
+        const value = parseFloat(sample.value);
+        if (isNaN(value)) return;
+        const measurand = sample.measurand || 'Energy.Active.Import.Register';
+        const scale = sample.unit === 'kW' || sample.unit === 'kWh' ? 1000 : 1;
+
+        if (measurand === 'Power.Active.Import') {
+          if (sample.phase && !sample.phase.startsWith('N')) {
+            phasePower += value * scale;
+            hasPhasePower = true;
+          } else {
+            reading.powerW = value * scale;
+          }
+        } else if (measurand === 'Energy.Active.Import.Register' && !sample.phase) {
+          reading.energyWh = value * scale;
+        } else if (measurand === 'Current.Import') {
+          if (sample.phase) phaseCurrents.push(value);
+          else reading.currentA = value;
+        } else if (measurand === 'Voltage' && !reading.voltage) {
+          reading.voltage = value;
+        } else if (measurand === 'SoC') {
+          reading.soc = value;
+        }
+      });
+
+      if (reading.powerW === undefined && hasPhasePower) reading.powerW = phasePower;
+      if (phaseCurrents.length > 0) {
+        reading.currentA = Math.max(...phaseCurrents);
+        const active = phaseCurrents.filter(current => current > 1).length;
+        if (active > 0) reading.phases = active;
+      }
+      reading.timestamp = meterValue.timestamp || new Date().toISOString();
+      this.updateMeter(cp, reading);
+    });
+  }
+
+  // Meter state plus the solar/grid split of the energy charged since the last reading
+  updateMeter(cp, reading) {
+    const before = this.isCharging(cp);
+    const transaction = cp.transaction;
+
+    if (transaction && typeof reading.energyWh === 'number') {
+      const delta = reading.energyWh - transaction.meterNow;
+      if (delta > 0 && delta < 100000) {
+        const evPower = reading.powerW ?? cp.meter.powerW ?? 0;
+        const surplus = this.getSurplus(evPower);
+        const solarShare = evPower > 0 ? Math.min(1, Math.max(0, surplus / evPower)) : 0;
+        transaction.solarWh += delta * solarShare;
+        transaction.gridWh += delta * (1 - solarShare);
+      }
+      transaction.meterNow = reading.energyWh;
+    }
+
+    cp.meter = { ...cp.meter, ...reading };
+    if (cp.meter.powerW === undefined && typeof cp.meter.currentA === 'number') {
+      cp.meter.powerW = cp.meter.currentA * this.config.voltage * (cp.meter.phases || this.getSettings(cp.id).phases);
+    }
+
+    // The engine re-evaluates when the car starts or stops drawing power
+    if (this.isCharging(cp) !== before && this.onChargingChange) {
+      console.log(`🚗 OCPP ${cp.id}: car ${this.isCharging(cp) ? 'started' : 'stopped'} charging`);
+      Promise.resolve(this.onChargingChange(this.getEvStatus())).catch(error => {
+        console.error('Error handling EV charging change:', error.message);
+      });
+    }
+  }
+
+  isCharging(cp) {
+    return !!cp.transaction && (cp.meter.powerW || 0) >= EV_MIN_POWER;
+  }
+
+  // PV power not used by the house; the wallbox is taken out of the measured load when it is in there
+  getSurplus(evPower = 0) {
+    const state = this.getSystemState() || {};
+    const load = state.load || 0;
+    const houseLoad = this.config.loadIncludesEv ? Math.max(0, load - evPower) : load;
+    return (state.pv_power || 0) - houseLoad;
+  }
+
+  // Bottom 30% of the next 24h or the configured price. Wider than the engine's bottom 20%
+  // charge threshold, a car can shift its charging less than the battery
+  isCheapPrice() {
+    const current = tibberService.cache.currentPrice?.total;
+    if (typeof current !== 'number') return false;
+    if (current < 0) return true;
+    if (this.config.cheapPrice !== null) return current <= this.config.cheapPrice;
+
+    const prices = (tibberService.cache.forecast || []).slice(0, 24).map(price => price.total).sort((a, b) => a - b);
+    if (prices.length < 12) return false;
+    return current <= prices[Math.floor(prices.length * 0.3)];
+  }
+
+  getSettings(chargePointId) {
+    const settings = { ...this.config, ...(this.config.chargePoints[chargePointId] || {}) };
+    return {
+      mode: settings.mode,
+      minCurrent: settings.minCurrent,
+      maxCurrent: settings.maxCurrent,
+      phases: settings.phases
+    };
+  }
+
+  // Current limit (A) for a charge point, 0 pauses charging
+  computeLimit(cp, now = Date.now()) {
+    const settings = this.getSettings(cp.id);
+    const phases = cp.meter.phases || settings.phases;
+
+    if (settings.mode === 'off') return { limit: 0, phases, reason: 'charging disabled' };
+    if (settings.mode === 'fast') return { limit: settings.maxCurrent, phases, reason: 'fast charging' };
+    if (settings.mode === 'smart' && this.isCheapPrice()) {
+      return { limit: settings.maxCurrent, phases, reason: `cheap price ${tibberService.cache.currentPrice.total.toFixed(2)}¢/kWh` };
+    }
+
+    const state = this.getSystemState() || {};
+    const evPower = cp.transaction ? (cp.meter.powerW || 0) : 0;
+    let surplus = this.getSurplus(evPower);
+    let reason = `solar surplus ${Math.round(surplus)}W`;
+    if (typeof state.battery_soc === 'number' && state.battery_soc < this.config.batteryPrioritySoc) {
+      surplus = 0;
+      reason = `battery first below ${this.config.batteryPrioritySoc}% SOC`;
+    }
+
+    const current = Math.min(settings.maxCurrent, Math.floor(surplus / (this.config.voltage * phases)));
+    if (current >= settings.minCurrent) {
+      cp.belowMinimumSince = null;
+      return { limit: current, phases, reason };
+    }
+
+    // Short dips (clouds) keep the minimum current instead of stopping the car
+    if (cp.limit >= settings.minCurrent) {
+      cp.belowMinimumSince = cp.belowMinimumSince || now;
+      if (now - cp.belowMinimumSince < this.config.pauseDelayMinutes * 60000) {
+        return { limit: settings.minCurrent, phases, reason: `${reason}, below minimum - holding ${settings.minCurrent}A` };
+      }
+    }
+    return { limit: 0, phases, reason: `${reason}, below ${settings.minCurrent}A minimum - paused` };
+  }
+
+  async control(cp, now = Date.now()) {
+    if (!cp.ws || !cp.boot) return null;
+
+    const target = this.computeLimit(cp, now);
+    const changed = cp.limit === null || Math.abs(target.limit - cp.limit) >= 1;
+    if (!changed && now - cp.profileSentAt < PROFILE_REFRESH) {
+      cp.limitReason = target.reason;
+      return null;
+    }
+    return this.setCurrentLimit(cp, target.limit, target.phases, target.reason);
+  }
+
+  async controlAll() {
+    for (const cp of this.chargePoints.values()) {
+      try {
+        await this.control(cp);
+      } catch (error) {
+        console.error(`❌ OCPP ${cp.id}: ${error.message}`);
+      }
+    }
+  }
+
+  // One TxDefaultProfile on connector 0 covers running and future transactions
+  async setCurrentLimit(cp, limit, phases, reason) {
+    const response = await this.call(cp, 'SetChargingProfile', {
+      connectorId: 0,
+      csChargingProfiles: {
+        chargingProfileId: PROFILE_ID,
+        stackLevel: 0,
+        chargingProfilePurpose: 'TxDefaultProfile',
+        chargingProfileKind: 'Absolute',
+        chargingSchedule: {
+          startSchedule: new Date(Date.now() - 60000).toISOString(),
+          chargingRateUnit: 'A',
+          chargingSchedulePeriod: [{ startPeriod: 0, limit, numberPhases: phases }]
+        }
+      }
+    });
+
+    cp.profileStatus = response.status;
+    cp.profileSentAt = Date.now();
+    if (response.status === 'Accepted') {
+      if (cp.limit !== limit) console.log(`🚗 OCPP ${cp.id}: ${limit}A x ${phases} (${reason})`);
+      cp.limit = limit;
+      cp.limitReason = reason;
+    } else {
+      console.warn(`⚠️ OCPP ${cp.id}: charging profile ${response.status}`);
+    }
+    return { limit, phases, reason, status: response.status };
+  }
+
+  getChargePoint(chargePointId) {
+    const cp = this.chargePoints.get(chargePointId);
+    if (!cp || !cp.ws) {
+      throw new Error(`Charge point ${chargePointId} is not connected`);
+    }
+    return cp;
+  }
+
+  async remoteStart(chargePointId, connectorId = 1, idTag = 'SOLARAUTOPILOT') {
+    const cp = this.getChargePoint(chargePointId);
+    const response = await this.call(cp, 'RemoteStartTransaction', { connectorId, idTag });
+    return { status: response.status };
+  }
+
+  async remoteStop(chargePointId) {
+    const cp = this.getChargePoint(chargePointId);
+    if (!cp.transaction) {
+      throw new Error(`No transaction running on ${chargePointId}`);
+    }
+    const response = await this.call(cp, 'RemoteStopTransaction', { transactionId: cp.transaction.id });
+    return { status: response.status };
+  }
+
+  updateSettings(input = {}) {
+    const config = { ...this.config };
+    const number = (key, min, max) => {
+      if (input[key] === undefined) return;
+      const value = parseFloat(input[key]);
+      if (isNaN(value) || value < min || value > max) {
+        throw new Error(`${key} must be between ${min} and ${max}`);
+      }
+      config[key] = value;
+    };
+
+    if (input.enabled !== undefined) config.enabled = input.enabled === true || input.enabled === 'true';
+    if (input.mode !== undefined) {
+      if (!MODES.includes(input.mode)) {
+        throw new Error(`Invalid mode: ${input.mode}. Allowed: ${MODES.join(', ')}`);
+      }
+      config.mode = input.mode;
+    }
+    number('minCurrent', ...SETTING_RANGES.minCurrent);
+    number('maxCurrent', ...SETTING_RANGES.maxCurrent);
+    number('phases', ...SETTING_RANGES.phases);
+    number('voltage', 100, 260);
+    number('batteryPrioritySoc', 0, 100);
+    number('pauseDelayMinutes', 0, 60);
+    if (input.cheapPrice !== undefined) {
+      config.cheapPrice = input.cheapPrice === null || input.cheapPrice === '' ? null : parseFloat(input.cheapPrice);
+      if (config.cheapPrice !== null && isNaN(config.cheapPrice)) {
+        throw new Error('cheapPrice must be a number or empty');
+      }
+    }
+    if (input.loadIncludesEv !== undefined) config.loadIncludesEv = input.loadIncludesEv === true || input.loadIncludesEv === 'true';
+    ['allowedChargePoints', 'allowedIdTags'].forEach(key => {
+      if (input[key] === undefined) return;
+      const list = Array.isArray(input[key]) ? input[key] : String(input[key]).split(',');
+      config[key] = list.map(item => String(item).trim()).filter(Boolean);
+    });
+    if (config.minCurrent > config.maxCurrent) {
+      throw new Error('minCurrent must not be above maxCurrent');
+    }
+    Object.entries(config.chargePoints).forEach(([chargePointId, overrides]) => {
+      const settings = { ...config, ...overrides };
+      if (settings.minCurrent > settings.maxCurrent) {
+        throw new Error(`minCurrent must not be above maxCurrent for ${chargePointId}, change its override first`);
+      }
+    });
+    if (config.enabled && config.allowedChargePoints.length === 0) {
+      throw new Error('Add the charge point ids of your wallboxes before enabling OCPP');
+    }
+
+    this.config = config;
+    this.saveConfig();
+    this.controlAll().catch(() => {});
+    return this.getSettingsSummary();
+  }
+
+  // Allowed or connected charge points, the only ids settings can be stored for
+  isKnownChargePoint(chargePointId) {
+    return CHARGE_POINT_ID.test(chargePointId) &&
+      (this.config.allowedChargePoints.includes(chargePointId) || this.chargePoints.has(chargePointId));
+  }
+
+  // Per charge point mode and current overrides, null removes an override
+  updateChargePointSettings(chargePointId, input = {}) {
+    if (!this.isKnownChargePoint(chargePointId)) {
+      throw new Error(`Unknown charge point: ${chargePointId}`);
+    }
+    const overrides = { ...(this.config.chargePoints[chargePointId] || {}) };
+    CHARGE_POINT_SETTINGS.forEach(key => {
+      if (input[key] === undefined) return;
+      if (input[key] === null || input[key] === '') {
+        delete overrides[key];
+      } else if (key === 'mode') {
+        if (!MODES.includes(input.mode)) {
+          throw new Error(`Invalid mode: ${input.mode}. Allowed: ${MODES.join(', ')}`);
+        }
+        overrides.mode = input.mode;
+      } else {
+        const [min, max] = SETTING_RANGES[key];
+        const value = parseFloat(input[key]);
+        if (isNaN(value) || value < min || value > max) {
+          throw new Error(`${key} must be between ${min} and ${max}`);
+        }
+        overrides[key] = value;
+      }
+    });
+    const settings = { ...this.config, ...overrides };
+    if (settings.minCurrent > settings.maxCurrent) {
+      throw new Error(`minCurrent ${settings.minCurrent}A must not be above maxCurrent ${settings.maxCurrent}A`);
+    }
+
+    this.config.chargePoints[chargePointId] = overrides;
+    this.saveConfig();
+    const cp = this.chargePoints.get(chargePointId);
+    if (cp) this.control(cp).catch(() => {});
+    return this.getSettings(chargePointId);
+  }
+
+  // What the battery decision needs to know about the car
+  getEvStatus() {
+    let powerW = 0;
+    let charging = 0;
+    this.chargePoints.forEach(cp => {
+      if (!this.isCharging(cp)) return;
+      charging++;
+      powerW += cp.meter.powerW || 0;
+    });
+    return { charging: charging > 0, chargePoints: charging, powerW: Math.round(powerW) };
+  }
+
+  getSettingsSummary() {
+    const { transactions, nextTransactionId, ...settings } = this.config;
+    return { ...settings, modes: MODES };
+  }
+
+  getStatus() {
+    return {
+      settings: this.getSettingsSummary(),
+      endpoint: { path: `${PATH_PREFIX}<chargePointId>`, protocol: PROTOCOL },
+      cheapPrice: this.isCheapPrice(),
+      surplusW: Math.round(this.getSurplus(this.getEvStatus().powerW)),
+      ev: this.getEvStatus(),
+      chargePoints: Array.from(this.chargePoints.values()).map(cp => ({
+        id: cp.id,
+        connected: !!cp.ws,
+        connectedAt: cp.connectedAt,
+        lastSeen: new Date(cp.lastSeen).toISOString(),
+        boot: cp.boot,
+        connectors: cp.connectors,
+        meter: cp.meter,
+        settings: this.getSettings(cp.id),
+        limit: cp.limit,
+        limitReason: cp.limitReason,
+        profileStatus: cp.profileStatus,
+        transaction: cp.transaction ? {
+          id: cp.transaction.id,
+          connectorId: cp.transaction.connectorId,
+          idTag: cp.transaction.idTag,
+          startedAt: cp.transaction.startedAt,
+          energyKwh: Math.round((cp.transaction.meterNow - cp.transaction.meterStart) / 10) / 100,
+          solarKwh: Math.round(cp.transaction.solarWh / 10) / 100
+        } : null
+      })),
+      transactions: this.config.transactions.slice(0, 20)
+    };
+  }
+}
+
+module.exports = new OcppService();
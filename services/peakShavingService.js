@@ -0,0 +1,368 @@
+// Peak Shaving - keeps the grid import under a limit (demand charges, weak connections, fuses)
+// Every grid_power message is checked instead of waiting for the 5 minute evaluation: above the
+// limit the engine stops grid charging and lets the battery carry the load, ahead of any price
+// decision. Before forecast load peaks the battery is pre-charged with the energy they need.
+// Grid charging - pre-charge or price driven - only runs while the load leaves room for it under
+// the limit, so a charge that would cross it is blocked instead of triggering the shaving mode.
+// Monthly peaks - instantaneous and 15 minute average, how demand charges are billed - and the
+// settings are stored in data/peak_shaving.json.
+
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
+const siteConfigService = require('./siteConfigService');
+const notificationService = require('./notificationService');
+
+const TRIGGER_FACTOR = 0.95; // shaving starts at 95% of the limit
+const RELEASE_FACTOR = 0.85; // and ends when the load alone stays below 85%
+const RELEASE_DELAY = 5 * 60 * 1000;
+const OVER_LIMIT_ALERT = 60 * 1000; // limit still exceeded while shaving: the battery cannot hold it
+const DEMAND_INTERVAL = 15 * 60 * 1000;
+const MAX_SAMPLE_GAP = 60 * 1000;
+const SAMPLE_MAX_AGE = 5 * 60 * 1000; // older readings say nothing about the charging headroom
+const PRECHARGE_HOURS = 12;
+const PLAN_MAX_AGE = 2 * 60 * 60 * 1000;
+const MAX_MONTHS = 24;
+
+class PeakShavingService {
+  constructor() {
+    this.configFile = path.join(__dirname, '..', 'data', 'peak_shaving.json');
+    this.onChange = null;
+
+    this.active = null; // { since, importW } while shaving
+    this.releaseSince = null;
+    this.overLimitSince = null;
+    this.lastSample = null; // { at, importW, loadImportW }
+    this.chargeLimited = false; // import above the trigger because of battery charging
+    this.demand = null; // { start, sum, count } of the running 15 minute interval
+    this.preCharge = null;
+
+    this.config = this.loadConfig();
+  }
+
+  getDefaultConfig() {
+    return {
+      enabled: false,
+      maxImportKw: 10,
+      reserveSoc: 30, // % kept for peaks the forecast does not see
+      preCharge: true,
+      months: {} // 'YYYY-MM' -> peaks and shaving statistics
+    };
+  }
+
+  loadConfig() {
+    const defaults = this.getDefaultConfig();
+    try {
+      if (fs.existsSync(this.configFile)) {
+        return { ...defaults, ...JSON.parse(fs.readFileSync(this.configFile, 'utf8')) };
+      }
+    } catch (error) {
+      console.error('Error loading peak shaving config:', error.message);
+    }
+    return defaults;
+  }
+
+  saveConfig() {
+    try {
+      const dataDir = path.dirname(this.configFile);
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+      fs.writeFileSync(this.configFile, JSON.stringify(this.config, null, 2));
+      return true;
+    } catch (error) {
+      console.error('Error saving peak shaving config:', error.message);
+      return false;
+    }
+  }
+
+  initialize(options = {}) {
+    if (options.onChange) this.onChange = options.onChange;
+    console.log(`✅ Peak shaving ${this.config.enabled ? `enabled, grid import limit ${this.config.maxImportKw} kW` : 'disabled'}`);
+  }
+
+  getLimitW() {
+    return this.config.maxImportKw * 1000;
+  }
+
+  isShaving() {
+    return this.config.enabled && !!this.active;
+  }
+
+  getMonth(time) {
+    const key = moment(time).tz(siteConfigService.getTimezone()).format('YYYY-MM');
+    if (!this.config.months[key]) {
+      this.config.months[key] = {
+        peakImportW: 0,
+        peakImportAt: null,
+        peakDemandW: 0, // highest 15 minute average
+        peakDemandAt: null,
+        shavingEvents: 0,
+        overLimitMinutes: 0
+      };
+      const keys = Object.keys(this.config.months).sort();
+      keys.slice(0, Math.max(0, keys.length - MAX_MONTHS)).forEach(old => delete this.config.months[old]);
+    }
+    return this.config.months[key];
+  }
+
+  // 15 minute average import, finished intervals count towards the monthly demand peak
+  recordDemand(importW, now) {
+    const start = now - now % DEMAND_INTERVAL;
+    if (this.demand && this.demand.start !== start) {
+      const average = this.demand.sum / this.demand.count;
+      const month = this.getMonth(this.demand.start);
+      if (average > month.peakDemandW) {
+        month.peakDemandW = Math.round(average);
+        month.peakDemandAt = new Date(this.demand.start).toISOString();
+      }
+      this.saveConfig();
+      this.demand = null;
+    }
+    if (!this.demand) this.demand = { start, sum: 0, count: 0 };
+    this.demand.sum += importW;
+    this.demand.count++;
+  }
+
+  // Fed with every grid_power message; grid_power > 0 is import, battery_power < 0 is discharge
+  onGridPower(state, now = Date.now()) {
+    const importW = Math.max(0, state?.grid_power || 0);
+    const elapsed = this.lastSample ? Math.min(MAX_SAMPLE_GAP, now - this.lastSample.at) : 0;
+    const limitW = this.getLimitW();
+
+    const month = this.getMonth(now);
+    if (importW > month.peakImportW) {
+      month.peakImportW = Math.round(importW);
+      month.peakImportAt = new Date(now).toISOString();
+    }
+    if (this.config.enabled && this.lastSample && this.lastSample.importW > limitW) {
+      month.overLimitMinutes = Math.round((month.overLimitMinutes + elapsed / 60000) * 100) / 100;
+    }
+    this.recordDemand(importW, now);
+    // What the house draws from the grid without charging or discharging the battery
+    const loadImportW = Math.max(0, importW - (state?.battery_power || 0));
+    this.lastSample = { at: now, importW, loadImportW };
+
+    if (!this.config.enabled) return;
+
+    if (!this.active) {
+      // Battery charging pushed the import up, the charge stops and the load stays on the grid
+      if (importW > limitW * TRIGGER_FACTOR && loadImportW <= limitW * TRIGGER_FACTOR) {
+        if (!this.chargeLimited) {
+          this.chargeLimited = true;
+          console.log(`📉 Peak shaving: battery charging raised the import to ${Math.round(importW)}W - grid charging paused`);
+          this.notifyChange('charge_limit');
+        }
+        return;
+      }
+      this.chargeLimited = false;
+
+      if (importW > limitW * TRIGGER_FACTOR) {
+        this.active = { since: now, importW: Math.round(importW) };
+        this.releaseSince = null;
+        month.shavingEvents++;
+        console.log(`📉 Peak shaving: import ${Math.round(importW)}W near the ${limitW}W limit - battery takes over`);
+        this.notifyChange('start');
+      }
+      return;
+    }
+
+    this.checkOverLimit(importW, now);
+
+    if (loadImportW >= limitW * RELEASE_FACTOR) {
+      this.releaseSince = null;
+      return;
+    }
+    this.releaseSince = this.releaseSince || now;
+    if (now - this.releaseSince >= RELEASE_DELAY) {
+      console.log(`📉 Peak shaving ended after ${Math.round((now - this.active.since) / 60000)} min`);
+      this.active = null;
+      this.releaseSince = null;
+      this.overLimitSince = null;
+      this.notifyChange('end');
+    }
+  }
+
+  // 'start' and 'end' of shaving, 'charge_limit' when charging alone crossed the trigger
+  notifyChange(event) {
+    if (!this.onChange) return;
+    Promise.resolve(this.onChange(event)).catch(error => {
+      console.error('❌ Error applying peak shaving:', error.message);
+    });
+  }
+
+  checkOverLimit(importW, now) {
+    if (importW <= this.getLimitW()) {
+      this.overLimitSince = null;
+      return;
+    }
+    this.overLimitSince = this.overLimitSince || now;
+    if (now - this.overLimitSince < OVER_LIMIT_ALERT) return;
+
+    // Once per excursion
+    this.overLimitSince = Infinity;
+    this.notifyOverLimit(importW).catch(() => {});
+  }
+
+  async notifyOverLimit(importW) {
+    try {
+      const notification = notificationService.createNotification({
+        type: 'system_alert',
+        severity: 'warning',
+        title: '📉 Grid Import Limit Exceeded',
+        message: `Grid import is ${Math.round(importW)}W, above the ${this.getLimitW()}W limit for more than a minute although the battery is discharging. The battery may be empty or at its discharge limit.`,
+        source: 'peak_shaving',
+        data: { importW: Math.round(importW), limitW: this.getLimitW() },
+        channels: ['ui', 'telegram'],
+        priority: 'high',
+        suppressionKey: 'peak_shaving_over_limit'
+      });
+      await notificationService.processNotification(notification);
+    } catch (error) {
+      console.error('Error sending peak shaving notification:', error.message);
+    }
+  }
+
+  // Energy the forecast peaks above the limit need from the battery, on top of the reserve
+  planPreCharge({ now = new Date(), loadForecast = [], solarForecast = [], capacityKwh, socMin = 0, socMax = 100, efficiency = 0.95 }) {
+    if (!this.config.enabled || !(capacityKwh > 0)) {
+      this.preCharge = null;
+      return null;
+    }
+
+    const limitW = this.getLimitW();
+    const end = now.getTime() + PRECHARGE_HOURS * 60 * 60 * 1000;
+    const solarByHour = new Map(solarForecast.map(entry => [new Date(entry.timestamp).getTime(), entry.power || 0]));
+    const peaks = loadForecast
+      .filter(entry => {
+        const time = new Date(entry.timestamp).getTime();
+        return time >= now.getTime() - 60 * 60 * 1000 && time < end;
+      })
+      .map(entry => {
+        const time = new Date(entry.timestamp).getTime();
+        const netLoad = entry.power - (solarByHour.get(time) || 0);
+        return { timestamp: new Date(time).toISOString(), netLoadW: Math.round(netLoad), excessW: Math.round(netLoad - limitW) };
+      })
+      .filter(peak => peak.excessW > 0);
+
+    const neededKwh = peaks.reduce((sum, peak) => sum + peak.excessW / 1000, 0) / efficiency;
+    const reserveSoc = Math.max(this.config.reserveSoc, socMin);
+    this.preCharge = {
+      plannedAt: now.getTime(),
+      peaks,
+      neededKwh: Math.round(neededKwh * 100) / 100,
+      requiredSoc: peaks.length > 0 ? Math.min(socMax, Math.round(reserveSoc + neededKwh / capacityKwh * 100)) : null
+    };
+    return this.preCharge;
+  }
+
+  getPreCharge() {
+    if (!this.config.enabled || !this.preCharge || Date.now() - this.preCharge.plannedAt > PLAN_MAX_AGE) return null;
+    return this.preCharge;
+  }
+
+  needsPreCharge(soc) {
+    const preCharge = this.getPreCharge();
+    return !!(this.config.preCharge && preCharge?.requiredSoc && typeof soc === 'number' && soc < preCharge.requiredSoc);
+  }
+
+  // Grid charging at chargePowerW fits when it keeps the import below the release level, which
+  // leaves the gap to the trigger as hysteresis. Without recent readings charging is not held back.
+  canGridCharge(chargePowerW, now = Date.now()) {
+    if (!this.config.enabled || !this.lastSample || now - this.lastSample.at > SAMPLE_MAX_AGE) return true;
+    return this.lastSample.loadImportW + chargePowerW <= this.getLimitW() * RELEASE_FACTOR;
+  }
+
+  getChargeHeadroomW() {
+    if (!this.lastSample) return null;
+    return Math.max(0, Math.round(this.getLimitW() * RELEASE_FACTOR - this.lastSample.loadImportW));
+  }
+
+  // SOC price decisions must not discharge below, 0 when peak shaving is off
+  getReserveSoc() {
+    if (!this.config.enabled) return 0;
+    return Math.max(this.config.reserveSoc, this.getPreCharge()?.requiredSoc || 0);
+  }
+
+  getReason() {
+    if (this.isShaving()) {
+      return `Peak shaving: grid import above ${Math.round(this.getLimitW() * TRIGGER_FACTOR)}W since ${new Date(this.active.since).toLocaleTimeString()}, battery carries the load`;
+    }
+    const preCharge = this.getPreCharge();
+    if (preCharge?.requiredSoc) {
+      return `Peak shaving: ${preCharge.peaks.length} forecast hour(s) above ${this.config.maxImportKw} kW, battery held at ${preCharge.requiredSoc}% (${preCharge.neededKwh} kWh)`;
+    }
+    return null;
+  }
+
+  updateSettings(input = {}) {
+    const updated = { ...this.config };
+    if (input.enabled !== undefined) {
+      updated.enabled = input.enabled === true || input.enabled === 'true';
+    }
+    if (input.preCharge !== undefined) {
+      updated.preCharge = input.preCharge === true || input.preCharge === 'true';
+    }
+    if (input.maxImportKw !== undefined) {
+      const maxImportKw = parseFloat(input.maxImportKw);
+      if (!(maxImportKw >= 0.5) || maxImportKw > 1000) {
+        throw new Error('maxImportKw must be between 0.5 and 1000');
+      }
+      updated.maxImportKw = maxImportKw;
+    }
+    if (input.reserveSoc !== undefined) {
+      const reserveSoc = parseFloat(input.reserveSoc);
+      if (isNaN(reserveSoc) || reserveSoc < 0 || reserveSoc > 100) {
+        throw new Error('reserveSoc must be between 0 and 100');
+      }
+      updated.reserveSoc = reserveSoc;
+    }
+
+    const wasShaving = this.isShaving();
+    this.config = updated;
+    if (!updated.enabled) {
+      this.active = null;
+      this.chargeLimited = false;
+      this.releaseSince = null;
+      this.overLimitSince = null;
+      this.preCharge = null;
+    }
+    this.saveConfig();
+    if (wasShaving && !this.isShaving()) this.notifyChange('end');
+
+    console.log(`📉 Peak shaving ${updated.enabled ? `enabled: ${updated.maxImportKw} kW limit, reserve ${updated.reserveSoc}%` : 'disabled'}`);
+    return this.getSettings();
+  }
+
+  getSettings() {
+    const { months, ...settings } = this.config;
+    return settings;
+  }
+
+  getState() {
+    return {
+      enabled: this.config.enabled,
+      shaving: this.isShaving(),
+      limitW: this.getLimitW(),
+      requiredSoc: this.getPreCharge()?.requiredSoc || null
+    };
+  }
+
+  getStatus() {
+    return {
+      settings: this.getSettings(),
+      shaving: this.isShaving(),
+      since: this.active ? new Date(this.active.since).toISOString() : null,
+      importW: this.lastSample ? Math.round(this.lastSample.importW) : null,
+      limitW: this.getLimitW(),
+      chargeHeadroomW: this.config.enabled ? this.getChargeHeadroomW() : null,
+      preCharge: this.getPreCharge(),
+      reason: this.getReason(),
+      months: Object.entries(this.config.months)
+        .sort(([a], [b]) => b.localeCompare(a))
+        .map(([month, stats]) => ({ month, ...stats }))
+    };
+  }
+}
+
+module.exports = new PeakShavingService();
@@ -0,0 +1,131 @@
+// PV Arrays - geometry and size of the PV arrays for the solar predictor
+// Azimuth is clockwise from north (90 east, 180 south, 270 west), tilt 0 is flat.
+// The optional horizon profile lists horizon elevations in degrees, evenly spaced
+// clockwise from north (36 values is one per 10°, the PVGIS horizon format).
+
+const fs = require('fs');
+const path = require('path');
+
+class PVArrayService {
+  constructor() {
+    this.configFile = path.join(__dirname, '..', 'data', 'pv_arrays.json');
+    this.config = this.loadConfig();
+  }
+
+  getDefaultConfig() {
+    return {
+      // No arrays means the predictor relies on learned patterns only
+      arrays: []
+    };
+  }
+
+  loadConfig() {
+    const defaults = this.getDefaultConfig();
+    try {
+      if (fs.existsSync(this.configFile)) {
+        const saved = JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
+        return { ...defaults, ...saved, arrays: saved.arrays || [] };
+      }
+    } catch (error) {
+      console.error('Error loading PV arrays:', error.message);
+    }
+    return defaults;
+  }
+
+  saveConfig() {
+    try {
+      const dataDir = path.dirname(this.configFile);
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+      fs.writeFileSync(this.configFile, JSON.stringify(this.config, null, 2));
+      return true;
+    } catch (error) {
+      console.error('Error saving PV arrays:', error.message);
+      return false;
+    }
+  }
+
+  getArrays() {
+    return this.config.arrays;
+  }
+
+  getArray(arrayId) {
+    return this.config.arrays.find(array => array.id === arrayId) || null;
+  }
+
+  parseNumber(value, name, min, max) {
+    const number = parseFloat(value);
+    if (isNaN(number) || number < min || number > max) {
+      throw new Error(`${name} must be a number between ${min} and ${max}`);
+    }
+    return number;
+  }
+
+  buildArray(input, existing = null) {
+    const source = { ...(existing || {}), ...input };
+
+    const id = String(source.id || '').trim();
+    if (!/^[a-z0-9_-]+$/i.test(id)) {
+      throw new Error('Array id may only contain letters, numbers, - and _');
+    }
+
+    const kwp = parseFloat(source.kwp);
+    if (isNaN(kwp) || kwp <= 0) {
+      throw new Error('kwp must be a positive number');
+    }
+
+    let horizon = null;
+    if (source.horizon !== undefined && source.horizon !== null && source.horizon !== '') {
+      if (!Array.isArray(source.horizon) || source.horizon.length < 4 ||
+        source.horizon.some(value => typeof value !== 'number' || value < 0 || value > 90)) {
+        throw new Error('horizon must be at least 4 elevations between 0 and 90 degrees');
+      }
+      horizon = source.horizon;
+    }
+
+    return {
+      id,
+      name: source.name || id,
+      kwp,
+      azimuth: this.parseNumber(source.azimuth ?? 180, 'azimuth', 0, 360),
+      tilt: this.parseNumber(source.tilt ?? 30, 'tilt', 0, 90),
+      losses: this.parseNumber(source.losses ?? 14, 'losses', 0, 100), // % for wiring, inverter, soiling
+      temperatureCoefficient: this.parseNumber(source.temperatureCoefficient ?? -0.4, 'temperatureCoefficient', -2, 0), // %/°C
+      horizon
+    };
+  }
+
+  saveArray(input) {
+    const existing = input.id ? this.getArray(input.id) : null;
+    const array = this.buildArray(input, existing);
+
+    if (existing) {
+      this.config.arrays = this.config.arrays.map(item => item.id === array.id ? array : item);
+    } else {
+      this.config.arrays.push(array);
+    }
+    this.saveConfig();
+
+    console.log(`☀️ PV array saved: ${array.name} (${array.kwp} kWp, azimuth ${array.azimuth}°, tilt ${array.tilt}°)`);
+    return array;
+  }
+
+  deleteArray(arrayId) {
+    if (!this.getArray(arrayId)) {
+      throw new Error(`Unknown PV array: ${arrayId}`);
+    }
+    this.config.arrays = this.config.arrays.filter(array => array.id !== arrayId);
+    this.saveConfig();
+    return true;
+  }
+
+  getStatus() {
+    return {
+      arrays: this.config.arrays,
+      totalKwp: Math.round(this.config.arrays.reduce((sum, array) => sum + array.kwp, 0) * 100) / 100
+    };
+  }
+}
+
+module.exports = new PVArrayService();
@@ -0,0 +1,404 @@
+// Schedule Service - one-off and recurring inverter setting changes
+// Schedules are persisted in data/schedules.json and published through the same
+// path as the manual work mode / battery charging APIs (mapping + command policy).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const cron = require('node-cron');
+const notificationService = require('./notificationService');
+
+const SCHEDULE_TYPES = ['once', 'recurring'];
+// What to do when the AI engine controls the same setting on the inverter
+const CONFLICT_ACTIONS = ['skip', 'run'];
+
+class ScheduleService {
+  constructor() {
+    this.configFile = path.join(__dirname, '..', 'data', 'schedules.json');
+    this.publishSetting = null;
+    this.getControlledSettings = null;
+    this.allowedSettings = [];
+    this.inverterNumber = 1;
+    this.timezone = null;
+
+    this.tasks = new Map(); // schedule id -> cron task
+    this.onceTask = null;
+    this.maxHistory = 200;
+    this.running = new Set();
+
+    this.config = this.loadConfig();
+  }
+
+  loadConfig() {
+    const defaults = { schedules: [], history: [] };
+    try {
+      if (fs.existsSync(this.configFile)) {
+        const saved = JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
+        return {
+          schedules: Array.isArray(saved.schedules) ? saved.schedules : [],
+          history: Array.isArray(saved.history) ? saved.history : []
+        };
+      }
+    } catch (error) {
+      console.error('Error loading schedules:', error.message);
+    }
+    return defaults;
+  }
+
+  saveConfig() {
+    try {
+      const dataDir = path.dirname(this.configFile);
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+      fs.writeFileSync(this.configFile, JSON.stringify(this.config, null, 2));
+      return true;
+    } catch (error) {
+      console.error('Error saving schedules:', error.message);
+      return false;
+    }
+  }
+
+  initialize(config = {}) {
+    this.publishSetting = config.publishSetting;
+    this.getControlledSettings = config.getControlledSettings || (() => []);
+    this.allowedSettings = config.allowedSettings || [];
+    this.inverterNumber = parseInt(config.inverterNumber) || 1;
+    this.timezone = config.timezone || null;
+
+    this.stop();
+    this.config.schedules.forEach(schedule => this.startTask(schedule));
+
+    // One-off schedules are checked every minute so dates far in the future work too
+    this.onceTask = cron.schedule('* * * * *', () => this.runDueOnceSchedules());
+    this.runDueOnceSchedules();
+
+    const active = this.config.schedules.filter(schedule => schedule.enabled).length;
+    console.log(`✅ Setting scheduler initialized (${active}/${this.config.schedules.length} schedules active)`);
+  }
+
+  setTimezone(timezone) {
+    if (!timezone || timezone === this.timezone) return;
+    this.timezone = timezone;
+
+    // Recurring schedules are bound to the timezone they were started in
+    this.tasks.forEach(task => task.stop());
+    this.tasks.clear();
+    this.config.schedules.forEach(schedule => this.startTask(schedule));
+  }
+
+  startTask(schedule) {
+    if (schedule.type !== 'recurring' || !schedule.enabled) return;
+
+    const options = this.timezone ? { timezone: this.timezone } : {};
+    const task = cron.schedule(schedule.cron, () => {
+      this.execute(schedule.id, 'schedule').catch(error => {
+        console.error(`Error running schedule ${schedule.name}:`, error.message);
+      });
+    }, options);
+    this.tasks.set(schedule.id, task);
+  }
+
+  stopTask(scheduleId) {
+    const task = this.tasks.get(scheduleId);
+    if (task) {
+      task.stop();
+      this.tasks.delete(scheduleId);
+    }
+  }
+
+  runDueOnceSchedules() {
+    const now = Date.now();
+    this.config.schedules
+      .filter(schedule => schedule.type === 'once' && schedule.enabled && !schedule.lastRun &&
+        new Date(schedule.runAt).getTime() <= now)
+      .forEach(schedule => {
+        this.execute(schedule.id, 'schedule').catch(error => {
+          console.error(`Error running schedule ${schedule.name}:`, error.message);
+        });
+      });
+  }
+
+  // Normalize and validate user input into a stored schedule
+  buildSchedule(input, existing = null) {
+    const source = { ...(existing || {}), ...input };
+
+    const name = String(source.name || '').trim();
+    if (!name) {
+      throw new Error('Schedule name is required');
+    }
+
+    if (!this.allowedSettings.includes(source.setting)) {
+      throw new Error(`Invalid setting: ${source.setting}`);
+    }
+
+    if (source.value === undefined || source.value === null || String(source.value).trim() === '') {
+      throw new Error('Value is required');
+    }
+
+    let inverters = source.inverters;
+    if (inverters === 'all' || inverters === undefined) {
+      inverters = 'all';
+    } else {
+      if (!Array.isArray(inverters)) inverters = [inverters];
+      inverters.forEach(inverterId => {
+        const match = String(inverterId).match(/^inverter_(\d+)$/);
+        if (!match || parseInt(match[1]) < 1 || parseInt(match[1]) > this.inverterNumber) {
+          throw new Error(`Invalid inverter: ${inverterId}. Valid values: inverter_1-inverter_${this.inverterNumber}`);
+        }
+      });
+      if (inverters.length === 0) {
+        throw new Error('At least one inverter is required');
+      }
+    }
+
+    if (!SCHEDULE_TYPES.includes(source.type)) {
+      throw new Error(`Invalid schedule type: ${source.type}. Allowed: ${SCHEDULE_TYPES.join(', ')}`);
+    }
+
+    const onConflict = source.onConflict || 'skip';
+    if (!CONFLICT_ACTIONS.includes(onConflict)) {
+      throw new Error(`Invalid conflict action: ${onConflict}. Allowed: ${CONFLICT_ACTIONS.join(', ')}`);
+    }
+
+    const schedule = {
+      id: existing?.id || `schedule-${crypto.randomUUID()}`,
+      name,
+      setting: source.setting,
+      value: String(source.value),
+      inverters,
+      type: source.type,
+      onConflict,
+      enabled: source.enabled === undefined ? true : source.enabled === true || source.enabled === 'true',
+      createdAt: existing?.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      lastRun: existing?.lastRun || null,
+      lastStatus: existing?.lastStatus || null,
+      lastManualRun: existing?.lastManualRun || null,
+      lastManualStatus: existing?.lastManualStatus || null
+    };
+
+    if (schedule.type === 'once') {
+      const runAt = new Date(source.runAt);
+      if (!source.runAt || isNaN(runAt.getTime())) {
+        throw new Error('runAt must be a valid date for one-off schedules');
+      }
+      schedule.runAt = runAt.toISOString();
+      // Moving a one-off schedule makes it due again
+      if (existing && existing.runAt !== schedule.runAt) {
+        schedule.lastRun = null;
+        schedule.lastStatus = null;
+      }
+    } else {
+      const expression = String(source.cron || '').trim();
+      if (!cron.validate(expression)) {
+        throw new Error(`Invalid cron expression: ${source.cron}`);
+      }
+      schedule.cron = expression;
+    }
+
+    return schedule;
+  }
+
+  createSchedule(input) {
+    const schedule = this.buildSchedule(input);
+    this.config.schedules.push(schedule);
+    this.saveConfig();
+    this.startTask(schedule);
+
+    console.log(`🗓️ Schedule created: ${schedule.name} (${schedule.setting} = ${schedule.value}, ${this.describe(schedule)})`);
+    return this.withConflicts(schedule);
+  }
+
+  updateSchedule(scheduleId, input) {
+    const index = this.config.schedules.findIndex(schedule => schedule.id === scheduleId);
+    if (index === -1) {
+      throw new Error(`Unknown schedule: ${scheduleId}`);
+    }
+
+    const schedule = this.buildSchedule(input, this.config.schedules[index]);
+    this.stopTask(scheduleId);
+    this.config.schedules[index] = schedule;
+    this.saveConfig();
+    this.startTask(schedule);
+
+    return this.withConflicts(schedule);
+  }
+
+  deleteSchedule(scheduleId) {
+    const before = this.config.schedules.length;
+    this.config.schedules = this.config.schedules.filter(schedule => schedule.id !== scheduleId);
+    if (this.config.schedules.length === before) {
+      throw new Error(`Unknown schedule: ${scheduleId}`);
+    }
+
+    this.stopTask(scheduleId);
+    this.saveConfig();
+    return true;
+  }
+
+  getInverterIds(schedule) {
+    if (schedule.inverters === 'all') {
+      return Array.from({ length: this.inverterNumber }, (_, i) => `inverter_${i + 1}`);
+    }
+    return schedule.inverters;
+  }
+
+  // Inverters on which the AI engine currently writes the same setting
+  findConflicts(schedule) {
+    return this.getInverterIds(schedule)
+      .filter(inverterId => this.getControlledSettings(inverterId).includes(schedule.setting))
+      .map(inverterId => ({
+        inverterId,
+        setting: schedule.setting,
+        reason: `AI engine controls ${schedule.setting} on ${inverterId} and may overwrite this change`
+      }));
+  }
+
+  withConflicts(schedule) {
+    return { ...schedule, description: this.describe(schedule), conflicts: this.findConflicts(schedule) };
+  }
+
+  describe(schedule) {
+    if (schedule.type === 'once') {
+      return `once at ${new Date(schedule.runAt).toLocaleString()}`;
+    }
+    return `cron ${schedule.cron}${this.timezone ? ` (${this.timezone})` : ''}`;
+  }
+
+  async execute(scheduleId, trigger = 'schedule') {
+    const schedule = this.config.schedules.find(item => item.id === scheduleId);
+    if (!schedule) {
+      throw new Error(`Unknown schedule: ${scheduleId}`);
+    }
+    // A slow publish must not be overlapped by the next minute tick
+    if (this.running.has(scheduleId)) return null;
+    this.running.add(scheduleId);
+
+    try {
+      const conflicts = this.findConflicts(schedule);
+      const results = [];
+
+      for (const inverterId of this.getInverterIds(schedule)) {
+        const conflict = conflicts.find(item => item.inverterId === inverterId);
+        if (conflict && schedule.onConflict === 'skip') {
+          results.push({ inverterId, status: 'conflict', error: conflict.reason });
+          continue;
+        }
+
+        const result = this.publishSetting ?
+          await this.publishSetting(inverterId, schedule.setting, schedule.value, 'SCHEDULER') :
+          { success: false, error: 'Scheduler not initialized' };
+
+        results.push({
+          inverterId,
+          status: result.success ? 'sent' : (result.rule ? 'rejected' : 'failed'),
+          topic: result.topic || null,
+          value: result.value !== undefined ? String(result.value) : schedule.value,
+          error: result.success ? null : result.error,
+          conflict: conflict ? conflict.reason : null
+        });
+      }
+
+      const sent = results.filter(result => result.status === 'sent').length;
+      const status = sent === results.length ? 'success' : (sent > 0 ? 'partial' : 'failed');
+
+      const entry = {
+        id: `run-${crypto.randomUUID()}`,
+        scheduleId: schedule.id,
+        name: schedule.name,
+        setting: schedule.setting,
+        value: schedule.value,
+        trigger,
+        status,
+        results,
+        timestamp: new Date().toISOString()
+      };
+      this.addHistory(entry);
+
+      // One-off schedules are done after their run; manual runs are kept apart so they stay pending
+      if (schedule.type === 'once' && trigger !== 'schedule') {
+        schedule.lastManualRun = entry.timestamp;
+        schedule.lastManualStatus = status;
+      } else {
+        schedule.lastRun = entry.timestamp;
+        schedule.lastStatus = status;
+        if (schedule.type === 'once') {
+          schedule.enabled = false;
+        }
+      }
+      this.saveConfig();
+
+      console.log(`🗓️ Schedule "${schedule.name}": ${schedule.setting} = ${schedule.value} -> ${status} (${sent}/${results.length} inverters)`);
+      if (status !== 'success') {
+        this.notifyProblem(schedule, entry);
+      }
+
+      return entry;
+    } finally {
+      this.running.delete(scheduleId);
+    }
+  }
+
+  addHistory(entry) {
+    this.config.history.unshift(entry);
+    if (this.config.history.length > this.maxHistory) {
+      this.config.history = this.config.history.slice(0, this.maxHistory);
+    }
+  }
+
+  async notifyProblem(schedule, entry) {
+    try {
+      const problems = entry.results.filter(result => result.status !== 'sent');
+      const notification = notificationService.createNotification({
+        type: 'system_alert',
+        severity: 'warning',
+        title: '🗓️ Scheduled Setting Change Incomplete',
+        message: `Schedule "${schedule.name}" (${schedule.setting} = ${schedule.value}) was not applied on ` +
+          problems.map(result => `${result.inverterId}: ${result.error || result.status}`).join('; '),
+        source: 'scheduler',
+        data: entry,
+        channels: ['ui', 'telegram'],
+        priority: 'medium',
+        suppressionKey: `schedule_${schedule.id}`
+      });
+
+      await notificationService.processNotification(notification);
+    } catch (error) {
+      console.error('Error sending schedule notification:', error.message);
+    }
+  }
+
+  getSchedules() {
+    return this.config.schedules.map(schedule => this.withConflicts(schedule));
+  }
+
+  getHistory(options = {}) {
+    let history = this.config.history;
+    if (options.scheduleId) {
+      history = history.filter(entry => entry.scheduleId === options.scheduleId);
+    }
+    return history.slice(0, options.limit || 50);
+  }
+
+  getStatus() {
+    return {
+      schedules: this.config.schedules.length,
+      active: this.config.schedules.filter(schedule => schedule.enabled).length,
+      timezone: this.timezone,
+      settings: this.allowedSettings,
+      conflictActions: CONFLICT_ACTIONS
+    };
+  }
+
+  stop() {
+    this.tasks.forEach(task => task.stop());
+    this.tasks.clear();
+    if (this.onceTask) {
+      this.onceTask.stop();
+      this.onceTask = null;
+    }
+  }
+}
+
+module.exports = new ScheduleService();
@@ -0,0 +1,361 @@
+// Simulator Service - virtual inverters publishing to MQTT
+// Emulates a home (PV, load, battery, grid) and publishes the same inverter_N/...,
+// battery_N/... and total/... topics a real setup does. /set commands change the
+// simulated inverter settings, so the AI engine can be tested end-to-end without hardware.
+// Before publishing, the simulator listens on the prefix for a while and refuses to start when
+// real inverters report there, so it never mixes fake state and confirmations into a live site.
+
+const fs = require('fs');
+const path = require('path');
+const mqtt = require('mqtt');
+const HomeModel = require('../simulator/homeModel');
+
+const INVERTER_TYPES = ['legacy', 'new'];
+const PROBE_TIME = 15 * 1000; // real inverters publish their state every few seconds
+
+class SimulatorService {
+  constructor() {
+    this.configFile = path.join(__dirname, '..', 'data', 'simulator_config.json');
+    this.mqttConfig = null;
+    this.topicPrefix = null;
+    this.inverterNumber = 1;
+    this.batteryNumber = 1;
+
+    this.client = null;
+    this.model = null;
+    this.timer = null;
+    this.running = false;
+    this.probing = false;
+    this.probeTimer = null;
+    this.refusedReason = null;
+    this.startedAt = null;
+    this.simulatedTime = null;
+    this.commandsReceived = 0;
+    this.lastCommand = null;
+
+    this.config = this.loadConfig();
+  }
+
+  getDefaultConfig() {
+    return {
+      enabled: false,
+      publishInterval: 10, // seconds between published updates
+      timeScale: 1, // simulated seconds per real second
+      seed: null, // fixed seed for reproducible weather and noise
+      inverterType: 'legacy',
+      location: { lat: 52.5, lon: 13.4 },
+      pv: {
+        peakPower: 6000,
+        clearness: { min: 0.3, max: 1 },
+        variability: 0.1
+      },
+      load: {
+        profile: HomeModel.DEFAULT_LOAD_PROFILE,
+        noise: 0.15
+      },
+      battery: {
+        capacityKwh: 10,
+        nominalVoltage: 48,
+        efficiency: 0.95,
+        maxChargePower: 5000,
+        maxDischargePower: 5000,
+        socMin: 10,
+        socMax: 100,
+        initialSoc: 50
+      },
+      grid: {
+        voltage: 230,
+        maxExportPower: 5000
+      }
+    };
+  }
+
+  loadConfig() {
+    const defaults = this.getDefaultConfig();
+    try {
+      if (fs.existsSync(this.configFile)) {
+        const saved = JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
+        return this.mergeConfig(defaults, saved);
+      }
+    } catch (error) {
+      console.error('Error loading simulator config:', error.message);
+    }
+    return defaults;
+  }
+
+  saveConfig() {
+    try {
+      const dataDir = path.dirname(this.configFile);
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+      fs.writeFileSync(this.configFile, JSON.stringify(this.config, null, 2));
+      return true;
+    } catch (error) {
+      console.error('Error saving simulator config:', error.message);
+      return false;
+    }
+  }
+
+  mergeConfig(base, input) {
+    return {
+      ...base,
+      ...input,
+      location: { ...base.location, ...(input.location || {}) },
+      pv: {
+        ...base.pv,
+        ...(input.pv || {}),
+        clearness: { ...base.pv.clearness, ...(input.pv?.clearness || {}) }
+      },
+      load: { ...base.load, ...(input.load || {}) },
+      battery: { ...base.battery, ...(input.battery || {}) },
+      grid: { ...base.grid, ...(input.grid || {}) }
+    };
+  }
+
+  validateConfig(config) {
+    const positive = (value, name) => {
+      if (typeof value !== 'number' || !(value > 0)) {
+        throw new Error(`${name} must be a positive number`);
+      }
+    };
+
+    positive(config.publishInterval, 'publishInterval');
+    positive(config.timeScale, 'timeScale');
+    positive(config.pv.peakPower, 'pv.peakPower');
+    positive(config.battery.capacityKwh, 'battery.capacityKwh');
+    positive(config.battery.nominalVoltage, 'battery.nominalVoltage');
+    positive(config.battery.maxChargePower, 'battery.maxChargePower');
+    positive(config.battery.maxDischargePower, 'battery.maxDischargePower');
+
+    if (!INVERTER_TYPES.includes(config.inverterType)) {
+      throw new Error(`Invalid inverterType: ${config.inverterType}. Allowed: ${INVERTER_TYPES.join(', ')}`);
+    }
+    if (!(config.battery.efficiency > 0 && config.battery.efficiency <= 1)) {
+      throw new Error('battery.efficiency must be between 0 and 1');
+    }
+    const { socMin, socMax, initialSoc } = config.battery;
+    if (!(socMin >= 0 && socMax <= 100 && socMin < socMax && initialSoc >= 0 && initialSoc <= 100)) {
+      throw new Error('battery SOC limits must be within 0-100 with socMin below socMax');
+    }
+    const { min, max } = config.pv.clearness;
+    if (!(min >= 0 && max <= 1 && min <= max)) {
+      throw new Error('pv.clearness must be within 0-1 with min not above max');
+    }
+    if (!Array.isArray(config.load.profile) || config.load.profile.length !== 24 ||
+      config.load.profile.some(value => typeof value !== 'number' || value < 0)) {
+      throw new Error('load.profile must be 24 hourly values in watts');
+    }
+  }
+
+  initialize(config = {}) {
+    this.mqttConfig = config.mqttConfig;
+    this.topicPrefix = config.topicPrefix;
+    this.inverterNumber = parseInt(config.inverterNumber) || 1;
+    this.batteryNumber = parseInt(config.batteryNumber) || 1;
+
+    if (config.enabled || this.config.enabled) {
+      this.start(false);
+    }
+  }
+
+  // persist remembers the simulator as enabled for the next start of the add-on
+  start(persist = true) {
+    if (this.running) return this.getStatus();
+    if (!this.mqttConfig || !this.topicPrefix) {
+      throw new Error('Simulator not initialized with MQTT settings');
+    }
+
+    this.model = new HomeModel(this.config, this.inverterNumber);
+    this.startedAt = Date.now();
+    this.simulatedTime = new Date();
+    this.commandsReceived = 0;
+    this.lastCommand = null;
+    this.probing = true;
+    this.refusedReason = null;
+
+    this.client = mqtt.connect(`mqtt://${this.mqttConfig.host}:${this.mqttConfig.port}`, {
+      username: this.mqttConfig.username,
+      password: this.mqttConfig.password,
+      clientId: `solarautopilot-simulator-${Math.random().toString(16).slice(2, 10)}`,
+      reconnectPeriod: 5000,
+      connectTimeout: 30000
+    });
+
+    this.client.on('connect', () => {
+      console.log(`🧪 Simulator connected to MQTT (${this.inverterNumber} ${this.config.inverterType} inverter(s), prefix ${this.topicPrefix})`);
+      if (this.probing) {
+        this.probe();
+      } else {
+        this.publishSettings();
+      }
+    });
+    this.client.on('message', (topic, message) => {
+      if (this.probing) {
+        this.refuse(topic);
+      } else {
+        this.handleCommand(topic, message.toString());
+      }
+    });
+    this.client.on('error', error => {
+      console.error('❌ Simulator MQTT error:', error.message);
+    });
+
+    this.running = true;
+    if (persist) {
+      this.config.enabled = true;
+      this.saveConfig();
+    }
+
+    this.timer = setInterval(() => this.tick(), this.config.publishInterval * 1000);
+    console.log(`🧪 Simulator started (every ${this.config.publishInterval}s, time scale ${this.config.timeScale}x)`);
+    return this.getStatus();
+  }
+
+  // Nothing of our own is published yet, any state message comes from real inverters
+  probe() {
+    if (this.probeTimer) return;
+    console.log(`🧪 Simulator checking ${this.topicPrefix} for real inverters (${PROBE_TIME / 1000}s)`);
+    this.client.subscribe(`${this.topicPrefix}/+/+/state`);
+    this.probeTimer = setTimeout(() => {
+      this.probeTimer = null;
+      if (!this.client || !this.probing) return;
+      this.probing = false;
+      this.client.unsubscribe(`${this.topicPrefix}/+/+/state`);
+      this.client.subscribe(`${this.topicPrefix}/+/+/set`);
+      this.publishSettings();
+      console.log('🧪 Simulator publishing, no real inverters on the prefix');
+    }, PROBE_TIME);
+  }
+
+  refuse(topic) {
+    this.refusedReason = `Real inverter data on ${topic}, the simulator needs an MQTT prefix no inverter publishes to`;
+    console.warn(`⚠️ Simulator not started: ${this.refusedReason}`);
+    this.stop(false);
+  }
+
+  stop(persist = true) {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.probeTimer) {
+      clearTimeout(this.probeTimer);
+      this.probeTimer = null;
+    }
+    this.probing = false;
+    if (this.client) {
+      this.client.end(true);
+      this.client = null;
+    }
+    if (this.running) {
+      console.log('🧪 Simulator stopped');
+    }
+    this.running = false;
+
+    if (persist) {
+      this.config.enabled = false;
+      this.saveConfig();
+    }
+    return this.getStatus();
+  }
+
+  updateConfig(input) {
+    const config = this.mergeConfig(this.config, input || {});
+    this.validateConfig(config);
+
+    this.config = config;
+    this.saveConfig();
+
+    // A running simulation picks up the new home on restart
+    if (this.running) {
+      this.stop(false);
+      this.start(false);
+    }
+    return this.config;
+  }
+
+  tick() {
+    const dtSeconds = this.config.publishInterval * this.config.timeScale;
+    this.simulatedTime = new Date(this.simulatedTime.getTime() + dtSeconds * 1000);
+
+    const totals = this.model.step(this.simulatedTime, dtSeconds);
+    if (!this.client || !this.client.connected || this.probing) return;
+
+    Object.entries(this.model.inverters).forEach(([inverterId, inverter]) => {
+      Object.entries(inverter.state).forEach(([metric, value]) => {
+        this.publish(`${inverterId}/${metric}/state`, value);
+      });
+    });
+
+    Object.entries(totals).forEach(([metric, value]) => this.publish(`total/${metric}/state`, value));
+    Object.entries(this.model.getEnergy()).forEach(([metric, value]) => this.publish(`total/${metric}/state`, value));
+
+    // Battery banks share the site battery equally
+    const { capacityKwh, nominalVoltage } = this.config.battery;
+    const capacityAh = Math.round(capacityKwh * 1000 / nominalVoltage / this.batteryNumber);
+    for (let i = 1; i <= this.batteryNumber; i++) {
+      this.publish(`battery_${i}/capacity/state`, capacityAh);
+      this.publish(`battery_${i}/state_of_charge/state`, totals.battery_state_of_charge);
+      this.publish(`battery_${i}/power/state`, Math.round(totals.battery_power / this.batteryNumber));
+    }
+
+    this.publishSettings();
+  }
+
+  // Settings are reported like a real inverter so detection and command confirmation work
+  publishSettings() {
+    if (!this.client || !this.client.connected || this.probing) return;
+
+    Object.entries(this.model.inverters).forEach(([inverterId, inverter], index) => {
+      Object.entries(inverter.settings).forEach(([setting, value]) => {
+        this.publish(`${inverterId}/${setting}/state`, value);
+      });
+      this.publish(`${inverterId}/serial_number/state`, `SIM${String(index + 1).padStart(6, '0')}`);
+    });
+  }
+
+  publish(relativeTopic, value) {
+    this.client.publish(`${this.topicPrefix}/${relativeTopic}`, String(value), { qos: 0, retain: false });
+  }
+
+  handleCommand(topic, value) {
+    const match = topic.match(/(inverter_\d+)\/([^/]+)\/set$/);
+    if (!match || !this.model) return;
+
+    const [, inverterId, setting] = match;
+    if (!this.model.setSetting(inverterId, setting, value)) return;
+
+    this.commandsReceived++;
+    this.lastCommand = { inverterId, setting, value, timestamp: new Date().toISOString() };
+    console.log(`🧪 Simulator: ${inverterId} ${setting} = ${value}`);
+
+    // Acknowledge right away like the inverter reporting its new state
+    this.publish(`${inverterId}/${setting}/state`, value);
+  }
+
+  getStatus() {
+    return {
+      running: this.running,
+      probing: this.probing,
+      refusedReason: this.refusedReason,
+      connected: !!(this.client && this.client.connected),
+      startedAt: this.startedAt && this.running ? new Date(this.startedAt).toISOString() : null,
+      simulatedTime: this.simulatedTime && this.running ? this.simulatedTime.toISOString() : null,
+      inverterNumber: this.inverterNumber,
+      commandsReceived: this.commandsReceived,
+      lastCommand: this.lastCommand,
+      totals: this.model && this.running ? this.model.getTotals() : null,
+      energy: this.model && this.running ? this.model.getEnergy() : null,
+      inverters: this.model && this.running ? Object.fromEntries(
+        Object.entries(this.model.inverters).map(([inverterId, inverter]) => [
+          inverterId,
+          { soc: Math.round(inverter.soc * 10) / 10, settings: inverter.settings, state: inverter.state }
+        ])
+      ) : {},
+      config: this.config
+    };
+  }
+}
+
+module.exports = new SimulatorService();
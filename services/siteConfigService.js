@@ -0,0 +1,177 @@
+// Site Configuration - where the installation is and which clock it runs on
+// One place for latitude/longitude, elevation and the IANA timezone. The server pushes it
+// to the solar geometry, weather forecasts, schedules and price handling, and the process
+// timezone is set to it so local hours and day boundaries match the site, not the host.
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const moment = require('moment-timezone');
+const { sunTimes } = require('../ai/utils/solarGeometry');
+
+const SOURCES = ['default', 'manual', 'home_assistant'];
+
+class SiteConfigService {
+  constructor() {
+    this.configFile = path.join(__dirname, '..', 'data', 'site_config.json');
+    this.legacyTimezoneFile = path.join(__dirname, '..', 'timezone.json');
+    this.config = this.loadConfig();
+    this.applyProcessTimezone();
+  }
+
+  getDefaultConfig() {
+    return {
+      latitude: 52.52,
+      longitude: 13.405,
+      elevation: 0, // meters above sea level
+      timezone: this.getLegacyTimezone(),
+      source: 'default',
+      updatedAt: null
+    };
+  }
+
+  // Before the site config the timezone lived in timezone.json
+  getLegacyTimezone() {
+    try {
+      const timezone = JSON.parse(fs.readFileSync(this.legacyTimezoneFile, 'utf8')).timezone;
+      if (moment.tz.zone(timezone)) return timezone;
+    } catch (error) {
+      // fall through to the host timezone
+    }
+    const hostTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    return moment.tz.zone(hostTimezone) ? hostTimezone : 'Europe/Berlin';
+  }
+
+  loadConfig() {
+    const defaults = this.getDefaultConfig();
+    try {
+      if (fs.existsSync(this.configFile)) {
+        const saved = JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
+        return { ...defaults, ...saved };
+      }
+    } catch (error) {
+      console.error('Error loading site config:', error.message);
+    }
+    return defaults;
+  }
+
+  saveConfig() {
+    try {
+      const dataDir = path.dirname(this.configFile);
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+      fs.writeFileSync(this.configFile, JSON.stringify(this.config, null, 2));
+      // Older code paths still read the timezone from timezone.json
+      fs.writeFileSync(this.legacyTimezoneFile, JSON.stringify({ timezone: this.config.timezone }));
+      return true;
+    } catch (error) {
+      console.error('Error saving site config:', error.message);
+      return false;
+    }
+  }
+
+  validateConfig(config) {
+    const { latitude, longitude, elevation } = config;
+    if (typeof latitude !== 'number' || latitude < -90 || latitude > 90) {
+      throw new Error('latitude must be a number between -90 and 90');
+    }
+    if (typeof longitude !== 'number' || longitude < -180 || longitude > 180) {
+      throw new Error('longitude must be a number between -180 and 180');
+    }
+    if (typeof elevation !== 'number' || elevation < -500 || elevation > 9000) {
+      throw new Error('elevation must be a number between -500 and 9000 meters');
+    }
+    if (!moment.tz.zone(config.timezone)) {
+      throw new Error(`Unknown timezone: ${config.timezone}`);
+    }
+    if (!SOURCES.includes(config.source)) {
+      throw new Error(`Invalid source: ${config.source}`);
+    }
+  }
+
+  update(input = {}, source = 'manual') {
+    const config = { ...this.config, source, updatedAt: new Date().toISOString() };
+    ['latitude', 'longitude', 'elevation'].forEach(key => {
+      if (input[key] !== undefined && input[key] !== null && input[key] !== '') {
+        config[key] = parseFloat(input[key]);
+      }
+    });
+    if (input.timezone) config.timezone = input.timezone;
+    this.validateConfig(config);
+
+    this.config = config;
+    this.saveConfig();
+    this.applyProcessTimezone();
+    console.log(`📍 Site: ${config.latitude}, ${config.longitude} (${config.elevation} m, ${config.timezone}, ${source})`);
+    return this.config;
+  }
+
+  // Location, elevation and timezone from the Home Assistant core config (add-on only)
+  async importFromHomeAssistant() {
+    if (!process.env.SUPERVISOR_TOKEN) {
+      throw new Error('Home Assistant import is only available when running as an add-on');
+    }
+
+    const response = await axios.get('http://supervisor/core/api/config', {
+      headers: { Authorization: `Bearer ${process.env.SUPERVISOR_TOKEN}` },
+      timeout: 10000
+    });
+    const { latitude, longitude, elevation, time_zone: timezone } = response.data || {};
+    return this.update({ latitude, longitude, elevation: elevation || 0, timezone }, 'home_assistant');
+  }
+
+  // Sites never configured follow Home Assistant automatically
+  async initialize() {
+    if (this.config.source === 'default' && process.env.SUPERVISOR_TOKEN) {
+      try {
+        await this.importFromHomeAssistant();
+      } catch (error) {
+        console.error('⚠️ Could not import site from Home Assistant:', error.message);
+      }
+    }
+    return this.config;
+  }
+
+  // Date's local getters, node-cron and SMARD hours all follow the process timezone
+  applyProcessTimezone() {
+    process.env.TZ = this.config.timezone;
+  }
+
+  getTimezone() {
+    return this.config.timezone;
+  }
+
+  getLocation() {
+    return { lat: this.config.latitude, lon: this.config.longitude };
+  }
+
+  // Start of the site-local hour, price slots begin there (half-hour offsets included)
+  getHourStart(time) {
+    return moment.tz(time, this.config.timezone).startOf('hour').valueOf();
+  }
+
+  getSunTimes(date = new Date()) {
+    const localNoon = moment.tz(date, this.config.timezone).startOf('day').add(12, 'hours').toDate();
+    return sunTimes(localNoon, this.config.latitude, this.config.longitude, this.config.elevation);
+  }
+
+  getStatus() {
+    const sun = this.getSunTimes();
+    const format = time => time ? moment.tz(time, this.config.timezone).format('HH:mm') : null;
+    return {
+      ...this.config,
+      localTime: moment.tz(this.config.timezone).format(),
+      utcOffset: moment.tz(this.config.timezone).format('Z'),
+      sun: {
+        sunrise: format(sun.sunrise),
+        solarNoon: format(sun.solarNoon),
+        sunset: format(sun.sunset),
+        daylightHours: Math.round(sun.daylightHours * 10) / 10
+      },
+      homeAssistantAvailable: !!process.env.SUPERVISOR_TOKEN
+    };
+  }
+}
+
+module.exports = new SiteConfigService();
@@ -774,6 +774,11 @@ class TibberService {
       }));
   }
 
+  // The AI engine needs price data, it is only started with an enabled Tibber connection and API key
+  isConfiguredForAI() {
+    return !!(this.config.enabled && this.config.apiKey && this.config.apiKey !== '***');
+  }
+
   isPriceGood(currentPrice = null) {
     const price = currentPrice || this.cache.currentPrice;
     if (!price) return false;
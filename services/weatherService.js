@@ -0,0 +1,220 @@
+// Weather Service - hourly cloud cover, irradiance and temperature forecasts
+// Settings live in the conditions.weather block of dynamic_pricing_config.json. The last
+// forecast is kept in data/weather_forecast.json so a restart does not start without one.
+
+const fs = require('fs');
+const path = require('path');
+const OpenMeteoProvider = require('../weather/openMeteoProvider');
+
+const PROVIDERS = {
+  'open-meteo': OpenMeteoProvider
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const CONFIG_KEYS = ['enabled', 'provider', 'weatherApiKey', 'location', 'forecastDays', 'refreshMinutes'];
+
+// Only known settings are taken from saved or posted config
+function pickConfig(input) {
+  const config = {};
+  CONFIG_KEYS.forEach(key => {
+    if (input[key] !== undefined) config[key] = input[key];
+  });
+  return config;
+}
+
+class WeatherService {
+  constructor() {
+    this.configFile = path.join(__dirname, '..', 'data', 'dynamic_pricing_config.json');
+    this.cacheFile = path.join(__dirname, '..', 'data', 'weather_forecast.json');
+    this.timer = null;
+    this.lastError = null;
+
+    this.config = this.loadConfig();
+    this.forecast = this.loadCache();
+  }
+
+  getDefaultConfig() {
+    return {
+      enabled: false,
+      provider: 'open-meteo',
+      weatherApiKey: '',
+      location: { lat: 52.52, lon: 13.405 },
+      forecastDays: 3,
+      refreshMinutes: 60
+    };
+  }
+
+  loadConfig() {
+    const defaults = this.getDefaultConfig();
+    try {
+      if (fs.existsSync(this.configFile)) {
+        const saved = pickConfig(JSON.parse(fs.readFileSync(this.configFile, 'utf8')).conditions?.weather || {});
+        return { ...defaults, ...saved, location: { ...defaults.location, ...(saved.location || {}) } };
+      }
+    } catch (error) {
+      console.error('Error loading weather config:', error.message);
+    }
+    return defaults;
+  }
+
+  // Only the weather block is written, the rest of the pricing config is left as it is
+  saveConfig() {
+    try {
+      let pricingConfig = {};
+      if (fs.existsSync(this.configFile)) {
+        pricingConfig = JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
+      } else {
+        fs.mkdirSync(path.dirname(this.configFile), { recursive: true });
+      }
+      pricingConfig.conditions = { ...(pricingConfig.conditions || {}), weather: this.config };
+      fs.writeFileSync(this.configFile, JSON.stringify(pricingConfig, null, 2));
+      return true;
+    } catch (error) {
+      console.error('Error saving weather config:', error.message);
+      return false;
+    }
+  }
+
+  loadCache() {
+    try {
+      if (fs.existsSync(this.cacheFile)) {
+        return JSON.parse(fs.readFileSync(this.cacheFile, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Error loading weather forecast cache:', error.message);
+    }
+    return null;
+  }
+
+  saveCache() {
+    try {
+      const dataDir = path.dirname(this.cacheFile);
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+      fs.writeFileSync(this.cacheFile, JSON.stringify(this.forecast, null, 2));
+    } catch (error) {
+      console.error('Error saving weather forecast cache:', error.message);
+    }
+  }
+
+  validateConfig(config) {
+    if (!PROVIDERS[config.provider]) {
+      throw new Error(`Unknown weather provider: ${config.provider}. Allowed: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    const { lat, lon } = config.location;
+    if (typeof lat !== 'number' || lat < -90 || lat > 90 || typeof lon !== 'number' || lon < -180 || lon > 180) {
+      throw new Error('location must have lat within -90..90 and lon within -180..180');
+    }
+    if (!(config.forecastDays >= 1 && config.forecastDays <= 16)) {
+      throw new Error('forecastDays must be between 1 and 16');
+    }
+    if (!(config.refreshMinutes >= 15)) {
+      throw new Error('refreshMinutes must be at least 15');
+    }
+  }
+
+  createProvider() {
+    const Provider = PROVIDERS[this.config.provider];
+    return new Provider({ apiKey: this.config.weatherApiKey });
+  }
+
+  initialize() {
+    if (this.config.enabled) {
+      this.start();
+    }
+  }
+
+  start() {
+    this.stop();
+    this.refresh().catch(() => {});
+    this.timer = setInterval(() => this.refresh().catch(() => {}), this.config.refreshMinutes * 60 * 1000);
+    console.log(`🌦️ Weather forecasts enabled (${this.config.provider}, every ${this.config.refreshMinutes} min)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async refresh() {
+    try {
+      const provider = this.createProvider();
+      const hourly = await provider.getForecast(this.config.location, this.config.forecastDays);
+      this.forecast = {
+        provider: provider.name,
+        location: this.config.location,
+        fetchedAt: new Date().toISOString(),
+        hourly
+      };
+      this.lastError = null;
+      this.saveCache();
+      console.log(`🌦️ Weather forecast updated: ${hourly.length} hours from ${provider.name}`);
+      return this.forecast;
+    } catch (error) {
+      this.lastError = error.message;
+      console.error('❌ Weather forecast refresh failed:', error.message);
+      throw error;
+    }
+  }
+
+  updateConfig(input = {}) {
+    const changes = pickConfig(input);
+    const config = {
+      ...this.config,
+      ...changes,
+      location: { ...this.config.location, ...(changes.location || {}) }
+    };
+    this.validateConfig(config);
+
+    this.config = config;
+    this.saveConfig();
+
+    if (this.config.enabled) {
+      this.start();
+    } else {
+      this.stop();
+    }
+    return this.config;
+  }
+
+  // The site location drives the forecast, a move invalidates the cached one
+  setLocation(lat, lon) {
+    if (this.config.location.lat === lat && this.config.location.lon === lon) return;
+    this.updateConfig({ location: { lat, lon } });
+  }
+
+  // Hourly entries, empty when forecasts are disabled or the cached one is for another place
+  getHourlyForecast() {
+    if (!this.config.enabled || !this.forecast) return [];
+    const { lat, lon } = this.forecast.location || {};
+    if (lat !== this.config.location.lat || lon !== this.config.location.lon) return [];
+    return this.forecast.hourly || [];
+  }
+
+  getAt(time) {
+    const timeMs = new Date(time).getTime();
+    return this.getHourlyForecast().find(entry => {
+      const start = new Date(entry.timestamp).getTime();
+      return timeMs >= start && timeMs < start + HOUR_MS;
+    }) || null;
+  }
+
+  getStatus() {
+    const hourly = this.getHourlyForecast();
+    return {
+      enabled: this.config.enabled,
+      provider: this.config.provider,
+      location: this.config.location,
+      fetchedAt: this.forecast?.fetchedAt || null,
+      hours: hourly.length,
+      current: this.getAt(new Date()),
+      lastError: this.lastError,
+      providers: Object.keys(PROVIDERS)
+    };
+  }
+}
+
+module.exports = new WeatherService();
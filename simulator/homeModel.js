@@ -0,0 +1,267 @@
+// Home Model - energy flows of a simulated home with PV, load, battery and grid
+// Each inverter is simulated as its own unit with an equal share of the site's PV,
+// load and battery. Power signs follow the MQTT topics the add-on consumes:
+// grid_power > 0 is import, battery_power > 0 is charging.
+
+const SolarPredictor = require('../ai/models/solarPredictor');
+
+// Typical household day, watts per hour of day
+const DEFAULT_LOAD_PROFILE = [
+  300, 250, 250, 250, 250, 300, 500, 800, 700, 500, 400, 400,
+  500, 450, 400, 450, 600, 900, 1200, 1100, 900, 700, 500, 350
+];
+
+const LEGACY_SETTINGS = {
+  grid_charge: 'Disabled',
+  energy_pattern: 'Battery first',
+  work_mode: 'Battery first'
+};
+
+const NEW_SETTINGS = {
+  charger_source_priority: 'Solar first',
+  output_source_priority: 'Solar/Battery/Utility'
+};
+
+const COMMON_SETTINGS = {
+  remote_switch: 'Enabled',
+  solar_export_when_battery_full: 'Enabled',
+  max_charge_current: '100',
+  max_discharge_current: '100',
+  max_grid_charge_current: '50',
+  max_sell_power: '5000'
+};
+
+// Small seeded generator so runs with a seed are reproducible
+function createRandom(seed) {
+  if (seed === null || seed === undefined) return Math.random;
+  let state = parseInt(seed) >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function isEnabled(value) {
+  return ['enabled', 'true', '1', 'on'].includes(String(value).toLowerCase());
+}
+
+class HomeModel {
+  constructor(config, inverterNumber = 1) {
+    this.config = config;
+    this.inverterNumber = inverterNumber;
+    this.random = createRandom(config.seed);
+
+    this.sun = new SolarPredictor();
+    this.sun.location = { lat: config.location.lat, lon: config.location.lon };
+
+    this.clearness = 1;
+    this.clearnessDay = null;
+    this.energyDay = null;
+    this.energy = this.emptyEnergy();
+
+    this.inverters = {};
+    for (let i = 1; i <= inverterNumber; i++) {
+      const familySettings = config.inverterType === 'new' ? NEW_SETTINGS : LEGACY_SETTINGS;
+      this.inverters[`inverter_${i}`] = {
+        soc: config.battery.initialSoc,
+        settings: { ...familySettings, ...COMMON_SETTINGS },
+        state: {}
+      };
+    }
+  }
+
+  emptyEnergy() {
+    return {
+      pv_energy: 0,
+      load_energy: 0,
+      battery_energy_in: 0,
+      battery_energy_out: 0,
+      grid_energy_in: 0,
+      grid_energy_out: 0
+    };
+  }
+
+  // Clear sky output scaled by a daily clearness drawn between the configured bounds
+  getPvPower(date) {
+    const day = date.toDateString();
+    if (this.clearnessDay !== day) {
+      const { min, max } = this.config.pv.clearness;
+      this.clearness = min + (max - min) * this.random();
+      this.clearnessDay = day;
+    }
+
+    const sunPosition = this.sun.calculateSunPosition(date);
+    const sunFactor = Math.max(0, Math.sin(sunPosition.elevation * Math.PI / 180));
+    // Passing clouds on top of the daily clearness
+    const flicker = 1 - this.config.pv.variability * this.random();
+
+    return this.config.pv.peakPower * sunFactor * this.clearness * flicker;
+  }
+
+  // Hourly profile interpolated to the minute plus some noise
+  getLoadPower(date) {
+    const profile = this.config.load.profile;
+    const hour = date.getHours();
+    const fraction = date.getMinutes() / 60;
+    const base = profile[hour] + (profile[(hour + 1) % 24] - profile[hour]) * fraction;
+    const noise = 1 + this.config.load.noise * (this.random() * 2 - 1);
+
+    return Math.max(0, base * noise);
+  }
+
+  // What the inverter's current settings allow it to do
+  getBehaviour(settings) {
+    // Grid first work mode sells battery energy up to the sell limit
+    const sellBattery = settings.work_mode === 'Grid first' && isEnabled(settings.solar_export_when_battery_full);
+    if (this.config.inverterType === 'new') {
+      return {
+        gridCharge: ['Solar and utility simultaneously', 'Utility first'].includes(settings.charger_source_priority),
+        allowDischarge: settings.output_source_priority === 'Solar/Battery/Utility',
+        sellBattery
+      };
+    }
+    return {
+      gridCharge: isEnabled(settings.grid_charge),
+      allowDischarge: settings.energy_pattern !== 'Grid first',
+      sellBattery
+    };
+  }
+
+  setSetting(inverterId, setting, value) {
+    const inverter = this.inverters[inverterId];
+    if (!inverter) return false;
+    inverter.settings[setting] = String(value);
+    return true;
+  }
+
+  // Advance the simulation by dtSeconds ending at date
+  step(date, dtSeconds) {
+    const hours = dtSeconds / 3600;
+    const day = date.toDateString();
+    if (this.energyDay !== day) {
+      this.energy = this.emptyEnergy();
+      this.energyDay = day;
+    }
+
+    const sitePv = this.getPvPower(date);
+    const siteLoad = this.getLoadPower(date);
+    const { battery, grid } = this.config;
+    const capacityWh = battery.capacityKwh * 1000 / this.inverterNumber;
+    const efficiency = battery.efficiency;
+
+    Object.values(this.inverters).forEach(inverter => {
+      const settings = inverter.settings;
+      const behaviour = this.getBehaviour(settings);
+      const load = siteLoad / this.inverterNumber;
+      const switchedOn = isEnabled(settings.remote_switch);
+      let pv = switchedOn ? sitePv / this.inverterNumber : 0;
+
+      // Battery limits in watts for this step
+      const voltage = battery.nominalVoltage;
+      const chargeLimit = Math.min(battery.maxChargePower / this.inverterNumber,
+        (parseFloat(settings.max_charge_current) || 0) * voltage);
+      const gridChargeLimit = Math.min(chargeLimit, (parseFloat(settings.max_grid_charge_current) || 0) * voltage);
+      const dischargeLimit = Math.min(battery.maxDischargePower / this.inverterNumber,
+        (parseFloat(settings.max_discharge_current) || 0) * voltage);
+      const room = Math.max(0, (battery.socMax - inverter.soc) / 100 * capacityWh / efficiency / hours);
+      const available = Math.max(0, (inverter.soc - battery.socMin) / 100 * capacityWh * efficiency / hours);
+
+      // PV serves the load first, only the surplus charges the battery
+      const pvToLoad = Math.min(pv, load);
+      let remainingPv = pv - pvToLoad;
+      let deficit = load - pvToLoad;
+
+      let batteryPower = 0;
+      if (switchedOn) {
+        batteryPower = Math.min(remainingPv, chargeLimit, room);
+        remainingPv -= batteryPower;
+      }
+
+      // Grid charging tops the PV charge up to the grid charge limit and holds the battery,
+      // otherwise the battery covers what PV leaves of the load
+      let gridToBattery = 0;
+      if (switchedOn && behaviour.gridCharge) {
+        gridToBattery = Math.max(0, Math.min(gridChargeLimit, room) - batteryPower);
+        batteryPower += gridToBattery;
+      } else if (switchedOn && behaviour.allowDischarge && deficit > 0) {
+        const fromBattery = Math.min(deficit, dischargeLimit, available);
+        batteryPower -= fromBattery;
+        deficit -= fromBattery;
+      }
+
+      // Surplus PV is exported up to the sell limit, the rest is curtailed
+      const exportAllowed = isEnabled(settings.solar_export_when_battery_full);
+      const exportLimit = Math.min(grid.maxExportPower / this.inverterNumber, parseFloat(settings.max_sell_power) || 0);
+      const exported = exportAllowed ? Math.min(remainingPv, exportLimit) : 0;
+      pv -= remainingPv - exported;
+
+      let batteryExport = 0;
+      if (switchedOn && behaviour.sellBattery && batteryPower <= 0) {
+        batteryExport = Math.max(0, Math.min(dischargeLimit + batteryPower, available + batteryPower, exportLimit - exported));
+        batteryPower -= batteryExport;
+      }
+
+      const gridPower = deficit + gridToBattery - exported - batteryExport;
+
+      if (batteryPower > 0) {
+        inverter.soc += batteryPower * hours * efficiency / capacityWh * 100;
+      } else {
+        inverter.soc += batteryPower * hours / efficiency / capacityWh * 100;
+      }
+      inverter.soc = Math.min(100, Math.max(0, inverter.soc));
+
+      // Resting voltage rises roughly linearly with SOC
+      const batteryVoltage = voltage * (0.94 + 0.12 * inverter.soc / 100);
+
+      inverter.state = {
+        pv_power: Math.round(pv),
+        load_power: Math.round(load),
+        grid_power: Math.round(gridPower),
+        grid_voltage: Math.round((grid.voltage + (this.random() - 0.5) * 4) * 10) / 10,
+        battery_power: Math.round(batteryPower),
+        battery_voltage: Math.round(batteryVoltage * 100) / 100,
+        battery_current: Math.round(batteryPower / batteryVoltage * 10) / 10,
+        battery_state_of_charge: Math.round(inverter.soc)
+      };
+
+      this.energy.pv_energy += pv * hours / 1000;
+      this.energy.load_energy += load * hours / 1000;
+      this.energy.battery_energy_in += Math.max(0, batteryPower) * hours / 1000;
+      this.energy.battery_energy_out += Math.max(0, -batteryPower) * hours / 1000;
+      this.energy.grid_energy_in += Math.max(0, gridPower) * hours / 1000;
+      this.energy.grid_energy_out += Math.max(0, -gridPower) * hours / 1000;
+    });
+
+    return this.getTotals();
+  }
+
+  getTotals() {
+    const inverters = Object.values(this.inverters);
+    const sum = key => inverters.reduce((total, inverter) => total + (inverter.state[key] || 0), 0);
+    const soc = inverters.reduce((total, inverter) => total + inverter.soc, 0) / inverters.length;
+
+    return {
+      pv_power: sum('pv_power'),
+      load_power: sum('load_power'),
+      grid_power: sum('grid_power'),
+      grid_voltage: inverters[0].state.grid_voltage,
+      battery_power: sum('battery_power'),
+      battery_state_of_charge: Math.round(soc)
+    };
+  }
+
+  getEnergy() {
+    const rounded = {};
+    Object.entries(this.energy).forEach(([key, value]) => {
+      rounded[key] = Math.round(value * 100) / 100;
+    });
+    return rounded;
+  }
+}
+
+HomeModel.DEFAULT_LOAD_PROFILE = DEFAULT_LOAD_PROFILE;
+
+module.exports = HomeModel;
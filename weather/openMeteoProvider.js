@@ -0,0 +1,65 @@
+// Open-Meteo forecast provider - free without key, the key selects the commercial endpoint
+// Radiation values are averages over the hour before their timestamp, so each entry
+// is moved to the start of the hour it describes.
+
+const WeatherProvider = require('./weatherProvider');
+
+const HOUR_MS = 60 * 60 * 1000;
+const HOURLY_VARIABLES = [
+  'cloud_cover',
+  'shortwave_radiation',
+  'direct_normal_irradiance',
+  'diffuse_radiation',
+  'temperature_2m'
+];
+
+class OpenMeteoProvider extends WeatherProvider {
+  get name() {
+    return 'open-meteo';
+  }
+
+  async getForecast(location, days = 3) {
+    const url = this.apiKey ?
+      'https://customer-api.open-meteo.com/v1/forecast' :
+      'https://api.open-meteo.com/v1/forecast';
+
+    const params = {
+      latitude: location.lat,
+      longitude: location.lon,
+      hourly: HOURLY_VARIABLES.join(','),
+      forecast_days: days,
+      past_days: 1,
+      timeformat: 'unixtime',
+      timezone: 'GMT'
+    };
+    if (this.apiKey) params.apikey = this.apiKey;
+
+    return this.parse(await this.request(url, params));
+  }
+
+  parse(response) {
+    if (response?.error) {
+      throw new Error(`Open-Meteo: ${response.reason || 'request failed'}`);
+    }
+    const hourly = response?.hourly;
+    if (!hourly || !Array.isArray(hourly.time)) {
+      throw new Error('Open-Meteo: response has no hourly data');
+    }
+
+    const value = (variable, index) => {
+      const series = hourly[variable];
+      return series && typeof series[index] === 'number' ? series[index] : null;
+    };
+
+    return hourly.time.map((time, index) => ({
+      timestamp: new Date(time * 1000 - HOUR_MS).toISOString(),
+      cloudCover: value('cloud_cover', index),
+      ghi: value('shortwave_radiation', index),
+      dni: value('direct_normal_irradiance', index),
+      dhi: value('diffuse_radiation', index),
+      temperature: value('temperature_2m', index)
+    }));
+  }
+}
+
+module.exports = OpenMeteoProvider;
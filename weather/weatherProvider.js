@@ -0,0 +1,35 @@
+// Weather Provider - common interface of the weather forecast sources
+// Providers return hourly entries in one shape, whatever the API looks like:
+// { timestamp (start of the hour, ISO), cloudCover (%), ghi, dni, dhi (W/m², hour average), temperature (°C) }
+// A fixture file with a recorded API response can replace the HTTP request, so parsing and
+// the forecast pipeline can be exercised without network access. It is a constructor option
+// for checks only, the weather settings and the HTTP API cannot set it.
+
+const fs = require('fs');
+const axios = require('axios');
+
+class WeatherProvider {
+  constructor(options = {}) {
+    this.apiKey = options.apiKey || '';
+    this.fixtureFile = options.fixtureFile || null;
+    this.timeout = options.timeout || 10000;
+  }
+
+  get name() {
+    throw new Error('Weather provider must define a name');
+  }
+
+  async getForecast(location, days) {
+    throw new Error(`${this.name} does not implement getForecast`);
+  }
+
+  async request(url, params) {
+    if (this.fixtureFile) {
+      return JSON.parse(fs.readFileSync(this.fixtureFile, 'utf8'));
+    }
+    const response = await axios.get(url, { params, timeout: this.timeout });
+    return response.data;
+  }
+}
+
+module.exports = WeatherProvider;